@@ -0,0 +1,3913 @@
+// Seeded Random Number Generator
+class SeededRNG {
+  constructor(seed) {
+    this.seed = seed;
+    this.state = seed;
+  }
+
+  next() {
+    this.state = (this.state * 1664525 + 1013904223) % Math.pow(2, 32);
+    return this.state / Math.pow(2, 32);
+  }
+
+  random() { return this.next(); }
+  int(min, max) { return Math.floor(min + this.random() * (max - min + 1)); }
+  shuffle(array) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = this.int(0, i);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+}
+
+// Algorithm Events
+// Generator-based algorithms yield these instead of mutating state
+// themselves. Each step() applies events until one operation has been
+// performed; annotations (marks, found) are applied along the way and
+// never end a step on their own. Memory events (allocate, store, free),
+// phase changes and counts are annotations too, and are not traced: they
+// keep the books for views other than the code panel.
+const Op = {
+  compare: (i, j, label) => ({ type: 'compare', i, j, label }),
+  compareValue: (i, value, label) => ({ type: 'compareValue', i, value, label }),
+  swap: (i, j, label) => ({ type: 'swap', i, j, label }),
+  write: (i, value, label, origin) => ({ type: 'write', i, value, label, origin }),
+  read: (i, label) => ({ type: 'read', i, label }),
+  probe: (i, label) => ({ type: 'probe', i, label }),
+  found: (i, label) => ({ type: 'found', i, label }),
+  visit: (cell, label) => ({ type: 'visit', cell, label }),
+  discover: (cell, label) => ({ type: 'discover', cell, label }),
+  path: (cells, label) => ({ type: 'path', cells, label }),
+  mark: (indices, role) => ({ type: 'mark', indices: [].concat(indices), role }),
+  // contents is the buffer's values, or just its length where copying the
+  // values every step would cost too much (pathfinding open sets)
+  allocate: (name, contents) => ({ type: 'allocate', name, contents }),
+  store: (name, index, value) => ({ type: 'store', name, index, value }),
+  free: (name) => ({ type: 'free', name }),
+  // Names the stage the algorithm is in, e.g. the digit a radix pass sorts by
+  phase: (name, detail) => ({ type: 'phase', name, detail }),
+  // Adds one to a counter of the algorithm's own, e.g. TimSort's merges
+  count: (stat) => ({ type: 'count', stat })
+};
+
+const UNTRACED = new Set(['allocate', 'store', 'free', 'phase', 'count']);
+const ANNOTATIONS = new Set(['mark', 'found', ...UNTRACED]);
+
+// Base Algorithm Class
+// Holds state and statistics only. Highlights map indices to roles
+// ('compare', 'swap', 'sorted', ...) that a renderer turns into colors,
+// and every applied event is reported to listeners (used for sound).
+// Auxiliary buffers are kept by name in buffers, and peakMemory is the
+// most cells they have held at once; phase is the latest Op.phase.
+class Algorithm {
+  constructor(name) {
+    this.name = name;
+    this.isComplete = false;
+    this.generator = null;
+    this.lastResult = undefined;
+    this.listeners = [];
+    this.stats = {};
+    this.highlights = {};
+    this.trace = [];
+    this.buffers = {};
+    this.peakMemory = 0;
+    this.phase = null;
+  }
+
+  init(seed, size) { throw new Error('Must implement init()'); }
+
+  run() { throw new Error('Must implement *run() or step()'); }
+
+  step() {
+    if (this.isComplete) return;
+
+    if (!this.generator) {
+      this.generator = this.run();
+    }
+
+    this.stats.steps++;
+    this.highlights = {};
+    this.trace = [];
+
+    for (;;) {
+      const { value: event, done } = this.generator.next(this.lastResult);
+
+      if (done) {
+        this.finish();
+        return;
+      }
+
+      this.lastResult = this.apply(event);
+      this.emit(event);
+      if (!ANNOTATIONS.has(event.type)) return;
+    }
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case 'mark':
+        event.indices.forEach(index => { this.highlights[index] = event.role; });
+        return undefined;
+
+      case 'allocate':
+        this.buffers[event.name] = Array.isArray(event.contents) ? [...event.contents] : event.contents;
+        this.peakMemory = Math.max(this.peakMemory, this.memoryInUse);
+        return undefined;
+
+      case 'store':
+        this.buffers[event.name][event.index] = event.value;
+        return undefined;
+
+      case 'free':
+        delete this.buffers[event.name];
+        return undefined;
+
+      case 'phase':
+        this.phase = { name: event.name, detail: event.detail };
+        return undefined;
+
+      case 'count':
+        this.stats[event.stat]++;
+        return undefined;
+
+      default:
+        throw new Error(`Unsupported event: ${event.type}`);
+    }
+  }
+
+  // Cells held in auxiliary buffers right now
+  get memoryInUse() {
+    return Object.values(this.buffers).reduce((total, buffer) =>
+      total + (Array.isArray(buffer) ? buffer.length : buffer), 0);
+  }
+
+  // Only sorting and pathfinding algorithms report their buffers
+  get tracksMemory() { return false; }
+
+  // Marks placed earlier in the same step take precedence
+  highlight(index, role) {
+    if (!(index in this.highlights)) {
+      this.highlights[index] = role;
+    }
+  }
+
+  onEvent(listener) {
+    this.listeners.push(listener);
+    return this;
+  }
+
+  // Every event applied in the current step except memory events, phases
+  // and counts is traced as 'type' or 'type:label' so code listings can point
+  // at the line that produced it
+  emit(event) {
+    const label = event.label || event.role;
+    if (!UNTRACED.has(event.type)) {
+      this.trace.push(label ? `${event.type}:${label}` : event.type);
+    }
+    this.listeners.forEach(listener => listener(event, this));
+  }
+
+  // 1-based line of a listing ({ code, lines }) for the latest traced event
+  // it maps, preferring 'type:label' over plain 'type'; null if none do
+  currentLine(listing) {
+    for (let i = this.trace.length - 1; i >= 0; i--) {
+      const key = this.trace[i];
+      const line = listing.lines[key] || listing.lines[key.split(':')[0]];
+      if (line) return line;
+    }
+    return null;
+  }
+
+  get finished() { return this.isComplete; }
+
+  // Snapshot of everything a renderer reads, recorded by ExecutionTimeline
+  captureView() {
+    return {
+      stats: { ...this.stats },
+      buffers: Algorithm.copyBuffers(this.buffers),
+      peakMemory: this.peakMemory,
+      phase: this.phase ? { ...this.phase } : null
+    };
+  }
+
+  restoreView(view) {
+    this.stats = { ...view.stats };
+    this.buffers = Algorithm.copyBuffers(view.buffers);
+    this.peakMemory = view.peakMemory;
+    this.phase = view.phase ? { ...view.phase } : null;
+  }
+
+  // Rewinding past an allocation leaves its name mapped to undefined
+  static copyBuffers(buffers) {
+    const copy = {};
+    for (const [name, buffer] of Object.entries(buffers)) {
+      if (buffer !== undefined) copy[name] = Array.isArray(buffer) ? [...buffer] : buffer;
+    }
+    return copy;
+  }
+
+  finish() {
+    this.isComplete = true;
+    this.emit({ type: 'complete' });
+  }
+}
+
+// Input Distributions
+// Shapes of generated sorting input, chosen with input.distribution. Values
+// stay in the usual 5..100 range; uniform is the original random input and
+// draws from the RNG the same way, so existing seeds reproduce.
+const uniformValues = (rng, size) => Array.from({ length: size }, () => rng.int(5, 100));
+
+const DISTRIBUTIONS = {
+  uniform: {
+    name: 'Uniform Random',
+    generate: uniformValues
+  },
+  sorted: {
+    name: 'Already Sorted',
+    generate: (rng, size) => uniformValues(rng, size).sort((a, b) => a - b)
+  },
+  reversed: {
+    name: 'Reversed',
+    generate: (rng, size) => uniformValues(rng, size).sort((a, b) => b - a)
+  },
+  'nearly-sorted': {
+    name: 'Nearly Sorted',
+    // input.swaps random pairs are exchanged in sorted data (default: 5% of n)
+    generate: (rng, size, input) => {
+      const array = uniformValues(rng, size).sort((a, b) => a - b);
+      const swaps = input.swaps !== undefined ? input.swaps : Math.max(1, Math.floor(size / 20));
+
+      for (let k = 0; k < swaps && size > 1; k++) {
+        const i = rng.int(0, size - 1);
+        const j = rng.int(0, size - 1);
+        [array[i], array[j]] = [array[j], array[i]];
+      }
+      return array;
+    }
+  },
+  'few-unique': {
+    name: 'Few Unique',
+    generate: (rng, size) => Array.from({ length: size }, () => 20 * rng.int(1, 5))
+  },
+  sawtooth: {
+    name: 'Sawtooth',
+    // Four ascending ramps
+    generate: (rng, size) => {
+      const tooth = Math.max(2, Math.ceil(size / 4));
+      return Array.from({ length: size }, (_, i) => 5 + Math.round((i % tooth) * 95 / (tooth - 1)));
+    }
+  },
+  'organ-pipe': {
+    name: 'Organ Pipe',
+    // Rises to the middle, then falls
+    generate: (rng, size) => {
+      const half = Math.max(1, (size - 1) / 2);
+      return Array.from({ length: size }, (_, i) => 5 + Math.round(Math.min(i, size - 1 - i) * 95 / half));
+    }
+  },
+  gaussian: {
+    name: 'Gaussian',
+    // Box-Muller around the middle of the range, clamped to it
+    generate: (rng, size) => Array.from({ length: size }, () => {
+      const z = Math.sqrt(-2 * Math.log(1 - rng.random())) * Math.cos(2 * Math.PI * rng.random());
+      return Math.min(100, Math.max(5, Math.round(52.5 + 16 * z)));
+    })
+  }
+};
+
+// Pivot Strategies
+// How the quick sorts pick their pivot, chosen with input.pivot. Median of
+// three compares the first, middle and last elements; the ninther takes
+// the median of three such medians, spread over the range.
+const PIVOT_STRATEGIES = {
+  first: { name: 'First Element' },
+  last: { name: 'Last Element' },
+  random: { name: 'Random Element' },
+  'median-of-three': { name: 'Median of Three' },
+  ninther: { name: 'Ninther' }
+};
+
+// SORTING ALGORITHMS
+class SortingAlgorithm extends Algorithm {
+  constructor(name) {
+    super(name);
+    this.array = [];
+    this.origins = [];
+    this.ranks = [];
+    this.stats = this.emptyStats();
+  }
+
+  // input.array replaces the generated values, e.g. to replay a textbook
+  // example; otherwise input.distribution picks their shape
+  init(seed, size, input = {}) {
+    const rng = new SeededRNG(seed);
+    const distribution = DISTRIBUTIONS[input.distribution || 'uniform'];
+    if (!distribution) {
+      throw new Error(`Unknown distribution: ${input.distribution}`);
+    }
+
+    this.array = input.array ? [...input.array] : distribution.generate(rng, size, input);
+    this.origins = this.array.map((_, i) => i);
+    this.ranks = SortingAlgorithm.rankDuplicates(this.array);
+    this.isComplete = false;
+    this.generator = null;
+    this.stats = this.emptyStats();
+    this.highlights = {};
+    this.trace = [];
+    this.buffers = {};
+    this.peakMemory = 0;
+    this.phase = null;
+  }
+
+  get tracksMemory() { return true; }
+
+  // Counters beyond the shared four, each kept with Op.count
+  get extraStats() { return []; }
+
+  emptyStats() {
+    const stats = { comparisons: 0, swaps: 0, accesses: 0, steps: 0 };
+    this.extraStats.forEach(stat => { stats[stat] = 0; });
+    return stats;
+  }
+
+  apply(event) {
+    const a = this.array;
+
+    switch (event.type) {
+      case 'compare':
+        this.highlight(event.i, 'compare');
+        this.highlight(event.j, 'compare');
+        this.stats.comparisons++;
+        this.stats.accesses += 2;
+        return a[event.i] - a[event.j];
+
+      case 'compareValue':
+        this.highlight(event.i, 'compare');
+        this.stats.comparisons++;
+        this.stats.accesses++;
+        return a[event.i] - event.value;
+
+      case 'swap':
+        [a[event.i], a[event.j]] = [a[event.j], a[event.i]];
+        [this.origins[event.i], this.origins[event.j]] = [this.origins[event.j], this.origins[event.i]];
+        this.highlight(event.i, 'swap');
+        this.highlight(event.j, 'swap');
+        this.stats.swaps++;
+        return undefined;
+
+      case 'write':
+        a[event.i] = event.value;
+        this.origins[event.i] = event.origin !== undefined ? event.origin : null;
+        this.highlight(event.i, 'swap');
+        this.stats.swaps++;
+        this.stats.accesses++;
+        return undefined;
+
+      case 'read':
+        this.highlight(event.i, 'current');
+        this.stats.accesses++;
+        return a[event.i];
+
+      default:
+        return super.apply(event);
+    }
+  }
+
+  captureView() {
+    return { ...super.captureView(), array: [...this.array], origins: [...this.origins] };
+  }
+
+  restoreView(view) {
+    super.restoreView(view);
+    this.array.length = view.array.length;
+    view.array.forEach((value, i) => { this.array[i] = value; });
+    this.origins.length = view.origins.length;
+    view.origins.forEach((origin, i) => { this.origins[i] = origin; });
+  }
+
+  // Pairs of equal keys whose original order the current arrangement
+  // reverses, or null once an element has been written without its origin
+  stability() {
+    const groups = new Map();
+
+    for (let i = 0; i < this.array.length; i++) {
+      if (this.origins[i] === null) return null;
+      if (this.ranks[this.origins[i]] === -1) continue;
+
+      const group = groups.get(this.array[i]) || [];
+      group.push(this.origins[i]);
+      groups.set(this.array[i], group);
+    }
+
+    let inversions = 0;
+    let duplicates = 0;
+    for (const group of groups.values()) {
+      duplicates += group.length;
+      for (let p = 0; p < group.length; p++) {
+        for (let q = p + 1; q < group.length; q++) {
+          if (group[p] > group[q]) inversions++;
+        }
+      }
+    }
+
+    return { duplicates, inversions };
+  }
+
+  // Occurrence number of each element among equal values (0 for the first),
+  // or -1 for values that appear once
+  static rankDuplicates(array) {
+    const counts = new Map();
+    array.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    const seen = new Map();
+    return array.map(value => {
+      if (counts.get(value) === 1) return -1;
+      const rank = seen.get(value) || 0;
+      seen.set(value, rank + 1);
+      return rank;
+    });
+  }
+}
+
+class BubbleSort extends SortingAlgorithm {
+  *run() {
+    const n = this.array.length;
+
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = 0; j < n - 1 - i; j++) {
+        if ((yield Op.compare(j, j + 1)) > 0) {
+          yield Op.swap(j, j + 1);
+        }
+      }
+      yield Op.mark(n - 1 - i, 'sorted');
+    }
+  }
+}
+
+class CocktailSort extends SortingAlgorithm {
+  *run() {
+    let start = 0;
+    let end = this.array.length - 1;
+    let swapped = true;
+
+    while (swapped && start < end) {
+      swapped = false;
+
+      for (let i = start; i < end; i++) {
+        if ((yield Op.compare(i, i + 1)) > 0) {
+          yield Op.swap(i, i + 1);
+          swapped = true;
+        }
+      }
+      yield Op.mark(end, 'sorted');
+      end--;
+
+      if (!swapped) break;
+      swapped = false;
+
+      for (let i = end; i > start; i--) {
+        if ((yield Op.compare(i - 1, i, 'backward')) > 0) {
+          yield Op.swap(i - 1, i, 'backward');
+          swapped = true;
+        }
+      }
+      yield Op.mark(start, 'sorted');
+      start++;
+    }
+  }
+}
+
+class SelectionSort extends SortingAlgorithm {
+  *run() {
+    const n = this.array.length;
+
+    for (let i = 0; i < n - 1; i++) {
+      let minIndex = i;
+
+      for (let j = i + 1; j < n; j++) {
+        yield Op.mark(minIndex, 'current');
+        if ((yield Op.compare(j, minIndex)) < 0) {
+          minIndex = j;
+        }
+      }
+
+      if (minIndex !== i) {
+        yield Op.swap(i, minIndex);
+      }
+      yield Op.mark(i, 'sorted');
+    }
+  }
+}
+
+class InsertionSort extends SortingAlgorithm {
+  *run() {
+    const a = this.array;
+
+    for (let i = 1; i < a.length; i++) {
+      const origin = this.origins[i];
+      const key = yield Op.read(i);
+      let j = i;
+
+      while (j > 0 && (yield Op.compareValue(j - 1, key)) > 0) {
+        yield Op.write(j, a[j - 1], 'shift', this.origins[j - 1]);
+        j--;
+      }
+
+      if (j !== i) {
+        yield Op.write(j, key, 'insert', origin);
+      }
+      yield Op.mark(j, 'sorted');
+    }
+  }
+}
+
+class ShellSort extends SortingAlgorithm {
+  *run() {
+    const a = this.array;
+    const n = a.length;
+
+    for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) {
+      for (let i = gap; i < n; i++) {
+        const origin = this.origins[i];
+        const temp = yield Op.read(i);
+        let j = i;
+
+        while (j >= gap && (yield Op.compareValue(j - gap, temp)) > 0) {
+          yield Op.write(j, a[j - gap], 'shift', this.origins[j - gap]);
+          j -= gap;
+        }
+
+        if (j !== i) {
+          yield Op.write(j, temp, 'insert', origin);
+        }
+      }
+    }
+  }
+}
+
+// Quick sort keeps its pending ranges on an explicit stack rather than the
+// call stack, so the recursion can be shown step by step. Every step's
+// phase carries the range being worked on, the pointers of the partition
+// scheme or of the pivot choice, the pivot values and the pending ranges:
+// { low, high, pointers, pivots, stack }. input.pivot picks the pivot (see
+// PIVOT_STRATEGIES). QuickSort itself partitions like Lomuto; subclasses
+// bring other schemes by overriding partition(), which returns the
+// subranges still to sort.
+const NINTHER_THRESHOLD = 9;
+
+class QuickSort extends SortingAlgorithm {
+  init(seed, size, input = {}) {
+    super.init(seed, size, input);
+    this.pivot = input.pivot || 'last';
+    if (!PIVOT_STRATEGIES[this.pivot]) {
+      throw new Error(`Unknown pivot strategy: ${input.pivot}`);
+    }
+    // Random pivots come from a generator of their own, so a seed replays
+    this.rng = new SeededRNG(seed);
+    this.ranges = [];
+    this.range = null;
+  }
+
+  *run() {
+    this.ranges = [{ low: 0, high: this.array.length - 1 }];
+    // The stack buffer shows each pending range by its length
+    const pending = () => Op.allocate('stack', this.ranges.map(({ low, high }) => Math.max(0, high - low + 1)));
+    yield pending();
+
+    while (this.ranges.length > 0) {
+      const { low, high } = this.ranges.pop();
+      yield pending();
+
+      if (low < high) {
+        this.range = { low, high };
+        const parts = yield* this.partition(low, high);
+        parts.forEach(([from, to]) => this.ranges.push({ low: from, high: to }));
+        yield pending();
+      } else if (low === high) {
+        yield Op.mark(low, 'sorted');
+      }
+    }
+  }
+
+  // Lomuto partition around the pivot, moved to the end of the range
+  *partition(low, high) {
+    yield* this.movePivot(yield* this.choosePivot(low, high), high);
+    const pivots = [this.array[high]];
+    let i = low - 1;
+
+    for (let j = low; j < high; j++) {
+      yield this.show('partition', { i, j, pivot: high }, pivots);
+      yield Op.mark(high, 'current');
+      if ((yield Op.compare(j, high)) < 0) {
+        i++;
+        if (i !== j) {
+          yield Op.swap(i, j);
+        }
+      }
+    }
+
+    if (i + 1 !== high) {
+      yield Op.swap(i + 1, high, 'pivot');
+    }
+    yield Op.mark(i + 1, 'sorted');
+    return [[low, i], [i + 2, high]];
+  }
+
+  // The phase for the current step: the range, the named pointers and the
+  // pivot values, with a copy of the pending ranges
+  show(name, pointers, pivots = []) {
+    const { low, high } = this.range;
+    return Op.phase(name, {
+      low, high, pointers, pivots,
+      stack: this.ranges.map(range => ({ ...range }))
+    });
+  }
+
+  // The index of the pivot for low..high under the chosen strategy. Ranges
+  // too short for three candidates take their last element.
+  *choosePivot(low, high) {
+    const mid = Math.floor((low + high) / 2);
+
+    switch (this.pivot) {
+      case 'first':
+        return low;
+      case 'last':
+        return high;
+      case 'random':
+        return this.rng.int(low, high);
+    }
+
+    if (high - low < 2) return high;
+    if (this.pivot === 'median-of-three' || high - low + 1 < NINTHER_THRESHOLD) {
+      return yield* this.median(low, mid, high);
+    }
+
+    // Tukey's ninther: the median of the medians of three spread-out triples
+    const step = Math.floor((high - low + 1) / 8);
+    const left = yield* this.median(low, low + step, low + 2 * step);
+    const middle = yield* this.median(mid - step, mid, mid + step);
+    const right = yield* this.median(high - 2 * step, high - step, high);
+    return yield* this.median(left, middle, right);
+  }
+
+  // The index holding the median of a[i], a[j] and a[k], found without
+  // moving anything
+  *median(i, j, k) {
+    yield this.show('pivot', { i, j, k });
+    if ((yield Op.compare(i, j, 'median')) > 0) [i, j] = [j, i];
+    if ((yield Op.compare(j, k, 'median')) <= 0) return j;
+    return (yield Op.compare(i, k, 'median')) > 0 ? i : k;
+  }
+
+  // Puts the chosen pivot where the scheme expects it
+  *movePivot(from, to) {
+    if (from !== to) {
+      yield this.show('pivot', { pivot: from });
+      yield Op.swap(from, to, 'move');
+    }
+  }
+}
+
+// Hoare's partition: two pointers run toward each other from the ends and
+// swap the pairs they stop at. The pivot is compared by value and does not
+// end up in its final place, so both parts include their boundary.
+class HoareQuickSort extends QuickSort {
+  *partition(low, high) {
+    yield* this.movePivot(yield* this.choosePivot(low, high), low);
+    const pivots = [this.array[low]];
+    let i = low - 1;
+    let j = high + 1;
+
+    for (;;) {
+      do {
+        i++;
+        yield this.show('partition', { i, j }, pivots);
+      } while ((yield Op.compareValue(i, pivots[0], 'left')) < 0);
+
+      do {
+        j--;
+        yield this.show('partition', { i, j }, pivots);
+      } while ((yield Op.compareValue(j, pivots[0], 'right')) > 0);
+
+      if (i >= j) return [[low, j], [j + 1, high]];
+      yield Op.swap(i, j);
+    }
+  }
+}
+
+// Dijkstra's Dutch national flag partition: a[low..lt) < pivot,
+// a[lt..i) = pivot, a[i..gt] unseen and a(gt..high] > pivot. The whole
+// block of keys equal to the pivot is done at once, so few unique keys
+// make it faster instead of slower.
+class ThreeWayQuickSort extends QuickSort {
+  *partition(low, high) {
+    yield* this.movePivot(yield* this.choosePivot(low, high), low);
+    const pivots = [this.array[low]];
+    let lt = low;
+    let i = low + 1;
+    let gt = high;
+
+    while (i <= gt) {
+      yield this.show('partition', { lt, i, gt }, pivots);
+      const order = yield Op.compareValue(i, pivots[0]);
+      if (order < 0) {
+        yield Op.swap(lt, i, 'less');
+        lt++;
+        i++;
+      } else if (order > 0) {
+        if (i !== gt) {
+          yield Op.swap(i, gt, 'greater');
+        }
+        gt--;
+      } else {
+        i++;
+      }
+    }
+
+    const equal = [];
+    for (let k = lt; k <= gt; k++) equal.push(k);
+    yield Op.mark(equal, 'sorted');
+    return [[low, lt - 1], [gt + 1, high]];
+  }
+}
+
+// Yaroslavskiy's dual-pivot partition, which Java uses for primitives:
+// with pivots p <= q from the two ends, a[low+1..lt) < p,
+// a[lt..k) between the pivots, a[k..gt] unseen and a(gt..high-1] > q.
+// Each pivot is chosen from its half of the range.
+class DualPivotQuickSort extends QuickSort {
+  *partition(low, high) {
+    const mid = Math.floor((low + high) / 2);
+    yield* this.movePivot(yield* this.choosePivot(low, mid), low);
+    yield* this.movePivot(yield* this.choosePivot(mid + 1, high), high);
+    if ((yield Op.compare(low, high, 'pivots')) > 0) {
+      yield Op.swap(low, high, 'pivots');
+    }
+
+    const pivots = [this.array[low], this.array[high]];
+    const [p, q] = pivots;
+    let lt = low + 1;
+    let k = low + 1;
+    let gt = high - 1;
+
+    while (k <= gt) {
+      yield this.show('partition', { lt, k, gt }, pivots);
+      if ((yield Op.compareValue(k, p, 'less')) < 0) {
+        if (k !== lt) {
+          yield Op.swap(k, lt, 'less');
+        }
+        lt++;
+      } else if ((yield Op.compareValue(k, q, 'greater')) > 0) {
+        while (k < gt && (yield Op.compareValue(gt, q, 'scan')) > 0) {
+          gt--;
+          yield this.show('partition', { lt, k, gt }, pivots);
+        }
+        yield Op.swap(k, gt, 'greater');
+        gt--;
+        if ((yield Op.compareValue(k, p, 'recheck')) < 0) {
+          if (k !== lt) {
+            yield Op.swap(k, lt, 'recheck');
+          }
+          lt++;
+        }
+      }
+      k++;
+    }
+
+    lt--;
+    gt++;
+    if (lt !== low) {
+      yield Op.swap(low, lt, 'low-pivot');
+    }
+    if (gt !== high) {
+      yield Op.swap(high, gt, 'high-pivot');
+    }
+    yield Op.mark([lt, gt], 'sorted');
+    return [[low, lt - 1], [lt + 1, gt - 1], [gt + 1, high]];
+  }
+}
+
+class MergeSort extends SortingAlgorithm {
+  *run() {
+    yield* this.sort(0, this.array.length - 1);
+  }
+
+  *sort(left, right) {
+    if (left >= right) return;
+
+    const mid = Math.floor((left + right) / 2);
+    yield* this.sort(left, mid);
+    yield* this.sort(mid + 1, right);
+    yield* this.merge(left, mid, right);
+  }
+
+  *merge(left, mid, right) {
+    const leftArray = this.array.slice(left, mid + 1);
+    const leftOrigins = this.origins.slice(left, mid + 1);
+    const rightLength = right - mid;
+    let i = 0, j = 0, k = left;
+    yield Op.allocate('left', leftArray);
+
+    // The write cursor never overtakes the right run, so its next element
+    // can still be compared in place
+    while (i < leftArray.length && j < rightLength) {
+      if ((yield Op.compareValue(mid + 1 + j, leftArray[i])) >= 0) {
+        yield Op.write(k, leftArray[i], 'left', leftOrigins[i]);
+        i++;
+      } else {
+        yield Op.write(k, this.array[mid + 1 + j], 'right', this.origins[mid + 1 + j]);
+        j++;
+      }
+      k++;
+    }
+
+    // Leftover right elements are already in position
+    while (i < leftArray.length) {
+      yield Op.write(k, leftArray[i], 'rest', leftOrigins[i]);
+      i++;
+      k++;
+    }
+    yield Op.free('left');
+  }
+}
+
+class HeapSort extends SortingAlgorithm {
+  *run() {
+    const n = this.array.length;
+    // The phase detail is the size of the heap; the rest is sorted
+    yield Op.phase('build', n);
+
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+      yield* this.heapify(n, i);
+    }
+
+    for (let end = n - 1; end > 0; end--) {
+      yield Op.phase('extract', end);
+      yield Op.swap(0, end, 'extract');
+      yield Op.mark(end, 'sorted');
+      yield* this.heapify(end, 0);
+    }
+    yield Op.phase('extract', 0);
+    yield Op.mark(0, 'sorted');
+  }
+
+  // Sift the element at i down until the heap property holds
+  *heapify(n, i) {
+    for (;;) {
+      let largest = i;
+      const left = 2 * i + 1;
+      const right = 2 * i + 2;
+
+      if (left < n && (yield Op.compare(left, largest, 'left')) > 0) {
+        largest = left;
+      }
+
+      if (right < n && (yield Op.compare(right, largest, 'right')) > 0) {
+        largest = right;
+      }
+
+      if (largest === i) return;
+
+      yield Op.swap(i, largest);
+      i = largest;
+    }
+  }
+}
+
+class CountingSort extends SortingAlgorithm {
+  *run() {
+    const n = this.array.length;
+    const max = Math.max(...this.array);
+    const count = new Array(max + 1).fill(0);
+    const output = new Array(n);
+    const outputOrigins = new Array(n);
+    yield Op.allocate('count', count);
+    yield Op.allocate('output', new Array(n).fill(null));
+    yield Op.phase('count');
+
+    // Buffer updates come before the read so both show in the same step
+    for (let i = 0; i < n; i++) {
+      const value = this.array[i];
+      yield Op.store('count', value, ++count[value]);
+      yield Op.read(i);
+    }
+
+    for (let v = 1; v <= max; v++) {
+      count[v] += count[v - 1];
+      yield Op.store('count', v, count[v]);
+    }
+    yield Op.phase('place');
+
+    for (let i = n - 1; i >= 0; i--) {
+      const position = --count[this.array[i]];
+      output[position] = this.array[i];
+      outputOrigins[position] = this.origins[i];
+      yield Op.store('count', this.array[i], position);
+      yield Op.store('output', position, output[position]);
+      yield Op.read(i, 'place');
+    }
+    yield Op.free('count');
+    yield Op.phase('collect');
+
+    for (let i = 0; i < n; i++) {
+      yield Op.store('output', i, null);
+      yield Op.write(i, output[i], 'output', outputOrigins[i]);
+      yield Op.mark(i, 'sorted');
+    }
+    yield Op.free('output');
+  }
+}
+
+class RadixSort extends SortingAlgorithm {
+  *run() {
+    const max = Math.max(...this.array);
+
+    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
+      yield* this.countingSortByDigit(exp);
+    }
+  }
+
+  *countingSortByDigit(exp) {
+    const n = this.array.length;
+    const output = new Array(n);
+    const outputOrigins = new Array(n);
+    const count = new Array(10).fill(0);
+    const digit = value => Math.floor(value / exp) % 10;
+    yield Op.allocate('count', count);
+    yield Op.allocate('output', new Array(n).fill(null));
+    yield Op.phase('count', exp);
+
+    for (let i = 0; i < n; i++) {
+      const d = digit(this.array[i]);
+      yield Op.store('count', d, ++count[d]);
+      yield Op.read(i);
+    }
+
+    for (let d = 1; d < 10; d++) {
+      count[d] += count[d - 1];
+      yield Op.store('count', d, count[d]);
+    }
+    yield Op.phase('place', exp);
+
+    // The output is laid out bucket by bucket, so placing an element drops
+    // it into its digit's bucket
+    for (let i = n - 1; i >= 0; i--) {
+      const d = digit(this.array[i]);
+      const position = --count[d];
+      output[position] = this.array[i];
+      outputOrigins[position] = this.origins[i];
+      yield Op.store('count', d, position);
+      yield Op.store('output', position, output[position]);
+      yield Op.read(i, 'place');
+    }
+    yield Op.free('count');
+    yield Op.phase('collect', exp);
+
+    for (let i = 0; i < n; i++) {
+      yield Op.store('output', i, null);
+      yield Op.write(i, output[i], 'output', outputOrigins[i]);
+    }
+    yield Op.free('output');
+  }
+}
+
+// Hybrid Sorts
+// The sorts production runtimes ship switch strategy as they go. Each one
+// names its current strategy with Op.phase(name, { low, high }), the range
+// it works on, and counts its switches in counters of its own. The shared
+// building blocks are insertion sort for short ranges, heapsort as a
+// worst-case fallback and a median-of-three pivot.
+class HybridSort extends SortingAlgorithm {
+  // Insertion sort of a[low..high]; with a limit it gives up, returning
+  // false, once more than limit elements have been moved
+  *insertionSort(low, high, limit = Infinity) {
+    const a = this.array;
+    let moved = 0;
+
+    for (let i = low + 1; i <= high; i++) {
+      const origin = this.origins[i];
+      const key = yield Op.read(i);
+      let j = i;
+
+      while (j > low && (yield Op.compareValue(j - 1, key)) > 0) {
+        yield Op.write(j, a[j - 1], 'shift', this.origins[j - 1]);
+        j--;
+      }
+
+      if (j !== i) {
+        yield Op.write(j, key, 'insert', origin);
+        moved += i - j;
+        if (moved > limit) return false;
+      }
+    }
+    return true;
+  }
+
+  // Heapsort of a[low..high], with the heap rooted at low
+  *heapSort(low, high) {
+    const n = high - low + 1;
+
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+      yield* this.siftDown(low, n, i);
+    }
+
+    for (let end = n - 1; end > 0; end--) {
+      yield Op.swap(low, low + end, 'extract');
+      yield* this.siftDown(low, end, 0);
+    }
+  }
+
+  *siftDown(low, n, i) {
+    for (;;) {
+      let largest = i;
+      const left = 2 * i + 1;
+      const right = 2 * i + 2;
+
+      if (left < n && (yield Op.compare(low + left, low + largest, 'heap')) > 0) {
+        largest = left;
+      }
+
+      if (right < n && (yield Op.compare(low + right, low + largest, 'heap')) > 0) {
+        largest = right;
+      }
+
+      if (largest === i) return;
+
+      yield Op.swap(low + i, low + largest, 'heap');
+      i = largest;
+    }
+  }
+
+  // Orders a[i] <= a[j] <= a[k], leaving the median of the three at j
+  *sort3(i, j, k) {
+    if ((yield Op.compare(j, i, 'median')) < 0) {
+      yield Op.swap(i, j, 'median');
+    }
+
+    if ((yield Op.compare(k, j, 'median')) < 0) {
+      yield Op.swap(j, k, 'median');
+      if ((yield Op.compare(j, i, 'median')) < 0) {
+        yield Op.swap(i, j, 'median');
+      }
+    }
+  }
+}
+
+// CPython merges runs of at least 32..64 elements; these are scaled down so
+// runs and merges show at the sizes the visualizer draws
+const TIM_MIN_MERGE = 16;
+const TIM_MIN_GALLOP = 7;
+
+class TimSort extends HybridSort {
+  get extraStats() { return ['runs', 'merges', 'gallops']; }
+
+  // n itself below TIM_MIN_MERGE, otherwise between half of it and all of
+  // it, chosen so that n / minRun is close to a power of two
+  static minRun(n) {
+    let remainder = 0;
+
+    while (n >= TIM_MIN_MERGE) {
+      remainder |= n & 1;
+      n >>= 1;
+    }
+    return n + remainder;
+  }
+
+  *run() {
+    const n = this.array.length;
+    const minRun = TimSort.minRun(n);
+    // Pending runs, shown by their length in the run stack buffer
+    const runs = [];
+    const stack = () => Op.allocate('run stack', runs.map(run => run.length));
+    yield stack();
+
+    for (let low = 0; low < n;) {
+      yield Op.phase('run', { low, high: n - 1 });
+      yield Op.count('runs');
+      let length = yield* this.countRun(low, n);
+
+      // Short runs are extended to minRun with binary insertion sort
+      if (length < minRun) {
+        const forced = Math.min(minRun, n - low);
+        yield Op.phase('insertion', { low, high: low + forced - 1 });
+        yield* this.binaryInsertionSort(low, low + forced - 1, low + length);
+        length = forced;
+      }
+
+      runs.push({ base: low, length });
+      yield stack();
+      yield* this.mergeCollapse(runs, stack);
+      low += length;
+    }
+
+    while (runs.length > 1) {
+      const i = runs.length > 2 && runs[runs.length - 3].length < runs[runs.length - 1].length
+        ? runs.length - 3 : runs.length - 2;
+      yield* this.mergeAt(runs, i, stack);
+    }
+    yield Op.free('run stack');
+  }
+
+  // Length of the run starting at low; a strictly descending run is
+  // reversed, which cannot reorder equal elements
+  *countRun(low, n) {
+    let high = low + 1;
+    if (high === n) return 1;
+
+    if ((yield Op.compare(high, low, 'run')) < 0) {
+      high++;
+      while (high < n && (yield Op.compare(high, high - 1, 'run')) < 0) high++;
+      for (let i = low, j = high - 1; i < j; i++, j--) {
+        yield Op.swap(i, j, 'reverse');
+      }
+    } else {
+      high++;
+      while (high < n && (yield Op.compare(high, high - 1, 'run')) >= 0) high++;
+    }
+    return high - low;
+  }
+
+  // Insertion sort of a[low..high] whose a[low..start - 1] is sorted; the
+  // slot is found by binary search, after any equal elements
+  *binaryInsertionSort(low, high, start) {
+    const a = this.array;
+
+    for (let i = start; i <= high; i++) {
+      const origin = this.origins[i];
+      const key = yield Op.read(i);
+      let left = low;
+      let right = i;
+
+      while (left < right) {
+        const mid = Math.floor((left + right) / 2);
+        if ((yield Op.compareValue(mid, key, 'binary')) > 0) {
+          right = mid;
+        } else {
+          left = mid + 1;
+        }
+      }
+
+      for (let j = i; j > left; j--) {
+        yield Op.write(j, a[j - 1], 'shift', this.origins[j - 1]);
+      }
+      if (left !== i) {
+        yield Op.write(left, key, 'insert', origin);
+      }
+    }
+  }
+
+  // Merges until run lengths on the stack shrink faster than the
+  // Fibonacci numbers, which keeps merges balanced (the invariant as
+  // repaired in CPython 3.5)
+  *mergeCollapse(runs, stack) {
+    while (runs.length > 1) {
+      let n = runs.length - 2;
+
+      if ((n > 0 && runs[n - 1].length <= runs[n].length + runs[n + 1].length) ||
+          (n > 1 && runs[n - 2].length <= runs[n - 1].length + runs[n].length)) {
+        if (runs[n - 1].length < runs[n + 1].length) n--;
+      } else if (runs[n].length > runs[n + 1].length) {
+        return;
+      }
+      yield* this.mergeAt(runs, n, stack);
+    }
+  }
+
+  // Merges runs i and i + 1. Galloping first trims what is already in
+  // place: the first run's elements not greater than the second's first
+  // element, and the second's elements not less than the first's last.
+  *mergeAt(runs, i, stack) {
+    const a = this.array;
+    const first = runs[i];
+    const second = runs[i + 1];
+    const low = first.base;
+    const mid = second.base;
+    const high = mid + second.length - 1;
+    runs.splice(i, 2, { base: low, length: first.length + second.length });
+    yield stack();
+    yield Op.phase('merge', { low, high });
+    yield Op.count('merges');
+
+    yield Op.phase('gallop', { low, high: mid - 1 });
+    const start = low + (yield* this.gallop(mid - low, x => this.probe(low + x, a[mid], true)));
+    if (start === mid) return;
+    yield Op.phase('gallop', { low: mid, high });
+    const end = mid - 1 + (yield* this.gallop(high - mid + 1, x => this.probe(mid + x, a[mid - 1], false)));
+    if (end < mid) return;
+
+    yield* this.mergeLo(start, mid, end);
+  }
+
+  // Length of the prefix of a sorted stretch for which goesBefore(offset)
+  // holds: probes at offsets 0, 2, 6, 14, ... bracket its end, and binary
+  // search finds it within the bracket
+  *gallop(length, goesBefore) {
+    yield Op.count('gallops');
+    let found = 0;
+    let offset = 1;
+
+    while (offset <= length && (yield* goesBefore(offset - 1))) {
+      found = offset;
+      offset = 2 * offset + 1;
+    }
+
+    let limit = Math.min(offset - 1, length);
+    while (found < limit) {
+      const mid = Math.floor((found + limit) / 2);
+      if (yield* goesBefore(mid)) {
+        found = mid + 1;
+      } else {
+        limit = mid;
+      }
+    }
+    return found;
+  }
+
+  // Whether a[i] goes before value; ties decides equal elements
+  *probe(i, value, ties) {
+    yield Op.mark(i, 'gallop');
+    const order = yield Op.compareValue(i, value, 'gallop');
+    return ties ? order <= 0 : order < 0;
+  }
+
+  // Merges a[low..mid - 1] and a[mid..high] through a copy of the first
+  // run. A run that wins TIM_MIN_GALLOP times in a row probably wins many
+  // more, so its next stretch is found by galloping and moved at once.
+  *mergeLo(low, mid, high) {
+    const a = this.array;
+    const temp = a.slice(low, mid);
+    const tempOrigins = this.origins.slice(low, mid);
+    const range = { low, high };
+    let i = 0, j = mid, k = low;
+    let firstWins = 0, secondWins = 0;
+    // Whether the copy's element at offset x from i goes before a[j]
+    const copyBefore = function* (x) {
+      return (yield Op.compareValue(j, temp[i + x], 'gallop')) >= 0;
+    };
+    yield Op.allocate('merge', temp);
+    yield Op.phase('merge', range);
+
+    // Ties go to the first run, which keeps the merge stable
+    while (i < temp.length && j <= high) {
+      if ((yield Op.compareValue(j, temp[i], 'merge')) < 0) {
+        yield Op.write(k++, a[j], 'right', this.origins[j]);
+        j++;
+        secondWins++;
+        firstWins = 0;
+      } else {
+        yield Op.store('merge', i, null);
+        yield Op.write(k++, temp[i], 'left', tempOrigins[i]);
+        i++;
+        firstWins++;
+        secondWins = 0;
+      }
+
+      if (firstWins >= TIM_MIN_GALLOP && i < temp.length && j <= high) {
+        yield Op.phase('gallop', range);
+        let count = yield* this.gallop(temp.length - i, copyBefore);
+        for (; count > 0; count--) {
+          yield Op.store('merge', i, null);
+          yield Op.write(k++, temp[i], 'gallop', tempOrigins[i]);
+          i++;
+        }
+        firstWins = 0;
+        yield Op.phase('merge', range);
+      } else if (secondWins >= TIM_MIN_GALLOP && i < temp.length && j <= high) {
+        yield Op.phase('gallop', range);
+        const count = yield* this.gallop(high - j + 1, x => this.probe(j + x, temp[i], false));
+        for (let c = 0; c < count; c++) {
+          yield Op.write(k++, a[j], 'gallop', this.origins[j]);
+          j++;
+        }
+        secondWins = 0;
+        yield Op.phase('merge', range);
+      }
+    }
+
+    // What is left of the second run is already in place
+    while (i < temp.length) {
+      yield Op.store('merge', i, null);
+      yield Op.write(k++, temp[i], 'rest', tempOrigins[i]);
+      i++;
+    }
+    yield Op.free('merge');
+  }
+}
+
+// Ranges this short are insertion sorted, as in libstdc++
+const INTRO_THRESHOLD = 16;
+
+class IntroSort extends HybridSort {
+  get extraStats() { return ['partitions', 'heapsortFallbacks', 'insertionSorts']; }
+
+  // Quicksort may partition 2·log₂(n) levels deep before a range is
+  // handed to heapsort, which bounds the worst case at O(n log n)
+  *run() {
+    const n = this.array.length;
+    yield* this.introSort(0, n - 1, 2 * Math.floor(Math.log2(Math.max(1, n))));
+  }
+
+  *introSort(low, high, depthLimit) {
+    while (high - low + 1 > INTRO_THRESHOLD) {
+      if (depthLimit === 0) {
+        yield Op.phase('heapsort', { low, high });
+        yield Op.count('heapsortFallbacks');
+        yield* this.heapSort(low, high);
+        return;
+      }
+      depthLimit--;
+
+      yield Op.phase('partition', { low, high });
+      yield Op.count('partitions');
+      // The median of the first, middle and last element becomes the pivot at high
+      yield* this.sort3(low, high, low + Math.floor((high - low) / 2));
+      const pivotIndex = yield* this.partition(low, high);
+
+      yield* this.introSort(pivotIndex + 1, high, depthLimit);
+      high = pivotIndex - 1;
+    }
+
+    if (low < high) {
+      yield Op.phase('insertion', { low, high });
+      yield Op.count('insertionSorts');
+      yield* this.insertionSort(low, high);
+    }
+  }
+
+  // Lomuto partition around the last element
+  *partition(low, high) {
+    let i = low - 1;
+
+    for (let j = low; j < high; j++) {
+      yield Op.mark(high, 'current');
+      if ((yield Op.compare(j, high)) < 0) {
+        i++;
+        if (i !== j) {
+          yield Op.swap(i, j);
+        }
+      }
+    }
+
+    if (i + 1 !== high) {
+      yield Op.swap(i + 1, high, 'pivot');
+    }
+    return i + 1;
+  }
+}
+
+// pdqsort's constants: shorter ranges are insertion sorted, and a
+// partition that needed no swaps tries at most this many insertion moves
+// before assuming the range is not nearly sorted after all
+const PDQ_INSERTION_THRESHOLD = 24;
+const PDQ_PARTIAL_INSERTION_LIMIT = 8;
+
+// Pattern-defeating quicksort (Orson Peters, 2016)
+class PdqSort extends HybridSort {
+  get extraStats() { return ['partitions', 'patternBreaks', 'heapsortFallbacks', 'insertionSorts']; }
+
+  // log₂(n) unbalanced partitions are tolerated before heapsort takes over
+  *run() {
+    const n = this.array.length;
+    yield* this.pdqSort(0, n, Math.floor(Math.log2(Math.max(1, n))), true);
+  }
+
+  // Sorts a[begin..end - 1]; leftmost is false when a[begin - 1] is an
+  // earlier pivot, not greater than anything in the range
+  *pdqSort(begin, end, badAllowed, leftmost) {
+    for (;;) {
+      const size = end - begin;
+      if (size < PDQ_INSERTION_THRESHOLD) {
+        if (size > 1) {
+          yield Op.phase('insertion', { low: begin, high: end - 1 });
+          yield Op.count('insertionSorts');
+          yield* this.insertionSort(begin, end - 1);
+        }
+        return;
+      }
+
+      yield Op.phase('partition', { low: begin, high: end - 1 });
+      yield Op.count('partitions');
+      yield* this.sort3(begin + Math.floor(size / 2), begin, end - 1);
+
+      // A pivot equal to the previous one means many equal keys: they all
+      // go left of it and are done
+      if (!leftmost && (yield Op.compare(begin - 1, begin, 'previous')) >= 0) {
+        yield Op.phase('equal', { low: begin, high: end - 1 });
+        begin = (yield* this.partitionLeft(begin, end)) + 1;
+        continue;
+      }
+
+      const [pivot, alreadyPartitioned] = yield* this.partitionRight(begin, end);
+      const leftSize = pivot - begin;
+      const rightSize = end - pivot - 1;
+
+      if (leftSize < Math.floor(size / 8) || rightSize < Math.floor(size / 8)) {
+        if (--badAllowed === 0) {
+          yield Op.phase('heapsort', { low: begin, high: end - 1 });
+          yield Op.count('heapsortFallbacks');
+          yield* this.heapSort(begin, end - 1);
+          return;
+        }
+
+        // An unbalanced partition hints at a pattern; swapping elements
+        // from a quarter into each side breaks it up for the next pivot
+        yield Op.phase('break-patterns', { low: begin, high: end - 1 });
+        yield Op.count('patternBreaks');
+        if (leftSize >= PDQ_INSERTION_THRESHOLD) {
+          yield Op.swap(begin, begin + Math.floor(leftSize / 4), 'break');
+          yield Op.swap(pivot - 1, pivot - Math.floor(leftSize / 4), 'break');
+        }
+        if (rightSize >= PDQ_INSERTION_THRESHOLD) {
+          yield Op.swap(pivot + 1, pivot + 1 + Math.floor(rightSize / 4), 'break');
+          yield Op.swap(end - 1, end - Math.floor(rightSize / 4), 'break');
+        }
+      } else if (alreadyPartitioned) {
+        // Nothing moved, so the range may already be sorted
+        yield Op.phase('partial-insertion', { low: begin, high: end - 1 });
+        if ((yield* this.insertionSort(begin, pivot - 1, PDQ_PARTIAL_INSERTION_LIMIT)) &&
+            (yield* this.insertionSort(pivot + 1, end - 1, PDQ_PARTIAL_INSERTION_LIMIT))) {
+          return;
+        }
+      }
+
+      yield* this.pdqSort(begin, pivot, badAllowed, leftmost);
+      begin = pivot + 1;
+      leftmost = false;
+    }
+  }
+
+  // Partitions around the pivot at a[begin], putting equal elements right
+  // of it; also reports whether no element had to move. The median of
+  // three left an element at least the pivot at end - 1.
+  *partitionRight(begin, end) {
+    let first = begin;
+    let last = end;
+
+    do { first++; } while ((yield Op.compare(first, begin)) < 0);
+
+    if (first - 1 === begin) {
+      while (first < last) {
+        if ((yield Op.compare(--last, begin)) < 0) break;
+      }
+    } else {
+      do { last--; } while ((yield Op.compare(last, begin)) >= 0);
+    }
+
+    const alreadyPartitioned = first >= last;
+    while (first < last) {
+      yield Op.swap(first, last);
+      do { first++; } while ((yield Op.compare(first, begin)) < 0);
+      do { last--; } while ((yield Op.compare(last, begin)) >= 0);
+    }
+
+    const pivot = first - 1;
+    if (pivot !== begin) {
+      yield Op.swap(begin, pivot, 'pivot');
+    }
+    return [pivot, alreadyPartitioned];
+  }
+
+  // Partitions around the pivot at a[begin], putting equal elements left
+  // of it
+  *partitionLeft(begin, end) {
+    let first = begin;
+    let last = end;
+
+    do { last--; } while ((yield Op.compare(begin, last, 'equal')) < 0);
+
+    if (last + 1 === end) {
+      while (first < last) {
+        if ((yield Op.compare(begin, ++first, 'equal')) < 0) break;
+      }
+    } else {
+      do { first++; } while ((yield Op.compare(begin, first, 'equal')) >= 0);
+    }
+
+    while (first < last) {
+      yield Op.swap(first, last, 'equal');
+      do { last--; } while ((yield Op.compare(begin, last, 'equal')) < 0);
+      do { first++; } while ((yield Op.compare(begin, first, 'equal')) >= 0);
+    }
+
+    if (last !== begin) {
+      yield Op.swap(begin, last, 'pivot');
+    }
+    return last;
+  }
+}
+
+// SORTING NETWORKS
+// A sorting network fixes its comparators before it sees the data: each
+// one swaps its pair of wires (array indices) into order, whatever the
+// values. Comparators in the same stage touch disjoint wires, so a
+// parallel machine could run a whole stage at once; the number of stages
+// is the network's depth. Subclasses build stages as lists of [i, j]
+// pairs with i < j. The power-of-two networks are built for the next
+// power of two and drop the comparators that touch the extra wires:
+// those wires act as +∞ and would never move.
+class NetworkSort extends SortingAlgorithm {
+  constructor(name) {
+    super(name);
+    this.stages = [];
+  }
+
+  get extraStats() { return ['depth', 'comparators']; }
+
+  init(seed, size, input) {
+    super.init(seed, size, input);
+    this.stages = this.buildStages(this.array.length).filter(stage => stage.length > 0);
+  }
+
+  buildStages() { throw new Error('Must implement buildStages()'); }
+
+  // The phase is the comparator about to run, as { stage, comparator }
+  *run() {
+    for (let s = 0; s < this.stages.length; s++) {
+      yield Op.count('depth');
+
+      for (let c = 0; c < this.stages[s].length; c++) {
+        const [i, j] = this.stages[s][c];
+        yield Op.phase('stage', { stage: s, comparator: c });
+        yield Op.count('comparators');
+        if ((yield Op.compare(i, j)) > 0) {
+          yield Op.swap(i, j);
+        }
+      }
+    }
+  }
+
+  static nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size *= 2;
+    return size;
+  }
+}
+
+// Bitonic sort in the form that only uses ascending comparators: each
+// merge first compares elements with their mirror image in the block,
+// then halves the distance stage by stage
+class BitonicSort extends NetworkSort {
+  buildStages(n) {
+    const size = NetworkSort.nextPowerOfTwo(n);
+    const stages = [];
+    const stage = distance => {
+      const pairs = [];
+      for (let i = 0; i < size; i++) {
+        const j = distance(i);
+        if (i < j && j < n) pairs.push([i, j]);
+      }
+      stages.push(pairs);
+    };
+
+    for (let k = 2; k <= size; k *= 2) {
+      stage(i => i ^ (k - 1));
+      for (let d = k / 4; d >= 1; d /= 2) {
+        stage(i => i ^ d);
+      }
+    }
+    return stages;
+  }
+}
+
+// Batcher's odd–even merge sort: merges pairs of sorted blocks of size p,
+// comparing elements k apart for k = p, p / 2, ..., 1 but only within a
+// merge of 2p elements
+class OddEvenMergeSort extends NetworkSort {
+  buildStages(n) {
+    const size = NetworkSort.nextPowerOfTwo(n);
+    const stages = [];
+
+    for (let p = 1; p < size; p *= 2) {
+      for (let k = p; k >= 1; k /= 2) {
+        const pairs = [];
+        for (let j = k % p; j + k < size; j += 2 * k) {
+          for (let i = 0; i < k && i + j + k < size; i++) {
+            const low = i + j;
+            if (Math.floor(low / (2 * p)) === Math.floor((low + k) / (2 * p)) && low + k < n) {
+              pairs.push([low, low + k]);
+            }
+          }
+        }
+        stages.push(pairs);
+      }
+    }
+    return stages;
+  }
+}
+
+// n rounds of comparing neighbours, alternately from even and odd indices:
+// bubble sort's comparisons rearranged into stages
+class OddEvenTranspositionSort extends NetworkSort {
+  buildStages(n) {
+    return Array.from({ length: n }, (_, round) => {
+      const pairs = [];
+      for (let i = round % 2; i + 1 < n; i += 2) pairs.push([i, i + 1]);
+      return pairs;
+    });
+  }
+}
+
+// SEARCH ALGORITHMS
+class SearchAlgorithm extends Algorithm {
+  constructor(name) {
+    super(name);
+    this.array = [];
+    this.target = 0;
+    this.found = false;
+    this.foundIndex = -1;
+    this.stats = { comparisons: 0, accesses: 0, steps: 0 };
+  }
+
+  // input.array and input.target replace the random ones; the target does
+  // not have to be in the array
+  init(seed, size, input = {}) {
+    const rng = new SeededRNG(seed);
+
+    if (input.array) {
+      this.array = [...input.array];
+    } else {
+      this.array = Array.from({ length: size }, (_, i) => i + 1);
+
+      if (this.name !== 'Binary Search' && this.name !== 'Interpolation Search') {
+        this.array = rng.shuffle(this.array);
+      }
+    }
+
+    this.target = input.target !== undefined ? input.target : this.array[rng.int(0, this.array.length - 1)];
+    this.found = false;
+    this.foundIndex = -1;
+    this.isComplete = false;
+    this.generator = null;
+    this.stats = { comparisons: 0, accesses: 0, steps: 0 };
+    this.highlights = {};
+    this.trace = [];
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case 'probe':
+        this.highlight(event.i, 'swap');
+        this.stats.accesses++;
+        this.stats.comparisons++;
+        return this.array[event.i] - this.target;
+
+      case 'found':
+        this.found = true;
+        this.foundIndex = event.i;
+        return undefined;
+
+      default:
+        return super.apply(event);
+    }
+  }
+
+  // Shared by binary and exponential search
+  *binarySearch(left, right) {
+    while (left <= right) {
+      const mid = Math.floor((left + right) / 2);
+
+      yield Op.mark([left, right], 'current');
+      const cmp = yield Op.probe(mid);
+
+      if (cmp === 0) {
+        yield Op.found(mid);
+        return;
+      }
+
+      if (cmp < 0) {
+        left = mid + 1;
+      } else {
+        right = mid - 1;
+      }
+    }
+  }
+
+  captureView() {
+    return {
+      ...super.captureView(),
+      array: [...this.array],
+      found: this.found,
+      foundIndex: this.foundIndex
+    };
+  }
+
+  restoreView(view) {
+    super.restoreView(view);
+    this.array = [...view.array];
+    this.found = view.found;
+    this.foundIndex = view.foundIndex;
+  }
+
+}
+
+class LinearSearch extends SearchAlgorithm {
+  *run() {
+    for (let i = 0; i < this.array.length; i++) {
+      if ((yield Op.probe(i)) === 0) {
+        yield Op.found(i);
+        return;
+      }
+    }
+  }
+}
+
+class BinarySearch extends SearchAlgorithm {
+  init(seed, size, input) {
+    super.init(seed, size, input);
+    this.array.sort((a, b) => a - b);
+  }
+
+  *run() {
+    yield* this.binarySearch(0, this.array.length - 1);
+  }
+}
+
+class JumpSearch extends SearchAlgorithm {
+  init(seed, size, input) {
+    super.init(seed, size, input);
+    this.array.sort((a, b) => a - b);
+  }
+
+  *run() {
+    const n = this.array.length;
+    const stepSize = Math.max(1, Math.floor(Math.sqrt(n)));
+    let prev = 0;
+    let curr = Math.min(stepSize, n) - 1;
+
+    // Jump ahead block by block until the block's last element reaches the target
+    while ((yield Op.probe(curr, 'jump')) < 0) {
+      prev = curr + 1;
+      if (prev >= n) return;
+      curr = Math.min(prev + stepSize, n) - 1;
+    }
+
+    for (let i = prev; i <= curr; i++) {
+      yield Op.mark(curr, 'current');
+      const cmp = yield Op.probe(i, 'scan');
+
+      if (cmp === 0) {
+        yield Op.found(i);
+        return;
+      }
+      if (cmp > 0) return;
+    }
+  }
+}
+
+class InterpolationSearch extends SearchAlgorithm {
+  init(seed, size, input) {
+    super.init(seed, size, input);
+    this.array.sort((a, b) => a - b);
+  }
+
+  *run() {
+    const a = this.array;
+    let low = 0;
+    let high = a.length - 1;
+
+    while (low <= high && this.target >= a[low] && this.target <= a[high]) {
+      const span = a[high] - a[low];
+      const pos = span === 0 ? low : low + Math.floor(((this.target - a[low]) / span) * (high - low));
+
+      yield Op.mark([low, high], 'current');
+      const cmp = yield Op.probe(pos);
+
+      if (cmp === 0) {
+        yield Op.found(pos);
+        return;
+      }
+
+      if (cmp < 0) {
+        low = pos + 1;
+      } else {
+        high = pos - 1;
+      }
+    }
+  }
+}
+
+class ExponentialSearch extends SearchAlgorithm {
+  init(seed, size, input) {
+    super.init(seed, size, input);
+    this.array.sort((a, b) => a - b);
+  }
+
+  *run() {
+    const n = this.array.length;
+    if (n === 0) return;
+
+    if ((yield Op.probe(0, 'first')) === 0) {
+      yield Op.found(0, 'first');
+      return;
+    }
+
+    let bound = 1;
+    while (bound < n && (yield Op.probe(bound, 'expand')) < 0) {
+      bound *= 2;
+    }
+
+    yield* this.binarySearch(Math.floor(bound / 2), Math.min(bound, n - 1));
+  }
+}
+
+// DATA STRUCTURE VISUALIZATIONS
+class StackVisualization extends Algorithm {
+  constructor(name) {
+    super(name);
+    this.stack = [];
+    this.operations = [];
+    this.currentOp = 0;
+    this.stats = { pushes: 0, pops: 0, operations: 0 };
+    this.maxSize = 20;
+  }
+
+  init(seed, size = 15) {
+    const rng = new SeededRNG(seed);
+    this.stack = [];
+    this.operations = [];
+    this.currentOp = 0;
+    this.stats = { pushes: 0, pops: 0, operations: 0 };
+
+    // Generate a sequence of push/pop operations
+    for (let i = 0; i < size; i++) {
+      if (this.stack.length === 0 || (this.stack.length < this.maxSize && rng.random() > 0.3)) {
+        this.operations.push({ type: 'push', value: rng.int(1, 99) });
+      } else {
+        this.operations.push({ type: 'pop' });
+      }
+    }
+
+    this.isComplete = false;
+    this.highlights = {};
+    this.trace = [];
+  }
+
+  step() {
+    if (this.isComplete || this.currentOp >= this.operations.length) return;
+
+    this.stats.operations++;
+    this.highlights = {};
+    this.trace = [];
+    const op = this.operations[this.currentOp];
+
+    if (op.type === 'push' && this.stack.length < this.maxSize) {
+      this.stack.push(op.value);
+      this.stats.pushes++;
+      this.highlights[this.stack.length - 1] = 'swap';
+      this.emit(op);
+    } else if (op.type === 'pop' && this.stack.length > 0) {
+      this.highlights[this.stack.length - 1] = 'compare';
+      this.stack.pop();
+      this.stats.pops++;
+      this.emit(op);
+    }
+
+    this.currentOp++;
+
+    if (this.currentOp >= this.operations.length) {
+      this.finish();
+    }
+  }
+
+  captureView() {
+    return { ...super.captureView(), stack: [...this.stack], currentOp: this.currentOp };
+  }
+
+  restoreView(view) {
+    super.restoreView(view);
+    this.stack = [...view.stack];
+    this.currentOp = view.currentOp;
+  }
+}
+
+class QueueVisualization extends Algorithm {
+  constructor(name) {
+    super(name);
+    this.queue = [];
+    this.operations = [];
+    this.currentOp = 0;
+    this.stats = { enqueues: 0, dequeues: 0, operations: 0 };
+    this.maxSize = 15;
+  }
+
+  init(seed, size = 15) {
+    const rng = new SeededRNG(seed);
+    this.queue = [];
+    this.operations = [];
+    this.currentOp = 0;
+    this.stats = { enqueues: 0, dequeues: 0, operations: 0 };
+
+    for (let i = 0; i < size; i++) {
+      if (this.queue.length === 0 || (this.queue.length < this.maxSize && rng.random() > 0.3)) {
+        this.operations.push({ type: 'enqueue', value: rng.int(1, 99) });
+      } else {
+        this.operations.push({ type: 'dequeue' });
+      }
+    }
+
+    this.isComplete = false;
+    this.highlights = {};
+    this.trace = [];
+  }
+
+  step() {
+    if (this.isComplete || this.currentOp >= this.operations.length) return;
+
+    this.stats.operations++;
+    this.highlights = {};
+    this.trace = [];
+    const op = this.operations[this.currentOp];
+
+    if (op.type === 'enqueue' && this.queue.length < this.maxSize) {
+      this.queue.push(op.value);
+      this.stats.enqueues++;
+      this.highlights[this.queue.length - 1] = 'swap';
+      this.emit(op);
+    } else if (op.type === 'dequeue' && this.queue.length > 0) {
+      this.highlights[0] = 'compare';
+      this.queue.shift();
+      this.stats.dequeues++;
+      this.emit(op);
+    }
+
+    this.currentOp++;
+
+    if (this.currentOp >= this.operations.length) {
+      this.finish();
+    }
+  }
+
+  captureView() {
+    return { ...super.captureView(), queue: [...this.queue], currentOp: this.currentOp };
+  }
+
+  restoreView(view) {
+    super.restoreView(view);
+    this.queue = [...view.queue];
+    this.currentOp = view.currentOp;
+  }
+}
+
+// PATHFINDING ALGORITHMS (Enhanced)
+class PathfindingAlgorithm extends Algorithm {
+  constructor(name) {
+    super(name);
+    this.gridSize = 40;
+    this.grid = [];
+    this.start = null;
+    this.goal = null;
+    this.visited = new Set();
+    this.path = [];
+    this.stats = { nodesVisited: 0, pathLength: 0, steps: 0 };
+  }
+
+  init(seed) {
+    const rng = new SeededRNG(seed);
+    this.grid = [];
+
+    for (let y = 0; y < this.gridSize; y++) {
+      this.grid[y] = [];
+      for (let x = 0; x < this.gridSize; x++) {
+        this.grid[y][x] = {
+          x, y,
+          isWall: rng.random() < 0.25, // Reduced wall density
+          isVisited: false,
+          isFrontier: false,
+          isPath: false,
+          distance: Infinity,
+          parent: null,
+          gScore: Infinity,
+          fScore: Infinity,
+          hScore: 0
+        };
+      }
+    }
+
+    this.start = this.grid[1][1];
+    this.goal = this.grid[this.gridSize - 2][this.gridSize - 2];
+    this.start.isWall = false;
+    this.goal.isWall = false;
+
+    // Ensure there's always a path by creating corridors
+    this.ensurePath(rng);
+
+    this.visited.clear();
+    this.path = [];
+    this.isComplete = false;
+    this.generator = null;
+    this.stats = { nodesVisited: 0, pathLength: 0, steps: 0 };
+    this.highlights = {};
+    this.trace = [];
+    this.buffers = {};
+    this.peakMemory = 0;
+    this.phase = null;
+  }
+
+  get tracksMemory() { return true; }
+
+  cellIndex(cell) {
+    return cell.y * this.gridSize + cell.x;
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case 'visit':
+        event.cell.isVisited = true;
+        event.cell.isFrontier = false;
+        this.highlight(this.cellIndex(event.cell), 'current');
+        this.stats.nodesVisited++;
+        return undefined;
+
+      case 'discover':
+        event.cell.isFrontier = true;
+        this.highlight(this.cellIndex(event.cell), 'secondary');
+        return undefined;
+
+      case 'path':
+        this.path = event.cells;
+        this.start.isPath = true;
+        event.cells.forEach(cell => { cell.isPath = true; });
+        this.stats.pathLength = event.cells.length;
+        return undefined;
+
+      default:
+        return super.apply(event);
+    }
+  }
+
+  ensurePath(rng) {
+    // Create random corridors to ensure connectivity
+    for (let i = 0; i < 5; i++) {
+      const startX = rng.int(1, this.gridSize - 2);
+      const startY = rng.int(1, this.gridSize - 2);
+      const length = rng.int(5, 15);
+      const direction = rng.int(0, 3); // 0: right, 1: down, 2: left, 3: up
+
+      let x = startX, y = startY;
+      for (let j = 0; j < length; j++) {
+        if (x >= 0 && x < this.gridSize && y >= 0 && y < this.gridSize) {
+          this.grid[y][x].isWall = false;
+        }
+
+        switch (direction) {
+          case 0: x++; break;
+          case 1: y++; break;
+          case 2: x--; break;
+          case 3: y--; break;
+        }
+      }
+    }
+  }
+
+  // Cell flags packed as bits: 1 = visited, 2 = on the final path, 4 = frontier
+  captureView() {
+    const cells = [];
+    for (const row of this.grid) {
+      for (const cell of row) {
+        cells.push((cell.isVisited ? 1 : 0) | (cell.isPath ? 2 : 0) | (cell.isFrontier ? 4 : 0));
+      }
+    }
+    return { ...super.captureView(), cells };
+  }
+
+  restoreView(view) {
+    super.restoreView(view);
+    view.cells.forEach((flags, i) => {
+      const cell = this.grid[Math.floor(i / this.gridSize)][i % this.gridSize];
+      cell.isVisited = (flags & 1) !== 0;
+      cell.isPath = (flags & 2) !== 0;
+      cell.isFrontier = (flags & 4) !== 0;
+    });
+  }
+
+  getNeighbors(cell) {
+    const neighbors = [];
+    const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+    for (const [dx, dy] of directions) {
+      const newX = cell.x + dx;
+      const newY = cell.y + dy;
+
+      if (newX >= 0 && newX < this.gridSize && newY >= 0 && newY < this.gridSize) {
+        const neighbor = this.grid[newY][newX];
+        if (!neighbor.isWall) {
+          neighbors.push(neighbor);
+        }
+      }
+    }
+
+    return neighbors;
+  }
+
+  // Cells from the start's successor up to endCell, following parents
+  reconstructPath(endCell) {
+    const path = [];
+    let current = endCell;
+
+    while (current && current !== this.start) {
+      path.unshift(current);
+      current = current.parent;
+    }
+
+    return path;
+  }
+
+  manhattanDistance(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  }
+}
+
+class BFS extends PathfindingAlgorithm {
+  *run() {
+    const queue = [this.start];
+    const seen = new Set([this.start]);
+    this.start.distance = 0;
+    yield Op.allocate('queue', queue.length);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      yield Op.allocate('queue', queue.length);
+      yield Op.visit(current);
+
+      if (current === this.goal) {
+        yield Op.path(this.reconstructPath(current));
+        return;
+      }
+
+      for (const neighbor of this.getNeighbors(current)) {
+        if (!seen.has(neighbor)) {
+          seen.add(neighbor);
+          neighbor.parent = current;
+          neighbor.distance = current.distance + 1;
+          queue.push(neighbor);
+          yield Op.allocate('queue', queue.length);
+          yield Op.discover(neighbor);
+        }
+      }
+    }
+  }
+}
+
+class DFS extends PathfindingAlgorithm {
+  *run() {
+    const stack = [this.start];
+    const seen = new Set([this.start]);
+    yield Op.allocate('stack', stack.length);
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      yield Op.allocate('stack', stack.length);
+      yield Op.visit(current);
+
+      if (current === this.goal) {
+        yield Op.path(this.reconstructPath(current));
+        return;
+      }
+
+      for (const neighbor of this.getNeighbors(current)) {
+        if (!seen.has(neighbor)) {
+          seen.add(neighbor);
+          neighbor.parent = current;
+          stack.push(neighbor);
+          yield Op.allocate('stack', stack.length);
+          yield Op.discover(neighbor);
+        }
+      }
+    }
+  }
+}
+
+class AStar extends PathfindingAlgorithm {
+  *run() {
+    const openSet = [this.start];
+    const closedSet = new Set();
+    this.start.gScore = 0;
+    this.start.fScore = this.manhattanDistance(this.start, this.goal);
+    yield Op.allocate('open set', openSet.length);
+
+    while (openSet.length > 0) {
+      let currentIndex = 0;
+      for (let i = 1; i < openSet.length; i++) {
+        if (openSet[i].fScore < openSet[currentIndex].fScore) {
+          currentIndex = i;
+        }
+      }
+
+      const [current] = openSet.splice(currentIndex, 1);
+      closedSet.add(current);
+      yield Op.allocate('open set', openSet.length);
+      yield Op.visit(current);
+
+      if (current === this.goal) {
+        yield Op.path(this.reconstructPath(current));
+        return;
+      }
+
+      for (const neighbor of this.getNeighbors(current)) {
+        if (closedSet.has(neighbor)) continue;
+
+        const tentativeGScore = current.gScore + 1;
+        if (tentativeGScore >= neighbor.gScore) continue;
+
+        neighbor.parent = current;
+        neighbor.gScore = tentativeGScore;
+        neighbor.fScore = neighbor.gScore + this.manhattanDistance(neighbor, this.goal);
+
+        if (!openSet.includes(neighbor)) {
+          openSet.push(neighbor);
+          yield Op.allocate('open set', openSet.length);
+        }
+        yield Op.discover(neighbor);
+      }
+    }
+  }
+}
+
+class Dijkstra extends PathfindingAlgorithm {
+  *run() {
+    const unvisited = [];
+    const settled = new Set();
+
+    for (const row of this.grid) {
+      for (const cell of row) {
+        if (!cell.isWall) {
+          unvisited.push(cell);
+        }
+      }
+    }
+
+    this.start.distance = 0;
+    yield Op.allocate('unvisited', unvisited.length);
+
+    while (unvisited.length > 0) {
+      let currentIndex = 0;
+      for (let i = 1; i < unvisited.length; i++) {
+        if (unvisited[i].distance < unvisited[currentIndex].distance) {
+          currentIndex = i;
+        }
+      }
+
+      const current = unvisited[currentIndex];
+      if (current.distance === Infinity) return;
+
+      unvisited.splice(currentIndex, 1);
+      settled.add(current);
+      yield Op.allocate('unvisited', unvisited.length);
+      yield Op.visit(current);
+
+      if (current === this.goal) {
+        yield Op.path(this.reconstructPath(current));
+        return;
+      }
+
+      for (const neighbor of this.getNeighbors(current)) {
+        if (settled.has(neighbor)) continue;
+
+        const alt = current.distance + 1;
+        if (alt < neighbor.distance) {
+          neighbor.distance = alt;
+          neighbor.parent = current;
+          yield Op.discover(neighbor, 'relax');
+        }
+      }
+    }
+  }
+}
+
+// choosePivot and median, shared by the quick sorts' pseudocode; each
+// entry appends it after its own procedures
+const CHOOSE_PIVOT_PSEUDOCODE = [
+  '',
+  'procedure choosePivot(A, low, high)',
+  '  first: return low;  last: return high',
+  '  random: return a random index in low..high',
+  '  mid ← ⌊(low + high) / 2⌋',
+  '  median of three: return median(A, low, mid, high)',
+  '  ninther: s ← ⌊(high − low + 1) / 8⌋',
+  '    return median(A, median(A, low, low + s, low + 2s),',
+  '      median(A, mid − s, mid, mid + s), median(A, high − 2s, high − s, high))',
+  '',
+  'procedure median(A, i, j, k)',
+  '  if A[i] > A[j] then exchange the indices i and j',
+  '  if A[j] ≤ A[k] then return j',
+  '  if A[i] > A[k] then return i else return k'
+];
+
+// Algorithm Registry
+const ALGORITHMS = {
+  sorting: {
+    'bubble-sort': {
+      name: 'Bubble Sort',
+      class: BubbleSort,
+      desc: 'O(n²) - Simple comparison-based sort with adjacent swaps',
+      complexity: { time: 'O(n²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure bubbleSort(A)',
+          '  n ← length(A)',
+          '  for i ← 0 to n − 2',
+          '    for j ← 0 to n − 2 − i',
+          '      if A[j] > A[j + 1] then',
+          '        swap A[j] and A[j + 1]'
+        ],
+        lines: { compare: 5, swap: 6 }
+      }
+    },
+    'cocktail-sort': {
+      name: 'Cocktail Sort',
+      class: CocktailSort,
+      desc: 'O(n²) - Bidirectional bubble sort, also known as Shaker Sort',
+      complexity: { time: 'O(n²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure cocktailSort(A)',
+          '  start ← 0; end ← length(A) − 1',
+          '  repeat',
+          '    swapped ← false',
+          '    for i ← start to end − 1',
+          '      if A[i] > A[i + 1] then',
+          '        swap A[i] and A[i + 1]; swapped ← true',
+          '    end ← end − 1',
+          '    if not swapped then stop',
+          '    swapped ← false',
+          '    for i ← end down to start + 1',
+          '      if A[i − 1] > A[i] then',
+          '        swap A[i − 1] and A[i]; swapped ← true',
+          '    start ← start + 1',
+          '  until not swapped'
+        ],
+        lines: { compare: 6, swap: 7, 'compare:backward': 12, 'swap:backward': 13 }
+      }
+    },
+    'selection-sort': {
+      name: 'Selection Sort',
+      class: SelectionSort,
+      desc: 'O(n²) - Finds minimum element and places it in correct position',
+      complexity: { time: 'O(n²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure selectionSort(A)',
+          '  n ← length(A)',
+          '  for i ← 0 to n − 2',
+          '    min ← i',
+          '    for j ← i + 1 to n − 1',
+          '      if A[j] < A[min] then',
+          '        min ← j',
+          '    if min ≠ i then',
+          '      swap A[i] and A[min]'
+        ],
+        lines: { compare: 6, swap: 9 }
+      }
+    },
+    'insertion-sort': {
+      name: 'Insertion Sort',
+      class: InsertionSort,
+      desc: 'O(n²) - Builds sorted array one element at a time',
+      complexity: { time: 'O(n²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure insertionSort(A)',
+          '  for i ← 1 to length(A) − 1',
+          '    key ← A[i]',
+          '    j ← i',
+          '    while j > 0 and A[j − 1] > key',
+          '      A[j] ← A[j − 1]',
+          '      j ← j − 1',
+          '    A[j] ← key'
+        ],
+        lines: { read: 3, compareValue: 5, 'write:shift': 6, 'write:insert': 8 }
+      }
+    },
+    'shell-sort': {
+      name: 'Shell Sort',
+      class: ShellSort,
+      desc: 'O(n³/²) - Improved insertion sort using gap sequences',
+      complexity: { time: 'O(n³/²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure shellSort(A)',
+          '  n ← length(A)',
+          '  gap ← ⌊n / 2⌋',
+          '  while gap > 0',
+          '    for i ← gap to n − 1',
+          '      temp ← A[i]',
+          '      j ← i',
+          '      while j ≥ gap and A[j − gap] > temp',
+          '        A[j] ← A[j − gap]',
+          '        j ← j − gap',
+          '      A[j] ← temp',
+          '    gap ← ⌊gap / 2⌋'
+        ],
+        lines: { read: 6, compareValue: 8, 'write:shift': 9, 'write:insert': 11 }
+      }
+    },
+    'quick-sort': {
+      name: 'Quick Sort',
+      class: QuickSort,
+      desc: 'O(n log n) - Divide-and-conquer sort; Lomuto partitions around one pivot and puts it in place',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure quickSort(A, low, high)',
+          '  if low < high then',
+          '    p ← partition(A, low, high)',
+          '    quickSort(A, low, p − 1)',
+          '    quickSort(A, p + 1, high)',
+          '',
+          'procedure partition(A, low, high)',
+          '  swap A[choosePivot(A, low, high)] and A[high]',
+          '  pivot ← A[high]',
+          '  i ← low − 1',
+          '  for j ← low to high − 1',
+          '    if A[j] < pivot then',
+          '      i ← i + 1',
+          '      swap A[i] and A[j]',
+          '  swap A[i + 1] and A[high]',
+          '  return i + 1',
+          ...CHOOSE_PIVOT_PSEUDOCODE
+        ],
+        lines: { compare: 12, swap: 14, 'swap:pivot': 15, 'swap:move': 8, 'compare:median': 28 }
+      }
+    },
+    'quick-sort-hoare': {
+      name: 'Quick Sort (Hoare)',
+      class: HoareQuickSort,
+      desc: 'O(n log n) - Hoare\'s original partition: pointers from both ends meet, swapping less than Lomuto',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure quickSort(A, low, high)',
+          '  if low < high then',
+          '    p ← partition(A, low, high)',
+          '    quickSort(A, low, p)',
+          '    quickSort(A, p + 1, high)',
+          '',
+          'procedure partition(A, low, high)',
+          '  swap A[choosePivot(A, low, high)] and A[low]',
+          '  pivot ← A[low]',
+          '  i ← low − 1;  j ← high + 1',
+          '  loop',
+          '    repeat i ← i + 1 until A[i] ≥ pivot',
+          '    repeat j ← j − 1 until A[j] ≤ pivot',
+          '    if i ≥ j then return j',
+          '    swap A[i] and A[j]',
+          ...CHOOSE_PIVOT_PSEUDOCODE
+        ],
+        lines: { 'compareValue:left': 12, 'compareValue:right': 13, swap: 15, 'swap:move': 8, 'compare:median': 27 }
+      }
+    },
+    'quick-sort-three-way': {
+      name: 'Quick Sort (3-Way)',
+      class: ThreeWayQuickSort,
+      desc: 'O(n log n) - Dutch national flag partition into less, equal and greater; linear on few unique keys',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure quickSort(A, low, high)',
+          '  if low < high then',
+          '    (lt, gt) ← partition(A, low, high)',
+          '    quickSort(A, low, lt − 1)',
+          '    quickSort(A, gt + 1, high)',
+          '',
+          'procedure partition(A, low, high)',
+          '  swap A[choosePivot(A, low, high)] and A[low]',
+          '  pivot ← A[low]',
+          '  lt ← low;  i ← low + 1;  gt ← high',
+          '  while i ≤ gt',
+          '    if A[i] < pivot then',
+          '      swap A[lt] and A[i];  lt ← lt + 1;  i ← i + 1',
+          '    else if A[i] > pivot then',
+          '      swap A[i] and A[gt];  gt ← gt − 1',
+          '    else i ← i + 1',
+          '  return (lt, gt)',
+          ...CHOOSE_PIVOT_PSEUDOCODE
+        ],
+        lines: { compareValue: 12, 'swap:less': 13, 'swap:greater': 15, 'swap:move': 8, 'compare:median': 29 }
+      }
+    },
+    'dual-pivot-quick-sort': {
+      name: 'Dual-Pivot Quick Sort',
+      class: DualPivotQuickSort,
+      desc: 'O(n log n) - Yaroslavskiy\'s partition into three parts around two pivots, as in Java\'s Arrays.sort',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure quickSort(A, low, high)',
+          '  if low < high then',
+          '    (lt, gt) ← partition(A, low, high)',
+          '    quickSort(A, low, lt − 1)',
+          '    quickSort(A, lt + 1, gt − 1)',
+          '    quickSort(A, gt + 1, high)',
+          '',
+          'procedure partition(A, low, high)',
+          '  mid ← ⌊(low + high) / 2⌋',
+          '  swap A[choosePivot(A, low, mid)] and A[low]',
+          '  swap A[choosePivot(A, mid + 1, high)] and A[high]',
+          '  if A[low] > A[high] then swap A[low] and A[high]',
+          '  p ← A[low];  q ← A[high]',
+          '  lt ← low + 1;  k ← low + 1;  gt ← high − 1',
+          '  while k ≤ gt',
+          '    if A[k] < p then',
+          '      swap A[k] and A[lt];  lt ← lt + 1',
+          '    else if A[k] > q then',
+          '      while A[gt] > q and k < gt do gt ← gt − 1',
+          '      swap A[k] and A[gt];  gt ← gt − 1',
+          '      if A[k] < p then',
+          '        swap A[k] and A[lt];  lt ← lt + 1',
+          '    k ← k + 1',
+          '  lt ← lt − 1;  gt ← gt + 1',
+          '  swap A[low] and A[lt];  swap A[high] and A[gt]',
+          '  return (lt, gt)',
+          ...CHOOSE_PIVOT_PSEUDOCODE
+        ],
+        lines: {
+          'swap:move': 10, 'compare:pivots': 12, 'swap:pivots': 12, 'compareValue:less': 16, 'swap:less': 17,
+          'compareValue:greater': 18, 'compareValue:scan': 19, 'swap:greater': 20,
+          'compareValue:recheck': 21, 'swap:recheck': 22, 'swap:low-pivot': 25, 'swap:high-pivot': 25,
+          'compare:median': 38
+        }
+      }
+    },
+    'merge-sort': {
+      name: 'Merge Sort',
+      class: MergeSort,
+      desc: 'O(n log n) - Stable divide-and-conquer sort with guaranteed performance',
+      complexity: { time: 'O(n log n)', space: 'O(n)' },
+      pseudocode: {
+        code: [
+          'procedure mergeSort(A, left, right)',
+          '  if left ≥ right then return',
+          '  mid ← ⌊(left + right) / 2⌋',
+          '  mergeSort(A, left, mid)',
+          '  mergeSort(A, mid + 1, right)',
+          '  merge(A, left, mid, right)',
+          '',
+          'procedure merge(A, left, mid, right)',
+          '  L ← copy of A[left..mid]',
+          '  i ← 0; j ← mid + 1; k ← left',
+          '  while i < length(L) and j ≤ right',
+          '    if L[i] ≤ A[j] then',
+          '      A[k] ← L[i]; i ← i + 1',
+          '    else',
+          '      A[k] ← A[j]; j ← j + 1',
+          '    k ← k + 1',
+          '  while i < length(L)',
+          '    A[k] ← L[i]; i ← i + 1; k ← k + 1'
+        ],
+        lines: { compareValue: 12, 'write:left': 13, 'write:right': 15, 'write:rest': 18 }
+      }
+    },
+    'heap-sort': {
+      name: 'Heap Sort',
+      class: HeapSort,
+      desc: 'O(n log n) - Uses binary heap data structure for sorting',
+      complexity: { time: 'O(n log n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure heapSort(A)',
+          '  n ← length(A)',
+          '  for i ← ⌊n / 2⌋ − 1 down to 0',
+          '    siftDown(A, n, i)',
+          '  for end ← n − 1 down to 1',
+          '    swap A[0] and A[end]',
+          '    siftDown(A, end, 0)',
+          '',
+          'procedure siftDown(A, n, i)',
+          '  loop',
+          '    largest ← i',
+          '    l ← 2i + 1; r ← 2i + 2',
+          '    if l < n and A[l] > A[largest] then largest ← l',
+          '    if r < n and A[r] > A[largest] then largest ← r',
+          '    if largest = i then return',
+          '    swap A[i] and A[largest]',
+          '    i ← largest'
+        ],
+        lines: { 'swap:extract': 6, 'compare:left': 13, 'compare:right': 14, swap: 16 }
+      }
+    },
+    'counting-sort': {
+      name: 'Counting Sort',
+      class: CountingSort,
+      desc: 'O(n+k) - Non-comparison sort using frequency counting',
+      complexity: { time: 'O(n+k)', space: 'O(k)' },
+      pseudocode: {
+        code: [
+          'procedure countingSort(A)',
+          '  k ← max(A)',
+          '  count ← array of k + 1 zeros',
+          '  for i ← 0 to n − 1',
+          '    count[A[i]] ← count[A[i]] + 1',
+          '  for v ← 1 to k',
+          '    count[v] ← count[v] + count[v − 1]',
+          '  for i ← n − 1 down to 0',
+          '    count[A[i]] ← count[A[i]] − 1',
+          '    output[count[A[i]]] ← A[i]',
+          '  for i ← 0 to n − 1',
+          '    A[i] ← output[i]'
+        ],
+        lines: { read: 5, 'read:place': 10, write: 12 }
+      }
+    },
+    'radix-sort': {
+      name: 'Radix Sort',
+      class: RadixSort,
+      desc: 'O(d×(n+k)) - Non-comparison sort processing digits',
+      complexity: { time: 'O(d×(n+k))', space: 'O(n+k)' },
+      pseudocode: {
+        code: [
+          'procedure radixSort(A)',
+          '  m ← max(A)',
+          '  exp ← 1',
+          '  while ⌊m / exp⌋ > 0',
+          '    countingSortByDigit(A, exp)',
+          '    exp ← exp × 10',
+          '',
+          'procedure countingSortByDigit(A, exp)',
+          '  count ← array of 10 zeros',
+          '  for i ← 0 to n − 1',
+          '    d ← ⌊A[i] / exp⌋ mod 10',
+          '    count[d] ← count[d] + 1',
+          '  for d ← 1 to 9',
+          '    count[d] ← count[d] + count[d − 1]',
+          '  for i ← n − 1 down to 0',
+          '    d ← ⌊A[i] / exp⌋ mod 10',
+          '    count[d] ← count[d] − 1',
+          '    output[count[d]] ← A[i]',
+          '  for i ← 0 to n − 1',
+          '    A[i] ← output[i]'
+        ],
+        lines: { read: 11, 'read:place': 18, write: 20 }
+      }
+    }
+,
+    'tim-sort': {
+      name: 'TimSort',
+      class: TimSort,
+      desc: 'O(n log n) - Merges natural runs with galloping; Python\'s and Java\'s object sort',
+      complexity: { time: 'O(n log n)', space: 'O(n)' },
+      pseudocode: {
+        code: [
+          'procedure timSort(A)',
+          '  minRun ← computeMinRun(n); runs ← empty stack',
+          '  lo ← 0',
+          '  while lo < n',
+          '    len ← length of the run starting at A[lo]',
+          '    if the run is strictly descending then reverse it',
+          '    if len < minRun then',
+          '      for i ← lo + len to lo + min(minRun, n − lo) − 1',
+          '        key ← A[i]',
+          '        p ← first index in A[lo .. i − 1] with A[p] > key',
+          '        shift A[p .. i − 1] one place right',
+          '        A[p] ← key',
+          '      len ← min(minRun, n − lo)',
+          '    push (lo, len) onto runs; mergeCollapse(runs)',
+          '    lo ← lo + len',
+          '  merge the runs left on the stack, top first',
+          '',
+          'procedure mergeCollapse(runs)',
+          '  while the top runs X, Y, Z break |X| > |Y| + |Z| or |Y| > |Z|',
+          '    mergeAt(Y and the shorter of X and Z)',
+          '',
+          'procedure mergeAt(A, run1, run2)',
+          '  skip run1\'s elements ≤ run2\'s first, found by galloping',
+          '  drop run2\'s elements ≥ run1\'s last, found by galloping',
+          '  tmp ← copy of run1',
+          '  while tmp and run2 both have elements',
+          '    if run2[j] < tmp[i] then',
+          '      A[k] ← run2[j]; j ← j + 1',
+          '    else A[k] ← tmp[i]; i ← i + 1',
+          '    if one side won 7 times in a row then',
+          '      gallop to the end of its streak',
+          '      move the whole streak to A',
+          '  copy what is left of tmp to A'
+        ],
+        lines: {
+          'compare:run': 5, 'swap:reverse': 6, read: 9, 'compareValue:binary': 10,
+          'write:shift': 11, 'write:insert': 12, 'compareValue:gallop': 23, 'compareValue:merge': 27,
+          'write:right': 28, 'write:left': 29, 'write:gallop': 32, 'write:rest': 33
+        }
+      }
+    },
+    'intro-sort': {
+      name: 'IntroSort',
+      class: IntroSort,
+      desc: 'O(n log n) - Quicksort falling back to heapsort and insertion sort; C++ std::sort',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure introSort(A)',
+          '  introLoop(A, 0, n − 1, 2 × ⌊log₂ n⌋)',
+          '',
+          'procedure introLoop(A, lo, hi, depth)',
+          '  while hi − lo + 1 > 16',
+          '    if depth = 0 then',
+          '      heapSort(A, lo, hi); return',
+          '    depth ← depth − 1',
+          '    order A[lo], A[mid], A[hi] so that the median is at hi',
+          '    p ← partition(A, lo, hi)',
+          '    introLoop(A, p + 1, hi, depth)',
+          '    hi ← p − 1',
+          '  insertionSort(A, lo, hi)',
+          '',
+          'procedure partition(A, lo, hi)',
+          '  i ← lo − 1',
+          '  for j ← lo to hi − 1',
+          '    if A[j] < A[hi] then',
+          '      i ← i + 1; swap A[i] and A[j]',
+          '  swap A[i + 1] and A[hi]',
+          '  return i + 1',
+          '',
+          'procedure heapSort(A, lo, hi)',
+          '  for i ← middle of A[lo .. hi] down to lo',
+          '    siftDown(A, lo, hi, i)',
+          '  for end ← hi down to lo + 1',
+          '    swap A[lo] and A[end]',
+          '    siftDown(A, lo, end − 1, lo)',
+          '',
+          'procedure siftDown(A, lo, hi, i)',
+          '  loop',
+          '    m ← the greatest of i and its children',
+          '    if m = i then return',
+          '    swap A[i] and A[m]; i ← m',
+          '',
+          'procedure insertionSort(A, lo, hi)',
+          '  for i ← lo + 1 to hi',
+          '    key ← A[i]; j ← i',
+          '    while j > lo and A[j − 1] > key',
+          '      A[j] ← A[j − 1]; j ← j − 1',
+          '    A[j] ← key'
+        ],
+        lines: {
+          'compare:median': 9, 'swap:median': 9, compare: 18, swap: 19, 'swap:pivot': 20,
+          'swap:extract': 27, 'compare:heap': 32, 'swap:heap': 34,
+          read: 38, compareValue: 39, 'write:shift': 40, 'write:insert': 41
+        }
+      }
+    },
+    'pdq-sort': {
+      name: 'Pattern-Defeating Quicksort',
+      class: PdqSort,
+      desc: 'O(n log n) - Quicksort that breaks up patterns and finishes sorted input early; Rust\'s sort_unstable',
+      complexity: { time: 'O(n log n)', space: 'O(log n)' },
+      pseudocode: {
+        code: [
+          'procedure pdqSort(A, begin, end, bad ← ⌊log₂ n⌋, leftmost ← true)',
+          '  loop',
+          '    if end − begin < 24 then insertionSort(A, begin, end − 1); return',
+          '    order A[mid], A[begin], A[end − 1] so that the median is at begin',
+          '    if not leftmost and A[begin − 1] ≥ A[begin] then',
+          '      begin ← partitionLeft(A, begin, end) + 1; continue',
+          '    (p, noSwaps) ← partitionRight(A, begin, end)',
+          '    if either side of p is shorter than (end − begin) / 8 then',
+          '      bad ← bad − 1',
+          '      if bad = 0 then heapSort(A, begin, end − 1); return',
+          '      swap elements a quarter into each side with their neighbours',
+          '    else if noSwaps then',
+          '      if both sides insertion sort within 8 moves then return',
+          '    pdqSort(A, begin, p, bad, leftmost)',
+          '    begin ← p + 1; leftmost ← false',
+          '',
+          'procedure partitionRight(A, begin, end)',
+          '  find the first A[first] ≥ A[begin] and the last A[last] < A[begin]',
+          '  noSwaps ← first ≥ last',
+          '  while first < last',
+          '    swap A[first] and A[last]',
+          '    advance first and last to the next such elements',
+          '  swap A[begin] and A[first − 1]',
+          '  return (first − 1, noSwaps)',
+          '',
+          'procedure partitionLeft(A, begin, end)',
+          '  find the first A[first] > A[begin] and the last A[last] ≤ A[begin]',
+          '  while first < last',
+          '    swap A[first] and A[last]',
+          '    advance first and last to the next such elements',
+          '  swap A[begin] and A[last]',
+          '  return last',
+          '',
+          'procedure heapSort(A, lo, hi)',
+          '  for i ← middle of A[lo .. hi] down to lo',
+          '    siftDown(A, lo, hi, i)',
+          '  for end ← hi down to lo + 1',
+          '    swap A[lo] and A[end]',
+          '    siftDown(A, lo, end − 1, lo)',
+          '',
+          'procedure siftDown(A, lo, hi, i)',
+          '  loop',
+          '    m ← the greatest of i and its children',
+          '    if m = i then return',
+          '    swap A[i] and A[m]; i ← m',
+          '',
+          'procedure insertionSort(A, lo, hi, limit ← ∞)',
+          '  for i ← lo + 1 to hi',
+          '    key ← A[i]; j ← i',
+          '    while j > lo and A[j − 1] > key',
+          '      A[j] ← A[j − 1]; j ← j − 1',
+          '    A[j] ← key',
+          '    if more than limit elements moved then give up'
+        ],
+        lines: {
+          'compare:median': 4, 'swap:median': 4, 'compare:previous': 5, 'swap:break': 11,
+          compare: 18, swap: 21, 'swap:pivot': 23, 'compare:equal': 27, 'swap:equal': 29,
+          'swap:extract': 38, 'compare:heap': 43, 'swap:heap': 45,
+          read: 49, compareValue: 50, 'write:shift': 51, 'write:insert': 52
+        }
+      }
+    }
+  },
+  'sorting-networks': {
+    'bitonic-sort': {
+      name: 'Bitonic Sort',
+      class: BitonicSort,
+      desc: 'O(n log² n) - Merges bitonic sequences in O(log² n) parallel stages, as on GPUs',
+      complexity: { time: 'O(n log² n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure bitonicSort(A)',
+          '  N ← the smallest power of two ≥ n',
+          '  for k ← 2, 4, 8, ..., N',
+          '    for each i with j = i xor (k − 1) and i < j < n, in parallel',
+          '      compareExchange(A, i, j)',
+          '    for d ← k / 4, k / 8, ..., 1',
+          '      for each i with j = i xor d and i < j < n, in parallel',
+          '        compareExchange(A, i, j)',
+          '',
+          'procedure compareExchange(A, i, j)',
+          '  if A[i] > A[j] then',
+          '    swap A[i] and A[j]'
+        ],
+        lines: { compare: 11, swap: 12 }
+      }
+    },
+    'odd-even-merge-sort': {
+      name: 'Batcher Odd–Even Merge Sort',
+      class: OddEvenMergeSort,
+      desc: 'O(n log² n) - Batcher\'s merging network: as deep as bitonic sort, with fewer comparators',
+      complexity: { time: 'O(n log² n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure oddEvenMergeSort(A)',
+          '  N ← the smallest power of two ≥ n',
+          '  for p ← 1, 2, 4, ..., N / 2',
+          '    for k ← p, p / 2, ..., 1',
+          '      for j ← k mod p to N − 1 − k step 2k, in parallel',
+          '        for i ← 0 to k − 1, in parallel',
+          '          if ⌊(i + j) / 2p⌋ = ⌊(i + j + k) / 2p⌋ and i + j + k < n then',
+          '            compareExchange(A, i + j, i + j + k)',
+          '',
+          'procedure compareExchange(A, i, j)',
+          '  if A[i] > A[j] then',
+          '    swap A[i] and A[j]'
+        ],
+        lines: { compare: 11, swap: 12 }
+      }
+    },
+    'odd-even-transposition-sort': {
+      name: 'Odd–Even Transposition Sort',
+      class: OddEvenTranspositionSort,
+      desc: 'O(n²) - Neighbours swap in alternating rounds; n parallel stages on a row of processors',
+      complexity: { time: 'O(n²)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure oddEvenTranspositionSort(A)',
+          '  for round ← 0 to n − 1',
+          '    for i ← round mod 2 to n − 2 step 2, in parallel',
+          '      if A[i] > A[i + 1] then',
+          '        swap A[i] and A[i + 1]'
+        ],
+        lines: { compare: 4, swap: 5 }
+      }
+    }
+  },
+  searching: {
+    'linear-search': {
+      name: 'Linear Search',
+      class: LinearSearch,
+      desc: 'O(n) - Sequential search through unsorted data',
+      complexity: { time: 'O(n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure linearSearch(A, target)',
+          '  for i ← 0 to length(A) − 1',
+          '    if A[i] = target then',
+          '      return i',
+          '  return not found'
+        ],
+        lines: { probe: 3, found: 4 }
+      }
+    },
+    'binary-search': {
+      name: 'Binary Search',
+      class: BinarySearch,
+      desc: 'O(log n) - Efficient search on sorted arrays using divide-and-conquer',
+      complexity: { time: 'O(log n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure binarySearch(A, target)',
+          '  left ← 0; right ← length(A) − 1',
+          '  while left ≤ right',
+          '    mid ← ⌊(left + right) / 2⌋',
+          '    if A[mid] = target then',
+          '      return mid',
+          '    else if A[mid] < target then',
+          '      left ← mid + 1',
+          '    else',
+          '      right ← mid − 1',
+          '  return not found'
+        ],
+        lines: { probe: 5, found: 6 }
+      }
+    },
+    'jump-search': {
+      name: 'Jump Search',
+      class: JumpSearch,
+      desc: 'O(√n) - Block-based search with optimal jump size',
+      complexity: { time: 'O(√n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure jumpSearch(A, target)',
+          '  n ← length(A); step ← ⌊√n⌋',
+          '  prev ← 0; curr ← step − 1',
+          '  while A[curr] < target',
+          '    prev ← curr + 1',
+          '    if prev ≥ n then return not found',
+          '    curr ← min(prev + step, n) − 1',
+          '  for i ← prev to curr',
+          '    if A[i] = target then',
+          '      return i',
+          '    if A[i] > target then return not found',
+          '  return not found'
+        ],
+        lines: { 'probe:jump': 4, 'probe:scan': 9, found: 10 }
+      }
+    },
+    'interpolation-search': {
+      name: 'Interpolation Search',
+      class: InterpolationSearch,
+      desc: 'O(log log n) - Improved binary search using value-based position estimation',
+      complexity: { time: 'O(log log n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure interpolationSearch(A, target)',
+          '  low ← 0; high ← length(A) − 1',
+          '  while low ≤ high and A[low] ≤ target ≤ A[high]',
+          '    pos ← low + ⌊(target − A[low]) × (high − low) / (A[high] − A[low])⌋',
+          '    if A[pos] = target then',
+          '      return pos',
+          '    else if A[pos] < target then',
+          '      low ← pos + 1',
+          '    else',
+          '      high ← pos − 1',
+          '  return not found'
+        ],
+        lines: { probe: 5, found: 6 }
+      }
+    },
+    'exponential-search': {
+      name: 'Exponential Search',
+      class: ExponentialSearch,
+      desc: 'O(log n) - Finds range exponentially then applies binary search',
+      complexity: { time: 'O(log n)', space: 'O(1)' },
+      pseudocode: {
+        code: [
+          'procedure exponentialSearch(A, target)',
+          '  n ← length(A)',
+          '  if A[0] = target then return 0',
+          '  bound ← 1',
+          '  while bound < n and A[bound] < target',
+          '    bound ← bound × 2',
+          '  return binarySearch(A, ⌊bound / 2⌋, min(bound, n − 1), target)',
+          '',
+          'procedure binarySearch(A, left, right, target)',
+          '  while left ≤ right',
+          '    mid ← ⌊(left + right) / 2⌋',
+          '    if A[mid] = target then',
+          '      return mid',
+          '    else if A[mid] < target then',
+          '      left ← mid + 1',
+          '    else',
+          '      right ← mid − 1',
+          '  return not found'
+        ],
+        lines: { 'probe:first': 3, 'found:first': 3, 'probe:expand': 5, probe: 12, found: 13 }
+      }
+    }
+  },
+  'data-structures': {
+    'stack': {
+      name: 'Stack Operations',
+      class: StackVisualization,
+      desc: 'LIFO - Last In First Out data structure with push/pop operations',
+      complexity: { time: 'O(1)', space: 'O(n)' },
+      pseudocode: {
+        code: [
+          'procedure push(S, x)',
+          '  if top = capacity then overflow',
+          '  S[top] ← x',
+          '  top ← top + 1',
+          '',
+          'procedure pop(S)',
+          '  if top = 0 then underflow',
+          '  top ← top − 1',
+          '  return S[top]'
+        ],
+        lines: { push: 3, pop: 8 }
+      }
+    },
+    'queue': {
+      name: 'Queue Operations',
+      class: QueueVisualization,
+      desc: 'FIFO - First In First Out data structure with enqueue/dequeue operations',
+      complexity: { time: 'O(1)', space: 'O(n)' },
+      pseudocode: {
+        code: [
+          'procedure enqueue(Q, x)',
+          '  if size(Q) = capacity then overflow',
+          '  Q[rear] ← x',
+          '  rear ← rear + 1',
+          '',
+          'procedure dequeue(Q)',
+          '  if front = rear then underflow',
+          '  x ← Q[front]',
+          '  front ← front + 1',
+          '  return x'
+        ],
+        lines: { enqueue: 3, dequeue: 8 }
+      }
+    }
+  },
+  pathfinding: {
+    'bfs': {
+      name: 'Breadth-First Search',
+      class: BFS,
+      desc: 'Explores neighbors level by level, guarantees shortest path',
+      complexity: { time: 'O(V+E)', space: 'O(V)' },
+      pseudocode: {
+        code: [
+          'procedure BFS(grid, start, goal)',
+          '  queue ← [start]; seen ← {start}',
+          '  while queue is not empty',
+          '    current ← dequeue(queue)',
+          '    if current = goal then',
+          '      return path to current',
+          '    for each walkable neighbor of current',
+          '      if neighbor ∉ seen then',
+          '        add neighbor to seen',
+          '        parent[neighbor] ← current',
+          '        enqueue(queue, neighbor)',
+          '  return no path'
+        ],
+        lines: { visit: 4, path: 6, discover: 11 }
+      }
+    },
+    'dfs': {
+      name: 'Depth-First Search',
+      class: DFS,
+      desc: 'Explores as far as possible before backtracking',
+      complexity: { time: 'O(V+E)', space: 'O(V)' },
+      pseudocode: {
+        code: [
+          'procedure DFS(grid, start, goal)',
+          '  stack ← [start]; seen ← {start}',
+          '  while stack is not empty',
+          '    current ← pop(stack)',
+          '    if current = goal then',
+          '      return path to current',
+          '    for each walkable neighbor of current',
+          '      if neighbor ∉ seen then',
+          '        add neighbor to seen',
+          '        parent[neighbor] ← current',
+          '        push(stack, neighbor)',
+          '  return no path'
+        ],
+        lines: { visit: 4, path: 6, discover: 11 }
+      }
+    },
+    'astar': {
+      name: 'A* Search',
+      class: AStar,
+      desc: 'Heuristic search algorithm that finds optimal path efficiently',
+      complexity: { time: 'O(E)', space: 'O(V)' },
+      pseudocode: {
+        code: [
+          'procedure aStar(grid, start, goal)',
+          '  g[start] ← 0; f[start] ← h(start)',
+          '  open ← {start}; closed ← ∅',
+          '  while open is not empty',
+          '    current ← cell in open with lowest f',
+          '    move current from open to closed',
+          '    if current = goal then',
+          '      return path to current',
+          '    for each walkable neighbor of current not in closed',
+          '      tentative ← g[current] + 1',
+          '      if tentative < g[neighbor] then',
+          '        parent[neighbor] ← current',
+          '        g[neighbor] ← tentative',
+          '        f[neighbor] ← g[neighbor] + h(neighbor)',
+          '        add neighbor to open',
+          '  return no path'
+        ],
+        lines: { visit: 6, path: 8, discover: 15 }
+      }
+    },
+    'dijkstra': {
+      name: 'Dijkstra Algorithm',
+      class: Dijkstra,
+      desc: 'Finds shortest path with guaranteed optimality using distance relaxation',
+      complexity: { time: 'O(V²)', space: 'O(V)' },
+      pseudocode: {
+        code: [
+          'procedure dijkstra(grid, start, goal)',
+          '  dist[v] ← ∞ for every walkable cell v',
+          '  dist[start] ← 0',
+          '  unvisited ← every walkable cell',
+          '  while unvisited is not empty',
+          '    current ← cell in unvisited with smallest dist',
+          '    if dist[current] = ∞ then return no path',
+          '    remove current from unvisited',
+          '    if current = goal then',
+          '      return path to current',
+          '    for each neighbor of current in unvisited',
+          '      alt ← dist[current] + 1',
+          '      if alt < dist[neighbor] then',
+          '        dist[neighbor] ← alt',
+          '        parent[neighbor] ← current'
+        ],
+        lines: { visit: 8, path: 10, 'discover:relax': 14 }
+      }
+    }
+  }
+};
+
+// Execution Timeline
+// Records the view-state changes made by every step so a run can be
+// rewound and scrubbed. Only the data draw() reads is restored; the
+// algorithm's own cursors stay at the furthest step executed, and stepping
+// forward replays recorded frames until that frontier is reached again.
+class ExecutionTimeline {
+  constructor(algorithm) {
+    this.algorithm = algorithm;
+    this.frames = [];
+    this.position = 0;
+    this.view = algorithm.captureView();
+  }
+
+  get length() { return this.frames.length; }
+  get atFrontier() { return this.position === this.frames.length; }
+  get finished() { return this.atFrontier && this.algorithm.finished; }
+
+  stepForward() {
+    if (!this.atFrontier) {
+      this.redo(this.frames[this.position]);
+      this.position++;
+      this.sync();
+      return true;
+    }
+
+    if (this.algorithm.finished) return false;
+
+    this.algorithm.step();
+    return this.record();
+  }
+
+  stepBackward() {
+    if (this.position === 0) return false;
+
+    this.position--;
+    this.undo(this.frames[this.position]);
+    this.sync();
+    return true;
+  }
+
+  seek(target) {
+    target = Math.max(0, Math.min(target, this.frames.length));
+
+    while (this.position > target) {
+      this.position--;
+      this.undo(this.frames[this.position]);
+    }
+
+    while (this.position < target) {
+      this.redo(this.frames[this.position]);
+      this.position++;
+    }
+
+    this.sync();
+  }
+
+  // The stats after every recorded step, starting before the first: one
+  // entry more than there are frames. Reads the frames without moving.
+  statsHistory() {
+    const stats = { ...this.view.stats };
+    const apply = (frame, side) => frame.changes.forEach(change => {
+      if (change.path[0] === 'stats') stats[change.path[1]] = change[side];
+    });
+
+    for (let i = this.position - 1; i >= 0; i--) apply(this.frames[i], 'from');
+    const history = [{ ...stats }];
+    for (const frame of this.frames) {
+      apply(frame, 'to');
+      history.push({ ...stats });
+    }
+    return history;
+  }
+
+  record() {
+    const view = this.algorithm.captureView();
+    const changes = ExecutionTimeline.diff(this.view, view);
+
+    // step() calls that change nothing are not worth a frame
+    if (changes.length === 0) return false;
+
+    this.frames.push({
+      changes,
+      highlights: { ...this.algorithm.highlights },
+      trace: [...this.algorithm.trace]
+    });
+    this.position++;
+    this.view = view;
+    return true;
+  }
+
+  undo(frame) {
+    for (let i = frame.changes.length - 1; i >= 0; i--) {
+      const { path, from } = frame.changes[i];
+      ExecutionTimeline.assign(this.view, path, from);
+    }
+  }
+
+  redo(frame) {
+    for (const { path, to } of frame.changes) {
+      ExecutionTimeline.assign(this.view, path, to);
+    }
+  }
+
+  sync() {
+    this.algorithm.restoreView(this.view);
+    const frame = this.frames[this.position - 1];
+    this.algorithm.highlights = frame ? { ...frame.highlights } : {};
+    this.algorithm.trace = frame ? [...frame.trace] : [];
+  }
+
+  static diff(before, after, path = [], changes = []) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+      // Resized arrays (stack pushes, queue shifts) are recorded whole
+      if (before.length !== after.length) {
+        changes.push({ path, from: ExecutionTimeline.copy(before), to: ExecutionTimeline.copy(after) });
+        return changes;
+      }
+
+      for (let i = 0; i < after.length; i++) {
+        if (before[i] !== after[i]) {
+          ExecutionTimeline.diff(before[i], after[i], [...path, i], changes);
+        }
+      }
+    } else if (ExecutionTimeline.isRecord(before) && ExecutionTimeline.isRecord(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      // So are records that gain or lose keys, like a phase's pointers
+      if (Object.keys(before).length !== keys.size || Object.keys(after).length !== keys.size) {
+        changes.push({ path, from: ExecutionTimeline.copy(before), to: ExecutionTimeline.copy(after) });
+        return changes;
+      }
+
+      for (const key of keys) {
+        if (before[key] !== after[key]) {
+          ExecutionTimeline.diff(before[key], after[key], [...path, key], changes);
+        }
+      }
+    } else if (before !== after) {
+      changes.push({ path, from: ExecutionTimeline.copy(before), to: ExecutionTimeline.copy(after) });
+    }
+
+    return changes;
+  }
+
+  // Frames and the view never share nested arrays or records, so undoing
+  // into the view cannot rewrite a recorded value
+  static assign(target, path, value) {
+    const copy = ExecutionTimeline.copy(value);
+    let parent = target;
+    for (let i = 0; i < path.length - 1; i++) {
+      parent = parent[path[i]];
+    }
+    parent[path[path.length - 1]] = copy;
+  }
+
+  static copy(value) {
+    if (Array.isArray(value)) return value.map(ExecutionTimeline.copy);
+    if (ExecutionTimeline.isRecord(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, ExecutionTimeline.copy(item)]));
+    }
+    return value;
+  }
+
+  static isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Custom Input
+// Parses user-entered data for sorting and searching. Values are kept to
+// small non-negative integers so counting and radix sort stay valid and
+// every value can be drawn as a bar.
+const CUSTOM_INPUT_LIMITS = { maxLength: 500, maxValue: 999 };
+
+class CustomInput {
+  // '5, 2, 4 6' or '[5, 2, 4, 6]' → [5, 2, 4, 6]
+  static parseArray(text) {
+    const { maxLength, maxValue } = CUSTOM_INPUT_LIMITS;
+    const tokens = text.replace(/^\s*\[|\]\s*$/g, '').split(/[\s,;]+/).filter(Boolean);
+
+    if (tokens.length === 0) {
+      throw new Error('Enter at least one value.');
+    }
+    if (tokens.length > maxLength) {
+      throw new Error(`Enter at most ${maxLength} values (got ${tokens.length}).`);
+    }
+
+    return tokens.map(token => {
+      const value = Number(token);
+      if (!Number.isInteger(value) || value < 0 || value > maxValue) {
+        throw new Error(`"${token}" is not a whole number from 0 to ${maxValue}.`);
+      }
+      return value;
+    });
+  }
+
+  // Blank means "pick one from the array"
+  static parseTarget(text) {
+    if (text.trim() === '') return undefined;
+
+    const value = Number(text.trim());
+    if (!Number.isInteger(value)) {
+      throw new Error(`Target "${text.trim()}" is not a whole number.`);
+    }
+    return value;
+  }
+}
+
+// Race Leaderboard
+// Ranks the panes of an N-way race by one metric. Fewer is better; ties
+// share a rank, and a racer that has finished goes ahead of one still
+// running on the same value. Finish order ranks by the step each racer
+// finished on.
+const RACE_LIMITS = { min: 3, max: 9 };
+
+const RACE_METRICS = {
+  finish: { name: 'Finish order' },
+  steps: { name: 'Steps', stat: 'steps' },
+  comparisons: { name: 'Comparisons', stat: 'comparisons' },
+  swaps: { name: 'Swaps', stat: 'swaps' }
+};
+
+class Leaderboard {
+  // The metrics a category's stats can be ranked by
+  static metricsFor(stats) {
+    return Object.keys(RACE_METRICS).filter(metric => {
+      const { stat } = RACE_METRICS[metric];
+      return !stat || stat in stats;
+    });
+  }
+
+  // entries: [{ key, stats, finishedAt }], finishedAt null while running.
+  // Returns the entries best first, each with its rank and ranked value.
+  static rank(entries, metric) {
+    if (!RACE_METRICS[metric]) {
+      throw new Error(`Unknown metric: ${metric}`);
+    }
+
+    const { stat } = RACE_METRICS[metric];
+    const ranked = entries.map((entry, order) => {
+      const finished = entry.finishedAt !== null;
+      const value = stat ? entry.stats[stat] : (finished ? entry.finishedAt : Infinity);
+      return { ...entry, order, finished, value };
+    });
+    // Infinity - Infinity is NaN, which falls through like a tie
+    ranked.sort((a, b) => (a.value - b.value) || (b.finished - a.finished) || (a.order - b.order));
+
+    ranked.forEach((entry, i) => {
+      const previous = ranked[i - 1];
+      const tied = previous && previous.value === entry.value && previous.finished === entry.finished;
+      entry.rank = tied ? previous.rank : i + 1;
+      delete entry.order;
+    });
+    return ranked;
+  }
+}
+
+// Permalink
+// Encodes everything that decides a run (algorithm, seed, size, speed,
+// input shape, quick sort pivot, custom data, the battle partner with its
+// own size, shape and pivot if it has them, and the contenders of a race)
+// as URL hash parameters,
+// e.g. #category=sorting&algorithm=merge-sort&seed=42&size=50&speed=1.
+// Decoding validates every field, so a hand-edited or stale link fails
+// with a message instead of producing a different run.
+const PERMALINK_FIELDS = [
+  'category', 'algorithm', 'seed', 'size', 'speed', 'distribution', 'swaps', 'pivot',
+  'battle', 'battleSize', 'battleDistribution', 'battlePivot', 'race', 'array', 'target'
+];
+
+class Permalink {
+  static encode(state) {
+    const params = new URLSearchParams();
+    for (const field of PERMALINK_FIELDS) {
+      const value = state[field];
+      if (value === undefined || value === null) continue;
+      params.set(field, Array.isArray(value) ? value.join(' ') : String(value));
+    }
+    return params.toString();
+  }
+
+  // Returns null for a hash without an algorithm, e.g. a plain page link
+  static decode(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('category') && !params.has('algorithm')) return null;
+
+    const category = params.get('category');
+    const algorithms = ALGORITHMS[category];
+    if (!algorithms) {
+      throw new Error(`Unknown category: ${category}`);
+    }
+
+    const algorithmKey = (key) => {
+      if (!algorithms[key]) {
+        throw new Error(`Unknown algorithm: ${category}/${key}`);
+      }
+      return key;
+    };
+
+    const integer = (field, min, max) => {
+      if (!params.has(field)) return undefined;
+      const value = Number(params.get(field));
+      if (!Number.isSafeInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid ${field}: ${params.get(field)}`);
+      }
+      return value;
+    };
+
+    const state = {
+      category,
+      algorithm: algorithmKey(params.get('algorithm')),
+      seed: integer('seed', 0, Number.MAX_SAFE_INTEGER),
+      size: integer('size', 1, CUSTOM_INPUT_LIMITS.maxLength),
+      swaps: integer('swaps', 0, CUSTOM_INPUT_LIMITS.maxLength),
+      battleSize: integer('battleSize', 1, CUSTOM_INPUT_LIMITS.maxLength)
+    };
+
+    if (params.has('speed')) {
+      state.speed = Number(params.get('speed'));
+      if (!(state.speed > 0 && Number.isFinite(state.speed))) {
+        throw new Error(`Invalid speed: ${params.get('speed')}`);
+      }
+    }
+
+    for (const field of ['distribution', 'battleDistribution']) {
+      if (!params.has(field)) continue;
+      state[field] = params.get(field);
+      if (!DISTRIBUTIONS[state[field]]) {
+        throw new Error(`Unknown distribution: ${state[field]}`);
+      }
+    }
+
+    for (const field of ['pivot', 'battlePivot']) {
+      if (!params.has(field)) continue;
+      state[field] = params.get(field);
+      if (!PIVOT_STRATEGIES[state[field]]) {
+        throw new Error(`Unknown pivot strategy: ${state[field]}`);
+      }
+    }
+
+    if (params.has('battle')) state.battle = algorithmKey(params.get('battle'));
+    if (params.has('race')) {
+      state.race = params.get('race').split(' ').map(algorithmKey);
+      const { length } = state.race;
+      if (length < RACE_LIMITS.min || length > RACE_LIMITS.max || new Set(state.race).size !== length) {
+        throw new Error(`Invalid race: ${params.get('race')}`);
+      }
+    }
+    if (params.has('array')) state.array = CustomInput.parseArray(params.get('array'));
+    if (params.has('target')) state.target = CustomInput.parseTarget(params.get('target'));
+
+    return state;
+  }
+
+  // Like decode, but reports a broken link instead of throwing: state is null
+  // for no link or a broken one, error holds the reason for a broken one
+  static read(hash) {
+    try {
+      return { state: Permalink.decode(hash), error: null };
+    } catch (error) {
+      return { state: null, error: error.message };
+    }
+  }
+}
+
+// Headless Runner
+// Runs any registered algorithm to completion without a canvas, DOM or
+// audio, e.g. from Node, a web worker or a notebook.
+class HeadlessRunner {
+  constructor(category, key) {
+    const info = ALGORITHMS[category] && ALGORITHMS[category][key];
+    if (!info) {
+      throw new Error(`Unknown algorithm: ${category}/${key}`);
+    }
+
+    this.category = category;
+    this.key = key;
+    this.info = info;
+    this.algorithm = new info.class(info.name);
+  }
+
+  init(seed, size, input) {
+    this.algorithm.init(seed, size, input);
+    return this;
+  }
+
+  step() {
+    this.algorithm.step();
+    return !this.algorithm.finished;
+  }
+
+  run(maxSteps = 10000000) {
+    let steps = 0;
+
+    while (!this.algorithm.finished) {
+      if (steps++ >= maxSteps) {
+        throw new Error(`${this.info.name} did not finish within ${maxSteps} steps`);
+      }
+      this.algorithm.step();
+    }
+
+    return this.result();
+  }
+
+  result() {
+    return {
+      category: this.category,
+      key: this.key,
+      name: this.info.name,
+      finished: this.algorithm.finished,
+      stats: { ...this.algorithm.stats }
+    };
+  }
+}
+
+// Battle Result
+// Compares the two panes of a finished battle: for every counter both
+// keep, the winner (fewer wins) and how many times more the loser needed.
+// The cumulative counts after every step feed the operation chart.
+const BATTLE_CHART_METRICS = ['comparisons', 'swaps', 'accesses'];
+
+class BattleResult {
+  // sides: [{ name, stats, history }] for panes A and B, with history
+  // from ExecutionTimeline#statsHistory()
+  constructor(sides) {
+    const [a, b] = sides;
+    this.sides = sides;
+    this.metrics = Object.keys(a.stats).filter(metric => metric in b.stats).map(metric => {
+      const values = [a.stats[metric], b.stats[metric]];
+      const low = Math.min(...values);
+      const high = Math.max(...values);
+      return {
+        metric,
+        values,
+        winner: low === high ? null : values.indexOf(low),
+        // Undefined when the winner did none at all
+        ratio: low > 0 ? high / low : null
+      };
+    });
+  }
+
+  // The side that won more counters, or null for a draw
+  get winner() {
+    const wins = [0, 1].map(side => this.metrics.filter(({ winner }) => winner === side).length);
+    if (wins[0] === wins[1]) return null;
+    return wins[0] > wins[1] ? 0 : 1;
+  }
+
+  // Comparisons, swaps and accesses where both count them; otherwise every
+  // shared counter, so pathfinding and data structure battles get a chart too
+  get chartMetrics() {
+    const shared = this.metrics.map(({ metric }) => metric);
+    const preferred = BATTLE_CHART_METRICS.filter(metric => shared.includes(metric));
+    return preferred.length > 0 ? preferred : shared;
+  }
+
+  // One row per step with each side's cumulative counts; a side that
+  // finished first keeps its final counts
+  toCSV() {
+    const metrics = this.chartMetrics;
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['step', ...this.sides.flatMap(({ name }) => metrics.map(metric => `${name} ${metric}`))]];
+
+    const steps = Math.max(...this.sides.map(({ history }) => history.length));
+    for (let step = 0; step < steps; step++) {
+      lines.push([step, ...this.sides.flatMap(({ history }) => {
+        const stats = history[Math.min(step, history.length - 1)];
+        return metrics.map(metric => stats[metric]);
+      })]);
+    }
+    return lines.map(cells => cells.map(escape).join(',')).join('\n') + '\n';
+  }
+}
+
+// Benchmark
+// Runs algorithms over every combination of size, seed and, for sorts,
+// input distribution with no animation, producing one row of stats per run.
+class Benchmark {
+  constructor({ algorithms, sizes, seeds, distributions = ['uniform'], maxSteps }) {
+    this.algorithms = algorithms;
+    this.sizes = sizes;
+    this.seeds = seeds;
+    this.distributions = distributions;
+    this.maxSteps = maxSteps;
+  }
+
+  get total() {
+    const inputs = this.algorithms.reduce((sum, algorithm) => sum + this.distributionsFor(algorithm).length, 0);
+    return inputs * this.sizes.length * this.seeds.length;
+  }
+
+  // Only sorts take an input distribution
+  distributionsFor({ category, key }) {
+    const info = ALGORITHMS[category] && ALGORITHMS[category][key];
+    return info && info.class.prototype instanceof SortingAlgorithm ? this.distributions : [undefined];
+  }
+
+  *runs() {
+    for (const algorithm of this.algorithms) {
+      const { category, key } = algorithm;
+      for (const distribution of this.distributionsFor(algorithm)) {
+        for (const size of this.sizes) {
+          for (const seed of this.seeds) {
+            yield distribution ? { category, key, size, distribution, seed } : { category, key, size, seed };
+          }
+        }
+      }
+    }
+  }
+
+  runOne({ category, key, size, distribution, seed }) {
+    const input = distribution ? { distribution } : undefined;
+    const result = new HeadlessRunner(category, key).init(seed, size, input).run(this.maxSteps);
+    return { category, key, name: result.name, size, ...input, seed, ...result.stats };
+  }
+
+  run() {
+    return [...this.runs()].map(run => this.runOne(run));
+  }
+
+  // Identifying columns first, then every stats counter seen in any row
+  static columns(rows) {
+    const columns = ['category', 'key', 'name', 'size', 'distribution', 'seed'];
+    rows.forEach(row => {
+      Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+    });
+    return columns;
+  }
+
+  static toCSV(rows) {
+    const columns = Benchmark.columns(rows);
+    const escape = value => {
+      const text = value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(cells => cells.map(escape).join(','))
+      .join('\n') + '\n';
+  }
+
+  static toJSON(rows) {
+    return JSON.stringify(rows, null, 2);
+  }
+}
+
+// Complexity Analysis
+// Candidate growth curves, slowest first. Aliases map registry strings whose
+// extra terms (key range k, digit count d) stay constant for generated inputs.
+const COMPLEXITY_MODELS = [
+  { label: 'O(1)', f: () => 1 },
+  { label: 'O(log log n)', f: n => Math.log2(Math.log2(Math.max(n, 4))) },
+  { label: 'O(log n)', f: n => Math.log2(Math.max(n, 2)) },
+  { label: 'O(√n)', f: n => Math.sqrt(n) },
+  { label: 'O(n)', f: n => n, aliases: ['O(n+k)', 'O(d×(n+k))'] },
+  { label: 'O(n log n)', f: n => n * Math.log2(Math.max(n, 2)) },
+  { label: 'O(n log² n)', f: n => n * Math.log2(Math.max(n, 2)) ** 2 },
+  { label: 'O(n³/²)', f: n => n ** 1.5 },
+  { label: 'O(n²)', f: n => n * n },
+  { label: 'O(n³)', f: n => n ** 3 }
+];
+
+// How much worse (in relative RMS error) the registry's curve may fit than
+// the best candidate before the measurement is flagged as disagreeing
+const COMPLEXITY_TOLERANCE = 0.1;
+
+class ComplexityAnalyzer {
+  // Growth can only be measured where the size parameter is the input size
+  static supports(info) {
+    const prototype = info.class.prototype;
+    return prototype instanceof SortingAlgorithm || prototype instanceof SearchAlgorithm;
+  }
+
+  static modelFor(time) {
+    const normalize = label => label.replace(/\s+/g, '');
+    return COMPLEXITY_MODELS.find(model =>
+      [model.label, ...(model.aliases || [])].some(label => normalize(label) === normalize(time))
+    ) || null;
+  }
+
+  // Mean of one stats counter per size, over all seeds
+  static points(rows, metric) {
+    const totals = new Map();
+    rows.forEach(row => {
+      const total = totals.get(row.size) || { sum: 0, count: 0 };
+      total.sum += row[metric] || 0;
+      total.count++;
+      totals.set(row.size, total);
+    });
+
+    return [...totals.entries()]
+      .map(([n, { sum, count }]) => ({ n, value: sum / count }))
+      .sort((a, b) => a.n - b.n);
+  }
+
+  // Fits value ≈ scale × f(n) for every model, minimising relative error so
+  // small sizes weigh as much as large ones. Best fit first.
+  static fit(points) {
+    return COMPLEXITY_MODELS.map(model => {
+      const ratios = points.map(({ n, value }) => model.f(n) / Math.max(value, 1));
+      const scale = ratios.reduce((sum, r) => sum + r, 0) / ratios.reduce((sum, r) => sum + r * r, 0);
+      const error = Math.sqrt(points.reduce((sum, { n, value }) =>
+        sum + ((value - scale * model.f(n)) / Math.max(value, 1)) ** 2, 0) / points.length);
+      return { model, scale, error };
+    }).sort((a, b) => a.error - b.error);
+  }
+
+  static analyze(rows, metric, expectedTime) {
+    const points = ComplexityAnalyzer.points(rows, metric);
+    if (points.length < 3) {
+      throw new Error('Need at least three different sizes to estimate growth');
+    }
+    if (points.every(point => point.value === 0)) {
+      return { metric, points, fits: [], best: null, expected: null, agrees: null };
+    }
+
+    const fits = ComplexityAnalyzer.fit(points);
+    const best = fits[0];
+    const model = ComplexityAnalyzer.modelFor(expectedTime);
+    const expected = model ? fits.find(fit => fit.model === model) : null;
+    const agrees = expected ? expected.error - best.error <= COMPLEXITY_TOLERANCE : null;
+
+    return { metric, points, fits, best, expected, agrees };
+  }
+}
+
+// Performance Model
+// Scores a run against the theoretical best for its category and input
+// size: the fewest operations any algorithm of its kind could need, divided
+// by what it has used so far, so 1 is optimal and the score only falls as
+// the run goes on.
+// - Comparison sorts need at least log2(n!) comparisons; sorts listed as
+//   linear time still read and place every value, 2n array accesses.
+// - A comparison search of n sorted values can be guaranteed to take no
+//   more than ceil(log2(n + 1)) comparisons, binary search's worst case.
+// - A path search visits at least the cells of a wall-free route from
+//   start to goal, one more than their Manhattan distance.
+// - Stack and queue operations are O(1) each, but a push onto a full stack
+//   (or an enqueue onto a full queue) is refused, so only the requests that
+//   changed the structure were needed.
+class PerformanceModel {
+  static score(algorithm) {
+    const { metric, label, bound, reason } = PerformanceModel.bound(algorithm);
+    const used = algorithm.stats[metric];
+    const score = used > bound ? bound / used : 1;
+
+    const explanation = used === 0 ?
+      `No ${label} yet. ${reason}` :
+      `${used.toLocaleString()} ${label} so far. ${reason} Score = ${bound.toLocaleString()} ÷ ${used.toLocaleString()}.`;
+    return { score, metric, used, bound, explanation };
+  }
+
+  static bound(algorithm) {
+    if (algorithm instanceof SortingAlgorithm) {
+      const n = algorithm.array.length;
+      const info = PerformanceModel.infoFor(algorithm);
+      const model = info && ComplexityAnalyzer.modelFor(info.complexity.time);
+      if (model && model.label === 'O(n)') {
+        return {
+          metric: 'accesses',
+          label: 'array accesses',
+          bound: 2 * n,
+          reason: `Even a linear-time sort reads and places each of the n = ${n} values: ${2 * n} accesses.`
+        };
+      }
+
+      const bound = Math.max(1, Math.ceil(PerformanceModel.log2Factorial(n)));
+      return {
+        metric: 'comparisons',
+        label: 'comparisons',
+        bound,
+        reason: `Any comparison sort needs at least log₂(n!) ≈ ${bound.toLocaleString()} for n = ${n}.`
+      };
+    }
+
+    if (algorithm instanceof SearchAlgorithm) {
+      const n = algorithm.array.length;
+      const bound = Math.max(1, Math.ceil(Math.log2(n + 1)));
+      return {
+        metric: 'comparisons',
+        label: 'comparisons',
+        bound,
+        reason: `Binary search never needs more than ⌈log₂(n + 1)⌉ = ${bound} for n = ${n}.`
+      };
+    }
+
+    if (algorithm instanceof PathfindingAlgorithm) {
+      const { start, goal } = algorithm;
+      const bound = Math.abs(goal.x - start.x) + Math.abs(goal.y - start.y) + 1;
+      return {
+        metric: 'nodesVisited',
+        label: 'cells visited',
+        bound,
+        reason: `Any search visits at least the ${bound} cells a wall-free route from start to goal would cross.`
+      };
+    }
+
+    if (algorithm instanceof StackVisualization) {
+      const { pushes, pops } = algorithm.stats;
+      return {
+        metric: 'operations',
+        label: 'operations',
+        bound: pushes + pops,
+        reason: `Each takes constant time, but only the ${pushes + pops} pushes and pops that changed the stack were needed; a push onto a full stack of ${algorithm.maxSize} is refused.`
+      };
+    }
+
+    if (algorithm instanceof QueueVisualization) {
+      const { enqueues, dequeues } = algorithm.stats;
+      return {
+        metric: 'operations',
+        label: 'operations',
+        bound: enqueues + dequeues,
+        reason: `Each takes constant time, but only the ${enqueues + dequeues} enqueues and dequeues that changed the queue were needed; an enqueue onto a full queue of ${algorithm.maxSize} is refused.`
+      };
+    }
+
+    throw new Error(`No performance bound for ${algorithm.constructor.name}`);
+  }
+
+  static log2Factorial(n) {
+    let sum = 0;
+    for (let i = 2; i <= n; i++) sum += Math.log2(i);
+    return sum;
+  }
+
+  static infoFor(algorithm) {
+    for (const algorithms of Object.values(ALGORITHMS)) {
+      const info = Object.values(algorithms).find(entry => algorithm.constructor === entry.class);
+      if (info) return info;
+    }
+    return null;
+  }
+}
+
+// CommonJS export for Node and bundlers; browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SeededRNG,
+    Op,
+    Algorithm,
+    SortingAlgorithm,
+    SearchAlgorithm,
+    StackVisualization,
+    QueueVisualization,
+    PathfindingAlgorithm,
+    ALGORITHMS,
+    DISTRIBUTIONS,
+    PIVOT_STRATEGIES,
+    ExecutionTimeline,
+    CUSTOM_INPUT_LIMITS,
+    CustomInput,
+    RACE_LIMITS,
+    RACE_METRICS,
+    Leaderboard,
+    PERMALINK_FIELDS,
+    Permalink,
+    HeadlessRunner,
+    BATTLE_CHART_METRICS,
+    BattleResult,
+    Benchmark,
+    COMPLEXITY_MODELS,
+    ComplexityAnalyzer,
+    PerformanceModel
+  };
+}
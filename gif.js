@@ -0,0 +1,239 @@
+// GIF Encoder
+// Writes animated GIF89a files from RGBA frames (e.g. canvas ImageData) with
+// no dependencies, for the animation export. Every frame shares one global
+// palette of up to 256 colors. Build it from a few sample frames with
+// GifEncoder.palette() so the visualizer's flat colors come out exact and
+// only gradients and glow are approximated.
+const GIF_MAX_CODE_SIZE = 12;
+
+class GifEncoder {
+  // delay is in hundredths of a second; loop 0 repeats forever
+  constructor(width, height, { palette, delay = 10, loop = 0 } = {}) {
+    if (!palette || palette.length === 0 || palette.length > 256) {
+      throw new Error('A GIF palette needs between 1 and 256 colors.');
+    }
+
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.delay = delay;
+    this.loop = loop;
+    this.frames = 0;
+    this.chunks = [];
+    // Nearest palette entry per 15-bit color, filled on first use
+    this.lookup = new Int16Array(1 << 15).fill(-1);
+
+    this.writeHeader();
+  }
+
+  // Most frequent colors across the samples, each averaged over the pixels
+  // that share its 15-bit bucket
+  static palette(samples, maxColors = 256) {
+    const buckets = new Map();
+
+    for (const data of samples) {
+      for (let p = 0; p < data.length; p += 4) {
+        const key = GifEncoder.bucket(data[p], data[p + 1], data[p + 2]);
+        let bucket = buckets.get(key);
+        if (!bucket) {
+          bucket = { count: 0, r: 0, g: 0, b: 0 };
+          buckets.set(key, bucket);
+        }
+        bucket.count++;
+        bucket.r += data[p];
+        bucket.g += data[p + 1];
+        bucket.b += data[p + 2];
+      }
+    }
+
+    const colors = [...buckets.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxColors)
+      .map(({ count, r, g, b }) => [Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+
+    return colors.length > 0 ? colors : [[0, 0, 0]];
+  }
+
+  static bucket(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+  }
+
+  addFrame(rgba) {
+    if (rgba.length !== this.width * this.height * 4) {
+      throw new Error(`Expected a ${this.width}x${this.height} RGBA frame.`);
+    }
+
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+      indices[i] = this.indexOf(rgba[p], rgba[p + 1], rgba[p + 2]);
+    }
+
+    const out = new ByteWriter();
+
+    // Graphic control extension: frame delay, no transparency
+    out.bytes(0x21, 0xf9, 4, 0, ...ByteWriter.uint16(this.delay), 0, 0);
+
+    // Image descriptor covering the whole canvas, using the global palette
+    out.bytes(0x2c, 0, 0, 0, 0, ...ByteWriter.uint16(this.width), ...ByteWriter.uint16(this.height), 0);
+
+    out.bytes(8);
+    const data = GifEncoder.lzw(indices, 8);
+    for (let start = 0; start < data.length; start += 255) {
+      const block = data.subarray(start, start + 255);
+      out.bytes(block.length);
+      out.append(block);
+    }
+    out.bytes(0);
+
+    this.chunks.push(out.result());
+    this.frames++;
+  }
+
+  // The finished file; no frames can be added afterwards
+  finish() {
+    this.chunks.push(Uint8Array.of(0x3b));
+
+    const length = this.chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const file = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return file;
+  }
+
+  indexOf(r, g, b) {
+    const key = GifEncoder.bucket(r, g, b);
+    if (this.lookup[key] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      this.palette.forEach(([pr, pg, pb], i) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+      });
+      this.lookup[key] = best;
+    }
+    return this.lookup[key];
+  }
+
+  writeHeader() {
+    const out = new ByteWriter();
+
+    out.ascii('GIF89a');
+    // Logical screen with a 256-entry global color table
+    out.bytes(...ByteWriter.uint16(this.width), ...ByteWriter.uint16(this.height), 0xf7, 0, 0);
+    for (let i = 0; i < 256; i++) {
+      out.bytes(...(this.palette[i] || [0, 0, 0]));
+    }
+
+    // NETSCAPE2.0 application extension: loop count
+    out.bytes(0x21, 0xff, 11);
+    out.ascii('NETSCAPE2.0');
+    out.bytes(3, 1, ...ByteWriter.uint16(this.loop), 0);
+
+    this.chunks.push(out.result());
+  }
+
+  // Variable-length LZW as GIF uses it: codes start one bit wider than the
+  // pixel size, grow to 12 bits, and the table is reset with a clear code
+  // once it is full
+  static lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = new ByteWriter();
+    let buffer = 0;
+    let bits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        out.bytes(buffer & 0xff);
+        buffer >>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    if (indices.length > 0) {
+      let prefix = indices[0];
+
+      for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+          prefix = code;
+          continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 1 << GIF_MAX_CODE_SIZE) {
+          emit(clearCode);
+          table = new Map();
+          codeSize = minCodeSize + 1;
+          nextCode = endCode + 1;
+        } else {
+          if (nextCode >= 1 << codeSize) codeSize++;
+          table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+      }
+
+      emit(prefix);
+    }
+    emit(endCode);
+
+    if (bits > 0) out.bytes(buffer & 0xff);
+    return out.result();
+  }
+}
+
+// Growable byte buffer
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  static uint16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.buffer.length) return;
+    const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + count));
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  bytes(...values) {
+    this.reserve(values.length);
+    for (const value of values) this.buffer[this.length++] = value;
+  }
+
+  append(array) {
+    this.reserve(array.length);
+    this.buffer.set(array, this.length);
+    this.length += array.length;
+  }
+
+  ascii(text) {
+    this.bytes(...Array.from(text, char => char.charCodeAt(0)));
+  }
+
+  result() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+// CommonJS export for Node and bundlers; browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GifEncoder, ByteWriter };
+}
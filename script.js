@@ -1,26 +1,22 @@
-// Seeded Random Number Generator
-class SeededRNG {
-  constructor(seed) {
-    this.seed = seed;
-    this.state = seed;
-  }
-
-  next() {
-    this.state = (this.state * 1664525 + 1013904223) % Math.pow(2, 32);
-    return this.state / Math.pow(2, 32);
-  }
-
-  random() { return this.next(); }
-  int(min, max) { return Math.floor(min + this.random() * (max - min + 1)); }
-  shuffle(array) {
-    const arr = [...array];
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = this.int(0, i);
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
-  }
-}
+/* global ALGORITHMS, DISTRIBUTIONS, PIVOT_STRATEGIES, CustomInput, CUSTOM_INPUT_LIMITS, Permalink, RACE_LIMITS, RACE_METRICS, Leaderboard, ExecutionTimeline, BattleResult, Benchmark, GifEncoder, SvgCanvas, ComplexityAnalyzer, PerformanceModel, SortingAlgorithm, QuickSort, HeapSort, CountingSort, RadixSort, HybridSort, NetworkSort, SearchAlgorithm, StackVisualization, QueueVisualization, PathfindingAlgorithm */
+
+// Engine event type -> sound effect. Unlisted events (mark, discover) are silent.
+const EVENT_SOUNDS = {
+  compare: 'compare',
+  compareValue: 'compare',
+  probe: 'compare',
+  swap: 'swap',
+  write: 'swap',
+  read: 'access',
+  visit: 'access',
+  found: 'found',
+  path: 'found',
+  complete: 'complete',
+  push: 'push',
+  enqueue: 'push',
+  pop: 'pop',
+  dequeue: 'pop'
+};
 
 // Enhanced Audio Engine
 class AudioEngine {
@@ -73,6 +69,11 @@ class AudioEngine {
   insert() { this.playTone(650, 0.1, 'sine', 0.3); }
   delete() { this.playTone(350, 0.12, 'sawtooth', 0.3); }
 
+  handleEvent(event) {
+    const sound = EVENT_SOUNDS[event.type];
+    if (sound) this[sound]();
+  }
+
   setVolume(volume) {
     if (this.masterGain) {
       this.masterGain.gain.value = volume;
@@ -80,16 +81,14 @@ class AudioEngine {
   }
 }
 
-// Base Algorithm Class
-class Algorithm {
-  constructor(canvas, audioEngine, name) {
+// Base Renderer Class
+// Draws an algorithm's current state onto a canvas. Algorithms record
+// highlights as roles ('compare', 'swap', ...); renderers pick the colors.
+class Renderer {
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
+    this.options = options;
     this.ctx = canvas.getContext('2d');
-    this.audio = audioEngine;
-    this.name = name;
-    this.isComplete = false;
-    this.stats = {};
-    this.highlights = {};
     this.colors = {
       primary: '#4a90e2',
       compare: '#ff6b6b',
@@ -102,22 +101,23 @@ class Algorithm {
     };
   }
 
-  init(seed, size) { throw new Error('Must implement init()'); }
-  step() { throw new Error('Must implement step()'); }
+  // options are display settings read on every draw (e.g. showStability)
+  static create(algorithm, canvas, options) {
+    const [, RendererClass] = RENDERERS.find(([Model]) => algorithm instanceof Model);
+    return new RendererClass(canvas, options);
+  }
+
   draw() { throw new Error('Must implement draw()'); }
 
-  get finished() { return this.isComplete; }
+  colorFor(role, fallback = this.colors.primary) {
+    return role ? (this.colors[role] || role) : fallback;
+  }
 
   clear(color = this.colors.background) {
     this.ctx.fillStyle = color;
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
   }
 
-  finish() {
-    this.isComplete = true;
-    this.audio.complete();
-  }
-
   darkenColor(color, amount = 0.3) {
     const colorMap = {
       '#ff6b6b': '#cc5555',
@@ -146,1618 +146,1326 @@ class Algorithm {
   }
 }
 
-// SORTING ALGORITHMS
-class SortingAlgorithm extends Algorithm {
-  constructor(canvas, audioEngine, name) {
-    super(canvas, audioEngine, name);
-    this.array = [];
-    this.stats = { comparisons: 0, swaps: 0, accesses: 0, steps: 0 };
-  }
+// Equal keys are told apart by a letter and a color per occurrence
+const STABILITY_TAG_COLORS = ['#ff6b6b', '#feca57', '#4ecdc4', '#ff9ff3', '#45b7d1', '#a29bfe'];
 
-  init(seed, size) {
-    const rng = new SeededRNG(seed);
-    this.array = Array.from({ length: size }, () => rng.int(5, 100));
-    this.isComplete = false;
-    this.stats = { comparisons: 0, swaps: 0, accesses: 0, steps: 0 };
-    this.highlights = {};
-  }
+// The auxiliary memory strip takes this share of the canvas, up to a limit
+const MEMORY_STRIP = { share: 0.25, maxHeight: 100, header: 18, labelWidth: 90 };
 
-  draw() {
+class SortingRenderer extends Renderer {
+  draw(algorithm) {
     this.clear();
-    const { width, height } = this.canvas;
-    const barWidth = width / this.array.length;
-    const maxValue = Math.max(...this.array);
-
-    for (let i = 0; i < this.array.length; i++) {
-      const barHeight = (this.array[i] / maxValue) * (height - 20);
-      let color = this.highlights[i] || this.colors.primary;
+    const { width } = this.canvas;
+    const { array } = algorithm;
+    const left = this.barsLeft(algorithm);
+    const barWidth = (width - left) / array.length;
+    const maxValue = Math.max(1, ...array);
+    const showStability = this.options.showStability;
+    const top = this.barsTop() + this.overlayHeight(algorithm);
+    const strip = this.auxiliaryHeight(algorithm);
+    const height = this.canvas.height - strip;
+
+    for (let i = 0; i < array.length; i++) {
+      const barHeight = (array[i] / maxValue) * (height - top);
+      let color = this.colorFor(this.barRole(algorithm, i));
 
       this.drawGradientBar(
-        i * barWidth,
+        left + i * barWidth,
         height - barHeight,
         barWidth - 1,
         barHeight,
         color
       );
-    }
-
-    this.highlights = {};
-  }
-}
-
-class BubbleSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.i = 0;
-    this.j = 0;
-    this.n = this.array.length;
-  }
-
-  step() {
-    if (this.isComplete) return;
 
-    this.stats.steps++;
-
-    if (this.i >= this.n - 1) {
-      this.finish();
-      return;
+      if (showStability) {
+        this.drawStabilityTag(algorithm, i, left + i * barWidth, height - barHeight, barWidth - 1);
+      }
     }
 
-    if (this.j >= this.n - 1 - this.i) {
-      this.highlights[this.n - 1 - this.i] = this.colors.sorted;
-      this.i++;
-      this.j = 0;
-      return;
+    if (showStability) {
+      this.drawStabilityVerdict(algorithm);
     }
 
-    this.highlights[this.j] = this.colors.compare;
-    this.highlights[this.j + 1] = this.colors.compare;
-
-    this.stats.comparisons++;
-    this.stats.accesses += 2;
-
-    if (this.array[this.j] > this.array[this.j + 1]) {
-      [this.array[this.j], this.array[this.j + 1]] = [this.array[this.j + 1], this.array[this.j]];
-      this.stats.swaps++;
-      this.highlights[this.j] = this.colors.swap;
-      this.highlights[this.j + 1] = this.colors.swap;
-      this.audio.swap();
-    } else {
-      this.audio.compare();
+    if (strip > 0) {
+      this.drawAuxiliary(algorithm, height, strip);
     }
+  }
 
-    this.j++;
+  // Room above the tallest bar, for the stability verdict
+  barsTop() {
+    return this.options.showStability ? 40 : 20;
   }
-}
 
-class CocktailSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.start = 0;
-    this.end = this.array.length - 1;
-    this.swapped = true;
-    this.direction = 1; // 1 for forward, -1 for backward
-    this.i = 0;
+  // Room kept between barsTop() and the bars for a subclass's overlay
+  overlayHeight() {
+    return 0;
   }
 
-  step() {
-    if (this.isComplete || !this.swapped) return;
+  // Room left of the bars for a subclass's side view
+  barsLeft() {
+    return 0;
+  }
 
-    this.stats.steps++;
+  barRole(algorithm, i) {
+    return algorithm.highlights[i];
+  }
 
-    if (this.start >= this.end) {
-      this.finish();
-      return;
-    }
+  // Height of the panel below the bars; sorts that never allocate keep the
+  // whole canvas for their bars
+  auxiliaryHeight(algorithm) {
+    return algorithm.peakMemory > 0 ?
+      Math.min(MEMORY_STRIP.maxHeight, Math.round(this.canvas.height * MEMORY_STRIP.share)) : 0;
+  }
 
-    this.swapped = false;
+  drawAuxiliary(algorithm, y, height) {
+    this.drawMemoryStrip(algorithm, y, height);
+  }
 
-    if (this.direction === 1) {
-      if (this.i < this.end) {
-        this.highlights[this.i] = this.colors.compare;
-        this.highlights[this.i + 1] = this.colors.compare;
+  memoryText(algorithm) {
+    const inUse = algorithm.memoryInUse;
+    return `Auxiliary memory: ${inUse} ${inUse === 1 ? 'cell' : 'cells'} (peak ${algorithm.peakMemory})`;
+  }
 
-        this.stats.comparisons++;
-        this.stats.accesses += 2;
+  // The element the current step reads or writes, if any
+  focusIndex(algorithm) {
+    const index = Object.keys(algorithm.highlights).find(key => ['current', 'swap'].includes(algorithm.highlights[key]));
+    return index === undefined ? null : Number(index);
+  }
 
-        if (this.array[this.i] > this.array[this.i + 1]) {
-          [this.array[this.i], this.array[this.i + 1]] = [this.array[this.i + 1], this.array[this.i]];
-          this.stats.swaps++;
-          this.swapped = true;
-          this.highlights[this.i] = this.colors.swap;
-          this.highlights[this.i + 1] = this.colors.swap;
-          this.audio.swap();
-        } else {
-          this.audio.compare();
-        }
+  // One row per live buffer, each cell a small bar scaled to the largest
+  // value in its buffer; cells not yet filled stay dark
+  drawMemoryStrip(algorithm, y, height) {
+    const { width } = this.canvas;
+    const { header, labelWidth } = MEMORY_STRIP;
+    const buffers = Object.entries(algorithm.buffers);
 
-        this.i++;
-      } else {
-        this.end--;
-        this.highlights[this.end + 1] = this.colors.sorted;
-        this.direction = -1;
-        this.i = this.end;
-      }
-    } else {
-      if (this.i > this.start) {
-        this.highlights[this.i] = this.colors.compare;
-        this.highlights[this.i - 1] = this.colors.compare;
-
-        this.stats.comparisons++;
-        this.stats.accesses += 2;
-
-        if (this.array[this.i] < this.array[this.i - 1]) {
-          [this.array[this.i], this.array[this.i - 1]] = [this.array[this.i - 1], this.array[this.i]];
-          this.stats.swaps++;
-          this.swapped = true;
-          this.highlights[this.i] = this.colors.swap;
-          this.highlights[this.i - 1] = this.colors.swap;
-          this.audio.swap();
-        } else {
-          this.audio.compare();
-        }
+    this.ctx.fillStyle = '#1a1a1a';
+    this.ctx.fillRect(0, y, width, height);
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(this.memoryText(algorithm), 10, y + 13);
 
-        this.i--;
-      } else {
-        this.start++;
-        this.highlights[this.start - 1] = this.colors.sorted;
-        this.direction = 1;
-        this.i = this.start;
-      }
-    }
-  }
-}
+    const rowHeight = (height - header) / Math.max(1, buffers.length);
+    buffers.forEach(([name, buffer], row) => {
+      const rowTop = y + header + row * rowHeight;
+      const cells = Array.isArray(buffer) ? buffer : [];
+      const cellWidth = (width - labelWidth) / Math.max(1, cells.length);
+      const gap = cellWidth > 3 ? 1 : 0;
+      const largest = Math.max(1, ...cells.filter(value => value !== null));
 
-class SelectionSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.i = 0;
-    this.j = 1;
-    this.minIndex = 0;
-    this.n = this.array.length;
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = '11px Arial';
+      this.ctx.fillText(`${name} [${Array.isArray(buffer) ? buffer.length : buffer}]`, 10, rowTop + rowHeight / 2 + 4);
+
+      cells.forEach((value, i) => {
+        const x = labelWidth + i * cellWidth;
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(x, rowTop + 2, cellWidth - gap, rowHeight - 4);
+        if (value === null) return;
+
+        const cellHeight = (value / largest) * (rowHeight - 4);
+        this.ctx.fillStyle = this.colors.secondary;
+        this.ctx.fillRect(x, rowTop + rowHeight - 2 - cellHeight, cellWidth - gap, cellHeight);
+      });
+    });
   }
 
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.i >= this.n - 1) {
-      this.finish();
-      return;
-    }
+  // A colored cap on each duplicate, plus its letter when there is room
+  drawStabilityTag(algorithm, i, x, y, width) {
+    const origin = algorithm.origins[i];
+    const rank = origin === null ? -1 : algorithm.ranks[origin];
+    if (rank === -1) return;
 
-    if (this.j >= this.n) {
-      if (this.minIndex !== this.i) {
-        [this.array[this.i], this.array[this.minIndex]] = [this.array[this.minIndex], this.array[this.i]];
-        this.stats.swaps++;
-        this.audio.swap();
-      }
+    const color = STABILITY_TAG_COLORS[rank % STABILITY_TAG_COLORS.length];
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(x, y, width, Math.min(4, y));
 
-      this.highlights[this.i] = this.colors.sorted;
-      this.i++;
-      this.minIndex = this.i;
-      this.j = this.i + 1;
-      return;
+    if (width >= 8) {
+      this.ctx.font = `bold ${Math.min(12, width + 2)}px Arial`;
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(String.fromCharCode(97 + rank % 26), x + width / 2, y - 4);
     }
+  }
 
-    this.highlights[this.minIndex] = this.colors.compare;
-    this.highlights[this.j] = this.colors.swap;
-
-    this.stats.comparisons++;
-    this.stats.accesses += 2;
+  drawStabilityVerdict(algorithm) {
+    const stability = algorithm.stability();
+    const sorted = algorithm.array.every((value, i) => i === 0 || algorithm.array[i - 1] <= value);
+    let text;
 
-    if (this.array[this.j] < this.array[this.minIndex]) {
-      this.minIndex = this.j;
+    if (!stability) {
+      text = 'Stability: unknown (elements were written without their origin)';
+    } else if (stability.duplicates === 0) {
+      text = 'Stability: no equal keys to compare — try Few Unique input';
+    } else if (algorithm.finished && sorted) {
+      text = stability.inversions === 0 ?
+        'Stable on this input: every group of equal keys kept its original order' :
+        `Not stable on this input: ${stability.inversions} pair(s) of equal keys changed order`;
+    } else {
+      text = `Equal-key pairs out of original order: ${stability.inversions}`;
     }
 
-    this.audio.compare();
-    this.j++;
+    this.ctx.fillStyle = stability && algorithm.finished && sorted && stability.inversions > 0 ?
+      this.colors.compare : this.colors.text;
+    this.ctx.font = 'bold 14px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(text, 10, 20);
   }
 }
 
-class InsertionSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.i = 1;
-    this.j = 1;
-    this.key = 0;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
+class SearchRenderer extends Renderer {
+  draw(algorithm) {
+    this.clear();
+    const { width, height } = this.canvas;
+    const { array, highlights } = algorithm;
+    const barWidth = width / array.length;
+    const maxValue = Math.max(1, ...array);
 
-    if (this.i >= this.array.length) {
-      this.finish();
-      return;
-    }
+    this.ctx.fillStyle = this.colors.compare;
+    this.ctx.font = 'bold 16px Arial';
+    this.ctx.textAlign = 'left';
+    const missing = array.includes(algorithm.target) ? '' : ' (not in array)';
+    this.ctx.fillText(`Target: ${algorithm.target}${missing}`, 10, 25);
 
-    if (this.j === this.i) {
-      this.key = this.array[this.i];
-      this.highlights[this.i] = this.colors.swap;
-    }
+    for (let i = 0; i < array.length; i++) {
+      const barHeight = (array[i] / maxValue) * (height - 40);
 
-    this.highlights[this.j] = this.colors.compare;
-    this.highlights[this.j - 1] = this.colors.compare;
+      let color = this.colors.primary;
+      if (algorithm.found && i === algorithm.foundIndex) {
+        color = this.colors.sorted;
+      } else if (highlights[i]) {
+        color = this.colorFor(highlights[i]);
+      }
 
-    this.stats.comparisons++;
-    this.stats.accesses += 2;
+      this.drawGradientBar(i * barWidth, height - barHeight, barWidth - 1, barHeight, color);
 
-    if (this.j > 0 && this.array[this.j - 1] > this.key) {
-      this.array[this.j] = this.array[this.j - 1];
-      this.stats.swaps++;
-      this.j--;
-      this.audio.swap();
-    } else {
-      this.array[this.j] = this.key;
-      this.highlights[this.j] = this.colors.sorted;
-      this.i++;
-      this.j = this.i;
-      this.audio.compare();
+      if (barWidth > 20) {
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(array[i], i * barWidth + barWidth/2, height - 5);
+      }
     }
   }
 }
 
-class ShellSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.n = this.array.length;
-    this.gap = Math.floor(this.n / 2);
-    this.i = this.gap;
-    this.temp = 0;
-    this.j = 0;
-  }
+class StackRenderer extends Renderer {
+  draw(algorithm) {
+    this.clear();
+    const { width, height } = this.canvas;
+    const { stack, highlights } = algorithm;
+    const elementHeight = 30;
+    const elementWidth = 80;
+    const startX = width / 2 - elementWidth / 2;
+    const startY = height - 50;
 
-  step() {
-    if (this.isComplete) return;
+    // Draw stack base
+    this.ctx.fillStyle = this.colors.primary;
+    this.ctx.fillRect(startX - 10, startY, elementWidth + 20, 5);
 
-    this.stats.steps++;
+    // Draw stack elements
+    for (let i = 0; i < stack.length; i++) {
+      const y = startY - (i + 1) * elementHeight;
+      let color = this.colorFor(highlights[i], this.colors.secondary);
 
-    if (this.gap === 0) {
-      this.finish();
-      return;
-    }
+      this.drawGradientBar(startX, y, elementWidth, elementHeight - 2, color);
 
-    if (this.i >= this.n) {
-      this.gap = Math.floor(this.gap / 2);
-      this.i = this.gap;
-      return;
+      // Draw value text
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = 'bold 14px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(stack[i], startX + elementWidth/2, y + elementHeight/2 + 5);
     }
 
-    this.temp = this.array[this.i];
-    this.j = this.i;
-
-    this.highlights[this.i] = this.colors.current;
-
-    while (this.j >= this.gap && this.array[this.j - this.gap] > this.temp) {
-      this.highlights[this.j] = this.colors.compare;
-      this.highlights[this.j - this.gap] = this.colors.compare;
+    this.drawNextOperation(algorithm);
+  }
 
-      this.array[this.j] = this.array[this.j - this.gap];
-      this.stats.comparisons++;
-      this.stats.accesses += 2;
-      this.stats.swaps++;
-      this.j -= this.gap;
-      this.audio.swap();
+  drawNextOperation(algorithm) {
+    if (algorithm.currentOp < algorithm.operations.length) {
+      const op = algorithm.operations[algorithm.currentOp];
+      this.ctx.fillStyle = this.colors.swap;
+      this.ctx.font = 'bold 16px Arial';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(`Next: ${op.type.toUpperCase()}${op.value ? ` ${op.value}` : ''}`, 10, 25);
     }
-
-    this.array[this.j] = this.temp;
-    this.highlights[this.j] = this.colors.sorted;
-    this.i++;
-    this.audio.compare();
   }
 }
 
-class QuickSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.stack = [{low: 0, high: this.array.length - 1}];
-    this.currentPivot = -1;
-  }
+class QueueRenderer extends StackRenderer {
+  draw(algorithm) {
+    this.clear();
+    const { width, height } = this.canvas;
+    const { queue, highlights } = algorithm;
+    const elementWidth = 60;
+    const elementHeight = 40;
+    const startY = height / 2 - elementHeight / 2;
+    const spacing = 5;
+    const totalWidth = queue.length * (elementWidth + spacing);
+    const startX = Math.max(10, (width - totalWidth) / 2);
+
+    // Draw queue elements
+    for (let i = 0; i < queue.length; i++) {
+      const x = startX + i * (elementWidth + spacing);
+      let color = this.colorFor(highlights[i], this.colors.secondary);
 
-  step() {
-    if (this.isComplete) return;
+      if (i === 0) color = this.colors.compare; // Front
+      if (i === queue.length - 1) color = this.colors.current; // Rear
 
-    this.stats.steps++;
+      this.drawGradientBar(x, startY, elementWidth, elementHeight, color);
 
-    if (this.stack.length === 0) {
-      this.finish();
-      return;
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = 'bold 14px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(queue[i], x + elementWidth/2, startY + elementHeight/2 + 5);
     }
 
-    const {low, high} = this.stack.pop();
-
-    if (low < high) {
-      const pivotIndex = this.partition(low, high);
-      this.stack.push({low: low, high: pivotIndex - 1});
-      this.stack.push({low: pivotIndex + 1, high: high});
-      this.highlights[pivotIndex] = this.colors.sorted;
-      this.audio.swap();
+    // Draw front/rear labels
+    if (queue.length > 0) {
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('FRONT', startX + elementWidth/2, startY - 10);
+      if (queue.length > 1) {
+        const rearX = startX + (queue.length - 1) * (elementWidth + spacing);
+        this.ctx.fillText('REAR', rearX + elementWidth/2, startY - 10);
+      }
     }
+
+    this.drawNextOperation(algorithm);
   }
+}
 
-  partition(low, high) {
-    const pivot = this.array[high];
-    this.highlights[high] = this.colors.current;
-    let i = low - 1;
+class PathfindingRenderer extends Renderer {
+  draw(algorithm) {
+    this.clear();
+    const { width, height } = this.canvas;
+    const { grid, gridSize, highlights } = algorithm;
+    const cellSize = Math.min(width / gridSize, height / gridSize);
+
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        const cell = grid[y][x];
+        const pixelX = x * cellSize;
+        const pixelY = y * cellSize;
+        const role = highlights[algorithm.cellIndex(cell)];
 
-    for (let j = low; j < high; j++) {
-      this.stats.comparisons++;
-      this.stats.accesses += 2;
-      this.highlights[j] = this.colors.swap;
+        let color = '#2a2a2a';
+        if (cell.isWall) color = '#666';
+        if (cell.isFrontier) color = this.colors.secondary;
+        if (cell.isVisited) color = this.colors.sorted;
+        if (role) color = this.colorFor(role);
+        if (cell.isPath) color = this.colors.swap;
+        if (cell === algorithm.start) color = '#4CAF50';
+        if (cell === algorithm.goal) color = '#F44336';
 
-      if (this.array[j] < pivot) {
-        i++;
-        [this.array[i], this.array[j]] = [this.array[j], this.array[i]];
-        this.stats.swaps++;
-        this.highlights[i] = this.colors.secondary;
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(pixelX, pixelY, cellSize - 1, cellSize - 1);
       }
     }
-
-    [this.array[i + 1], this.array[high]] = [this.array[high], this.array[i + 1]];
-    this.stats.swaps++;
-    return i + 1;
   }
 }
 
-class MergeSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.stack = [{left: 0, right: this.array.length - 1, phase: 'divide'}];
-    this.mergeStack = [];
-  }
+// Counting and radix sort explain themselves below the bars: what the
+// current phase does, then the count histogram or the ten digit buckets
+const COUNTING_VIEW = { share: 0.4, maxHeight: 260, header: 36, outputRow: 24 };
 
-  step() {
-    if (this.isComplete) return;
+const COUNTING_PHASES = {
+  count: 'Counting how often each value occurs',
+  place: 'Prefix sums turned the counts into positions; placing from the back keeps equal values in order',
+  collect: 'Copying the output back into the array'
+};
 
-    this.stats.steps++;
+const RADIX_PHASES = {
+  count: 'counting how many elements have each digit',
+  place: 'dropping each element, from the back, into the bucket for its digit',
+  collect: 'collecting the buckets in order, 0 to 9'
+};
 
-    if (this.stack.length === 0 && this.mergeStack.length === 0) {
-      this.finish();
-      return;
+const DIGIT_NAMES = { 1: 'ones', 10: 'tens', 100: 'hundreds' };
+
+class CountingSortRenderer extends SortingRenderer {
+  auxiliaryHeight() {
+    return Math.min(COUNTING_VIEW.maxHeight, Math.round(this.canvas.height * COUNTING_VIEW.share));
+  }
+
+  drawAuxiliary(algorithm, y, height) {
+    const { header, outputRow } = COUNTING_VIEW;
+    const { count, output } = algorithm.buffers;
+    const phase = algorithm.phase ? algorithm.phase.name : null;
+    const focus = this.focusIndex(algorithm);
+    const value = focus === null ? null : algorithm.array[focus];
+
+    this.drawPanel(y, height, phase ? COUNTING_PHASES[phase] : 'The count array fills up here once the sort starts', algorithm);
+
+    const histogramTop = y + header;
+    const histogramHeight = height - header - outputRow - 8;
+    if (count) {
+      // During placement count[v] is where the next v goes, so that slot lights up
+      const barWidth = this.canvas.width / count.length;
+      const largest = Math.max(1, ...count);
+      count.forEach((n, v) => {
+        const barHeight = (n / largest) * (histogramHeight - 12);
+        this.ctx.fillStyle = v === value && phase !== 'collect' ? this.colors.current : this.colors.secondary;
+        this.ctx.fillRect(v * barWidth, histogramTop + histogramHeight - barHeight, Math.max(1, barWidth - 1), barHeight);
+
+        if (barWidth >= 16 && n > 0) {
+          this.ctx.fillStyle = this.colors.text;
+          this.ctx.font = '10px Arial';
+          this.ctx.textAlign = 'center';
+          this.ctx.fillText(n, v * barWidth + barWidth / 2, histogramTop + histogramHeight - barHeight - 2);
+        }
+      });
+    } else if (phase === 'collect') {
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('The count array is no longer needed', this.canvas.width / 2, histogramTop + histogramHeight / 2);
     }
 
-    if (this.mergeStack.length > 0) {
-      this.performMergeStep();
-    } else if (this.stack.length > 0) {
-      this.performDivideStep();
+    if (output) {
+      const slot = phase === 'place' && count && value !== null ? count[value] : null;
+      this.drawCells(output, y + height - outputRow - 4, outputRow, Math.max(1, ...algorithm.array), slot);
     }
   }
 
-  performDivideStep() {
-    const {left, right, phase} = this.stack.pop();
-
-    if (left < right) {
-      const mid = Math.floor((left + right) / 2);
-
-      if (phase === 'divide') {
-        this.stack.push({left, right, phase: 'merge'});
-        this.stack.push({left: mid + 1, right, phase: 'divide'});
-        this.stack.push({left, right: mid, phase: 'divide'});
-      } else if (phase === 'merge') {
-        this.mergeStack.push({left, mid, right});
-      }
-    }
+  // Background, phase description and memory use
+  drawPanel(y, height, description, algorithm) {
+    this.ctx.fillStyle = '#1a1a1a';
+    this.ctx.fillRect(0, y, this.canvas.width, height);
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.textAlign = 'left';
+    this.ctx.font = 'bold 12px Arial';
+    this.ctx.fillText(description, 10, y + 14);
+    this.ctx.font = '11px Arial';
+    this.ctx.fillText(this.memoryText(algorithm), 10, y + 29);
   }
 
-  performMergeStep() {
-    const {left, mid, right} = this.mergeStack.pop();
+  // A buffer as a row of small bars; empty cells stay dark
+  drawCells(cells, y, height, largest, focus) {
+    const cellWidth = this.canvas.width / Math.max(1, cells.length);
+    const gap = cellWidth > 3 ? 1 : 0;
 
-    for (let i = left; i <= right; i++) {
-      this.highlights[i] = i <= mid ? this.colors.compare : this.colors.swap;
-    }
+    cells.forEach((value, i) => {
+      this.ctx.fillStyle = '#2a2a2a';
+      this.ctx.fillRect(i * cellWidth, y, cellWidth - gap, height);
+      if (value === null) return;
 
-    const leftArray = this.array.slice(left, mid + 1);
-    const rightArray = this.array.slice(mid + 1, right + 1);
+      const cellHeight = (value / largest) * height;
+      this.ctx.fillStyle = i === focus ? this.colors.current : this.colors.sorted;
+      this.ctx.fillRect(i * cellWidth, y + height - cellHeight, cellWidth - gap, cellHeight);
+    });
+  }
+}
 
-    let i = 0, j = 0, k = left;
+class RadixSortRenderer extends CountingSortRenderer {
+  drawAuxiliary(algorithm, y, height) {
+    const { header } = COUNTING_VIEW;
+    const { count, output } = algorithm.buffers;
+    const phase = algorithm.phase ? algorithm.phase.name : null;
+    const exp = algorithm.phase ? algorithm.phase.detail : 1;
+    const digit = value => Math.floor(value / exp) % 10;
+    const focus = this.focusIndex(algorithm);
+    const focusDigit = focus === null || !phase ? null : digit(algorithm.array[focus]);
+
+    const description = phase ?
+      `${DIGIT_NAMES[exp] ? `${DIGIT_NAMES[exp][0].toUpperCase()}${DIGIT_NAMES[exp].slice(1)} digit` : `Digit ×${exp}`}: ${RADIX_PHASES[phase]}` :
+      'The ten digit buckets fill up here once the sort starts';
+    this.drawPanel(y, height, description, algorithm);
+
+    // The output is laid out bucket by bucket, so its filled cells grouped
+    // by digit are the buckets' contents in order
+    const buckets = Array.from({ length: 10 }, () => []);
+    if (output) {
+      output.forEach(value => { if (value !== null) buckets[digit(value)].push(value); });
+    }
+
+    const columnWidth = this.canvas.width / 10;
+    const labelHeight = 16;
+    const top = y + header;
+    const bottom = y + height - labelHeight;
+    const largest = Math.max(1, ...algorithm.array);
+    const itemHeight = Math.min(16, (bottom - top - 14) / Math.max(1, ...buckets.map(bucket => bucket.length)));
+
+    buckets.forEach((bucket, d) => {
+      const x = d * columnWidth;
+      const highlighted = d === focusDigit;
+
+      this.ctx.strokeStyle = highlighted ? this.colorFor(phase === 'collect' ? 'swap' : 'current') : '#444';
+      this.ctx.lineWidth = highlighted ? 2 : 1;
+      this.ctx.strokeRect(x + 3, top, columnWidth - 6, bottom - top);
+
+      // Bucket contents stack upwards, the first element at the bottom
+      bucket.forEach((value, k) => {
+        const itemY = bottom - (k + 1) * itemHeight;
+        this.ctx.fillStyle = this.colors.sorted;
+        this.ctx.fillRect(x + 6, itemY, Math.max(1, (columnWidth - 12) * value / largest), Math.max(1, itemHeight - 1));
+        if (itemHeight >= 12 && columnWidth >= 40) {
+          this.ctx.fillStyle = this.colors.background;
+          this.ctx.font = '10px Arial';
+          this.ctx.textAlign = 'left';
+          this.ctx.fillText(value, x + 8, itemY + itemHeight - 3);
+        }
+      });
 
-    while (i < leftArray.length && j < rightArray.length) {
-      this.stats.comparisons++;
-      this.stats.accesses += 2;
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(d, x + columnWidth / 2, y + height - 3);
 
-      if (leftArray[i] <= rightArray[j]) {
-        this.array[k] = leftArray[i];
-        i++;
-      } else {
-        this.array[k] = rightArray[j];
-        j++;
+      // While counting, the buckets are still empty: show the tallies
+      if (phase === 'count' && count) {
+        this.ctx.font = '11px Arial';
+        this.ctx.fillText(`×${count[d]}`, x + columnWidth / 2, bottom - 4);
       }
-      this.highlights[k] = this.colors.sorted;
-      k++;
-    }
+    });
+    this.ctx.lineWidth = 1;
+  }
+}
 
-    while (i < leftArray.length) {
-      this.array[k] = leftArray[i];
-      this.highlights[k] = this.colors.sorted;
-      i++;
-      k++;
-    }
+// Heap sort draws the heap as a binary tree above the bars. Node i has
+// children 2i + 1 and 2i + 2; the heap is the first phase.detail elements,
+// the rest is the sorted suffix.
+const HEAP_TREE = { share: 0.45, maxRadius: 14 };
 
-    while (j < rightArray.length) {
-      this.array[k] = rightArray[j];
-      this.highlights[k] = this.colors.sorted;
-      j++;
-      k++;
-    }
+class HeapSortRenderer extends SortingRenderer {
+  overlayHeight() {
+    return Math.round(this.canvas.height * HEAP_TREE.share);
+  }
 
-    this.audio.swap();
+  heapSize(algorithm) {
+    return algorithm.phase ? algorithm.phase.detail : algorithm.array.length;
   }
-}
 
-class HeapSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.n = this.array.length;
-    this.phase = 'build';
-    this.i = Math.floor(this.n / 2) - 1;
+  // The sorted suffix stays colored between the steps that mark it
+  barRole(algorithm, i) {
+    return algorithm.highlights[i] || (i >= this.heapSize(algorithm) ? 'sorted' : undefined);
   }
 
-  step() {
-    if (this.isComplete) return;
+  draw(algorithm) {
+    super.draw(algorithm);
 
-    this.stats.steps++;
+    const top = this.barsTop();
+    this.drawTree(algorithm, top, this.overlayHeight(algorithm));
+    this.drawHeapBoundary(algorithm, top + this.overlayHeight(algorithm));
+  }
 
-    if (this.phase === 'build') {
-      if (this.i >= 0) {
-        this.heapify(this.n, this.i);
-        this.i--;
-      } else {
-        this.phase = 'sort';
-        this.i = this.n - 1;
+  nodePosition(i, top, height, levels) {
+    const level = Math.floor(Math.log2(i + 1));
+    const first = 2 ** level - 1;
+    const levelHeight = height / levels;
+    return {
+      x: (i - first + 0.5) * this.canvas.width / 2 ** level,
+      y: top + (level + 0.5) * levelHeight
+    };
+  }
+
+  drawTree(algorithm, top, height) {
+    const { array, highlights } = algorithm;
+    const n = array.length;
+    if (n === 0) return;
+
+    const heapSize = this.heapSize(algorithm);
+    const levels = Math.floor(Math.log2(n)) + 1;
+    const radius = Math.max(1.5, Math.min(HEAP_TREE.maxRadius,
+      this.canvas.width / 2 ** levels / 2 - 1, height / levels / 2 - 2));
+    const position = i => this.nodePosition(i, top, height, levels);
+
+    // Edges first, so nodes cover their ends. An edge whose ends are both
+    // highlighted is the comparison or swap this step performs.
+    for (let i = 1; i < n; i++) {
+      const parent = Math.floor((i - 1) / 2);
+      const from = position(parent);
+      const to = position(i);
+      const active = highlights[i] && highlights[i] === highlights[parent];
+
+      this.ctx.save();
+      this.ctx.strokeStyle = active ? this.colorFor(highlights[i]) : '#555';
+      this.ctx.lineWidth = active ? 3 : 1;
+      if (i >= heapSize) {
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.setLineDash([4, 4]);
       }
-    } else if (this.phase === 'sort') {
-      if (this.i > 0) {
-        [this.array[0], this.array[this.i]] = [this.array[this.i], this.array[0]];
-        this.stats.swaps++;
-        this.highlights[this.i] = this.colors.sorted;
-        this.heapify(this.i, 0);
-        this.i--;
-        this.audio.swap();
-      } else {
-        this.highlights[0] = this.colors.sorted;
-        this.finish();
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x, from.y);
+      this.ctx.lineTo(to.x, to.y);
+      this.ctx.stroke();
+      this.ctx.restore();
+    }
+
+    for (let i = 0; i < n; i++) {
+      const { x, y } = position(i);
+      const role = highlights[i] || (i >= heapSize ? 'sorted' : undefined);
+
+      this.ctx.save();
+      if (i >= heapSize && !highlights[i]) this.ctx.globalAlpha = 0.45;
+      this.ctx.fillStyle = this.colorFor(role);
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      this.ctx.fill();
+
+      if (radius >= 8) {
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.font = `bold ${Math.round(radius)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(array[i], x, y + radius / 3);
       }
+      this.ctx.restore();
     }
   }
 
-  heapify(n, i) {
-    let largest = i;
-    let left = 2 * i + 1;
-    let right = 2 * i + 2;
-
-    this.highlights[i] = this.colors.compare;
-    if (left < n) this.highlights[left] = this.colors.swap;
-    if (right < n) this.highlights[right] = this.colors.swap;
-
-    if (left < n) {
-      this.stats.comparisons++;
-      this.stats.accesses += 2;
-      if (this.array[left] > this.array[largest]) {
-        largest = left;
-      }
-    }
+  // A dashed line between the heap and the sorted suffix in the bar view
+  drawHeapBoundary(algorithm, top) {
+    const heapSize = this.heapSize(algorithm);
+    const { length } = algorithm.array;
+    if (heapSize <= 0 || heapSize >= length) return;
 
-    if (right < n) {
-      this.stats.comparisons++;
-      this.stats.accesses += 2;
-      if (this.array[right] > this.array[largest]) {
-        largest = right;
-      }
-    }
+    const x = heapSize * this.canvas.width / length - 0.5;
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.text;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, top);
+    this.ctx.lineTo(x, this.canvas.height);
+    this.ctx.stroke();
 
-    if (largest !== i) {
-      [this.array[i], this.array[largest]] = [this.array[largest], this.array[i]];
-      this.stats.swaps++;
-      this.highlights[largest] = this.colors.current;
-    }
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.font = '11px Arial';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('heap', x - 4, top + 12);
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('sorted', x + 4, top + 12);
+    this.ctx.restore();
   }
 }
 
-class CountingSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.max = Math.max(...this.array);
-    this.count = new Array(this.max + 1).fill(0);
-    this.output = new Array(this.array.length);
-    this.phase = 'count';
-    this.i = 0;
-  }
+// Hybrid sorts tint the range their current strategy works on in that
+// strategy's color, with a bracket and a label above the bars; highlights
+// of the step itself still win over the tint
+const HYBRID_PHASES = {
+  run: { label: 'Finding the next run', color: '#45b7d1' },
+  insertion: { label: 'Insertion sort', color: '#a29bfe' },
+  'partial-insertion': { label: 'Partial insertion sort (gives up after 8 moves)', color: '#c8b6ff' },
+  merge: { label: 'Merging two runs', color: '#1dd1a1' },
+  gallop: { label: 'Galloping', color: '#ff9ff3' },
+  partition: { label: 'Partitioning', color: '#54a0ff' },
+  equal: { label: 'Partitioning out keys equal to the previous pivot', color: '#48dbfb' },
+  'break-patterns': { label: 'Bad partition: breaking up patterns', color: '#ff9f43' },
+  heapsort: { label: 'Heapsort fallback', color: '#c56cf0' }
+};
 
-  step() {
-    if (this.isComplete) return;
+const HYBRID_HEADER = 22;
 
-    this.stats.steps++;
+class HybridSortRenderer extends SortingRenderer {
+  constructor(canvas, options) {
+    super(canvas, options);
+    this.colors.gallop = HYBRID_PHASES.gallop.color;
+  }
 
-    if (this.phase === 'count') {
-      if (this.i < this.array.length) {
-        this.count[this.array[this.i]]++;
-        this.highlights[this.i] = this.colors.current;
-        this.stats.accesses++;
-        this.i++;
-        this.audio.access();
-      } else {
-        this.phase = 'cumulative';
-        this.i = 1;
-      }
-    } else if (this.phase === 'cumulative') {
-      if (this.i <= this.max) {
-        this.count[this.i] += this.count[this.i - 1];
-        this.i++;
-      } else {
-        this.phase = 'output';
-        this.i = this.array.length - 1;
-      }
-    } else if (this.phase === 'output') {
-      if (this.i >= 0) {
-        this.output[this.count[this.array[this.i]] - 1] = this.array[this.i];
-        this.count[this.array[this.i]]--;
-        this.highlights[this.i] = this.colors.swap;
-        this.stats.accesses++;
-        this.i--;
-        this.audio.swap();
-      } else {
-        this.array = [...this.output];
-        this.highlights = {};
-        for (let j = 0; j < this.array.length; j++) {
-          this.highlights[j] = this.colors.sorted;
-        }
-        this.finish();
-      }
-    }
+  overlayHeight() {
+    return HYBRID_HEADER;
   }
-}
 
-class RadixSort extends SortingAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.max = Math.max(...this.array);
-    this.exp = 1;
-    this.phase = 'sort';
+  // The phase and its range, or null before the first phase
+  activePhase(algorithm) {
+    const { phase } = algorithm;
+    return phase && HYBRID_PHASES[phase.name] && !algorithm.finished ?
+      { ...HYBRID_PHASES[phase.name], ...phase.detail } : null;
   }
 
-  step() {
-    if (this.isComplete) return;
+  barRole(algorithm, i) {
+    const phase = this.activePhase(algorithm);
+    const inRange = phase && i >= phase.low && i <= phase.high;
+    return algorithm.highlights[i] || (inRange ? phase.color : undefined);
+  }
 
-    this.stats.steps++;
+  draw(algorithm) {
+    super.draw(algorithm);
 
-    if (Math.floor(this.max / this.exp) > 0) {
-      this.countingSortByDigit();
-      this.exp *= 10;
-      this.audio.swap();
-    } else {
-      for (let i = 0; i < this.array.length; i++) {
-        this.highlights[i] = this.colors.sorted;
-      }
-      this.finish();
-    }
+    const phase = this.activePhase(algorithm);
+    if (phase) this.drawPhaseHeader(algorithm, phase, this.barsTop());
   }
 
-  countingSortByDigit() {
-    const output = new Array(this.array.length);
-    const count = new Array(10).fill(0);
+  // The label, right-aligned so it clears the stability verdict, over a
+  // bracket spanning the range
+  drawPhaseHeader(algorithm, phase, top) {
+    const barWidth = this.canvas.width / algorithm.array.length;
+    const left = phase.low * barWidth;
+    const right = (phase.high + 1) * barWidth - 1;
 
-    for (let i = 0; i < this.array.length; i++) {
-      count[Math.floor(this.array[i] / this.exp) % 10]++;
-      this.highlights[i] = this.colors.current;
-      this.stats.accesses++;
-    }
+    this.ctx.fillStyle = phase.color;
+    this.ctx.font = 'bold 12px Arial';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(`${phase.label}: [${phase.low}..${phase.high}]`, this.canvas.width - 10, top + 10);
 
-    for (let i = 1; i < 10; i++) {
-      count[i] += count[i - 1];
-    }
+    this.ctx.strokeStyle = phase.color;
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(left, top + HYBRID_HEADER - 2);
+    this.ctx.lineTo(left, top + 15);
+    this.ctx.lineTo(right, top + 15);
+    this.ctx.lineTo(right, top + HYBRID_HEADER - 2);
+    this.ctx.stroke();
+    this.ctx.lineWidth = 1;
+  }
+}
 
-    for (let i = this.array.length - 1; i >= 0; i--) {
-      output[count[Math.floor(this.array[i] / this.exp) % 10] - 1] = this.array[i];
-      count[Math.floor(this.array[i] / this.exp) % 10]--;
-      this.highlights[i] = this.colors.swap;
-      this.stats.swaps++;
-    }
+// Quick sorts label their pointers under the bars and draw the recursion
+// stack below them: the range being partitioned on top, then the pending
+// ranges in the order they will be popped, each spanning its bars
+const QUICK_VIEW = { header: 22, pointerRow: 18, maxRow: 12, dimmed: '#2c3440' };
+
+const POINTER_COLORS = {
+  i: '#ff9ff3', j: '#feca57', k: '#48dbfb', lt: '#1dd1a1', gt: '#ff6b6b', pivot: '#a29bfe'
+};
 
-    this.array = [...output];
+class QuickSortRenderer extends SortingRenderer {
+  overlayHeight() {
+    return QUICK_VIEW.header;
   }
-}
 
-// SEARCH ALGORITHMS
-class SearchAlgorithm extends Algorithm {
-  constructor(canvas, audioEngine, name) {
-    super(canvas, audioEngine, name);
-    this.array = [];
-    this.target = 0;
-    this.found = false;
-    this.foundIndex = -1;
-    this.stats = { comparisons: 0, accesses: 0, steps: 0 };
+  // The phase detail, or null before the first partition and once sorted
+  activePhase(algorithm) {
+    return algorithm.phase && !algorithm.finished ? algorithm.phase : null;
   }
 
-  init(seed, size) {
-    const rng = new SeededRNG(seed);
-    this.array = Array.from({ length: size }, (_, i) => i + 1);
+  // Bars outside the range being worked on step back
+  barRole(algorithm, i) {
+    const phase = this.activePhase(algorithm);
+    const outside = phase && (i < phase.detail.low || i > phase.detail.high);
+    return algorithm.highlights[i] || (outside ? QUICK_VIEW.dimmed : undefined);
+  }
 
-    if (this.name !== 'Binary Search' && this.name !== 'Interpolation Search') {
-      this.array = rng.shuffle(this.array);
-    }
+  // The pointer row, then a strip the size of the usual memory strip
+  auxiliaryHeight() {
+    return QUICK_VIEW.pointerRow + Math.min(MEMORY_STRIP.maxHeight, Math.round(this.canvas.height * MEMORY_STRIP.share));
+  }
+
+  draw(algorithm) {
+    super.draw(algorithm);
 
-    this.target = this.array[rng.int(0, this.array.length - 1)];
-    this.found = false;
-    this.foundIndex = -1;
-    this.isComplete = false;
-    this.stats = { comparisons: 0, accesses: 0, steps: 0 };
-    this.highlights = {};
+    const phase = this.activePhase(algorithm);
+    if (phase) this.drawRangeHeader(algorithm, phase, this.barsTop());
   }
 
-  draw() {
-    this.clear();
-    const { width, height } = this.canvas;
-    const barWidth = width / this.array.length;
-    const maxValue = Math.max(...this.array);
+  drawAuxiliary(algorithm, y, height) {
+    const phase = this.activePhase(algorithm);
+    if (phase) this.drawPointers(algorithm, phase.detail, y);
+    this.drawStack(algorithm, phase, y + QUICK_VIEW.pointerRow, height - QUICK_VIEW.pointerRow);
+  }
 
-    this.ctx.fillStyle = this.colors.compare;
-    this.ctx.font = 'bold 16px Arial';
-    this.ctx.fillText(`Target: ${this.target}`, 10, 25);
+  // What the step is doing to which range, right-aligned so it clears the
+  // stability verdict
+  drawRangeHeader(algorithm, { name, detail }, top) {
+    const range = `[${detail.low}..${detail.high}]`;
+    const text = name === 'pivot' ?
+      `Choosing the pivot of ${range}: ${PIVOT_STRATEGIES[algorithm.pivot].name}` :
+      `Partitioning ${range} around ${detail.pivots.join(' and ')}`;
 
-    for (let i = 0; i < this.array.length; i++) {
-      const barHeight = (this.array[i] / maxValue) * (height - 40);
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.font = 'bold 12px Arial';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(text, this.canvas.width - 10, top + 12);
+  }
 
-      let color = this.colors.primary;
-      if (this.found && i === this.foundIndex) {
-        color = this.colors.sorted;
-      } else if (this.highlights[i]) {
-        color = this.highlights[i];
-      }
+  // A caret under each pointer inside the range with its name; pointers
+  // on the same element share a label
+  drawPointers(algorithm, { low, high, pointers }, y) {
+    const barWidth = this.canvas.width / algorithm.array.length;
+    const names = {};
+    Object.entries(pointers).forEach(([name, index]) => {
+      if (index >= low && index <= high) (names[index] = names[index] || []).push(name);
+    });
 
-      this.drawGradientBar(i * barWidth, height - barHeight, barWidth - 1, barHeight, color);
+    this.ctx.font = 'bold 11px Arial';
+    this.ctx.textAlign = 'center';
+    Object.entries(names).forEach(([index, list]) => {
+      const x = (Number(index) + 0.5) * barWidth;
+      this.ctx.fillStyle = POINTER_COLORS[list[0]] || this.colors.text;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y + 1);
+      this.ctx.lineTo(x - 4, y + 6);
+      this.ctx.lineTo(x + 4, y + 6);
+      this.ctx.fill();
+      this.ctx.fillText(list.join(','), x, y + QUICK_VIEW.pointerRow - 1);
+    });
+  }
 
-      if (barWidth > 20) {
+  drawStack(algorithm, phase, y, height) {
+    const { width } = this.canvas;
+    const barWidth = width / algorithm.array.length;
+    const pending = phase ? [...phase.detail.stack].reverse() : [];
+    const rows = phase ? [{ ...phase.detail, current: true }, ...pending] : [];
+    const count = pending.length;
+
+    this.ctx.fillStyle = '#1a1a1a';
+    this.ctx.fillRect(0, y, width, height);
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(`Recursion stack: ${count} pending ${count === 1 ? 'range' : 'ranges'} ` +
+      `(peak ${algorithm.peakMemory})`, 10, y + 13);
+
+    const top = y + MEMORY_STRIP.header;
+    const rowHeight = Math.min(QUICK_VIEW.maxRow, (height - MEMORY_STRIP.header) / Math.max(1, rows.length));
+    const shown = rowHeight >= 3 ? rows : rows.slice(0, Math.floor((height - MEMORY_STRIP.header) / 3));
+    const step = Math.max(rowHeight, 3);
+
+    shown.forEach(({ low, high, current }, row) => {
+      if (low > high) return;
+      const x = low * barWidth;
+      const rowTop = top + row * step;
+      this.ctx.fillStyle = current ? this.colors.current : this.colors.secondary;
+      this.ctx.fillRect(x, rowTop + 1, (high - low + 1) * barWidth - 1, step - 2);
+
+      if (step >= 10) {
         this.ctx.fillStyle = this.colors.text;
         this.ctx.font = '10px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(this.array[i], i * barWidth + barWidth/2, height - 5);
+        this.ctx.textAlign = 'left';
+        const label = `[${low}..${high}]`;
+        const right = (high + 1) * barWidth + 4;
+        this.ctx.fillText(label, right + 40 < width ? right : Math.max(0, x - 44), rowTop + step - 2);
       }
-    }
+    });
 
-    this.highlights = {};
+    if (shown.length < rows.length) {
+      this.ctx.fillStyle = this.colors.text;
+      this.ctx.font = '11px Arial';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(`+${rows.length - shown.length} more`, width - 10, y + 13);
+    }
   }
 }
 
-class LinearSearch extends SearchAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.currentIndex = 0;
+// Sorting networks draw their comparators left of the bars: one
+// horizontal wire per index and one vertical comparator per pair,
+// grouped by stage. Comparators of a stage share a column when their
+// spans do not overlap. Comparators already run are dimmed, the current
+// one takes the step's color and its stage is shaded.
+const NETWORK_VIEW = { share: 0.6, header: 22, margin: 10, labelWidth: 26, maxColumn: 18 };
+
+class NetworkSortRenderer extends SortingRenderer {
+  barsLeft() {
+    return Math.round(this.canvas.width * NETWORK_VIEW.share);
+  }
+
+  draw(algorithm) {
+    super.draw(algorithm);
+    if (algorithm.array.length > 0) this.drawNetwork(algorithm, this.barsTop(), this.barsLeft(algorithm));
+  }
+
+  // The column of every comparator, counted across stages with one empty
+  // column between stages. The stages of an algorithm never change, so the
+  // layout is kept until another algorithm is drawn.
+  layout(stages) {
+    if (this.cachedLayout && this.cachedLayout.stages === stages) return this.cachedLayout;
+
+    const columns = [];
+    let next = 0;
+    stages.forEach(stage => {
+      const spans = [];
+      columns.push(stage.map(([i, j]) => {
+        let column = spans.findIndex(used => used.every(([a, b]) => j < a || i > b));
+        if (column === -1) column = spans.push([]) - 1;
+        spans[column].push([i, j]);
+        return next + column;
+      }));
+      next += spans.length + 1;
+    });
+
+    this.cachedLayout = { stages, columns, count: Math.max(0, next - 1) };
+    return this.cachedLayout;
+  }
+
+  drawNetwork(algorithm, top, width) {
+    const { array, highlights, stages } = algorithm;
+    const { header, margin, labelWidth } = NETWORK_VIEW;
+    const { columns, count } = this.layout(stages);
+    const spacing = (this.canvas.height - top - header) / array.length;
+    const wireY = i => top + header + (i + 0.5) * spacing;
+    const columnWidth = Math.min(NETWORK_VIEW.maxColumn, (width - labelWidth - 2 * margin) / (count + 1));
+    const columnX = column => margin + labelWidth + (column + 1) * columnWidth;
+    const right = columnX(count);
+    const current = !algorithm.finished && algorithm.phase ? algorithm.phase.detail : null;
+    const done = (s, c) => algorithm.finished ||
+      (current !== null && (s < current.stage || (s === current.stage && c < current.comparator)));
+
+    this.drawNetworkHeader(algorithm, current, top);
+
+    if (current) {
+      const stageColumns = columns[current.stage];
+      const from = columnX(Math.min(...stageColumns)) - columnWidth / 2;
+      const to = columnX(Math.max(...stageColumns)) + columnWidth / 2;
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      this.ctx.fillRect(from, top + header, to - from, array.length * spacing);
+    }
+
+    this.ctx.save();
+    array.forEach((value, i) => {
+      const y = wireY(i);
+      this.ctx.strokeStyle = this.colorFor(highlights[i], '#555');
+      this.ctx.lineWidth = highlights[i] ? 2 : 1;
+      this.ctx.beginPath();
+      this.ctx.moveTo(margin + labelWidth, y);
+      this.ctx.lineTo(right, y);
+      this.ctx.stroke();
+
+      if (spacing >= 12) {
+        this.ctx.fillStyle = this.colorFor(highlights[i], this.colors.text);
+        this.ctx.font = `${Math.min(11, Math.floor(spacing) - 2)}px Arial`;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(value, margin + labelWidth - 4, y + 4);
+      }
+    });
+
+    const radius = Math.max(1.5, Math.min(3, spacing / 3));
+    stages.forEach((stage, s) => stage.forEach(([i, j], c) => {
+      const active = current !== null && s === current.stage && c === current.comparator;
+      const x = columnX(columns[s][c]);
+
+      this.ctx.globalAlpha = done(s, c) ? 0.45 : 1;
+      this.ctx.strokeStyle = this.ctx.fillStyle = active ? this.colorFor(highlights[i], this.colors.compare) :
+        done(s, c) ? this.colors.sorted : '#888';
+      this.ctx.lineWidth = active ? 3 : 1.5;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, wireY(i));
+      this.ctx.lineTo(x, wireY(j));
+      this.ctx.stroke();
+      for (const y of [wireY(i), wireY(j)]) {
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, active ? radius + 1 : radius, 0, 2 * Math.PI);
+        this.ctx.fill();
+      }
+    }));
+    this.ctx.restore();
   }
 
-  step() {
-    if (this.isComplete) return;
+  // The current stage and how many of its comparators could run at once,
+  // or the network's size before the first and after the last step
+  drawNetworkHeader(algorithm, current, top) {
+    const { stages } = algorithm;
+    const comparators = stages.reduce((total, stage) => total + stage.length, 0);
+    const parallel = current ? stages[current.stage].length : 0;
 
-    this.stats.steps++;
+    this.ctx.fillStyle = this.colors.text;
+    this.ctx.font = 'bold 12px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(current ?
+      `Stage ${current.stage + 1} of ${stages.length}: ${parallel} ${parallel === 1 ? 'comparator' : 'comparators'} in parallel` :
+      `Depth ${stages.length}, ${comparators} ${comparators === 1 ? 'comparator' : 'comparators'}`,
+    NETWORK_VIEW.margin, top + 12);
+  }
+}
 
-    if (this.currentIndex >= this.array.length) {
-      this.finish();
-      return;
+// Model-to-renderer lookup, most specific model class first
+const RENDERERS = [
+  [QuickSort, QuickSortRenderer],
+  [HeapSort, HeapSortRenderer],
+  [CountingSort, CountingSortRenderer],
+  [RadixSort, RadixSortRenderer],
+  [HybridSort, HybridSortRenderer],
+  [NetworkSort, NetworkSortRenderer],
+  [StackVisualization, StackRenderer],
+  [QueueVisualization, QueueRenderer],
+  [PathfindingAlgorithm, PathfindingRenderer],
+  [SearchAlgorithm, SearchRenderer],
+  [SortingAlgorithm, SortingRenderer]
+];
+
+// Code Panel
+// Shows a code listing ({ code, lines }) and highlights the line behind the
+// algorithm's latest traced operation.
+class CodePanel {
+  constructor(element) {
+    this.element = element;
+    this.listing = null;
+    this.activeLine = null;
+  }
+
+  escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  show(listing) {
+    this.listing = listing;
+    this.activeLine = null;
+    this.element.innerHTML = listing ? listing.code.map((text, i) =>
+      `<div class="code-line" data-line="${i + 1}"><span class="code-line-number">${i + 1}</span><span class="code-line-text">${this.escape(text)}</span></div>`
+    ).join('') : '';
+  }
+
+  update(algorithm) {
+    const line = this.listing && algorithm ? algorithm.currentLine(this.listing) : null;
+    if (line === this.activeLine) return;
+
+    const previous = this.element.querySelector('.code-line.active');
+    if (previous) previous.classList.remove('active');
+    this.activeLine = line;
+    if (line === null) return;
+
+    const current = this.element.querySelector(`[data-line="${line}"]`);
+    current.classList.add('active');
+
+    // Keep the highlighted line in view without jumping when it already is
+    const { scrollTop, clientHeight } = this.element;
+    if (current.offsetTop < scrollTop || current.offsetTop + current.offsetHeight > scrollTop + clientHeight) {
+      this.element.scrollTop = current.offsetTop - clientHeight / 2;
     }
-
-    this.highlights[this.currentIndex] = this.colors.swap;
-    this.stats.accesses++;
-    this.stats.comparisons++;
-
-    if (this.array[this.currentIndex] === this.target) {
-      this.found = true;
-      this.foundIndex = this.currentIndex;
-      this.audio.found();
-      this.finish();
-      return;
-    }
-
-    this.audio.compare();
-    this.currentIndex++;
-  }
-}
-
-class BinarySearch extends SearchAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.array.sort((a, b) => a - b);
-    this.left = 0;
-    this.right = this.array.length - 1;
-    this.mid = -1;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.left > this.right) {
-      this.finish();
-      return;
-    }
-
-    this.mid = Math.floor((this.left + this.right) / 2);
-
-    this.highlights[this.left] = this.colors.current;
-    this.highlights[this.right] = this.colors.current;
-    this.highlights[this.mid] = this.colors.swap;
-
-    this.stats.accesses++;
-    this.stats.comparisons++;
-
-    if (this.array[this.mid] === this.target) {
-      this.found = true;
-      this.foundIndex = this.mid;
-      this.audio.found();
-      this.finish();
-      return;
-    }
-
-    if (this.array[this.mid] < this.target) {
-      this.left = this.mid + 1;
-    } else {
-      this.right = this.mid - 1;
-    }
-
-    this.audio.compare();
-  }
-}
-
-class JumpSearch extends SearchAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.array.sort((a, b) => a - b);
-    this.step_size = Math.floor(Math.sqrt(this.array.length));
-    this.prev = 0;
-    this.curr = 0;
-    this.phase = 'jump';
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.phase === 'jump') {
-      this.curr = Math.min(this.prev + this.step_size, this.array.length) - 1;
-
-      this.highlights[this.curr] = this.colors.swap;
-      this.stats.accesses++;
-      this.stats.comparisons++;
-
-      if (this.array[this.curr] < this.target) {
-        this.prev = this.curr + 1;
-        if (this.prev >= this.array.length) {
-          this.finish();
-          return;
-        }
-        this.audio.compare();
-      } else {
-        this.phase = 'linear';
-        this.curr = this.prev;
-      }
-    } else if (this.phase === 'linear') {
-      if (this.curr <= Math.min(this.prev + this.step_size - 1, this.array.length - 1)) {
-        this.highlights[this.curr] = this.colors.current;
-        this.stats.accesses++;
-        this.stats.comparisons++;
-
-        if (this.array[this.curr] === this.target) {
-          this.found = true;
-          this.foundIndex = this.curr;
-          this.audio.found();
-          this.finish();
-          return;
-        }
-
-        this.curr++;
-        this.audio.compare();
-      } else {
-        this.finish();
-      }
-    }
-  }
-}
-
-class InterpolationSearch extends SearchAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.array.sort((a, b) => a - b);
-    this.low = 0;
-    this.high = this.array.length - 1;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.low > this.high || this.target < this.array[this.low] || this.target > this.array[this.high]) {
-      this.finish();
-      return;
-    }
-
-    if (this.low === this.high) {
-      if (this.array[this.low] === this.target) {
-        this.found = true;
-        this.foundIndex = this.low;
-        this.audio.found();
-      }
-      this.finish();
-      return;
-    }
-
-    const pos = this.low + Math.floor(((this.target - this.array[this.low]) / (this.array[this.high] - this.array[this.low])) * (this.high - this.low));
-
-    this.highlights[this.low] = this.colors.current;
-    this.highlights[this.high] = this.colors.current;
-    this.highlights[pos] = this.colors.swap;
-
-    this.stats.accesses++;
-    this.stats.comparisons++;
-
-    if (this.array[pos] === this.target) {
-      this.found = true;
-      this.foundIndex = pos;
-      this.audio.found();
-      this.finish();
-      return;
-    }
-
-    if (this.array[pos] < this.target) {
-      this.low = pos + 1;
-    } else {
-      this.high = pos - 1;
-    }
-
-    this.audio.compare();
   }
 }
 
-class ExponentialSearch extends SearchAlgorithm {
-  init(seed, size) {
-    super.init(seed, size);
-    this.array.sort((a, b) => a - b);
-    this.phase = 'exponential';
-    this.bound = 1;
-    this.left = 0;
-    this.right = 0;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.phase === 'exponential') {
-      if (this.bound >= this.array.length || this.array[Math.min(this.bound, this.array.length - 1)] >= this.target) {
-        this.left = Math.floor(this.bound / 2);
-        this.right = Math.min(this.bound, this.array.length - 1);
-        this.phase = 'binary';
-        return;
-      }
-
-      this.highlights[Math.min(this.bound, this.array.length - 1)] = this.colors.swap;
-      this.stats.accesses++;
-      this.stats.comparisons++;
-
-      this.bound *= 2;
-      this.audio.compare();
-    } else if (this.phase === 'binary') {
-      if (this.left > this.right) {
-        this.finish();
-        return;
-      }
-
-      const mid = Math.floor((this.left + this.right) / 2);
-
-      this.highlights[this.left] = this.colors.current;
-      this.highlights[this.right] = this.colors.current;
-      this.highlights[mid] = this.colors.swap;
-
-      this.stats.accesses++;
-      this.stats.comparisons++;
-
-      if (this.array[mid] === this.target) {
-        this.found = true;
-        this.foundIndex = mid;
-        this.audio.found();
-        this.finish();
-        return;
-      }
-
-      if (this.array[mid] < this.target) {
-        this.left = mid + 1;
-      } else {
-        this.right = mid - 1;
-      }
-
-      this.audio.compare();
-    }
+// Complexity Chart
+// Plots measured operation counts against n with the best-fitting curve and,
+// when it is a different curve, the one the registry lists.
+class ComplexityChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.padding = { top: 36, right: 20, bottom: 36, left: 64 };
+    this.colors = {
+      background: '#0a0a0f',
+      grid: 'rgba(255, 255, 255, 0.08)',
+      text: '#b4bcd0',
+      measured: '#feca57',
+      fit: '#4ecdc4',
+      expected: '#ff6b6b'
+    };
   }
-}
-
-// DATA STRUCTURE VISUALIZATIONS
-class StackVisualization extends Algorithm {
-  constructor(canvas, audioEngine, name) {
-    super(canvas, audioEngine, name);
-    this.stack = [];
-    this.operations = [];
-    this.currentOp = 0;
-    this.stats = { pushes: 0, pops: 0, operations: 0 };
-    this.maxSize = 20;
-  }
-
-  init(seed, size = 15) {
-    const rng = new SeededRNG(seed);
-    this.stack = [];
-    this.operations = [];
-    this.currentOp = 0;
-    this.stats = { pushes: 0, pops: 0, operations: 0 };
-
-    // Generate a sequence of push/pop operations
-    for (let i = 0; i < size; i++) {
-      if (this.stack.length === 0 || (this.stack.length < this.maxSize && rng.random() > 0.3)) {
-        this.operations.push({ type: 'push', value: rng.int(1, 99) });
-      } else {
-        this.operations.push({ type: 'pop' });
-      }
-    }
 
-    this.isComplete = false;
-    this.highlights = {};
+  formatNumber(value) {
+    if (value >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+    return `${+value.toFixed(1)}`;
   }
 
-  step() {
-    if (this.isComplete || this.currentOp >= this.operations.length) return;
-
-    this.stats.operations++;
-    const op = this.operations[this.currentOp];
-
-    if (op.type === 'push' && this.stack.length < this.maxSize) {
-      this.stack.push(op.value);
-      this.stats.pushes++;
-      this.highlights[this.stack.length - 1] = this.colors.swap;
-      this.audio.push();
-    } else if (op.type === 'pop' && this.stack.length > 0) {
-      this.highlights[this.stack.length - 1] = this.colors.compare;
-      this.stack.pop();
-      this.stats.pops++;
-      this.audio.pop();
-    }
-
-    this.currentOp++;
-
-    if (this.currentOp >= this.operations.length) {
-      this.finish();
-    }
+  clear() {
+    this.ctx.fillStyle = this.colors.background;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
   }
 
-  draw() {
-    this.clear();
+  draw(analysis) {
+    const { ctx, padding } = this;
     const { width, height } = this.canvas;
-    const elementHeight = 30;
-    const elementWidth = 80;
-    const startX = width / 2 - elementWidth / 2;
-    const startY = height - 50;
-
-    // Draw stack base
-    this.ctx.fillStyle = this.colors.primary;
-    this.ctx.fillRect(startX - 10, startY, elementWidth + 20, 5);
-
-    // Draw stack elements
-    for (let i = 0; i < this.stack.length; i++) {
-      const y = startY - (i + 1) * elementHeight;
-      let color = this.highlights[i] || this.colors.secondary;
-
-      this.drawGradientBar(startX, y, elementWidth, elementHeight - 2, color);
-
-      // Draw value text
-      this.ctx.fillStyle = this.colors.text;
-      this.ctx.font = 'bold 14px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(this.stack[i], startX + elementWidth/2, y + elementHeight/2 + 5);
-    }
-
-    // Draw operation info
-    if (this.currentOp < this.operations.length) {
-      const op = this.operations[this.currentOp];
-      this.ctx.fillStyle = this.colors.swap;
-      this.ctx.font = 'bold 16px Arial';
-      this.ctx.textAlign = 'left';
-      this.ctx.fillText(`Next: ${op.type.toUpperCase()}${op.value ? ` ${op.value}` : ''}`, 10, 25);
-    }
-
-    this.highlights = {};
-  }
-}
-
-class QueueVisualization extends Algorithm {
-  constructor(canvas, audioEngine, name) {
-    super(canvas, audioEngine, name);
-    this.queue = [];
-    this.operations = [];
-    this.currentOp = 0;
-    this.stats = { enqueues: 0, dequeues: 0, operations: 0 };
-    this.maxSize = 15;
-  }
-
-  init(seed, size = 15) {
-    const rng = new SeededRNG(seed);
-    this.queue = [];
-    this.operations = [];
-    this.currentOp = 0;
-    this.stats = { enqueues: 0, dequeues: 0, operations: 0 };
-
-    for (let i = 0; i < size; i++) {
-      if (this.queue.length === 0 || (this.queue.length < this.maxSize && rng.random() > 0.3)) {
-        this.operations.push({ type: 'enqueue', value: rng.int(1, 99) });
-      } else {
-        this.operations.push({ type: 'dequeue' });
-      }
-    }
-
-    this.isComplete = false;
-    this.highlights = {};
-  }
-
-  step() {
-    if (this.isComplete || this.currentOp >= this.operations.length) return;
-
-    this.stats.operations++;
-    const op = this.operations[this.currentOp];
-
-    if (op.type === 'enqueue' && this.queue.length < this.maxSize) {
-      this.queue.push(op.value);
-      this.stats.enqueues++;
-      this.highlights[this.queue.length - 1] = this.colors.swap;
-      this.audio.push();
-    } else if (op.type === 'dequeue' && this.queue.length > 0) {
-      this.highlights[0] = this.colors.compare;
-      this.queue.shift();
-      this.stats.dequeues++;
-      this.audio.pop();
-    }
-
-    this.currentOp++;
-
-    if (this.currentOp >= this.operations.length) {
-      this.finish();
-    }
-  }
-
-  draw() {
+    const { points, best, expected } = analysis;
     this.clear();
-    const { width, height } = this.canvas;
-    const elementWidth = 60;
-    const elementHeight = 40;
-    const startY = height / 2 - elementHeight / 2;
-    const spacing = 5;
-    const totalWidth = this.queue.length * (elementWidth + spacing);
-    const startX = Math.max(10, (width - totalWidth) / 2);
-
-    // Draw queue elements
-    for (let i = 0; i < this.queue.length; i++) {
-      const x = startX + i * (elementWidth + spacing);
-      let color = this.highlights[i] || this.colors.secondary;
 
-      if (i === 0) color = this.colors.compare; // Front
-      if (i === this.queue.length - 1) color = this.colors.current; // Rear
-
-      this.drawGradientBar(x, startY, elementWidth, elementHeight, color);
-
-      this.ctx.fillStyle = this.colors.text;
-      this.ctx.font = 'bold 14px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(this.queue[i], x + elementWidth/2, startY + elementHeight/2 + 5);
-    }
-
-    // Draw front/rear labels
-    if (this.queue.length > 0) {
-      this.ctx.fillStyle = this.colors.text;
-      this.ctx.font = '12px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText('FRONT', startX + elementWidth/2, startY - 10);
-      if (this.queue.length > 1) {
-        const rearX = startX + (this.queue.length - 1) * (elementWidth + spacing);
-        this.ctx.fillText('REAR', rearX + elementWidth/2, startY - 10);
+    const curves = [];
+    if (best) curves.push({ fit: best, color: this.colors.fit, dashed: false });
+    if (expected && expected !== best) curves.push({ fit: expected, color: this.colors.expected, dashed: true });
+
+    const maxN = points[points.length - 1].n;
+    const minN = points[0].n;
+    const maxValue = Math.max(1, ...points.map(point => point.value),
+      ...curves.map(({ fit }) => fit.scale * fit.model.f(maxN))) * 1.05;
+
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const x = n => padding.left + (n / maxN) * plotWidth;
+    const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    // Grid and axis labels
+    ctx.strokeStyle = this.colors.grid;
+    ctx.fillStyle = this.colors.text;
+    ctx.font = '12px Inter, sans-serif';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue / 4) * i;
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y(value));
+      ctx.lineTo(width - padding.right, y(value));
+      ctx.stroke();
+      ctx.textAlign = 'right';
+      ctx.fillText(this.formatNumber(value), padding.left - 8, y(value) + 4);
+    }
+    ctx.textAlign = 'center';
+    points.forEach(({ n }) => ctx.fillText(n, x(n), height - padding.bottom + 18));
+
+    // Fitted curves
+    curves.forEach(({ fit, color, dashed }) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(dashed ? [6, 4] : []);
+      ctx.beginPath();
+      for (let i = 0; i <= 100; i++) {
+        const n = minN + ((maxN - minN) * i) / 100;
+        const px = x(n);
+        const py = y(fit.scale * fit.model.f(n));
+        if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
       }
-    }
-
-    // Draw operation info
-    if (this.currentOp < this.operations.length) {
-      const op = this.operations[this.currentOp];
-      this.ctx.fillStyle = this.colors.swap;
-      this.ctx.font = 'bold 16px Arial';
-      this.ctx.textAlign = 'left';
-      this.ctx.fillText(`Next: ${op.type.toUpperCase()}${op.value ? ` ${op.value}` : ''}`, 10, 25);
-    }
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Measured points
+    ctx.fillStyle = this.colors.measured;
+    points.forEach(({ n, value }) => {
+      ctx.beginPath();
+      ctx.arc(x(n), y(value), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
 
-    this.highlights = {};
+    // Legend
+    const legend = [[`measured ${analysis.metric}`, this.colors.measured]];
+    curves.forEach(({ fit, color }) => {
+      legend.push([`${fit.model.label}${fit === best ? ' best fit' : ' listed'}`, color]);
+    });
+    ctx.textAlign = 'left';
+    let legendX = padding.left;
+    legend.forEach(([label, color]) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(legendX, 12, 10, 10);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(label, legendX + 16, 21);
+      legendX += ctx.measureText(label).width + 36;
+    });
   }
 }
 
-// PATHFINDING ALGORITHMS (Enhanced)
-class PathfindingAlgorithm extends Algorithm {
-  constructor(canvas, audioEngine, name) {
-    super(canvas, audioEngine, name);
-    this.gridSize = 40;
-    this.grid = [];
-    this.start = null;
-    this.goal = null;
-    this.visited = new Set();
-    this.path = [];
-    this.stats = { nodesVisited: 0, pathLength: 0, steps: 0 };
-  }
-
-  init(seed) {
-    const rng = new SeededRNG(seed);
-    this.grid = [];
-
-    for (let y = 0; y < this.gridSize; y++) {
-      this.grid[y] = [];
-      for (let x = 0; x < this.gridSize; x++) {
-        this.grid[y][x] = {
-          x, y,
-          isWall: rng.random() < 0.25, // Reduced wall density
-          isVisited: false,
-          isPath: false,
-          distance: Infinity,
-          parent: null,
-          gScore: Infinity,
-          fScore: Infinity,
-          hScore: 0
-        };
-      }
-    }
-
-    this.start = this.grid[1][1];
-    this.goal = this.grid[this.gridSize - 2][this.gridSize - 2];
-    this.start.isWall = false;
-    this.goal.isWall = false;
-
-    // Ensure there's always a path by creating corridors
-    this.ensurePath(rng);
+// Battle Chart
+// Cumulative counts of both battle panes over the steps of the run, one
+// color per counter with pane A solid and pane B dashed. Shares the
+// complexity chart's frame and number format, and sticks to drawing calls
+// SvgCanvas implements so the result card can be saved as SVG.
+const BATTLE_CHART_COLORS = ['#feca57', '#4ecdc4', '#ff6b6b', '#45b7d1'];
+const BATTLE_SUMMARY_ROW = 24;
 
-    this.visited.clear();
-    this.path = [];
-    this.isComplete = false;
-    this.stats = { nodesVisited: 0, pathLength: 0, steps: 0 };
+class BattleChart extends ComplexityChart {
+  constructor(canvas) {
+    super(canvas);
+    this.padding = { top: 52, right: 20, bottom: 36, left: 64 };
   }
 
-  ensurePath(rng) {
-    // Create random corridors to ensure connectivity
-    for (let i = 0; i < 5; i++) {
-      const startX = rng.int(1, this.gridSize - 2);
-      const startY = rng.int(1, this.gridSize - 2);
-      const length = rng.int(5, 15);
-      const direction = rng.int(0, 3); // 0: right, 1: down, 2: left, 3: up
-
-      let x = startX, y = startY;
-      for (let j = 0; j < length; j++) {
-        if (x >= 0 && x < this.gridSize && y >= 0 && y < this.gridSize) {
-          this.grid[y][x].isWall = false;
-        }
-
-        switch (direction) {
-          case 0: x++; break;
-          case 1: y++; break;
-          case 2: x--; break;
-          case 3: y--; break;
-        }
-      }
-    }
-  }
-
-  draw() {
-    this.clear();
+  draw(result) {
+    const { ctx, padding } = this;
     const { width, height } = this.canvas;
-    const cellSize = Math.min(width / this.gridSize, height / this.gridSize);
-
-    for (let y = 0; y < this.gridSize; y++) {
-      for (let x = 0; x < this.gridSize; x++) {
-        const cell = this.grid[y][x];
-        const pixelX = x * cellSize;
-        const pixelY = y * cellSize;
-
-        let color = '#2a2a2a';
-        if (cell.isWall) color = '#666';
-        if (cell.isVisited) color = this.colors.sorted;
-        if (cell.isPath) color = this.colors.swap;
-        if (cell === this.start) color = '#4CAF50';
-        if (cell === this.goal) color = '#F44336';
-
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(pixelX, pixelY, cellSize - 1, cellSize - 1);
-      }
-    }
-  }
-
-  getNeighbors(cell) {
-    const neighbors = [];
-    const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
-
-    for (const [dx, dy] of directions) {
-      const newX = cell.x + dx;
-      const newY = cell.y + dy;
+    const metrics = result.chartMetrics;
+    const steps = Math.max(1, ...result.sides.map(({ history }) => history.length - 1));
+    const maxValue = Math.max(1, ...result.sides.flatMap(({ stats }) => metrics.map(metric => stats[metric]))) * 1.05;
+    this.clear();
 
-      if (newX >= 0 && newX < this.gridSize && newY >= 0 && newY < this.gridSize) {
-        const neighbor = this.grid[newY][newX];
-        if (!neighbor.isWall) {
-          neighbors.push(neighbor);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const x = step => padding.left + (step / steps) * plotWidth;
+    const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    // Grid and axis labels
+    ctx.strokeStyle = this.colors.grid;
+    ctx.fillStyle = this.colors.text;
+    ctx.font = '12px Inter, sans-serif';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue / 4) * i;
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y(value));
+      ctx.lineTo(width - padding.right, y(value));
+      ctx.stroke();
+      ctx.textAlign = 'right';
+      ctx.fillText(this.formatNumber(value), padding.left - 8, y(value) + 4);
+    }
+    ctx.textAlign = 'center';
+    [0, Math.round(steps / 2), steps].forEach(step => ctx.fillText(`step ${step}`, x(step), height - padding.bottom + 18));
+
+    // One line per counter and pane, thinned to about a point per pixel
+    ctx.lineWidth = 2;
+    metrics.forEach((metric, i) => {
+      ctx.strokeStyle = BATTLE_CHART_COLORS[i % BATTLE_CHART_COLORS.length];
+      result.sides.forEach(({ history }, side) => {
+        const stride = Math.max(1, Math.floor(history.length / plotWidth));
+        ctx.setLineDash(side === 0 ? [] : [6, 4]);
+        ctx.beginPath();
+        for (let step = 0; step < history.length; step += stride) {
+          if (step === 0) ctx.moveTo(x(step), y(history[step][metric]));
+          else ctx.lineTo(x(step), y(history[step][metric]));
         }
-      }
-    }
-
-    return neighbors;
-  }
-
-  reconstructPath(endCell) {
-    this.path = [];
-    let current = endCell;
-
-    while (current && current !== this.start) {
-      current.isPath = true;
-      this.path.unshift(current);
-      current = current.parent;
-    }
-
-    if (this.start) {
-      this.start.isPath = true;
-    }
-
-    this.stats.pathLength = this.path.length;
-  }
-
-  manhattanDistance(a, b) {
-    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+        const last = history.length - 1;
+        ctx.lineTo(x(last), y(history[last][metric]));
+        ctx.stroke();
+      });
+    });
+    ctx.setLineDash([]);
+
+    // Legend: counters on the first row, panes on the second
+    ctx.textAlign = 'left';
+    metrics.forEach((metric, i) => {
+      ctx.fillStyle = BATTLE_CHART_COLORS[i % BATTLE_CHART_COLORS.length];
+      ctx.fillRect(padding.left + i * 130, 10, 10, 10);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(metric, padding.left + i * 130 + 16, 19);
+    });
+    result.sides.forEach(({ name }, side) => {
+      const left = padding.left + side * 260;
+      ctx.strokeStyle = this.colors.text;
+      ctx.setLineDash(side === 0 ? [] : [6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(left, 32);
+      ctx.lineTo(left + 24, 32);
+      ctx.stroke();
+      ctx.fillText(name, left + 32, 36);
+    });
+    ctx.setLineDash([]);
   }
-}
 
-class BFS extends PathfindingAlgorithm {
-  init(seed) {
-    super.init(seed);
-    this.queue = [this.start];
-    this.start.isVisited = true;
-    this.start.distance = 0;
+  // The verdict and the per-counter table, drawn above the chart on the
+  // saved card
+  static summaryHeight(result) {
+    return BATTLE_SUMMARY_ROW * (result.metrics.length + 2) + 16;
   }
 
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.queue.length === 0) {
-      this.finish();
-      return;
-    }
-
-    const current = this.queue.shift();
-    this.stats.nodesVisited++;
-
-    if (current === this.goal) {
-      this.reconstructPath(current);
-      this.finish();
-      return;
-    }
+  drawSummary(result, verdict) {
+    const { ctx } = this;
+    const columns = [24, 200, 340, 480, 620];
+    const [a, b] = result.sides.map(({ name }) => name);
+    const rows = [['Counter', a, b, 'Winner', 'Ratio'], ...result.metrics.map(row => BattleChart.summaryRow(result, row))];
 
-    const neighbors = this.getNeighbors(current);
-    for (const neighbor of neighbors) {
-      if (!neighbor.isVisited) {
-        neighbor.isVisited = true;
-        neighbor.parent = current;
-        neighbor.distance = current.distance + 1;
-        this.queue.push(neighbor);
-      }
-    }
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, this.canvas.width, BattleChart.summaryHeight(result));
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 16px Inter, sans-serif';
+    ctx.fillText(verdict, columns[0], BATTLE_SUMMARY_ROW);
 
-    this.audio.access();
+    rows.forEach((cells, i) => {
+      ctx.font = i === 0 ? 'bold 13px Inter, sans-serif' : '13px Inter, sans-serif';
+      ctx.fillStyle = this.colors.text;
+      cells.forEach((cell, column) => ctx.fillText(cell, columns[column], BATTLE_SUMMARY_ROW * (i + 2)));
+    });
   }
-}
 
-class DFS extends PathfindingAlgorithm {
-  init(seed) {
-    super.init(seed);
-    this.stack = [this.start];
-    this.start.isVisited = true;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.stack.length === 0) {
-      this.finish();
-      return;
-    }
-
-    const current = this.stack.pop();
-    this.stats.nodesVisited++;
-
-    if (current === this.goal) {
-      this.reconstructPath(current);
-      this.finish();
-      return;
-    }
-
-    const neighbors = this.getNeighbors(current);
-    for (const neighbor of neighbors) {
-      if (!neighbor.isVisited) {
-        neighbor.isVisited = true;
-        neighbor.parent = current;
-        this.stack.push(neighbor);
-      }
-    }
-
-    this.audio.access();
+  // Table cells for one counter: name, both values, winner and ratio
+  static summaryRow(result, { metric, values, winner, ratio }) {
+    const label = metric.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+    return [
+      label,
+      values[0].toLocaleString(),
+      values[1].toLocaleString(),
+      winner === null ? 'Tie' : result.sides[winner].name,
+      ratio === null ? '—' : `${ratio.toFixed(2)}×`
+    ];
   }
 }
 
-class AStar extends PathfindingAlgorithm {
-  init(seed) {
-    super.init(seed);
-    this.openSet = [this.start];
-    this.closedSet = new Set();
-    this.start.gScore = 0;
-    this.start.fScore = this.manhattanDistance(this.start, this.goal);
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.openSet.length === 0) {
-      this.finish();
-      return;
-    }
-
-    let current = this.openSet[0];
-    let currentIndex = 0;
-
-    for (let i = 1; i < this.openSet.length; i++) {
-      if (this.openSet[i].fScore < current.fScore) {
-        current = this.openSet[i];
-        currentIndex = i;
-      }
-    }
-
-    this.openSet.splice(currentIndex, 1);
-    this.closedSet.add(current);
-    current.isVisited = true;
-    this.stats.nodesVisited++;
-
-    if (current === this.goal) {
-      this.reconstructPath(current);
-      this.finish();
-      return;
-    }
-
-    const neighbors = this.getNeighbors(current);
-    for (const neighbor of neighbors) {
-      if (this.closedSet.has(neighbor)) continue;
-
-      const tentativeGScore = current.gScore + 1;
-
-      if (!this.openSet.includes(neighbor)) {
-        this.openSet.push(neighbor);
-      } else if (tentativeGScore >= neighbor.gScore) {
-        continue;
-      }
-
-      neighbor.parent = current;
-      neighbor.gScore = tentativeGScore;
-      neighbor.fScore = neighbor.gScore + this.manhattanDistance(neighbor, this.goal);
-    }
+// Categories whose algorithms take an array and so can run on custom data
+// Animation Export
+// Replays a run offscreen for the GIF and WebM export. Each pane gets its own
+// algorithm, renderer and timeline; a frame draws the panes side by side at a
+// timeline position, with a caption strip underneath.
+const EXPORT_PANE = { width: 640, height: 360 };
+const EXPORT_CAPTION_HEIGHT = 28;
+const EXPORT_AUTO_FRAMES = 300;
+const EXPORT_MAX_FRAMES = 2000;
+const EXPORT_MAX_STEPS = 1000000;
+
+class AnimationExport {
+  constructor(algorithms, options) {
+    this.panes = algorithms.map(algorithm => {
+      const canvas = document.createElement('canvas');
+      canvas.width = EXPORT_PANE.width;
+      canvas.height = EXPORT_PANE.height;
+      return {
+        algorithm,
+        canvas,
+        renderer: Renderer.create(algorithm, canvas, options),
+        timeline: new ExecutionTimeline(algorithm)
+      };
+    });
 
-    this.audio.access();
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = EXPORT_PANE.width * algorithms.length;
+    this.canvas.height = EXPORT_PANE.height + EXPORT_CAPTION_HEIGHT;
+    this.ctx = this.canvas.getContext('2d');
   }
-}
-
-class Dijkstra extends PathfindingAlgorithm {
-  init(seed) {
-    super.init(seed);
-    this.unvisited = [];
 
-    for (let y = 0; y < this.gridSize; y++) {
-      for (let x = 0; x < this.gridSize; x++) {
-        if (!this.grid[y][x].isWall) {
-          this.unvisited.push(this.grid[y][x]);
+  // Runs every pane up to step `to` (or to its end) and returns how many
+  // steps the longest one took
+  record(to = Infinity) {
+    return Math.max(...this.panes.map(({ timeline }) => {
+      while (timeline.length < to && !timeline.finished) {
+        if (timeline.length >= EXPORT_MAX_STEPS) {
+          throw new Error(`Runs longer than ${EXPORT_MAX_STEPS.toLocaleString()} steps cannot be exported; pick a smaller size or step range.`);
         }
+        timeline.stepForward();
       }
-    }
-
-    this.start.distance = 0;
-  }
-
-  step() {
-    if (this.isComplete) return;
-
-    this.stats.steps++;
-
-    if (this.unvisited.length === 0) {
-      this.finish();
-      return;
-    }
-
-    let current = null;
-    let minDistance = Infinity;
-    let currentIndex = -1;
-
-    for (let i = 0; i < this.unvisited.length; i++) {
-      if (this.unvisited[i].distance < minDistance) {
-        minDistance = this.unvisited[i].distance;
-        current = this.unvisited[i];
-        currentIndex = i;
+      return timeline.length;
+    }));
+  }
+
+  // Timeline positions to draw: every stepsPerFrame-th step from `from`,
+  // always ending on `to`
+  static positions(from, to, stepsPerFrame) {
+    const positions = [];
+    for (let position = from; position < to; position += stepsPerFrame) {
+      positions.push(position);
+    }
+    positions.push(to);
+    return positions;
+  }
+
+  render(position) {
+    const { ctx } = this;
+    ctx.fillStyle = '#0f0f0f';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.panes.forEach(({ algorithm, canvas, renderer, timeline }, i) => {
+      const x = i * EXPORT_PANE.width;
+      const step = Math.min(position, timeline.length);
+      timeline.seek(step);
+      renderer.draw(algorithm);
+      ctx.drawImage(canvas, x, 0);
+
+      ctx.fillStyle = '#ffffff';
+      ctx.font = 'bold 14px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(`${algorithm.name} · step ${step.toLocaleString()} / ${timeline.length.toLocaleString()}`,
+        x + 10, EXPORT_PANE.height + EXPORT_CAPTION_HEIGHT / 2);
+
+      if (i > 0) {
+        ctx.fillStyle = '#ffffff33';
+        ctx.fillRect(x - 1, 0, 2, this.canvas.height);
       }
-    }
-
-    if (current === null || current.distance === Infinity) {
-      this.finish();
-      return;
-    }
-
-    this.unvisited.splice(currentIndex, 1);
-    current.isVisited = true;
-    this.stats.nodesVisited++;
-
-    if (current === this.goal) {
-      this.reconstructPath(current);
-      this.finish();
-      return;
-    }
+    });
 
-    const neighbors = this.getNeighbors(current);
-    for (const neighbor of neighbors) {
-      if (!neighbor.isVisited) {
-        const alt = current.distance + 1;
-        if (alt < neighbor.distance) {
-          neighbor.distance = alt;
-          neighbor.parent = current;
-        }
-      }
-    }
+    return this.canvas;
+  }
 
-    this.audio.access();
+  pixels() {
+    return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data;
   }
 }
 
-// Algorithm Registry
-const ALGORITHMS = {
-  sorting: {
-    'bubble-sort': {
-      name: 'Bubble Sort',
-      class: BubbleSort,
-      desc: 'O(n²) - Simple comparison-based sort with adjacent swaps',
-      complexity: { time: 'O(n²)', space: 'O(1)' }
-    },
-    'cocktail-sort': {
-      name: 'Cocktail Sort',
-      class: CocktailSort,
-      desc: 'O(n²) - Bidirectional bubble sort, also known as Shaker Sort',
-      complexity: { time: 'O(n²)', space: 'O(1)' }
-    },
-    'selection-sort': {
-      name: 'Selection Sort',
-      class: SelectionSort,
-      desc: 'O(n²) - Finds minimum element and places it in correct position',
-      complexity: { time: 'O(n²)', space: 'O(1)' }
-    },
-    'insertion-sort': {
-      name: 'Insertion Sort',
-      class: InsertionSort,
-      desc: 'O(n²) - Builds sorted array one element at a time',
-      complexity: { time: 'O(n²)', space: 'O(1)' }
-    },
-    'shell-sort': {
-      name: 'Shell Sort',
-      class: ShellSort,
-      desc: 'O(n³/²) - Improved insertion sort using gap sequences',
-      complexity: { time: 'O(n³/²)', space: 'O(1)' }
-    },
-    'quick-sort': {
-      name: 'Quick Sort',
-      class: QuickSort,
-      desc: 'O(n log n) - Efficient divide-and-conquer partitioning sort',
-      complexity: { time: 'O(n log n)', space: 'O(log n)' }
-    },
-    'merge-sort': {
-      name: 'Merge Sort',
-      class: MergeSort,
-      desc: 'O(n log n) - Stable divide-and-conquer sort with guaranteed performance',
-      complexity: { time: 'O(n log n)', space: 'O(n)' }
-    },
-    'heap-sort': {
-      name: 'Heap Sort',
-      class: HeapSort,
-      desc: 'O(n log n) - Uses binary heap data structure for sorting',
-      complexity: { time: 'O(n log n)', space: 'O(1)' }
-    },
-    'counting-sort': {
-      name: 'Counting Sort',
-      class: CountingSort,
-      desc: 'O(n+k) - Non-comparison sort using frequency counting',
-      complexity: { time: 'O(n+k)', space: 'O(k)' }
-    },
-    'radix-sort': {
-      name: 'Radix Sort',
-      class: RadixSort,
-      desc: 'O(d×(n+k)) - Non-comparison sort processing digits',
-      complexity: { time: 'O(d×(n+k))', space: 'O(n+k)' }
-    }
-  },
-  searching: {
-    'linear-search': {
-      name: 'Linear Search',
-      class: LinearSearch,
-      desc: 'O(n) - Sequential search through unsorted data',
-      complexity: { time: 'O(n)', space: 'O(1)' }
-    },
-    'binary-search': {
-      name: 'Binary Search',
-      class: BinarySearch,
-      desc: 'O(log n) - Efficient search on sorted arrays using divide-and-conquer',
-      complexity: { time: 'O(log n)', space: 'O(1)' }
-    },
-    'jump-search': {
-      name: 'Jump Search',
-      class: JumpSearch,
-      desc: 'O(√n) - Block-based search with optimal jump size',
-      complexity: { time: 'O(√n)', space: 'O(1)' }
-    },
-    'interpolation-search': {
-      name: 'Interpolation Search',
-      class: InterpolationSearch,
-      desc: 'O(log log n) - Improved binary search using value-based position estimation',
-      complexity: { time: 'O(log log n)', space: 'O(1)' }
-    },
-    'exponential-search': {
-      name: 'Exponential Search',
-      class: ExponentialSearch,
-      desc: 'O(log n) - Finds range exponentially then applies binary search',
-      complexity: { time: 'O(log n)', space: 'O(1)' }
-    }
-  },
-  'data-structures': {
-    'stack': {
-      name: 'Stack Operations',
-      class: StackVisualization,
-      desc: 'LIFO - Last In First Out data structure with push/pop operations',
-      complexity: { time: 'O(1)', space: 'O(n)' }
-    },
-    'queue': {
-      name: 'Queue Operations',
-      class: QueueVisualization,
-      desc: 'FIFO - First In First Out data structure with enqueue/dequeue operations',
-      complexity: { time: 'O(1)', space: 'O(n)' }
-    }
-  },
-  pathfinding: {
-    'bfs': {
-      name: 'Breadth-First Search',
-      class: BFS,
-      desc: 'Explores neighbors level by level, guarantees shortest path',
-      complexity: { time: 'O(V+E)', space: 'O(V)' }
-    },
-    'dfs': {
-      name: 'Depth-First Search',
-      class: DFS,
-      desc: 'Explores as far as possible before backtracking',
-      complexity: { time: 'O(V+E)', space: 'O(V)' }
-    },
-    'astar': {
-      name: 'A* Search',
-      class: AStar,
-      desc: 'Heuristic search algorithm that finds optimal path efficiently',
-      complexity: { time: 'O(E)', space: 'O(V)' }
-    },
-    'dijkstra': {
-      name: 'Dijkstra Algorithm',
-      class: Dijkstra,
-      desc: 'Finds shortest path with guaranteed optimality using distance relaxation',
-      complexity: { time: 'O(V²)', space: 'O(V)' }
-    }
-  }
+// Categories whose algorithms sort a generated array, so the distribution
+// applies to them
+const SORTING_CATEGORIES = ['sorting', 'sorting-networks'];
+
+// Categories whose algorithms take an array and so can run on custom data
+const CUSTOM_DATA_CATEGORIES = [...SORTING_CATEGORIES, 'searching'];
+
+// Whether a registry entry is a quick sort, the only sorts that read
+// input.pivot
+const choosesPivot = info => Boolean(info) && (info.class === QuickSort || info.class.prototype instanceof QuickSort);
+
+// Headless runs are synchronous between yields to the browser, so their
+// sizes stay within the size slider's range and each run gets a step budget
+const BENCHMARK_LIMITS = { maxSize: CUSTOM_INPUT_LIMITS.maxLength, maxSteps: 1000000 };
+
+// Dragging a slider resets the run on every tick; the address bar only
+// follows once it settles
+const PERMALINK_DELAY = 250;
+
+const DEFAULT_SETTINGS = {
+  showComplexity: true,
+  enableSound: true,
+  darkMode: true,
+  showKeyboardShortcuts: false,
+  highContrast: false,
+  showStability: false,
+  volume: 30
 };
 
+// localStorage keys. The session is stored as a permalink without a seed,
+// so a reload reopens the same algorithm and controls on fresh data.
+const SETTINGS_STORAGE_KEY = 'algorithm-visualizer:settings';
+const SESSION_STORAGE_KEY = 'algorithm-visualizer:session';
+
 // Enhanced Main Application Class
 class AlgorithmVisualizer {
   constructor() {
@@ -1766,23 +1474,40 @@ class AlgorithmVisualizer {
     this.audioEngine = new AudioEngine();
     this.algorithmA = null;
     this.algorithmB = null;
+    this.rendererA = null;
+    this.rendererB = null;
+    this.timelineA = null;
+    this.timelineB = null;
+    this.racers = [];
+    this.codePanel = new CodePanel(this.elements.codeListing);
+    this.codeLanguage = 'pseudocode';
+    this.customData = {};
+    this.algorithmKeyB = null;
+    this.permalinkTimer = null;
+    this.benchmarkRows = [];
+    this.benchmarkRunning = false;
+    this.complexityChart = new ComplexityChart(this.elements.complexityCanvas);
+    this.complexityRows = null;
+    this.complexityRunning = false;
+    this.battleChart = new BattleChart(this.elements.resultCanvas);
+    this.battleResult = null;
+    this.exportRunning = false;
     this.isPlaying = false;
     this.animationId = null;
     this.lastStepTime = 0;
     this.seed = Date.now();
-    this.settings = {
-      showComplexity: true,
-      enableSound: true,
-      darkMode: true,
-      showKeyboardShortcuts: false,
-      highContrast: false,
-      volume: 30
-    };
+    this.settings = this.loadSettings();
 
     this.setupEventListeners();
     this.populateControls();
+    this.applySettings();
     this.resizeCanvases();
+    // A broken link is reported rather than replaced by the last session
+    const link = Permalink.read(window.location.hash);
+    const session = link.error ? null : Permalink.read(this.readStorage(SESSION_STORAGE_KEY) || '').state;
+    if (link.state || session) this.applyPermalink(link.state || session);
     this.resetAlgorithms();
+    if (link.error) this.showLinkError(link.error);
     this.startAnimationLoop();
     this.hideLoadingScreen();
   }
@@ -1799,15 +1524,56 @@ class AlgorithmVisualizer {
       speedValue: document.getElementById('speedValue'),
       sizeSlider: document.getElementById('sizeSlider'),
       sizeValue: document.getElementById('sizeValue'),
+      distributionSelect: document.getElementById('distributionSelect'),
+      swapsInput: document.getElementById('swapsInput'),
+      pivotSelect: document.getElementById('pivotSelect'),
       playPauseBtn: document.getElementById('playPauseBtn'),
       resetBtn: document.getElementById('resetBtn'),
       battleModeBtn: document.getElementById('battleModeBtn'),
 
+      // Battle bar
+      algorithmSelectB: document.getElementById('algorithmSelectB'),
+      battleOwnInput: document.getElementById('battleOwnInput'),
+      sizeSliderB: document.getElementById('sizeSliderB'),
+      sizeValueB: document.getElementById('sizeValueB'),
+      distributionSelectB: document.getElementById('distributionSelectB'),
+      pivotSelectB: document.getElementById('pivotSelectB'),
+      swapSidesBtn: document.getElementById('swapSidesBtn'),
+      raceContenders: document.getElementById('raceContenders'),
+      raceModeBtn: document.getElementById('raceModeBtn'),
+
+      // Race
+      raceGrid: document.getElementById('raceGrid'),
+      leaderboardMetric: document.getElementById('leaderboardMetric'),
+      leaderboardList: document.getElementById('leaderboardList'),
+
       // Settings and help
+      codeToggleBtn: document.getElementById('codeToggleBtn'),
+      dataBtn: document.getElementById('dataBtn'),
+      benchmarkBtn: document.getElementById('benchmarkBtn'),
+      complexityBtn: document.getElementById('complexityBtn'),
+      exportBtn: document.getElementById('exportBtn'),
+      frameBtn: document.getElementById('frameBtn'),
+      shareBtn: document.getElementById('shareBtn'),
+      linkNotice: document.getElementById('linkNotice'),
+      linkNoticeText: document.getElementById('linkNoticeText'),
+      dismissLinkNotice: document.getElementById('dismissLinkNotice'),
       settingsBtn: document.getElementById('settingsBtn'),
       helpBtn: document.getElementById('helpBtn'),
       fullscreenBtn: document.getElementById('fullscreenBtn'),
 
+      // Timeline
+      stepBackBtn: document.getElementById('stepBackBtn'),
+      stepForwardBtn: document.getElementById('stepForwardBtn'),
+      timelineSlider: document.getElementById('timelineSlider'),
+      timelineValue: document.getElementById('timelineValue'),
+
+      // Code panel
+      codeLanguage: document.getElementById('codeLanguage'),
+      codeAlgorithm: document.getElementById('codeAlgorithm'),
+      copyCodeBtn: document.getElementById('copyCodeBtn'),
+      codeListing: document.getElementById('codeListing'),
+
       // Canvases and main content
       canvasA: document.getElementById('canvas'),
       canvasB: document.getElementById('canvasBattle'),
@@ -1825,6 +1591,11 @@ class AlgorithmVisualizer {
       keyboardShortcuts: document.getElementById('keyboardShortcuts'),
       settingsPanel: document.getElementById('settingsPanel'),
       helpPanel: document.getElementById('helpPanel'),
+      dataPanel: document.getElementById('dataPanel'),
+      benchmarkPanel: document.getElementById('benchmarkPanel'),
+      complexityPanel: document.getElementById('complexityPanel'),
+      exportPanel: document.getElementById('exportPanel'),
+      framePanel: document.getElementById('framePanel'),
       backdrop: document.getElementById('backdrop'),
 
       // Settings controls
@@ -1832,11 +1603,77 @@ class AlgorithmVisualizer {
       enableSound: document.getElementById('enableSound'),
       showKeyboardShortcutsCheck: document.getElementById('showKeyboardShortcuts'),
       highContrast: document.getElementById('highContrast'),
+      showStability: document.getElementById('showStability'),
       volumeSlider: document.getElementById('volumeSlider'),
       volumeValue: document.getElementById('volumeValue'),
       resetSettings: document.getElementById('resetSettings'),
       closeSettings: document.getElementById('closeSettings'),
-      closeHelp: document.getElementById('closeHelp')
+      closeHelp: document.getElementById('closeHelp'),
+
+      // Custom data controls
+      dataArray: document.getElementById('dataArray'),
+      dataTarget: document.getElementById('dataTarget'),
+      dataStatus: document.getElementById('dataStatus'),
+      dataApply: document.getElementById('dataApply'),
+      dataClear: document.getElementById('dataClear'),
+      closeData: document.getElementById('closeData'),
+
+      // Benchmark controls
+      benchmarkAlgorithms: document.getElementById('benchmarkAlgorithms'),
+      benchmarkDistributions: document.getElementById('benchmarkDistributions'),
+      benchmarkSizes: document.getElementById('benchmarkSizes'),
+      benchmarkSeeds: document.getElementById('benchmarkSeeds'),
+      benchmarkStatus: document.getElementById('benchmarkStatus'),
+      benchmarkTable: document.getElementById('benchmarkTable'),
+      benchmarkRun: document.getElementById('benchmarkRun'),
+      benchmarkExportCsv: document.getElementById('benchmarkExportCsv'),
+      benchmarkExportJson: document.getElementById('benchmarkExportJson'),
+      closeBenchmark: document.getElementById('closeBenchmark'),
+
+      // Complexity calculator controls
+      complexityAlgorithm: document.getElementById('complexityAlgorithm'),
+      complexityMetric: document.getElementById('complexityMetric'),
+      complexitySizes: document.getElementById('complexitySizes'),
+      complexitySeeds: document.getElementById('complexitySeeds'),
+      complexityCanvas: document.getElementById('complexityCanvas'),
+      complexityVerdict: document.getElementById('complexityVerdict'),
+      complexityFits: document.getElementById('complexityFits'),
+      complexityRun: document.getElementById('complexityRun'),
+      closeComplexity: document.getElementById('closeComplexity'),
+
+      // Animation export controls
+      exportFormat: document.getElementById('exportFormat'),
+      exportAlgorithm: document.getElementById('exportAlgorithm'),
+      exportSeed: document.getElementById('exportSeed'),
+      exportSize: document.getElementById('exportSize'),
+      exportFrom: document.getElementById('exportFrom'),
+      exportTo: document.getElementById('exportTo'),
+      exportStepsPerFrame: document.getElementById('exportStepsPerFrame'),
+      exportFps: document.getElementById('exportFps'),
+      exportBattle: document.getElementById('exportBattle'),
+      exportBattleLabel: document.getElementById('exportBattleLabel'),
+      exportStatus: document.getElementById('exportStatus'),
+      exportRun: document.getElementById('exportRun'),
+      closeExport: document.getElementById('closeExport'),
+
+      // Frame export controls
+      frameFormat: document.getElementById('frameFormat'),
+      frameScale: document.getElementById('frameScale'),
+      frameWidth: document.getElementById('frameWidth'),
+      frameHeight: document.getElementById('frameHeight'),
+      frameStatus: document.getElementById('frameStatus'),
+      frameSave: document.getElementById('frameSave'),
+      closeFrame: document.getElementById('closeFrame'),
+
+      // Battle result
+      resultPanel: document.getElementById('resultPanel'),
+      resultVerdict: document.getElementById('resultVerdict'),
+      resultTable: document.getElementById('resultTable'),
+      resultCanvas: document.getElementById('resultCanvas'),
+      resultStatus: document.getElementById('resultStatus'),
+      resultSaveSvg: document.getElementById('resultSaveSvg'),
+      resultSaveCsv: document.getElementById('resultSaveCsv'),
+      closeResult: document.getElementById('closeResult')
     };
   }
 
@@ -1851,13 +1688,9 @@ class AlgorithmVisualizer {
       this.resetAlgorithms();
     });
 
-    this.elements.speedSlider.addEventListener('input', (e) => {
-      const speed = parseFloat(e.target.value);
-      if (speed < 0.1) {
-        this.elements.speedValue.textContent = `${(speed * 1000).toFixed(0)}ms`;
-      } else {
-        this.elements.speedValue.textContent = `${speed.toFixed(2)}x`;
-      }
+    this.elements.speedSlider.addEventListener('input', () => {
+      this.updateSpeedValue();
+      this.updatePermalink();
     });
 
     this.elements.sizeSlider.addEventListener('input', (e) => {
@@ -1865,6 +1698,18 @@ class AlgorithmVisualizer {
       this.resetAlgorithms();
     });
 
+    this.elements.distributionSelect.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.swapsInput.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.pivotSelect.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
     this.elements.playPauseBtn.addEventListener('click', () => {
       this.togglePlayPause();
     });
@@ -1877,7 +1722,89 @@ class AlgorithmVisualizer {
       this.toggleBattleMode();
     });
 
+    // Battle bar
+    this.elements.algorithmSelectB.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.battleOwnInput.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.sizeSliderB.addEventListener('input', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.distributionSelectB.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.pivotSelectB.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.swapSidesBtn.addEventListener('click', () => {
+      this.swapSides();
+    });
+
+    this.elements.raceContenders.addEventListener('change', () => {
+      this.resetAlgorithms();
+    });
+
+    this.elements.raceModeBtn.addEventListener('click', () => {
+      this.toggleRaceMode();
+    });
+
+    this.elements.leaderboardMetric.addEventListener('change', () => {
+      this.updateLeaderboard();
+    });
+
+    // Timeline controls
+    this.elements.stepBackBtn.addEventListener('click', () => {
+      this.stepBackward();
+    });
+
+    this.elements.stepForwardBtn.addEventListener('click', () => {
+      this.stepForward();
+    });
+
+    this.elements.timelineSlider.addEventListener('input', (e) => {
+      this.seekTimeline(parseInt(e.target.value));
+    });
+
     // Settings and help buttons
+    this.elements.codeToggleBtn.addEventListener('click', () => {
+      this.toggleCodePanel();
+    });
+
+    this.elements.dataBtn.addEventListener('click', () => {
+      this.showModal('data');
+    });
+
+    this.elements.benchmarkBtn.addEventListener('click', () => {
+      this.showModal('benchmark');
+    });
+
+    this.elements.complexityBtn.addEventListener('click', () => {
+      this.showModal('complexity');
+    });
+
+    this.elements.exportBtn.addEventListener('click', () => {
+      this.showModal('export');
+    });
+
+    this.elements.frameBtn.addEventListener('click', () => {
+      this.showModal('frame');
+    });
+
+    this.elements.shareBtn.addEventListener('click', () => {
+      this.copyLink();
+    });
+
+    this.elements.dismissLinkNotice.addEventListener('click', () => {
+      this.elements.linkNotice.hidden = true;
+    });
+
     this.elements.settingsBtn.addEventListener('click', () => {
       this.showModal('settings');
     });
@@ -1903,29 +1830,128 @@ class AlgorithmVisualizer {
       this.hideModal();
     });
 
+    this.elements.closeData.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    this.elements.closeBenchmark.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    this.elements.closeComplexity.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    this.elements.closeExport.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    this.elements.closeFrame.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    this.elements.closeResult.addEventListener('click', () => {
+      this.hideModal();
+    });
+
+    // Code panel controls
+    this.elements.codeLanguage.addEventListener('change', (e) => {
+      this.codeLanguage = e.target.value;
+      this.showCode();
+    });
+
+    this.elements.copyCodeBtn.addEventListener('click', () => {
+      this.copyCode();
+    });
+
+    // Custom data controls
+    this.elements.dataApply.addEventListener('click', () => {
+      this.applyCustomData();
+    });
+
+    this.elements.dataClear.addEventListener('click', () => {
+      this.clearCustomData();
+    });
+
+    // Benchmark controls
+    this.elements.benchmarkRun.addEventListener('click', () => {
+      this.runBenchmark();
+    });
+
+    this.elements.benchmarkExportCsv.addEventListener('click', () => {
+      this.downloadFile('benchmark.csv', Benchmark.toCSV(this.benchmarkRows), 'text/csv');
+    });
+
+    this.elements.benchmarkExportJson.addEventListener('click', () => {
+      this.downloadFile('benchmark.json', Benchmark.toJSON(this.benchmarkRows), 'application/json');
+    });
+
+    // Complexity calculator controls
+    this.elements.complexityRun.addEventListener('click', () => {
+      this.measureComplexity();
+    });
+
+    this.elements.complexityMetric.addEventListener('change', () => {
+      this.showComplexityAnalysis();
+    });
+
+    // Animation export controls
+    this.elements.exportRun.addEventListener('click', () => {
+      this.exportAnimation();
+    });
+
+    this.elements.exportFormat.addEventListener('change', (e) => {
+      this.elements.exportFps.max = e.target.value === 'gif' ? 50 : 60;
+    });
+
+    // Frame export controls
+    this.elements.frameSave.addEventListener('click', () => {
+      this.exportFrame();
+    });
+
+    // Battle result controls
+    this.elements.resultSaveSvg.addEventListener('click', () => {
+      this.saveBattleResult('svg');
+    });
+
+    this.elements.resultSaveCsv.addEventListener('click', () => {
+      this.saveBattleResult('csv');
+    });
+
     // Settings controls
     this.elements.showComplexity.addEventListener('change', (e) => {
       this.settings.showComplexity = e.target.checked;
+      this.saveSettings();
       this.resetAlgorithms();
     });
 
     this.elements.enableSound.addEventListener('change', (e) => {
       this.settings.enableSound = e.target.checked;
+      this.saveSettings();
       this.audioEngine.setVolume(e.target.checked ? this.settings.volume / 100 * 0.05 : 0);
     });
 
     this.elements.showKeyboardShortcutsCheck.addEventListener('change', (e) => {
       this.settings.showKeyboardShortcuts = e.target.checked;
+      this.saveSettings();
       this.toggleKeyboardShortcuts();
     });
 
     this.elements.highContrast.addEventListener('change', (e) => {
       this.settings.highContrast = e.target.checked;
+      this.saveSettings();
       document.body.classList.toggle('high-contrast', e.target.checked);
     });
 
+    this.elements.showStability.addEventListener('change', (e) => {
+      this.settings.showStability = e.target.checked;
+      this.saveSettings();
+      this.drawAlgorithms();
+    });
+
     this.elements.volumeSlider.addEventListener('input', (e) => {
       this.settings.volume = parseInt(e.target.value);
+      this.saveSettings();
       this.elements.volumeValue.textContent = `${this.settings.volume}%`;
       if (this.settings.enableSound) {
         this.audioEngine.setVolume(this.settings.volume / 100 * 0.05);
@@ -1939,7 +1965,7 @@ class AlgorithmVisualizer {
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       // Ignore if typing in input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
 
       switch (e.code) {
         case 'Space':
@@ -1958,6 +1984,14 @@ class AlgorithmVisualizer {
           e.preventDefault();
           this.toggleSound();
           break;
+        case 'KeyC':
+          e.preventDefault();
+          this.toggleCodePanel();
+          break;
+        case 'KeyT':
+          e.preventDefault();
+          this.toggleStability();
+          break;
         case 'KeyF':
           e.preventDefault();
           this.toggleFullscreen();
@@ -1966,6 +2000,14 @@ class AlgorithmVisualizer {
           e.preventDefault();
           this.showModal('help');
           break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.stepBackward();
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.stepForward();
+          break;
         case 'Escape':
           e.preventDefault();
           this.hideModal();
@@ -1977,6 +2019,17 @@ class AlgorithmVisualizer {
       this.resizeCanvases();
     });
 
+    // Pasting a link into the address bar of an open tab
+    window.addEventListener('hashchange', () => {
+      const link = Permalink.read(window.location.hash);
+      if (link.error) {
+        this.showLinkError(link.error);
+      } else if (link.state) {
+        this.applyPermalink(link.state);
+        this.resetAlgorithms();
+      }
+    });
+
     // Close modals when clicking outside
     document.addEventListener('click', (e) => {
       if (e.target === this.elements.backdrop) {
@@ -1994,7 +2047,21 @@ class AlgorithmVisualizer {
     }).join('');
 
     this.elements.categorySelect.innerHTML = categoryOptions;
+    const distributionOptions = Object.entries(DISTRIBUTIONS).map(([key, { name }]) =>
+      `<option value="${key}">${name}</option>`
+    ).join('');
+    this.elements.distributionSelect.innerHTML = distributionOptions;
+    this.elements.distributionSelectB.innerHTML = distributionOptions;
+    const pivotOptions = Object.entries(PIVOT_STRATEGIES).map(([key, { name }]) =>
+      `<option value="${key}">${name}</option>`
+    ).join('');
+    this.elements.pivotSelect.innerHTML = pivotOptions;
+    this.elements.pivotSelectB.innerHTML = pivotOptions;
+    // Quick sort's own default
+    this.elements.pivotSelect.value = 'last';
+    this.elements.pivotSelectB.value = 'last';
     this.populateAlgorithms();
+    this.populateBenchmarkAlgorithms();
   }
 
   populateAlgorithms() {
@@ -2006,12 +2073,63 @@ class AlgorithmVisualizer {
     ).join('');
 
     this.elements.algorithmSelect.innerHTML = algorithmOptions;
+    this.elements.algorithmSelectB.innerHTML = algorithmOptions;
+
+    // Pane B starts with the next algorithm along
+    const keys = Object.keys(algorithms);
+    this.elements.algorithmSelectB.value = keys.find(key => key !== this.elements.algorithmSelect.value) || keys[0] || '';
+
+    // A race starts with as many contenders as it can take
+    this.elements.raceContenders.innerHTML = Object.entries(algorithms).map(([key, { name }], i) => `
+      <label class="setting-label">
+        <input type="checkbox" data-key="${key}"${i < RACE_LIMITS.max ? ' checked' : ''}>
+        <span class="checkmark"></span>
+        ${name}
+      </label>`).join('');
+  }
+
+  // The header algorithm always races. Contenders can be ticked up to
+  // RACE_LIMITS.max and unticked down to RACE_LIMITS.min.
+  updateRaceContenders() {
+    const leader = this.elements.algorithmSelect.value;
+    const inputs = [...this.elements.raceContenders.querySelectorAll('input')];
+    const checked = () => inputs.filter(input => input.checked);
+
+    inputs.forEach(input => { if (input.dataset.key === leader) input.checked = true; });
+    while (checked().length > RACE_LIMITS.max) {
+      checked().filter(input => input.dataset.key !== leader).pop().checked = false;
+    }
+
+    const count = checked().length;
+    inputs.forEach(input => {
+      input.disabled = input.dataset.key === leader ||
+        (input.checked ? count <= RACE_LIMITS.min : count >= RACE_LIMITS.max);
+    });
+    this.elements.raceModeBtn.disabled = inputs.length < RACE_LIMITS.min;
+  }
+
+  // Contender keys, the header algorithm first
+  raceKeys() {
+    const leader = this.elements.algorithmSelect.value;
+    const others = [...this.elements.raceContenders.querySelectorAll('input:checked')]
+      .map(input => input.dataset.key)
+      .filter(key => key !== leader);
+    return [leader, ...others];
+  }
+
+  selectRaceContenders(keys) {
+    this.elements.raceContenders.querySelectorAll('input').forEach(input => {
+      input.checked = keys.includes(input.dataset.key);
+    });
   }
 
   resizeCanvases() {
     const devicePixelRatio = window.devicePixelRatio || 1;
 
-    [this.elements.canvasA, this.elements.canvasB].forEach(canvas => {
+    const canvases = this.racers.length > 0 ?
+      this.racers.map(racer => racer.canvas) : [this.elements.canvasA, this.elements.canvasB];
+
+    canvases.forEach(canvas => {
       const container = canvas.parentElement;
       const rect = container.getBoundingClientRect();
 
@@ -2025,8 +2143,101 @@ class AlgorithmVisualizer {
       canvas.style.height = rect.height + 'px';
     });
 
-    if (this.algorithmA) this.algorithmA.draw();
-    if (this.algorithmB) this.algorithmB.draw();
+    this.drawAlgorithms();
+  }
+
+  createAlgorithm(algorithmInfo, seed, size, input) {
+    const algorithm = new algorithmInfo.class(algorithmInfo.name);
+    algorithm.onEvent(event => this.audioEngine.handleEvent(event));
+    algorithm.init(seed, size, input);
+    return algorithm;
+  }
+
+  // Custom data applies to sorting and searching; the distribution only
+  // shapes generated sorting input, and only quick sorts read the pivot
+  inputFor(category, distribution = this.elements.distributionSelect.value, pivot = this.elements.pivotSelect.value) {
+    if (!CUSTOM_DATA_CATEGORIES.includes(category)) return {};
+    if (!SORTING_CATEGORIES.includes(category)) return this.customData;
+
+    const input = { ...this.customData, distribution, pivot };
+    if (distribution === 'nearly-sorted') {
+      input.swaps = Math.min(500, Math.max(0, parseInt(this.elements.swapsInput.value) || 0));
+    }
+    return input;
+  }
+
+  // Pane B's size and input: pane A's unless it has its own. Custom data
+  // still applies to both panes.
+  battleInput(category, size, input) {
+    if (!this.elements.battleOwnInput.checked) return { size, input };
+
+    return {
+      size: parseInt(this.elements.sizeSliderB.value),
+      input: SORTING_CATEGORIES.includes(category) ?
+        this.inputFor(category, this.elements.distributionSelectB.value, this.elements.pivotSelectB.value) : input
+    };
+  }
+
+  applyCustomData() {
+    const status = this.elements.dataStatus;
+
+    try {
+      const arrayText = this.elements.dataArray.value.trim();
+      this.customData = {
+        array: arrayText ? CustomInput.parseArray(arrayText) : undefined,
+        target: CustomInput.parseTarget(this.elements.dataTarget.value)
+      };
+    } catch (error) {
+      status.textContent = error.message;
+      status.classList.add('data-error');
+      return;
+    }
+
+    const { array, target } = this.customData;
+    status.textContent = array || target !== undefined ? 'Custom data applied.' : 'Using random data.';
+    status.classList.remove('data-error');
+    this.hideModal();
+    this.resetAlgorithms();
+  }
+
+  clearCustomData() {
+    this.elements.dataArray.value = '';
+    this.elements.dataTarget.value = '';
+    this.applyCustomData();
+  }
+
+  // A custom array fixes the size and shape of the data, so the slider
+  // shows its length instead and the distribution is unused
+  updateInputControls(category, input) {
+    const custom = Boolean(input.array);
+    this.elements.sizeSlider.disabled = custom;
+    this.elements.sizeValue.textContent = custom ? `${input.array.length} (custom)` : this.elements.sizeSlider.value;
+    this.elements.distributionSelect.disabled = custom || !SORTING_CATEGORIES.includes(category);
+
+    const own = this.elements.battleOwnInput.checked;
+    this.elements.sizeSliderB.disabled = !own || custom;
+    this.elements.sizeValueB.textContent = this.elements.sizeSliderB.disabled ?
+      this.elements.sizeValue.textContent : this.elements.sizeSliderB.value;
+    this.elements.distributionSelectB.disabled = !own || custom || !SORTING_CATEGORIES.includes(category);
+
+    // Both panes share the swap count
+    const nearlySorted = [this.elements.distributionSelect, this.elements.distributionSelectB]
+      .some(select => !select.disabled && select.value === 'nearly-sorted');
+    this.elements.swapsInput.hidden = !nearlySorted;
+    this.elements.swapsInput.disabled = !nearlySorted;
+
+    // The pivot only shows for quick sorts. Race contenders share pane A's;
+    // pane B picks its own when it has its own input.
+    const quick = key => choosesPivot(ALGORITHMS[category][key]);
+    const { classList } = this.elements.main;
+    const keyB = this.elements.algorithmSelectB.value;
+    const sharing = [
+      ...(classList.contains('race-mode') ? this.raceKeys() : [this.elements.algorithmSelect.value]),
+      ...(classList.contains('battle-mode') && !classList.contains('race-mode') && !own ? [keyB] : [])
+    ];
+    this.elements.pivotSelect.hidden = !sharing.some(quick);
+    this.elements.pivotSelectB.hidden = !quick(keyB);
+    this.elements.pivotSelectB.disabled = !own;
   }
 
   resetAlgorithms(newSeed = false) {
@@ -2048,36 +2259,235 @@ class AlgorithmVisualizer {
       return;
     }
 
-    const AlgorithmClass = ALGORITHMS[category][algorithmKey].class;
     const algorithmInfo = ALGORITHMS[category][algorithmKey];
+    const input = this.inputFor(category);
+    this.updateInputControls(category, input);
+    this.updateRaceContenders();
+
+    // Categories with too few algorithms to race fall back to a battle
+    let racing = this.elements.main.classList.contains('race-mode');
+    if (racing && this.elements.raceModeBtn.disabled) {
+      this.setRaceMode(false);
+      racing = false;
+    }
+
+    this.algorithmA = this.createAlgorithm(algorithmInfo, this.seed, size, input);
+    this.rendererA = Renderer.create(this.algorithmA, this.elements.canvasA, this.settings);
+    this.showCode();
+    this.timelineA = new ExecutionTimeline(this.algorithmA);
+
+    const complexityInfo = this.settings.showComplexity ?
+      ` | Time: ${algorithmInfo.complexity.time} Space: ${algorithmInfo.complexity.space}` : '';
+    this.elements.algoInfoA.textContent = `${algorithmInfo.name} - ${algorithmInfo.desc}${complexityInfo}`;
+
+    if (racing) {
+      this.algorithmB = null;
+      this.rendererB = null;
+      this.timelineB = null;
+      this.resetRace(category, size, input);
+    } else if (this.elements.main.classList.contains('battle-mode')) {
+      const otherKey = this.elements.algorithmSelectB.value;
+      const otherInfo = ALGORITHMS[category][otherKey];
+      const other = this.battleInput(category, size, input);
+      this.algorithmKeyB = otherKey;
+
+      this.algorithmB = this.createAlgorithm(otherInfo, this.seed, other.size, other.input);
+      this.rendererB = Renderer.create(this.algorithmB, this.elements.canvasB, this.settings);
+      this.timelineB = new ExecutionTimeline(this.algorithmB);
+
+      const otherComplexityInfo = this.settings.showComplexity ?
+        ` | Time: ${otherInfo.complexity.time} Space: ${otherInfo.complexity.space}` : '';
+      this.elements.algoInfoB.textContent = `${otherInfo.name} - ${otherInfo.desc}${otherComplexityInfo}`;
+    } else {
+      this.algorithmB = null;
+      this.rendererB = null;
+      this.timelineB = null;
+      this.elements.algoInfoB.textContent = '';
+      this.elements.statsB.innerHTML = '';
+    }
+
+    if (!racing && this.racers.length > 0) {
+      this.racers = [];
+      this.elements.raceGrid.innerHTML = '';
+      this.resizeCanvases();
+    }
+
+    this.drawAlgorithms();
+    this.updateStats();
+    this.updateTimelineUI();
+    this.updatePermalink();
+  }
+
+  // One pane per contender, all on pane A's seed and input. The first
+  // pane shows pane A's own algorithm and timeline, so the code panel and
+  // sound follow it; the other contenders run silently.
+  resetRace(category, size, input) {
+    const keys = this.raceKeys();
+    const rebuild = keys.join(' ') !== this.racers.map(racer => racer.key).join(' ');
+    const panes = rebuild ? keys.map(() => this.createRacePane()) : this.racers;
+    if (rebuild) {
+      this.elements.raceGrid.replaceChildren(...panes.map(({ pane }) => pane));
+    }
+
+    this.racers = keys.map((key, i) => {
+      const info = ALGORITHMS[category][key];
+      let algorithm = this.algorithmA;
+      let timeline = this.timelineA;
+      if (i > 0) {
+        algorithm = new info.class(info.name);
+        algorithm.init(this.seed, size, input);
+        timeline = new ExecutionTimeline(algorithm);
+      }
+
+      const { pane, canvas, label } = panes[i];
+      const renderer = Renderer.create(algorithm, canvas, this.settings);
+      return { key, info, algorithm, timeline, renderer, pane, canvas, label };
+    });
+
+    // Rank by whatever the category counts, keeping the chosen metric
+    const select = this.elements.leaderboardMetric;
+    const metrics = Leaderboard.metricsFor(this.algorithmA.stats);
+    const metric = metrics.includes(select.value) ? select.value : metrics[0];
+    select.innerHTML = metrics.map(key => `<option value="${key}">${RACE_METRICS[key].name}</option>`).join('');
+    select.value = metric;
+
+    if (rebuild) this.resizeCanvases();
+  }
+
+  createRacePane() {
+    const pane = document.createElement('div');
+    pane.className = 'visualization-container race-pane';
+    pane.innerHTML = `
+      <canvas class="visualization-canvas"></canvas>
+      <div class="overlay-panels">
+        <div class="algorithm-info"></div>
+      </div>`;
+    return { pane, canvas: pane.querySelector('canvas'), label: pane.querySelector('.algorithm-info') };
+  }
+
+  // Exchanges the contenders, and their sizes and inputs when pane B has
+  // its own, then restarts on the same seed
+  swapSides() {
+    const { elements } = this;
+    const swap = (a, b) => { [a.value, b.value] = [b.value, a.value]; };
+
+    swap(elements.algorithmSelect, elements.algorithmSelectB);
+    if (elements.battleOwnInput.checked) {
+      swap(elements.sizeSlider, elements.sizeSliderB);
+      swap(elements.distributionSelect, elements.distributionSelectB);
+      swap(elements.pivotSelect, elements.pivotSelectB);
+    }
+    this.resetAlgorithms();
+  }
+
+  updateSpeedValue() {
+    const speed = parseFloat(this.elements.speedSlider.value);
+    if (speed < 0.1) {
+      this.elements.speedValue.textContent = `${(speed * 1000).toFixed(0)}ms`;
+    } else {
+      this.elements.speedValue.textContent = `${speed.toFixed(2)}x`;
+    }
+  }
+
+  // Permalinks
+  permalinkState() {
+    const category = this.elements.categorySelect.value;
+    const input = this.inputFor(category);
+    const own = Boolean(this.algorithmB) && this.elements.battleOwnInput.checked;
+    // Pane B may be the only nearly-sorted one
+    const swaps = input.swaps !== undefined || !own ? input.swaps : this.battleInput(category, 0, input).input.swaps;
+    return {
+      category,
+      algorithm: this.elements.algorithmSelect.value,
+      seed: this.seed,
+      size: parseInt(this.elements.sizeSlider.value),
+      speed: parseFloat(this.elements.speedSlider.value),
+      distribution: input.distribution,
+      swaps,
+      pivot: this.elements.pivotSelect.hidden ? null : input.pivot,
+      battle: this.algorithmB ? this.algorithmKeyB : null,
+      battleSize: own ? parseInt(this.elements.sizeSliderB.value) : null,
+      battleDistribution: own && SORTING_CATEGORIES.includes(category) ? this.elements.distributionSelectB.value : null,
+      battlePivot: own && !this.elements.pivotSelectB.hidden ? this.elements.pivotSelectB.value : null,
+      race: this.racers.length > 0 ? this.racers.map(racer => racer.key) : null,
+      array: input.array,
+      target: input.target
+    };
+  }
 
-    this.algorithmA = new AlgorithmClass(this.elements.canvasA, this.audioEngine, algorithmInfo.name);
-    this.algorithmA.init(this.seed, size);
+  updatePermalink() {
+    clearTimeout(this.permalinkTimer);
+    this.permalinkTimer = setTimeout(() => this.writePermalink(), PERMALINK_DELAY);
+  }
 
-    const complexityInfo = this.settings.showComplexity ?
-      ` | Time: ${algorithmInfo.complexity.time} Space: ${algorithmInfo.complexity.space}` : '';
-    this.elements.algoInfoA.textContent = `${algorithmInfo.name} - ${algorithmInfo.desc}${complexityInfo}`;
+  writePermalink() {
+    clearTimeout(this.permalinkTimer);
+    const state = this.permalinkState();
+    const hash = `#${Permalink.encode(state)}`;
+    if (window.location.hash !== hash) {
+      history.replaceState(null, '', hash);
+    }
+    // The address bar describes the run on screen again
+    this.elements.linkNotice.hidden = true;
 
-    if (this.elements.main.classList.contains('battle-mode')) {
-      const algorithmKeys = Object.keys(ALGORITHMS[category]);
-      const otherKey = algorithmKeys.find(key => key !== algorithmKey) || algorithmKeys[0];
-      const OtherAlgorithmClass = ALGORITHMS[category][otherKey].class;
-      const otherInfo = ALGORITHMS[category][otherKey];
+    const { category, algorithm, size, speed, distribution, swaps, pivot } = state;
+    this.writeStorage(SESSION_STORAGE_KEY, Permalink.encode({ category, algorithm, size, speed, distribution, swaps, pivot }));
+  }
 
-      this.algorithmB = new OtherAlgorithmClass(this.elements.canvasB, this.audioEngine, otherInfo.name);
-      this.algorithmB.init(this.seed, size);
+  // Leaves a broken link in the address bar, and the run on screen as it
+  // was, until the user changes the run
+  showLinkError(message) {
+    clearTimeout(this.permalinkTimer);
+    this.elements.linkNoticeText.textContent =
+      `This link could not be opened: ${message.replace(/\.$/, '')}. The run below is not the one it describes.`;
+    this.elements.linkNotice.hidden = false;
+  }
 
-      const otherComplexityInfo = this.settings.showComplexity ?
-        ` | Time: ${otherInfo.complexity.time} Space: ${otherInfo.complexity.space}` : '';
-      this.elements.algoInfoB.textContent = `${otherInfo.name} - ${otherInfo.desc}${otherComplexityInfo}`;
-    } else {
-      this.algorithmB = null;
-      this.elements.algoInfoB.textContent = '';
-      this.elements.statsB.innerHTML = '';
+  // Puts the controls in the state a decoded link describes; the caller
+  // resets the algorithms
+  applyPermalink(state) {
+    const { elements } = this;
+    elements.categorySelect.value = state.category;
+    this.populateAlgorithms();
+    elements.algorithmSelect.value = state.algorithm;
+
+    if (state.seed !== undefined) this.seed = state.seed;
+    if (state.size !== undefined) elements.sizeSlider.value = state.size;
+    if (state.speed !== undefined) elements.speedSlider.value = state.speed;
+    if (state.distribution) elements.distributionSelect.value = state.distribution;
+    if (state.swaps !== undefined) elements.swapsInput.value = state.swaps;
+    if (state.pivot) elements.pivotSelect.value = state.pivot;
+    this.updateSpeedValue();
+
+    this.customData = { array: state.array, target: state.target };
+    elements.dataArray.value = state.array ? state.array.join(', ') : '';
+    elements.dataTarget.value = state.target !== undefined ? state.target : '';
+    elements.dataStatus.textContent = '';
+
+    if (state.battle) elements.algorithmSelectB.value = state.battle;
+    elements.battleOwnInput.checked = state.battleSize !== undefined || state.battleDistribution !== undefined ||
+      state.battlePivot !== undefined;
+    if (state.battleSize !== undefined) elements.sizeSliderB.value = state.battleSize;
+    if (state.battleDistribution) elements.distributionSelectB.value = state.battleDistribution;
+    if (state.battlePivot) elements.pivotSelectB.value = state.battlePivot;
+    if (state.race) this.selectRaceContenders(state.race);
+    if (Boolean(state.battle || state.race) !== elements.main.classList.contains('battle-mode')) {
+      this.toggleBattleMode();
     }
+    this.setRaceMode(Boolean(state.race));
+  }
 
-    this.drawAlgorithms();
-    this.updateStats();
+  async copyLink() {
+    this.writePermalink();
+
+    const icon = this.elements.shareBtn.querySelector('.btn-icon');
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      icon.textContent = '✅';
+    } catch (error) {
+      icon.textContent = '⚠️';
+    }
+    setTimeout(() => { icon.textContent = '🔗'; }, 1500);
   }
 
   togglePlayPause() {
@@ -2095,32 +2505,145 @@ class AlgorithmVisualizer {
     }
   }
 
+  pause() {
+    this.isPlaying = false;
+    const btnIcon = this.elements.playPauseBtn.querySelector('.btn-icon');
+    const btnText = this.elements.playPauseBtn.querySelector('.btn-text');
+    btnIcon.textContent = '▶';
+    btnText.textContent = 'Play';
+  }
+
+  // Timeline navigation
+  getTimelines() {
+    if (this.racers.length > 0) return this.racers.map(racer => racer.timeline);
+    return [this.timelineA, this.timelineB].filter(Boolean);
+  }
+
+  stepForward() {
+    this.pause();
+    const wasFinished = this.battleFinished();
+    this.getTimelines().forEach(timeline => timeline.stepForward());
+    this.refreshTimelineView();
+    if (!wasFinished && this.battleFinished()) this.showBattleResult();
+  }
+
+  stepBackward() {
+    this.pause();
+    this.getTimelines().forEach(timeline => timeline.stepBackward());
+    this.refreshTimelineView();
+  }
+
+  seekTimeline(position) {
+    this.pause();
+    this.getTimelines().forEach(timeline => timeline.seek(position));
+    this.refreshTimelineView();
+  }
+
+  refreshTimelineView() {
+    this.drawAlgorithms();
+    this.updateStats();
+    this.updateTimelineUI();
+  }
+
+  updateTimelineUI() {
+    const timelines = this.getTimelines();
+    const length = Math.max(0, ...timelines.map(timeline => timeline.length));
+    const position = Math.max(0, ...timelines.map(timeline => timeline.position));
+
+    this.elements.timelineSlider.max = length;
+    this.elements.timelineSlider.value = position;
+    this.elements.timelineValue.textContent = `Step ${position.toLocaleString()} / ${length.toLocaleString()}`;
+    this.elements.stepBackBtn.disabled = position === 0;
+  }
+
   toggleBattleMode() {
     this.elements.main.classList.toggle('battle-mode');
-    const isBattleMode = this.elements.main.classList.contains('battle-mode');
-    const btnIcon = this.elements.battleModeBtn.querySelector('.btn-icon');
-    const btnText = this.elements.battleModeBtn.querySelector('.btn-text');
-
-    if (isBattleMode) {
-      btnIcon.textContent = '🎯';
-      btnText.textContent = 'Single Mode';
-    } else {
-      btnIcon.textContent = '⚔';
-      btnText.textContent = 'Battle Mode';
+    if (!this.elements.main.classList.contains('battle-mode')) {
+      this.elements.main.classList.remove('race-mode');
     }
+    this.updateModeButtons();
 
     this.resizeCanvases();
     this.resetAlgorithms();
   }
 
+  toggleRaceMode() {
+    this.setRaceMode(!this.elements.main.classList.contains('race-mode'));
+    this.resetAlgorithms();
+  }
+
+  // Switches the layout only; the caller resets the algorithms, which
+  // builds or clears the race grid
+  setRaceMode(racing) {
+    this.elements.main.classList.toggle('race-mode', racing);
+    if (racing) this.elements.main.classList.add('battle-mode');
+    this.updateModeButtons();
+  }
+
+  updateModeButtons() {
+    const { main, battleModeBtn, raceModeBtn } = this.elements;
+    const isBattleMode = main.classList.contains('battle-mode');
+    const isRaceMode = main.classList.contains('race-mode');
+
+    battleModeBtn.querySelector('.btn-icon').textContent = isBattleMode ? '🎯' : '⚔';
+    battleModeBtn.querySelector('.btn-text').textContent = isBattleMode ? 'Single Mode' : 'Battle Mode';
+    raceModeBtn.querySelector('.btn-icon').textContent = isRaceMode ? '⚔' : '🏁';
+    raceModeBtn.querySelector('.btn-text').textContent = isRaceMode ? 'Two Panes' : 'Race';
+  }
+
+  toggleStability() {
+    this.settings.showStability = !this.settings.showStability;
+    this.elements.showStability.checked = this.settings.showStability;
+    this.saveSettings();
+    this.drawAlgorithms();
+  }
+
   toggleSound() {
     this.settings.enableSound = !this.settings.enableSound;
+    this.elements.enableSound.checked = this.settings.enableSound;
     this.audioEngine.setVolume(this.settings.enableSound ? 0.05 : 0);
+    this.saveSettings();
   }
 
   drawAlgorithms() {
-    if (this.algorithmA) this.algorithmA.draw();
-    if (this.algorithmB) this.algorithmB.draw();
+    if (this.racers.length > 0) {
+      this.racers.forEach(({ renderer, algorithm }) => renderer.draw(algorithm));
+    } else {
+      if (this.algorithmA) this.rendererA.draw(this.algorithmA);
+      if (this.algorithmB) this.rendererB.draw(this.algorithmB);
+    }
+    this.codePanel.update(this.algorithmA);
+  }
+
+  toggleCodePanel() {
+    this.elements.main.classList.toggle('show-code');
+    this.resizeCanvases();
+  }
+
+  codeListing(info) {
+    if (this.codeLanguage === 'pseudocode') return info.pseudocode;
+    return info.sources ? info.sources[this.codeLanguage] : null;
+  }
+
+  showCode() {
+    const { info } = this.currentAlgorithmEntry();
+    this.codePanel.show(this.codeListing(info));
+    this.codePanel.update(this.algorithmA);
+    this.elements.codeAlgorithm.textContent = info.name;
+  }
+
+  async copyCode() {
+    const listing = this.codePanel.listing;
+    if (!listing) return;
+
+    const button = this.elements.copyCodeBtn;
+    try {
+      await navigator.clipboard.writeText(listing.code.join('\n'));
+      button.textContent = 'Copied!';
+    } catch (error) {
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
   }
 
   updateStats() {
@@ -2134,15 +2657,48 @@ class AlgorithmVisualizer {
         .join('');
     };
 
+    // Auxiliary memory is kept apart from the stats counters
+    const formatMemory = (algorithm) => algorithm.tracksMemory ?
+      `<div><strong>Aux Memory:</strong> <span class="stat-value">${algorithm.memoryInUse.toLocaleString()} (peak ${algorithm.peakMemory.toLocaleString()})</span></div>` : '';
+
     if (this.algorithmA) {
-      this.elements.statsA.innerHTML = formatStats(this.algorithmA.stats);
+      this.elements.statsA.innerHTML = formatStats(this.algorithmA.stats) + formatMemory(this.algorithmA);
       this.updatePerformanceIndicator(this.algorithmA, this.elements.performanceA);
     }
 
     if (this.algorithmB) {
-      this.elements.statsB.innerHTML = formatStats(this.algorithmB.stats);
+      this.elements.statsB.innerHTML = formatStats(this.algorithmB.stats) + formatMemory(this.algorithmB);
       this.updatePerformanceIndicator(this.algorithmB, this.elements.performanceB);
     }
+
+    if (this.racers.length > 0) this.updateLeaderboard();
+  }
+
+  updateLeaderboard() {
+    const metric = this.elements.leaderboardMetric.value;
+    const entries = this.racers.map(({ key, algorithm, timeline }) => ({
+      key,
+      stats: algorithm.stats,
+      finishedAt: timeline.finished ? timeline.position : null
+    }));
+
+    const ranked = Leaderboard.rank(entries, metric);
+    this.elements.leaderboardList.innerHTML = ranked.map(({ key, rank, value, finished }) => {
+      const { name } = ALGORITHMS[this.elements.categorySelect.value][key];
+      const shown = metric === 'finish' ?
+        (finished ? `step ${value.toLocaleString()}` : 'running') : value.toLocaleString();
+      return `<li class="${finished ? 'finished' : ''}">
+        <span class="leaderboard-rank">${rank}</span>
+        <span class="leaderboard-name">${name}</span>
+        <span class="leaderboard-value">${shown}</span>
+      </li>`;
+    }).join('');
+
+    ranked.forEach(({ key, rank, finished }) => {
+      const racer = this.racers.find(candidate => candidate.key === key);
+      racer.label.textContent = `#${rank} ${racer.info.name}`;
+      racer.pane.classList.toggle('finished', finished);
+    });
   }
 
   startAnimationLoop() {
@@ -2159,26 +2715,21 @@ class AlgorithmVisualizer {
       if (this.isPlaying && currentTime - this.lastStepTime >= stepInterval) {
         let hasActiveAlgorithm = false;
 
-        if (this.algorithmA && !this.algorithmA.finished) {
-          this.algorithmA.step();
-          hasActiveAlgorithm = true;
-        }
-
-        if (this.algorithmB && !this.algorithmB.finished) {
-          this.algorithmB.step();
-          hasActiveAlgorithm = true;
+        for (const timeline of this.getTimelines()) {
+          if (!timeline.finished) {
+            timeline.stepForward();
+            hasActiveAlgorithm = true;
+          }
         }
 
         if (hasActiveAlgorithm) {
           this.drawAlgorithms();
           this.updateStats();
+          this.updateTimelineUI();
           this.lastStepTime = currentTime;
         } else {
-          this.isPlaying = false;
-          const btnIcon = this.elements.playPauseBtn.querySelector('.btn-icon');
-          const btnText = this.elements.playPauseBtn.querySelector('.btn-text');
-          btnIcon.textContent = '▶';
-          btnText.textContent = 'Play';
+          this.pause();
+          if (this.battleFinished()) this.showBattleResult();
         }
       }
 
@@ -2188,6 +2739,75 @@ class AlgorithmVisualizer {
     animate(0);
   }
 
+  // Battle result
+  battleFinished() {
+    return Boolean(this.algorithmB) && this.timelineA.finished && this.timelineB.finished;
+  }
+
+  // Winner and ratio per counter, and the cumulative counts of both panes
+  // over the run
+  showBattleResult() {
+    const category = this.elements.categorySelect.value;
+    const sides = [[this.elements.algorithmSelect.value, this.timelineA], [this.algorithmKeyB, this.timelineB]]
+      .map(([key, timeline]) => ({
+        name: ALGORITHMS[category][key].name,
+        stats: { ...timeline.algorithm.stats },
+        history: timeline.statsHistory()
+      }));
+    if (sides[0].name === sides[1].name) {
+      sides.forEach((side, i) => { side.name += i === 0 ? ' (A)' : ' (B)'; });
+    }
+
+    const result = new BattleResult(sides);
+    this.battleResult = result;
+
+    const [a, b] = sides.map(({ name }) => name);
+    const header = ['Counter', a, b, 'Winner', 'Ratio'].map(cell => `<th>${cell}</th>`).join('');
+    const body = result.metrics.map(row => {
+      const cells = BattleChart.summaryRow(result, row);
+      return `<tr>${cells.map((cell, i) => `<td${i === row.winner + 1 ? ' class="winner"' : ''}>${cell}</td>`).join('')}</tr>`;
+    }).join('');
+
+    this.elements.resultVerdict.textContent = this.battleVerdict(result);
+    this.elements.resultTable.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+    this.elements.resultStatus.textContent = '';
+    this.battleChart.draw(result);
+    this.showModal('result');
+  }
+
+  battleVerdict(result) {
+    const { winner, metrics, sides } = result;
+    if (winner === null) return `Draw over ${metrics.length} counters`;
+
+    const wins = metrics.filter(row => row.winner === winner).length;
+    return `🏆 ${sides[winner].name} wins ${wins} of ${metrics.length} counters`;
+  }
+
+  // SVG saves the verdict, table and chart as one card; CSV saves the
+  // cumulative counts behind the chart
+  saveBattleResult(format) {
+    const result = this.battleResult;
+    if (!result) return;
+
+    const name = `${this.elements.algorithmSelect.value}-vs-${this.algorithmKeyB}-result.${format}`;
+    if (format === 'csv') {
+      this.downloadFile(name, result.toCSV(), 'text/csv');
+    } else {
+      const { width, height } = this.elements.resultCanvas;
+      const top = BattleChart.summaryHeight(result);
+      const card = new SvgCanvas(width, top + height);
+      const ctx = card.getContext('2d');
+
+      new BattleChart({ width, height: top, getContext: () => ctx }).drawSummary(result, this.battleVerdict(result));
+      ctx.save();
+      ctx.translate(0, top);
+      new BattleChart({ width, height, getContext: () => ctx }).draw(result);
+      ctx.restore();
+      this.downloadFile(name, card.toString(), 'image/svg+xml');
+    }
+    this.elements.resultStatus.textContent = `Saved ${name}.`;
+  }
+
   // Loading screen methods
   showLoadingScreen() {
     if (this.elements && this.elements.loadingScreen) {
@@ -2215,6 +2835,28 @@ class AlgorithmVisualizer {
       case 'help':
         modalElement = this.elements.helpPanel;
         break;
+      case 'data':
+        modalElement = this.elements.dataPanel;
+        break;
+      case 'benchmark':
+        modalElement = this.elements.benchmarkPanel;
+        this.selectCurrentBenchmarkAlgorithm();
+        break;
+      case 'complexity':
+        modalElement = this.elements.complexityPanel;
+        this.prepareComplexityPanel();
+        break;
+      case 'export':
+        modalElement = this.elements.exportPanel;
+        this.prepareExportPanel();
+        break;
+      case 'frame':
+        modalElement = this.elements.framePanel;
+        this.prepareFramePanel();
+        break;
+      case 'result':
+        modalElement = this.elements.resultPanel;
+        break;
       case 'shortcuts':
         modalElement = this.elements.keyboardShortcuts;
         break;
@@ -2231,25 +2873,549 @@ class AlgorithmVisualizer {
     this.elements.backdrop.classList.remove('visible');
     this.elements.settingsPanel.classList.remove('visible');
     this.elements.helpPanel.classList.remove('visible');
+    this.elements.dataPanel.classList.remove('visible');
+    this.elements.benchmarkPanel.classList.remove('visible');
+    this.elements.complexityPanel.classList.remove('visible');
+    this.elements.exportPanel.classList.remove('visible');
+    this.elements.framePanel.classList.remove('visible');
+    this.elements.resultPanel.classList.remove('visible');
     this.elements.keyboardShortcuts.classList.remove('visible');
     document.body.style.overflow = 'auto';
   }
 
+  // Benchmark
+  populateBenchmarkAlgorithms() {
+    this.elements.benchmarkAlgorithms.innerHTML = Object.entries(ALGORITHMS).map(([category, algorithms]) => {
+      const options = Object.entries(algorithms).map(([key, info]) => `
+        <label class="setting-label">
+          <input type="checkbox" data-category="${category}" data-key="${key}">
+          <span class="checkmark"></span>
+          ${info.name}
+        </label>`).join('');
+      const categoryOption = this.elements.categorySelect.querySelector(`option[value="${category}"]`);
+      return `<div class="benchmark-category"><h4>${categoryOption ? categoryOption.textContent : category}</h4>${options}</div>`;
+    }).join('');
+
+    this.elements.benchmarkDistributions.innerHTML = Object.entries(DISTRIBUTIONS).map(([key, { name }]) => `
+      <label class="setting-label">
+        <input type="checkbox" data-distribution="${key}"${key === 'uniform' ? ' checked' : ''}>
+        <span class="checkmark"></span>
+        ${name}
+      </label>`).join('');
+  }
+
+  selectedBenchmarkAlgorithms() {
+    return [...this.elements.benchmarkAlgorithms.querySelectorAll('input:checked')]
+      .map(input => ({ category: input.dataset.category, key: input.dataset.key }));
+  }
+
+  selectedBenchmarkDistributions() {
+    return [...this.elements.benchmarkDistributions.querySelectorAll('input:checked')]
+      .map(input => input.dataset.distribution);
+  }
+
+  // Pre-select the algorithm on screen the first time the panel opens
+  selectCurrentBenchmarkAlgorithm() {
+    if (this.selectedBenchmarkAlgorithms().length > 0) return;
+
+    const category = this.elements.categorySelect.value;
+    const key = this.elements.algorithmSelect.value;
+    const input = this.elements.benchmarkAlgorithms
+      .querySelector(`input[data-category="${category}"][data-key="${key}"]`);
+    if (input) input.checked = true;
+  }
+
+  parseNumberList(text) {
+    const numbers = text.split(/[\s,]+/).map(value => parseInt(value));
+    return [...new Set(numbers.filter(value => Number.isInteger(value) && value > 0))];
+  }
+
+  // The status to show for sizes the page cannot run without freezing, or
+  // null when every size is within BENCHMARK_LIMITS
+  oversizedMessage(sizes) {
+    const tooLarge = sizes.filter(size => size > BENCHMARK_LIMITS.maxSize);
+    return tooLarge.length > 0 ?
+      `Sizes go up to ${BENCHMARK_LIMITS.maxSize}; remove ${tooLarge.join(', ')}.` : null;
+  }
+
+  async runBenchmark() {
+    if (this.benchmarkRunning) return;
+
+    const algorithms = this.selectedBenchmarkAlgorithms();
+    const distributions = this.selectedBenchmarkDistributions();
+    const sizes = this.parseNumberList(this.elements.benchmarkSizes.value);
+    const seeds = this.parseNumberList(this.elements.benchmarkSeeds.value);
+
+    if (algorithms.length === 0 || distributions.length === 0 || sizes.length === 0 || seeds.length === 0) {
+      this.elements.benchmarkStatus.textContent = 'Select at least one algorithm, input, size and seed.';
+      return;
+    }
+
+    const oversized = this.oversizedMessage(sizes);
+    if (oversized) {
+      this.elements.benchmarkStatus.textContent = oversized;
+      return;
+    }
+
+    const benchmark = new Benchmark({ algorithms, sizes, seeds, distributions, maxSteps: BENCHMARK_LIMITS.maxSteps });
+    const rows = [];
+    this.benchmarkRunning = true;
+    this.elements.benchmarkRun.disabled = true;
+
+    try {
+      await this.collectBenchmarkRows(benchmark, rows, this.elements.benchmarkStatus);
+      this.elements.benchmarkStatus.textContent = `${rows.length} runs complete.`;
+    } catch (error) {
+      this.elements.benchmarkStatus.textContent = `Stopped after ${rows.length} runs: ${error.message}`;
+    } finally {
+      this.benchmarkRunning = false;
+      this.elements.benchmarkRun.disabled = false;
+    }
+
+    this.benchmarkRows = rows;
+    this.renderBenchmarkTable(rows);
+  }
+
+  // Runs the benchmark into rows, handing control back to the browser now
+  // and then so the page stays responsive and progress can be shown
+  async collectBenchmarkRows(benchmark, rows, statusElement) {
+    let lastYield = performance.now();
+
+    for (const run of benchmark.runs()) {
+      rows.push(benchmark.runOne(run));
+
+      if (performance.now() - lastYield > 50) {
+        statusElement.textContent = `Running ${rows.length} / ${benchmark.total}...`;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = performance.now();
+      }
+    }
+
+    return rows;
+  }
+
+  renderBenchmarkTable(rows) {
+    const columns = Benchmark.columns(rows).filter(column => column !== 'category' && column !== 'key');
+    const header = columns.map(column => `<th>${column}</th>`).join('');
+    const body = rows.map(row =>
+      `<tr>${columns.map(column => `<td>${row[column] === undefined ? '' : row[column]}</td>`).join('')}</tr>`
+    ).join('');
+
+    this.elements.benchmarkTable.innerHTML = rows.length > 0 ? `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>` : '';
+    this.elements.benchmarkExportCsv.disabled = rows.length === 0;
+    this.elements.benchmarkExportJson.disabled = rows.length === 0;
+  }
+
+  // Complexity calculator
+  currentAlgorithmEntry() {
+    const category = this.elements.categorySelect.value;
+    const key = this.elements.algorithmSelect.value;
+    return { category, key, info: ALGORITHMS[category][key] };
+  }
+
+  prepareComplexityPanel() {
+    const { category, key, info } = this.currentAlgorithmEntry();
+    const supported = ComplexityAnalyzer.supports(info);
+
+    this.elements.complexityAlgorithm.textContent = supported ?
+      `${info.name} · listed as ${info.complexity.time}` :
+      `${info.name} does not take an input of size n, so its growth cannot be measured. Pick a sorting or search algorithm.`;
+    this.elements.complexityRun.disabled = !supported;
+
+    // Offer every counter this algorithm keeps, defaulting to steps
+    const metrics = Object.keys(this.algorithmA.stats);
+    const selected = metrics.includes(this.elements.complexityMetric.value) ? this.elements.complexityMetric.value : 'steps';
+    this.elements.complexityMetric.innerHTML = metrics.map(metric => `<option value="${metric}">${metric}</option>`).join('');
+    this.elements.complexityMetric.value = selected;
+
+    const distribution = this.elements.distributionSelect.value;
+    const measured = this.complexityRows && this.complexityRows.category === category &&
+      this.complexityRows.key === key && this.complexityRows.distribution === distribution;
+    if (!measured) {
+      this.complexityRows = null;
+      this.complexityChart.clear();
+      this.elements.complexityVerdict.textContent = '';
+      this.elements.complexityFits.textContent = '';
+      if (supported) this.measureComplexity();
+    }
+  }
+
+  async measureComplexity() {
+    if (this.complexityRunning) return;
+
+    const { category, key } = this.currentAlgorithmEntry();
+    // Sorts are measured on the input distribution chosen on the main screen
+    const distribution = this.elements.distributionSelect.value;
+    const sizes = this.parseNumberList(this.elements.complexitySizes.value);
+    const seeds = this.parseNumberList(this.elements.complexitySeeds.value);
+
+    if (seeds.length === 0) {
+      this.elements.complexityVerdict.textContent = 'Enter at least one seed.';
+      return;
+    }
+
+    const oversized = this.oversizedMessage(sizes);
+    if (oversized) {
+      this.elements.complexityVerdict.textContent = oversized;
+      return;
+    }
+
+    const benchmark = new Benchmark({
+      algorithms: [{ category, key }], sizes, seeds, distributions: [distribution], maxSteps: BENCHMARK_LIMITS.maxSteps
+    });
+    const rows = [];
+    this.complexityRunning = true;
+    this.elements.complexityRun.disabled = true;
+
+    try {
+      await this.collectBenchmarkRows(benchmark, rows, this.elements.complexityVerdict);
+      this.complexityRows = { category, key, distribution, rows };
+      this.showComplexityAnalysis();
+    } catch (error) {
+      this.elements.complexityVerdict.textContent = error.message;
+    } finally {
+      this.complexityRunning = false;
+      this.elements.complexityRun.disabled = false;
+    }
+  }
+
+  showComplexityAnalysis() {
+    if (!this.complexityRows) return;
+
+    const { info } = this.currentAlgorithmEntry();
+    const verdict = this.elements.complexityVerdict;
+    verdict.classList.remove('agrees', 'disagrees');
+
+    let analysis;
+    try {
+      analysis = ComplexityAnalyzer.analyze(this.complexityRows.rows, this.elements.complexityMetric.value, info.complexity.time);
+    } catch (error) {
+      this.complexityChart.clear();
+      verdict.textContent = error.message;
+      this.elements.complexityFits.textContent = '';
+      return;
+    }
+
+    this.complexityChart.draw(analysis);
+
+    const { best, expected, agrees } = analysis;
+    if (!best) {
+      verdict.textContent = `${info.name} never counts any ${analysis.metric}.`;
+    } else if (agrees === null) {
+      verdict.textContent = `Measured growth is closest to ${best.model.label}. The listed ${info.complexity.time} is not one of the candidate curves.`;
+    } else if (best === expected) {
+      verdict.textContent = `Measured growth matches the listed ${info.complexity.time}.`;
+    } else if (agrees) {
+      verdict.textContent = `Measured growth is closest to ${best.model.label}, but the listed ${info.complexity.time} fits almost as well.`;
+    } else {
+      verdict.textContent = `Measured growth is closest to ${best.model.label}, which disagrees with the listed ${info.complexity.time}.`;
+    }
+    if (agrees !== null) verdict.classList.add(agrees ? 'agrees' : 'disagrees');
+
+    this.elements.complexityFits.textContent = analysis.fits.length > 0 ?
+      'Closest fits (relative error): ' + analysis.fits.slice(0, 4)
+        .map(fit => `${fit.model.label} ${(fit.error * 100).toFixed(1)}%`).join(' · ') : '';
+  }
+
+  // Animation export
+  prepareExportPanel() {
+    const { category, key } = this.currentAlgorithmEntry();
+    const { elements } = this;
+
+    elements.exportAlgorithm.innerHTML = Object.entries(ALGORITHMS[category]).map(([value, { name }]) =>
+      `<option value="${value}">${name}</option>`
+    ).join('');
+    elements.exportAlgorithm.value = key;
+    elements.exportSeed.value = this.seed;
+    elements.exportSize.max = CUSTOM_INPUT_LIMITS.maxLength;
+    elements.exportSize.value = this.elements.sizeSlider.value;
+    elements.exportSize.disabled = Boolean(this.inputFor(category).array);
+
+    const battle = Boolean(this.algorithmB);
+    elements.exportBattle.disabled = !battle;
+    elements.exportBattle.checked = battle;
+    elements.exportBattleLabel.textContent = battle ?
+      `Side by side with ${ALGORITHMS[category][this.algorithmKeyB].name}` :
+      'Both battle panes side by side (turn on Battle Mode first)';
+
+    if (!this.exportRunning) elements.exportStatus.textContent = '';
+  }
+
+  // Reads a number field of an export form; throws with a message for its
+  // status line
+  readInteger(input, label, min, max = Infinity) {
+    const value = Number(input.value);
+    if (input.value.trim() === '' || !Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${label} must be a whole number${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}.`);
+    }
+    return value;
+  }
+
+  exportOptions() {
+    const { elements } = this;
+    const format = elements.exportFormat.value;
+    return {
+      format,
+      key: elements.exportAlgorithm.value,
+      seed: this.readInteger(elements.exportSeed, 'Seed', 0),
+      size: this.readInteger(elements.exportSize, 'Size', 1, CUSTOM_INPUT_LIMITS.maxLength),
+      from: this.readInteger(elements.exportFrom, 'From step', 0),
+      to: elements.exportTo.value.trim() === '' ? Infinity : this.readInteger(elements.exportTo, 'To step', 1),
+      stepsPerFrame: elements.exportStepsPerFrame.value.trim() === '' ? null :
+        this.readInteger(elements.exportStepsPerFrame, 'Steps per frame', 1),
+      fps: this.readInteger(elements.exportFps, 'Frames per second', 1, format === 'gif' ? 50 : 60),
+      battle: elements.exportBattle.checked && Boolean(this.algorithmB)
+    };
+  }
+
+  async exportAnimation() {
+    if (this.exportRunning) return;
+    const status = this.elements.exportStatus;
+
+    let options;
+    try {
+      options = this.exportOptions();
+      if (options.to <= options.from) throw new Error('To step must come after From step.');
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+
+    const category = this.elements.categorySelect.value;
+    const input = this.inputFor(category);
+    const panes = [{ key: options.key, size: options.size, input }];
+    if (options.battle) {
+      panes.push({ key: this.algorithmKeyB, ...this.battleInput(category, options.size, input) });
+    }
+    const keys = panes.map(({ key }) => key);
+    const algorithms = panes.map(pane => {
+      const info = ALGORITHMS[category][pane.key];
+      const algorithm = new info.class(info.name);
+      algorithm.init(options.seed, pane.size, pane.input);
+      return algorithm;
+    });
+
+    this.exportRunning = true;
+    this.elements.exportRun.disabled = true;
+
+    try {
+      status.textContent = 'Running the algorithm...';
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const exporter = new AnimationExport(algorithms, this.settings);
+      const to = exporter.record(options.to);
+      if (to <= options.from) {
+        throw new Error(`The run is only ${to.toLocaleString()} steps long.`);
+      }
+
+      const range = to - options.from;
+      const stepsPerFrame = options.stepsPerFrame || Math.max(1, Math.ceil(range / EXPORT_AUTO_FRAMES));
+      const positions = AnimationExport.positions(options.from, to, stepsPerFrame);
+      if (positions.length > EXPORT_MAX_FRAMES) {
+        throw new Error(`That is ${positions.length.toLocaleString()} frames; use at least ${Math.ceil(range / (EXPORT_MAX_FRAMES - 1))} steps per frame.`);
+      }
+
+      const blob = options.format === 'gif' ?
+        await this.encodeGif(exporter, positions, options.fps, status) :
+        await this.recordWebm(exporter, positions, options.fps, status);
+
+      const name = `${keys.join('-vs-')}-seed${options.seed}.${options.format}`;
+      this.downloadFile(name, blob);
+      status.textContent = `Saved ${name}: ${positions.length} frames, ${(blob.size / 1024).toFixed(0)} KB.`;
+    } catch (error) {
+      status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      this.exportRunning = false;
+      this.elements.exportRun.disabled = false;
+    }
+  }
+
+  // The palette comes from a handful of frames spread over the clip, so
+  // colors that only appear late (e.g. sorted bars) are in it
+  async encodeGif(exporter, positions, fps, status) {
+    const count = Math.min(8, positions.length);
+    const samples = Array.from({ length: count }, (_, i) =>
+      positions[Math.round(i * (positions.length - 1) / Math.max(1, count - 1))]);
+    const palette = GifEncoder.palette(samples.map(position => {
+      exporter.render(position);
+      return exporter.pixels();
+    }));
+
+    const { width, height } = exporter.canvas;
+    const encoder = new GifEncoder(width, height, { palette, delay: Math.round(100 / fps) });
+    let lastYield = performance.now();
+
+    for (let i = 0; i < positions.length; i++) {
+      exporter.render(positions[i]);
+      encoder.addFrame(exporter.pixels());
+
+      if (performance.now() - lastYield > 50) {
+        status.textContent = `Encoding frame ${i + 1} / ${positions.length}...`;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = performance.now();
+      }
+    }
+
+    return new Blob([encoder.finish()], { type: 'image/gif' });
+  }
+
+  // MediaRecorder captures in real time, so frames are drawn on a timer
+  async recordWebm(exporter, positions, fps, status) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !exporter.canvas.captureStream) {
+      throw new Error('this browser cannot record WebM video. Try GIF instead.');
+    }
+
+    exporter.render(positions[0]);
+    const stream = exporter.canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+    recorder.start();
+    for (let i = 0; i < positions.length; i++) {
+      exporter.render(positions[i]);
+      status.textContent = `Recording frame ${i + 1} / ${positions.length}...`;
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    return new Blob(chunks, { type: 'video/webm' });
+  }
+
+  // Frame export
+  prepareFramePanel() {
+    const rect = this.elements.canvasA.parentElement.getBoundingClientRect();
+    this.elements.frameWidth.value = Math.round(rect.width) || 800;
+    this.elements.frameHeight.value = Math.round(rect.height) || 500;
+    this.elements.frameStatus.textContent = '';
+  }
+
+  // Draws the current step of every pane once more, side by side, onto an
+  // SvgCanvas or an offscreen canvas; each renderer sees a pane-sized canvas
+  exportFrame() {
+    const { elements } = this;
+    const status = elements.frameStatus;
+    const format = elements.frameFormat.value;
+    const scale = parseInt(elements.frameScale.value);
+    const algorithms = [this.algorithmA, this.algorithmB].filter(Boolean);
+
+    let width;
+    let height;
+    try {
+      width = this.readInteger(elements.frameWidth, 'Width', 100, 4000);
+      height = this.readInteger(elements.frameHeight, 'Height', 100, 4000);
+      if (format === 'png' && Math.max(width * algorithms.length, height) * scale > 16384) {
+        throw new Error('That PNG would be over 16,384 pixels wide; lower the scale or size.');
+      }
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+
+    const totalWidth = width * algorithms.length;
+    let target;
+    if (format === 'svg') {
+      target = new SvgCanvas(totalWidth, height);
+    } else {
+      target = document.createElement('canvas');
+      target.width = totalWidth * scale;
+      target.height = height * scale;
+      target.getContext('2d').scale(scale, scale);
+    }
+
+    const ctx = target.getContext('2d');
+    algorithms.forEach((algorithm, i) => {
+      ctx.save();
+      ctx.translate(i * width, 0);
+      Renderer.create(algorithm, { width, height, getContext: () => ctx }, this.settings).draw(algorithm);
+      ctx.restore();
+    });
+
+    const { key } = this.currentAlgorithmEntry();
+    const keys = this.algorithmB ? [key, this.algorithmKeyB] : [key];
+    const name = `${keys.join('-vs-')}-step${this.timelineA.position}.${format}`;
+
+    if (format === 'svg') {
+      this.downloadFile(name, target.toString(totalWidth * scale, height * scale), 'image/svg+xml');
+      status.textContent = `Saved ${name}.`;
+    } else {
+      target.toBlob(blob => {
+        this.downloadFile(name, blob);
+        status.textContent = `Saved ${name} (${target.width}×${target.height}).`;
+      }, 'image/png');
+    }
+  }
+
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   // Settings management
   resetSettingsToDefaults() {
-    this.settings = {
-      showComplexity: true,
-      enableSound: true,
-      darkMode: true,
-      showKeyboardShortcuts: false,
-      highContrast: false,
-      volume: 30
-    };
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.saveSettings();
+    this.applySettings();
+    this.resetAlgorithms();
+  }
+
+  // Stored settings override the defaults one by one, so a key added in a
+  // later version keeps its default and a corrupt entry is ignored
+  loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS };
+    let stored = null;
+    try {
+      stored = JSON.parse(this.readStorage(SETTINGS_STORAGE_KEY));
+    } catch (error) {
+      return settings;
+    }
+
+    Object.keys(settings).forEach(key => {
+      if (stored && typeof stored[key] === typeof settings[key]) {
+        settings[key] = stored[key];
+      }
+    });
+    return settings;
+  }
+
+  saveSettings() {
+    this.writeStorage(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+  }
 
+  applySettings() {
     this.updateSettingsUI();
-    this.audioEngine.setVolume(this.settings.volume / 100 * 0.05);
-    document.body.classList.remove('high-contrast');
-    this.resetAlgorithms();
+    this.audioEngine.setVolume(this.settings.enableSound ? this.settings.volume / 100 * 0.05 : 0);
+    document.body.classList.toggle('high-contrast', this.settings.highContrast);
+    if (this.settings.showKeyboardShortcuts) this.showModal('shortcuts');
+  }
+
+  // Storage can be missing or throw (private browsing, blocked cookies,
+  // quota); the app then simply forgets between visits
+  readStorage(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (error) {
+      // Not persisted
+    }
   }
 
   updateSettingsUI() {
@@ -2257,6 +3423,7 @@ class AlgorithmVisualizer {
     this.elements.enableSound.checked = this.settings.enableSound;
     this.elements.showKeyboardShortcutsCheck.checked = this.settings.showKeyboardShortcuts;
     this.elements.highContrast.checked = this.settings.highContrast;
+    this.elements.showStability.checked = this.settings.showStability;
     this.elements.volumeSlider.value = this.settings.volume;
     this.elements.volumeValue.textContent = `${this.settings.volume}%`;
   }
@@ -2281,24 +3448,20 @@ class AlgorithmVisualizer {
   }
 
   // Performance indicator update
+  // Bar and tooltip for PerformanceModel's score: the theoretical best
+  // for the category and input size over the work done so far
   updatePerformanceIndicator(algorithm, element) {
-    if (!element) return;
+    if (!element || !algorithm) return;
 
     const performanceFill = element.querySelector('.performance-fill');
+    const performanceText = element.querySelector('.performance-text');
     if (!performanceFill) return;
 
-    // Calculate performance based on algorithm efficiency
-    let efficiency = 0;
-    if (algorithm && algorithm.stats) {
-      const totalOps = algorithm.stats.comparisons + algorithm.stats.swaps + algorithm.stats.accesses;
-      const arraySize = algorithm.array ? algorithm.array.length : 100;
-
-      // Rough efficiency calculation (lower is better)
-      const opsPerElement = totalOps / arraySize;
-      efficiency = Math.max(0, Math.min(100, 100 - (opsPerElement * 2)));
-    }
-
-    performanceFill.style.width = `${efficiency}%`;
+    const { score, explanation } = PerformanceModel.score(algorithm);
+    const percent = Math.round(score * 100);
+    performanceFill.style.width = `${percent}%`;
+    if (performanceText) performanceText.textContent = `Performance ${percent}%`;
+    element.title = explanation;
   }
 }
 
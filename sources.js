@@ -0,0 +1,4709 @@
+/* global ALGORITHMS */
+// Source Listings
+// Real implementations of every registered algorithm in four languages,
+// attached to the registry as `sources`. Each listing has the same shape
+// as `pseudocode` ({ code, lines }), so the code panel highlights the
+// line behind the current step whichever language is shown. Lines that
+// perform a traced operation end with an `@@key` tag (several keys are
+// comma-separated); tags are stripped from the displayed and copied code.
+
+(function (registry) {
+  const TAG = /\s+@@([\w:,-]+)\s*$/;
+
+  // Turn an indented template literal into a { code, lines } listing
+  function listing(source) {
+    const raw = source.replace(/^\n+|\s+$/g, '').split('\n');
+    const indent = Math.min(...raw.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    const code = [];
+    const lines = {};
+
+    raw.forEach((line, index) => {
+      const tag = line.match(TAG);
+      if (tag) {
+        tag[1].split(',').forEach(key => { lines[key] = index + 1; });
+        line = line.replace(TAG, '');
+      }
+      code.push(line.slice(indent).trimEnd());
+    });
+
+    return { code, lines };
+  }
+
+  const SOURCES = {
+    sorting: {
+      'bubble-sort': {
+        javascript: `
+          function bubbleSort(a) {
+            const n = a.length;
+            for (let i = 0; i < n - 1; i++) {
+              for (let j = 0; j < n - 1 - i; j++) {
+                if (a[j] > a[j + 1]) {                      @@compare
+                  [a[j], a[j + 1]] = [a[j + 1], a[j]];      @@swap
+                }
+              }
+            }
+            return a;
+          }`,
+        python: `
+          def bubble_sort(a):
+              n = len(a)
+              for i in range(n - 1):
+                  for j in range(n - 1 - i):
+                      if a[j] > a[j + 1]:                   @@compare
+                          a[j], a[j + 1] = a[j + 1], a[j]   @@swap
+              return a`,
+        java: `
+          public class BubbleSort {
+              public static void bubbleSort(int[] a) {
+                  int n = a.length;
+                  for (int i = 0; i < n - 1; i++) {
+                      for (int j = 0; j < n - 1 - i; j++) {
+                          if (a[j] > a[j + 1]) {            @@compare
+                              int tmp = a[j];               @@swap
+                              a[j] = a[j + 1];
+                              a[j + 1] = tmp;
+                          }
+                      }
+                  }
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          void bubbleSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              for (int i = 0; i < n - 1; i++) {
+                  for (int j = 0; j < n - 1 - i; j++) {
+                      if (a[j] > a[j + 1]) {                @@compare
+                          std::swap(a[j], a[j + 1]);        @@swap
+                      }
+                  }
+              }
+          }`
+      },
+      'cocktail-sort': {
+        javascript: `
+          function cocktailSort(a) {
+            let start = 0;
+            let end = a.length - 1;
+            let swapped = true;
+            while (swapped && start < end) {
+              swapped = false;
+              for (let i = start; i < end; i++) {
+                if (a[i] > a[i + 1]) {                      @@compare
+                  [a[i], a[i + 1]] = [a[i + 1], a[i]];      @@swap
+                  swapped = true;
+                }
+              }
+              end--;
+              if (!swapped) break;
+              swapped = false;
+              for (let i = end; i > start; i--) {
+                if (a[i - 1] > a[i]) {                      @@compare:backward
+                  [a[i - 1], a[i]] = [a[i], a[i - 1]];      @@swap:backward
+                  swapped = true;
+                }
+              }
+              start++;
+            }
+            return a;
+          }`,
+        python: `
+          def cocktail_sort(a):
+              start, end = 0, len(a) - 1
+              swapped = True
+              while swapped and start < end:
+                  swapped = False
+                  for i in range(start, end):
+                      if a[i] > a[i + 1]:                   @@compare
+                          a[i], a[i + 1] = a[i + 1], a[i]   @@swap
+                          swapped = True
+                  end -= 1
+                  if not swapped:
+                      break
+                  swapped = False
+                  for i in range(end, start, -1):
+                      if a[i - 1] > a[i]:                   @@compare:backward
+                          a[i - 1], a[i] = a[i], a[i - 1]   @@swap:backward
+                          swapped = True
+                  start += 1
+              return a`,
+        java: `
+          public class CocktailSort {
+              public static void cocktailSort(int[] a) {
+                  int start = 0;
+                  int end = a.length - 1;
+                  boolean swapped = true;
+                  while (swapped && start < end) {
+                      swapped = false;
+                      for (int i = start; i < end; i++) {
+                          if (a[i] > a[i + 1]) {            @@compare
+                              swap(a, i, i + 1);            @@swap
+                              swapped = true;
+                          }
+                      }
+                      end--;
+                      if (!swapped) break;
+                      swapped = false;
+                      for (int i = end; i > start; i--) {
+                          if (a[i - 1] > a[i]) {            @@compare:backward
+                              swap(a, i - 1, i);            @@swap:backward
+                              swapped = true;
+                          }
+                      }
+                      start++;
+                  }
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          void cocktailSort(std::vector<int>& a) {
+              int start = 0;
+              int end = static_cast<int>(a.size()) - 1;
+              bool swapped = true;
+              while (swapped && start < end) {
+                  swapped = false;
+                  for (int i = start; i < end; i++) {
+                      if (a[i] > a[i + 1]) {                @@compare
+                          std::swap(a[i], a[i + 1]);        @@swap
+                          swapped = true;
+                      }
+                  }
+                  end--;
+                  if (!swapped) break;
+                  swapped = false;
+                  for (int i = end; i > start; i--) {
+                      if (a[i - 1] > a[i]) {                @@compare:backward
+                          std::swap(a[i - 1], a[i]);        @@swap:backward
+                          swapped = true;
+                      }
+                  }
+                  start++;
+              }
+          }`
+      },
+      'selection-sort': {
+        javascript: `
+          function selectionSort(a) {
+            const n = a.length;
+            for (let i = 0; i < n - 1; i++) {
+              let min = i;
+              for (let j = i + 1; j < n; j++) {
+                if (a[j] < a[min]) {                        @@compare
+                  min = j;
+                }
+              }
+              if (min !== i) {
+                [a[i], a[min]] = [a[min], a[i]];            @@swap
+              }
+            }
+            return a;
+          }`,
+        python: `
+          def selection_sort(a):
+              n = len(a)
+              for i in range(n - 1):
+                  smallest = i
+                  for j in range(i + 1, n):
+                      if a[j] < a[smallest]:                @@compare
+                          smallest = j
+                  if smallest != i:
+                      a[i], a[smallest] = a[smallest], a[i] @@swap
+              return a`,
+        java: `
+          public class SelectionSort {
+              public static void selectionSort(int[] a) {
+                  int n = a.length;
+                  for (int i = 0; i < n - 1; i++) {
+                      int min = i;
+                      for (int j = i + 1; j < n; j++) {
+                          if (a[j] < a[min]) {              @@compare
+                              min = j;
+                          }
+                      }
+                      if (min != i) {
+                          int tmp = a[i];                   @@swap
+                          a[i] = a[min];
+                          a[min] = tmp;
+                      }
+                  }
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          void selectionSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              for (int i = 0; i < n - 1; i++) {
+                  int min = i;
+                  for (int j = i + 1; j < n; j++) {
+                      if (a[j] < a[min]) {                  @@compare
+                          min = j;
+                      }
+                  }
+                  if (min != i) {
+                      std::swap(a[i], a[min]);              @@swap
+                  }
+              }
+          }`
+      },
+      'insertion-sort': {
+        javascript: `
+          function insertionSort(a) {
+            for (let i = 1; i < a.length; i++) {
+              const key = a[i];                             @@read
+              let j = i;
+              while (j > 0 && a[j - 1] > key) {             @@compareValue
+                a[j] = a[j - 1];                            @@write:shift
+                j--;
+              }
+              a[j] = key;                                   @@write:insert
+            }
+            return a;
+          }`,
+        python: `
+          def insertion_sort(a):
+              for i in range(1, len(a)):
+                  key = a[i]                                @@read
+                  j = i
+                  while j > 0 and a[j - 1] > key:           @@compareValue
+                      a[j] = a[j - 1]                       @@write:shift
+                      j -= 1
+                  a[j] = key                                @@write:insert
+              return a`,
+        java: `
+          public class InsertionSort {
+              public static void insertionSort(int[] a) {
+                  for (int i = 1; i < a.length; i++) {
+                      int key = a[i];                       @@read
+                      int j = i;
+                      while (j > 0 && a[j - 1] > key) {     @@compareValue
+                          a[j] = a[j - 1];                  @@write:shift
+                          j--;
+                      }
+                      a[j] = key;                           @@write:insert
+                  }
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          void insertionSort(std::vector<int>& a) {
+              for (int i = 1; i < static_cast<int>(a.size()); i++) {
+                  const int key = a[i];                     @@read
+                  int j = i;
+                  while (j > 0 && a[j - 1] > key) {         @@compareValue
+                      a[j] = a[j - 1];                      @@write:shift
+                      j--;
+                  }
+                  a[j] = key;                               @@write:insert
+              }
+          }`
+      },
+      'shell-sort': {
+        javascript: `
+          function shellSort(a) {
+            const n = a.length;
+            for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) {
+              for (let i = gap; i < n; i++) {
+                const temp = a[i];                          @@read
+                let j = i;
+                while (j >= gap && a[j - gap] > temp) {     @@compareValue
+                  a[j] = a[j - gap];                        @@write:shift
+                  j -= gap;
+                }
+                a[j] = temp;                                @@write:insert
+              }
+            }
+            return a;
+          }`,
+        python: `
+          def shell_sort(a):
+              n = len(a)
+              gap = n // 2
+              while gap > 0:
+                  for i in range(gap, n):
+                      temp = a[i]                           @@read
+                      j = i
+                      while j >= gap and a[j - gap] > temp: @@compareValue
+                          a[j] = a[j - gap]                 @@write:shift
+                          j -= gap
+                      a[j] = temp                           @@write:insert
+                  gap //= 2
+              return a`,
+        java: `
+          public class ShellSort {
+              public static void shellSort(int[] a) {
+                  int n = a.length;
+                  for (int gap = n / 2; gap > 0; gap /= 2) {
+                      for (int i = gap; i < n; i++) {
+                          int temp = a[i];                  @@read
+                          int j = i;
+                          while (j >= gap && a[j - gap] > temp) { @@compareValue
+                              a[j] = a[j - gap];            @@write:shift
+                              j -= gap;
+                          }
+                          a[j] = temp;                      @@write:insert
+                      }
+                  }
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          void shellSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              for (int gap = n / 2; gap > 0; gap /= 2) {
+                  for (int i = gap; i < n; i++) {
+                      const int temp = a[i];                @@read
+                      int j = i;
+                      while (j >= gap && a[j - gap] > temp) { @@compareValue
+                          a[j] = a[j - gap];                @@write:shift
+                          j -= gap;
+                      }
+                      a[j] = temp;                          @@write:insert
+                  }
+              }
+          }`
+      },
+      'quick-sort': {
+        javascript: `
+          function quickSort(a, strategy = 'last', low = 0, high = a.length - 1) {
+            if (low < high) {
+              const p = partition(a, low, high, strategy);
+              quickSort(a, strategy, low, p - 1);
+              quickSort(a, strategy, p + 1, high);
+            }
+            return a;
+          }
+
+          function partition(a, low, high, strategy) {
+            swap(a, choosePivot(a, low, high, strategy), high); @@swap:move
+            const pivot = a[high];
+            let i = low - 1;
+            for (let j = low; j < high; j++) {
+              if (a[j] < pivot) {                           @@compare
+                i++;
+                swap(a, i, j);                              @@swap
+              }
+            }
+            swap(a, i + 1, high);                           @@swap:pivot
+            return i + 1;
+          }
+
+          function choosePivot(a, low, high, strategy) {
+            if (strategy === 'first') return low;
+            if (strategy === 'last') return high;
+            if (strategy === 'random') return low + Math.floor(Math.random() * (high - low + 1));
+            if (high - low < 2) return high;
+            const mid = Math.floor((low + high) / 2);
+            if (strategy === 'median-of-three' || high - low + 1 < 9) return median(a, low, mid, high);
+            const s = Math.floor((high - low + 1) / 8);
+            return median(a, median(a, low, low + s, low + 2 * s),
+              median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          function median(a, i, j, k) {
+            if (a[i] > a[j]) [i, j] = [j, i];               @@compare:median
+            if (a[j] <= a[k]) return j;
+            return a[i] > a[k] ? i : k;
+          }
+
+          function swap(a, i, j) {
+            [a[i], a[j]] = [a[j], a[i]];
+          }`,
+        python: `
+          import random
+
+
+          def quick_sort(a, strategy='last', low=0, high=None):
+              if high is None:
+                  high = len(a) - 1
+              if low < high:
+                  p = partition(a, low, high, strategy)
+                  quick_sort(a, strategy, low, p - 1)
+                  quick_sort(a, strategy, p + 1, high)
+              return a
+
+
+          def partition(a, low, high, strategy):
+              m = choose_pivot(a, low, high, strategy)
+              a[m], a[high] = a[high], a[m]                 @@swap:move
+              pivot = a[high]
+              i = low - 1
+              for j in range(low, high):
+                  if a[j] < pivot:                          @@compare
+                      i += 1
+                      a[i], a[j] = a[j], a[i]               @@swap
+              a[i + 1], a[high] = a[high], a[i + 1]         @@swap:pivot
+              return i + 1
+
+
+          def choose_pivot(a, low, high, strategy):
+              if strategy == 'first':
+                  return low
+              if strategy == 'last':
+                  return high
+              if strategy == 'random':
+                  return random.randint(low, high)
+              if high - low < 2:
+                  return high
+              mid = (low + high) // 2
+              if strategy == 'median-of-three' or high - low + 1 < 9:
+                  return median(a, low, mid, high)
+              s = (high - low + 1) // 8
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s),
+                            median(a, high - 2 * s, high - s, high))
+
+
+          def median(a, i, j, k):
+              if a[i] > a[j]:                               @@compare:median
+                  i, j = j, i
+              if a[j] <= a[k]:
+                  return j
+              return i if a[i] > a[k] else k`,
+        java: `
+          import java.util.concurrent.ThreadLocalRandom;
+
+          public class QuickSort {
+              public enum Pivot { FIRST, LAST, RANDOM, MEDIAN_OF_THREE, NINTHER }
+
+              public static void quickSort(int[] a, int low, int high, Pivot strategy) {
+                  if (low < high) {
+                      int p = partition(a, low, high, strategy);
+                      quickSort(a, low, p - 1, strategy);
+                      quickSort(a, p + 1, high, strategy);
+                  }
+              }
+
+              private static int partition(int[] a, int low, int high, Pivot strategy) {
+                  swap(a, choosePivot(a, low, high, strategy), high); @@swap:move
+                  int pivot = a[high];
+                  int i = low - 1;
+                  for (int j = low; j < high; j++) {
+                      if (a[j] < pivot) {                   @@compare
+                          i++;
+                          swap(a, i, j);                    @@swap
+                      }
+                  }
+                  swap(a, i + 1, high);                     @@swap:pivot
+                  return i + 1;
+              }
+
+              static int choosePivot(int[] a, int low, int high, Pivot strategy) {
+                  switch (strategy) {
+                      case FIRST: return low;
+                      case LAST: return high;
+                      case RANDOM: return ThreadLocalRandom.current().nextInt(low, high + 1);
+                      default: break;
+                  }
+                  if (high - low < 2) return high;
+                  int mid = (low + high) / 2;
+                  if (strategy == Pivot.MEDIAN_OF_THREE || high - low + 1 < 9) return median(a, low, mid, high);
+                  int s = (high - low + 1) / 8;
+                  return median(a, median(a, low, low + s, low + 2 * s),
+                          median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+              }
+
+              static int median(int[] a, int i, int j, int k) {
+                  if (a[i] > a[j]) { int t = i; i = j; j = t; } @@compare:median
+                  if (a[j] <= a[k]) return j;
+                  return a[i] > a[k] ? i : k;
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <random>
+          #include <utility>
+          #include <vector>
+
+          enum class Pivot { First, Last, Random, MedianOfThree, Ninther };
+
+          int median(const std::vector<int>& a, int i, int j, int k) {
+              if (a[i] > a[j]) std::swap(i, j);             @@compare:median
+              if (a[j] <= a[k]) return j;
+              return a[i] > a[k] ? i : k;
+          }
+
+          int choosePivot(const std::vector<int>& a, int low, int high, Pivot strategy) {
+              static std::mt19937 rng(std::random_device{}());
+              switch (strategy) {
+                  case Pivot::First: return low;
+                  case Pivot::Last: return high;
+                  case Pivot::Random: return std::uniform_int_distribution<int>(low, high)(rng);
+                  default: break;
+              }
+              if (high - low < 2) return high;
+              const int mid = (low + high) / 2;
+              if (strategy == Pivot::MedianOfThree || high - low + 1 < 9) return median(a, low, mid, high);
+              const int s = (high - low + 1) / 8;
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          int partition(std::vector<int>& a, int low, int high, Pivot strategy) {
+              std::swap(a[choosePivot(a, low, high, strategy)], a[high]); @@swap:move
+              const int pivot = a[high];
+              int i = low - 1;
+              for (int j = low; j < high; j++) {
+                  if (a[j] < pivot) {                       @@compare
+                      i++;
+                      std::swap(a[i], a[j]);                @@swap
+                  }
+              }
+              std::swap(a[i + 1], a[high]);                 @@swap:pivot
+              return i + 1;
+          }
+
+          void quickSort(std::vector<int>& a, int low, int high, Pivot strategy = Pivot::Last) {
+              if (low < high) {
+                  const int p = partition(a, low, high, strategy);
+                  quickSort(a, low, p - 1, strategy);
+                  quickSort(a, p + 1, high, strategy);
+              }
+          }`
+      },
+      'quick-sort-hoare': {
+        javascript: `
+          function hoareQuickSort(a, strategy = 'last', low = 0, high = a.length - 1) {
+            if (low < high) {
+              const p = partition(a, low, high, strategy);
+              hoareQuickSort(a, strategy, low, p);
+              hoareQuickSort(a, strategy, p + 1, high);
+            }
+            return a;
+          }
+
+          function partition(a, low, high, strategy) {
+            swap(a, choosePivot(a, low, high, strategy), low); @@swap:move
+            const pivot = a[low];
+            let i = low - 1;
+            let j = high + 1;
+            for (;;) {
+              do i++; while (a[i] < pivot);                 @@compareValue:left
+              do j--; while (a[j] > pivot);                 @@compareValue:right
+              if (i >= j) return j;
+              swap(a, i, j);                                @@swap
+            }
+          }
+
+          function choosePivot(a, low, high, strategy) {
+            if (strategy === 'first') return low;
+            if (strategy === 'last') return high;
+            if (strategy === 'random') return low + Math.floor(Math.random() * (high - low + 1));
+            if (high - low < 2) return high;
+            const mid = Math.floor((low + high) / 2);
+            if (strategy === 'median-of-three' || high - low + 1 < 9) return median(a, low, mid, high);
+            const s = Math.floor((high - low + 1) / 8);
+            return median(a, median(a, low, low + s, low + 2 * s),
+              median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          function median(a, i, j, k) {
+            if (a[i] > a[j]) [i, j] = [j, i];               @@compare:median
+            if (a[j] <= a[k]) return j;
+            return a[i] > a[k] ? i : k;
+          }
+
+          function swap(a, i, j) {
+            [a[i], a[j]] = [a[j], a[i]];
+          }`,
+        python: `
+          import random
+
+
+          def hoare_quick_sort(a, strategy='last', low=0, high=None):
+              if high is None:
+                  high = len(a) - 1
+              if low < high:
+                  p = partition(a, low, high, strategy)
+                  hoare_quick_sort(a, strategy, low, p)
+                  hoare_quick_sort(a, strategy, p + 1, high)
+              return a
+
+
+          def partition(a, low, high, strategy):
+              m = choose_pivot(a, low, high, strategy)
+              a[m], a[low] = a[low], a[m]                   @@swap:move
+              pivot = a[low]
+              i, j = low - 1, high + 1
+              while True:
+                  i += 1
+                  while a[i] < pivot:                       @@compareValue:left
+                      i += 1
+                  j -= 1
+                  while a[j] > pivot:                       @@compareValue:right
+                      j -= 1
+                  if i >= j:
+                      return j
+                  a[i], a[j] = a[j], a[i]                   @@swap
+
+
+          def choose_pivot(a, low, high, strategy):
+              if strategy == 'first':
+                  return low
+              if strategy == 'last':
+                  return high
+              if strategy == 'random':
+                  return random.randint(low, high)
+              if high - low < 2:
+                  return high
+              mid = (low + high) // 2
+              if strategy == 'median-of-three' or high - low + 1 < 9:
+                  return median(a, low, mid, high)
+              s = (high - low + 1) // 8
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s),
+                            median(a, high - 2 * s, high - s, high))
+
+
+          def median(a, i, j, k):
+              if a[i] > a[j]:                               @@compare:median
+                  i, j = j, i
+              if a[j] <= a[k]:
+                  return j
+              return i if a[i] > a[k] else k`,
+        java: `
+          import java.util.concurrent.ThreadLocalRandom;
+
+          public class HoareQuickSort {
+              public enum Pivot { FIRST, LAST, RANDOM, MEDIAN_OF_THREE, NINTHER }
+
+              public static void hoareQuickSort(int[] a, int low, int high, Pivot strategy) {
+                  if (low < high) {
+                      int p = partition(a, low, high, strategy);
+                      hoareQuickSort(a, low, p, strategy);
+                      hoareQuickSort(a, p + 1, high, strategy);
+                  }
+              }
+
+              private static int partition(int[] a, int low, int high, Pivot strategy) {
+                  swap(a, choosePivot(a, low, high, strategy), low); @@swap:move
+                  int pivot = a[low];
+                  int i = low - 1;
+                  int j = high + 1;
+                  for (;;) {
+                      do i++; while (a[i] < pivot);         @@compareValue:left
+                      do j--; while (a[j] > pivot);         @@compareValue:right
+                      if (i >= j) return j;
+                      swap(a, i, j);                        @@swap
+                  }
+              }
+
+              static int choosePivot(int[] a, int low, int high, Pivot strategy) {
+                  switch (strategy) {
+                      case FIRST: return low;
+                      case LAST: return high;
+                      case RANDOM: return ThreadLocalRandom.current().nextInt(low, high + 1);
+                      default: break;
+                  }
+                  if (high - low < 2) return high;
+                  int mid = (low + high) / 2;
+                  if (strategy == Pivot.MEDIAN_OF_THREE || high - low + 1 < 9) return median(a, low, mid, high);
+                  int s = (high - low + 1) / 8;
+                  return median(a, median(a, low, low + s, low + 2 * s),
+                          median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+              }
+
+              static int median(int[] a, int i, int j, int k) {
+                  if (a[i] > a[j]) { int t = i; i = j; j = t; } @@compare:median
+                  if (a[j] <= a[k]) return j;
+                  return a[i] > a[k] ? i : k;
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <random>
+          #include <utility>
+          #include <vector>
+
+          enum class Pivot { First, Last, Random, MedianOfThree, Ninther };
+
+          int median(const std::vector<int>& a, int i, int j, int k) {
+              if (a[i] > a[j]) std::swap(i, j);             @@compare:median
+              if (a[j] <= a[k]) return j;
+              return a[i] > a[k] ? i : k;
+          }
+
+          int choosePivot(const std::vector<int>& a, int low, int high, Pivot strategy) {
+              static std::mt19937 rng(std::random_device{}());
+              switch (strategy) {
+                  case Pivot::First: return low;
+                  case Pivot::Last: return high;
+                  case Pivot::Random: return std::uniform_int_distribution<int>(low, high)(rng);
+                  default: break;
+              }
+              if (high - low < 2) return high;
+              const int mid = (low + high) / 2;
+              if (strategy == Pivot::MedianOfThree || high - low + 1 < 9) return median(a, low, mid, high);
+              const int s = (high - low + 1) / 8;
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          int partition(std::vector<int>& a, int low, int high, Pivot strategy) {
+              std::swap(a[choosePivot(a, low, high, strategy)], a[low]); @@swap:move
+              const int pivot = a[low];
+              int i = low - 1;
+              int j = high + 1;
+              for (;;) {
+                  do i++; while (a[i] < pivot);             @@compareValue:left
+                  do j--; while (a[j] > pivot);             @@compareValue:right
+                  if (i >= j) return j;
+                  std::swap(a[i], a[j]);                    @@swap
+              }
+          }
+
+          void hoareQuickSort(std::vector<int>& a, int low, int high, Pivot strategy = Pivot::Last) {
+              if (low < high) {
+                  const int p = partition(a, low, high, strategy);
+                  hoareQuickSort(a, low, p, strategy);
+                  hoareQuickSort(a, p + 1, high, strategy);
+              }
+          }`
+      },
+      'quick-sort-three-way': {
+        javascript: `
+          function threeWayQuickSort(a, strategy = 'last', low = 0, high = a.length - 1) {
+            if (low < high) {
+              const [lt, gt] = partition(a, low, high, strategy);
+              threeWayQuickSort(a, strategy, low, lt - 1);
+              threeWayQuickSort(a, strategy, gt + 1, high);
+            }
+            return a;
+          }
+
+          function partition(a, low, high, strategy) {
+            swap(a, choosePivot(a, low, high, strategy), low); @@swap:move
+            const pivot = a[low];
+            let lt = low;
+            let i = low + 1;
+            let gt = high;
+            while (i <= gt) {
+              if (a[i] < pivot) {                           @@compareValue
+                swap(a, lt++, i++);                         @@swap:less
+              } else if (a[i] > pivot) {
+                swap(a, i, gt--);                           @@swap:greater
+              } else {
+                i++;
+              }
+            }
+            return [lt, gt];
+          }
+
+          function choosePivot(a, low, high, strategy) {
+            if (strategy === 'first') return low;
+            if (strategy === 'last') return high;
+            if (strategy === 'random') return low + Math.floor(Math.random() * (high - low + 1));
+            if (high - low < 2) return high;
+            const mid = Math.floor((low + high) / 2);
+            if (strategy === 'median-of-three' || high - low + 1 < 9) return median(a, low, mid, high);
+            const s = Math.floor((high - low + 1) / 8);
+            return median(a, median(a, low, low + s, low + 2 * s),
+              median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          function median(a, i, j, k) {
+            if (a[i] > a[j]) [i, j] = [j, i];               @@compare:median
+            if (a[j] <= a[k]) return j;
+            return a[i] > a[k] ? i : k;
+          }
+
+          function swap(a, i, j) {
+            [a[i], a[j]] = [a[j], a[i]];
+          }`,
+        python: `
+          import random
+
+
+          def three_way_quick_sort(a, strategy='last', low=0, high=None):
+              if high is None:
+                  high = len(a) - 1
+              if low < high:
+                  lt, gt = partition(a, low, high, strategy)
+                  three_way_quick_sort(a, strategy, low, lt - 1)
+                  three_way_quick_sort(a, strategy, gt + 1, high)
+              return a
+
+
+          def partition(a, low, high, strategy):
+              m = choose_pivot(a, low, high, strategy)
+              a[m], a[low] = a[low], a[m]                   @@swap:move
+              pivot = a[low]
+              lt, i, gt = low, low + 1, high
+              while i <= gt:
+                  if a[i] < pivot:                          @@compareValue
+                      a[lt], a[i] = a[i], a[lt]             @@swap:less
+                      lt += 1
+                      i += 1
+                  elif a[i] > pivot:
+                      a[i], a[gt] = a[gt], a[i]             @@swap:greater
+                      gt -= 1
+                  else:
+                      i += 1
+              return lt, gt
+
+
+          def choose_pivot(a, low, high, strategy):
+              if strategy == 'first':
+                  return low
+              if strategy == 'last':
+                  return high
+              if strategy == 'random':
+                  return random.randint(low, high)
+              if high - low < 2:
+                  return high
+              mid = (low + high) // 2
+              if strategy == 'median-of-three' or high - low + 1 < 9:
+                  return median(a, low, mid, high)
+              s = (high - low + 1) // 8
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s),
+                            median(a, high - 2 * s, high - s, high))
+
+
+          def median(a, i, j, k):
+              if a[i] > a[j]:                               @@compare:median
+                  i, j = j, i
+              if a[j] <= a[k]:
+                  return j
+              return i if a[i] > a[k] else k`,
+        java: `
+          import java.util.concurrent.ThreadLocalRandom;
+
+          public class ThreeWayQuickSort {
+              public enum Pivot { FIRST, LAST, RANDOM, MEDIAN_OF_THREE, NINTHER }
+
+              public static void threeWayQuickSort(int[] a, int low, int high, Pivot strategy) {
+                  if (low < high) {
+                      int[] bounds = partition(a, low, high, strategy);
+                      threeWayQuickSort(a, low, bounds[0] - 1, strategy);
+                      threeWayQuickSort(a, bounds[1] + 1, high, strategy);
+                  }
+              }
+
+              private static int[] partition(int[] a, int low, int high, Pivot strategy) {
+                  swap(a, choosePivot(a, low, high, strategy), low); @@swap:move
+                  int pivot = a[low];
+                  int lt = low;
+                  int i = low + 1;
+                  int gt = high;
+                  while (i <= gt) {
+                      if (a[i] < pivot) {                   @@compareValue
+                          swap(a, lt++, i++);               @@swap:less
+                      } else if (a[i] > pivot) {
+                          swap(a, i, gt--);                 @@swap:greater
+                      } else {
+                          i++;
+                      }
+                  }
+                  return new int[] { lt, gt };
+              }
+
+              static int choosePivot(int[] a, int low, int high, Pivot strategy) {
+                  switch (strategy) {
+                      case FIRST: return low;
+                      case LAST: return high;
+                      case RANDOM: return ThreadLocalRandom.current().nextInt(low, high + 1);
+                      default: break;
+                  }
+                  if (high - low < 2) return high;
+                  int mid = (low + high) / 2;
+                  if (strategy == Pivot.MEDIAN_OF_THREE || high - low + 1 < 9) return median(a, low, mid, high);
+                  int s = (high - low + 1) / 8;
+                  return median(a, median(a, low, low + s, low + 2 * s),
+                          median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+              }
+
+              static int median(int[] a, int i, int j, int k) {
+                  if (a[i] > a[j]) { int t = i; i = j; j = t; } @@compare:median
+                  if (a[j] <= a[k]) return j;
+                  return a[i] > a[k] ? i : k;
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <random>
+          #include <utility>
+          #include <vector>
+
+          enum class Pivot { First, Last, Random, MedianOfThree, Ninther };
+
+          int median(const std::vector<int>& a, int i, int j, int k) {
+              if (a[i] > a[j]) std::swap(i, j);             @@compare:median
+              if (a[j] <= a[k]) return j;
+              return a[i] > a[k] ? i : k;
+          }
+
+          int choosePivot(const std::vector<int>& a, int low, int high, Pivot strategy) {
+              static std::mt19937 rng(std::random_device{}());
+              switch (strategy) {
+                  case Pivot::First: return low;
+                  case Pivot::Last: return high;
+                  case Pivot::Random: return std::uniform_int_distribution<int>(low, high)(rng);
+                  default: break;
+              }
+              if (high - low < 2) return high;
+              const int mid = (low + high) / 2;
+              if (strategy == Pivot::MedianOfThree || high - low + 1 < 9) return median(a, low, mid, high);
+              const int s = (high - low + 1) / 8;
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          std::pair<int, int> partition(std::vector<int>& a, int low, int high, Pivot strategy) {
+              std::swap(a[choosePivot(a, low, high, strategy)], a[low]); @@swap:move
+              const int pivot = a[low];
+              int lt = low;
+              int i = low + 1;
+              int gt = high;
+              while (i <= gt) {
+                  if (a[i] < pivot) {                       @@compareValue
+                      std::swap(a[lt++], a[i++]);           @@swap:less
+                  } else if (a[i] > pivot) {
+                      std::swap(a[i], a[gt--]);             @@swap:greater
+                  } else {
+                      i++;
+                  }
+              }
+              return { lt, gt };
+          }
+
+          void threeWayQuickSort(std::vector<int>& a, int low, int high, Pivot strategy = Pivot::Last) {
+              if (low < high) {
+                  const auto [lt, gt] = partition(a, low, high, strategy);
+                  threeWayQuickSort(a, low, lt - 1, strategy);
+                  threeWayQuickSort(a, gt + 1, high, strategy);
+              }
+          }`
+      },
+      'dual-pivot-quick-sort': {
+        javascript: `
+          function dualPivotQuickSort(a, strategy = 'last', low = 0, high = a.length - 1) {
+            if (low < high) {
+              const [lt, gt] = partition(a, low, high, strategy);
+              dualPivotQuickSort(a, strategy, low, lt - 1);
+              dualPivotQuickSort(a, strategy, lt + 1, gt - 1);
+              dualPivotQuickSort(a, strategy, gt + 1, high);
+            }
+            return a;
+          }
+
+          function partition(a, low, high, strategy) {
+            const mid = Math.floor((low + high) / 2);
+            swap(a, choosePivot(a, low, mid, strategy), low); @@swap:move
+            swap(a, choosePivot(a, mid + 1, high, strategy), high);
+            if (a[low] > a[high]) swap(a, low, high);       @@compare:pivots,swap:pivots
+            const p = a[low];
+            const q = a[high];
+            let lt = low + 1;
+            let k = low + 1;
+            let gt = high - 1;
+            while (k <= gt) {
+              if (a[k] < p) {                               @@compareValue:less
+                swap(a, k, lt++);                           @@swap:less
+              } else if (a[k] > q) {                        @@compareValue:greater
+                while (a[gt] > q && k < gt) gt--;           @@compareValue:scan
+                swap(a, k, gt--);                           @@swap:greater
+                if (a[k] < p) swap(a, k, lt++);             @@compareValue:recheck,swap:recheck
+              }
+              k++;
+            }
+            lt--;
+            gt++;
+            swap(a, low, lt);                               @@swap:low-pivot
+            swap(a, high, gt);                              @@swap:high-pivot
+            return [lt, gt];
+          }
+
+          function choosePivot(a, low, high, strategy) {
+            if (strategy === 'first') return low;
+            if (strategy === 'last') return high;
+            if (strategy === 'random') return low + Math.floor(Math.random() * (high - low + 1));
+            if (high - low < 2) return high;
+            const mid = Math.floor((low + high) / 2);
+            if (strategy === 'median-of-three' || high - low + 1 < 9) return median(a, low, mid, high);
+            const s = Math.floor((high - low + 1) / 8);
+            return median(a, median(a, low, low + s, low + 2 * s),
+              median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          function median(a, i, j, k) {
+            if (a[i] > a[j]) [i, j] = [j, i];               @@compare:median
+            if (a[j] <= a[k]) return j;
+            return a[i] > a[k] ? i : k;
+          }
+
+          function swap(a, i, j) {
+            [a[i], a[j]] = [a[j], a[i]];
+          }`,
+        python: `
+          import random
+
+
+          def dual_pivot_quick_sort(a, strategy='last', low=0, high=None):
+              if high is None:
+                  high = len(a) - 1
+              if low < high:
+                  lt, gt = partition(a, low, high, strategy)
+                  dual_pivot_quick_sort(a, strategy, low, lt - 1)
+                  dual_pivot_quick_sort(a, strategy, lt + 1, gt - 1)
+                  dual_pivot_quick_sort(a, strategy, gt + 1, high)
+              return a
+
+
+          def partition(a, low, high, strategy):
+              mid = (low + high) // 2
+              m = choose_pivot(a, low, mid, strategy)
+              a[m], a[low] = a[low], a[m]                   @@swap:move
+              m = choose_pivot(a, mid + 1, high, strategy)
+              a[m], a[high] = a[high], a[m]
+              if a[low] > a[high]:                          @@compare:pivots
+                  a[low], a[high] = a[high], a[low]         @@swap:pivots
+              p, q = a[low], a[high]
+              lt = k = low + 1
+              gt = high - 1
+              while k <= gt:
+                  if a[k] < p:                              @@compareValue:less
+                      a[k], a[lt] = a[lt], a[k]             @@swap:less
+                      lt += 1
+                  elif a[k] > q:                            @@compareValue:greater
+                      while a[gt] > q and k < gt:           @@compareValue:scan
+                          gt -= 1
+                      a[k], a[gt] = a[gt], a[k]             @@swap:greater
+                      gt -= 1
+                      if a[k] < p:                          @@compareValue:recheck
+                          a[k], a[lt] = a[lt], a[k]         @@swap:recheck
+                          lt += 1
+                  k += 1
+              lt -= 1
+              gt += 1
+              a[low], a[lt] = a[lt], a[low]                 @@swap:low-pivot
+              a[high], a[gt] = a[gt], a[high]               @@swap:high-pivot
+              return lt, gt
+
+
+          def choose_pivot(a, low, high, strategy):
+              if strategy == 'first':
+                  return low
+              if strategy == 'last':
+                  return high
+              if strategy == 'random':
+                  return random.randint(low, high)
+              if high - low < 2:
+                  return high
+              mid = (low + high) // 2
+              if strategy == 'median-of-three' or high - low + 1 < 9:
+                  return median(a, low, mid, high)
+              s = (high - low + 1) // 8
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s),
+                            median(a, high - 2 * s, high - s, high))
+
+
+          def median(a, i, j, k):
+              if a[i] > a[j]:                               @@compare:median
+                  i, j = j, i
+              if a[j] <= a[k]:
+                  return j
+              return i if a[i] > a[k] else k`,
+        java: `
+          import java.util.concurrent.ThreadLocalRandom;
+
+          public class DualPivotQuickSort {
+              public enum Pivot { FIRST, LAST, RANDOM, MEDIAN_OF_THREE, NINTHER }
+
+              public static void dualPivotQuickSort(int[] a, int low, int high, Pivot strategy) {
+                  if (low < high) {
+                      int[] pivots = partition(a, low, high, strategy);
+                      dualPivotQuickSort(a, low, pivots[0] - 1, strategy);
+                      dualPivotQuickSort(a, pivots[0] + 1, pivots[1] - 1, strategy);
+                      dualPivotQuickSort(a, pivots[1] + 1, high, strategy);
+                  }
+              }
+
+              private static int[] partition(int[] a, int low, int high, Pivot strategy) {
+                  int mid = (low + high) / 2;
+                  swap(a, choosePivot(a, low, mid, strategy), low); @@swap:move
+                  swap(a, choosePivot(a, mid + 1, high, strategy), high);
+                  if (a[low] > a[high]) swap(a, low, high); @@compare:pivots,swap:pivots
+                  int p = a[low];
+                  int q = a[high];
+                  int lt = low + 1;
+                  int k = low + 1;
+                  int gt = high - 1;
+                  while (k <= gt) {
+                      if (a[k] < p) {                       @@compareValue:less
+                          swap(a, k, lt++);                 @@swap:less
+                      } else if (a[k] > q) {                @@compareValue:greater
+                          while (a[gt] > q && k < gt) gt--; @@compareValue:scan
+                          swap(a, k, gt--);                 @@swap:greater
+                          if (a[k] < p) swap(a, k, lt++);   @@compareValue:recheck,swap:recheck
+                      }
+                      k++;
+                  }
+                  lt--;
+                  gt++;
+                  swap(a, low, lt);                         @@swap:low-pivot
+                  swap(a, high, gt);                        @@swap:high-pivot
+                  return new int[] { lt, gt };
+              }
+
+              static int choosePivot(int[] a, int low, int high, Pivot strategy) {
+                  switch (strategy) {
+                      case FIRST: return low;
+                      case LAST: return high;
+                      case RANDOM: return ThreadLocalRandom.current().nextInt(low, high + 1);
+                      default: break;
+                  }
+                  if (high - low < 2) return high;
+                  int mid = (low + high) / 2;
+                  if (strategy == Pivot.MEDIAN_OF_THREE || high - low + 1 < 9) return median(a, low, mid, high);
+                  int s = (high - low + 1) / 8;
+                  return median(a, median(a, low, low + s, low + 2 * s),
+                          median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+              }
+
+              static int median(int[] a, int i, int j, int k) {
+                  if (a[i] > a[j]) { int t = i; i = j; j = t; } @@compare:median
+                  if (a[j] <= a[k]) return j;
+                  return a[i] > a[k] ? i : k;
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <random>
+          #include <utility>
+          #include <vector>
+
+          enum class Pivot { First, Last, Random, MedianOfThree, Ninther };
+
+          int median(const std::vector<int>& a, int i, int j, int k) {
+              if (a[i] > a[j]) std::swap(i, j);             @@compare:median
+              if (a[j] <= a[k]) return j;
+              return a[i] > a[k] ? i : k;
+          }
+
+          int choosePivot(const std::vector<int>& a, int low, int high, Pivot strategy) {
+              static std::mt19937 rng(std::random_device{}());
+              switch (strategy) {
+                  case Pivot::First: return low;
+                  case Pivot::Last: return high;
+                  case Pivot::Random: return std::uniform_int_distribution<int>(low, high)(rng);
+                  default: break;
+              }
+              if (high - low < 2) return high;
+              const int mid = (low + high) / 2;
+              if (strategy == Pivot::MedianOfThree || high - low + 1 < 9) return median(a, low, mid, high);
+              const int s = (high - low + 1) / 8;
+              return median(a, median(a, low, low + s, low + 2 * s),
+                            median(a, mid - s, mid, mid + s), median(a, high - 2 * s, high - s, high));
+          }
+
+          std::pair<int, int> partition(std::vector<int>& a, int low, int high, Pivot strategy) {
+              const int mid = (low + high) / 2;
+              std::swap(a[choosePivot(a, low, mid, strategy)], a[low]); @@swap:move
+              std::swap(a[choosePivot(a, mid + 1, high, strategy)], a[high]);
+              if (a[low] > a[high]) std::swap(a[low], a[high]); @@compare:pivots,swap:pivots
+              const int p = a[low];
+              const int q = a[high];
+              int lt = low + 1;
+              int k = low + 1;
+              int gt = high - 1;
+              while (k <= gt) {
+                  if (a[k] < p) {                           @@compareValue:less
+                      std::swap(a[k], a[lt++]);             @@swap:less
+                  } else if (a[k] > q) {                    @@compareValue:greater
+                      while (a[gt] > q && k < gt) gt--;     @@compareValue:scan
+                      std::swap(a[k], a[gt--]);             @@swap:greater
+                      if (a[k] < p) std::swap(a[k], a[lt++]); @@compareValue:recheck,swap:recheck
+                  }
+                  k++;
+              }
+              lt--;
+              gt++;
+              std::swap(a[low], a[lt]);                     @@swap:low-pivot
+              std::swap(a[high], a[gt]);                    @@swap:high-pivot
+              return { lt, gt };
+          }
+
+          void dualPivotQuickSort(std::vector<int>& a, int low, int high, Pivot strategy = Pivot::Last) {
+              if (low < high) {
+                  const auto [lt, gt] = partition(a, low, high, strategy);
+                  dualPivotQuickSort(a, low, lt - 1, strategy);
+                  dualPivotQuickSort(a, lt + 1, gt - 1, strategy);
+                  dualPivotQuickSort(a, gt + 1, high, strategy);
+              }
+          }`
+      },
+      'merge-sort': {
+        javascript: `
+          function mergeSort(a, left = 0, right = a.length - 1) {
+            if (left >= right) return a;
+            const mid = Math.floor((left + right) / 2);
+            mergeSort(a, left, mid);
+            mergeSort(a, mid + 1, right);
+            merge(a, left, mid, right);
+            return a;
+          }
+
+          function merge(a, left, mid, right) {
+            const L = a.slice(left, mid + 1);
+            let i = 0;
+            let j = mid + 1;
+            let k = left;
+            while (i < L.length && j <= right) {
+              if (L[i] <= a[j]) {                           @@compareValue
+                a[k++] = L[i++];                            @@write:left
+              } else {
+                a[k++] = a[j++];                            @@write:right
+              }
+            }
+            while (i < L.length) {
+              a[k++] = L[i++];                              @@write:rest
+            }
+          }`,
+        python: `
+          def merge_sort(a, left=0, right=None):
+              if right is None:
+                  right = len(a) - 1
+              if left >= right:
+                  return a
+              mid = (left + right) // 2
+              merge_sort(a, left, mid)
+              merge_sort(a, mid + 1, right)
+              merge(a, left, mid, right)
+              return a
+
+
+          def merge(a, left, mid, right):
+              L = a[left:mid + 1]
+              i, j, k = 0, mid + 1, left
+              while i < len(L) and j <= right:
+                  if L[i] <= a[j]:                          @@compareValue
+                      a[k] = L[i]                           @@write:left
+                      i += 1
+                  else:
+                      a[k] = a[j]                           @@write:right
+                      j += 1
+                  k += 1
+              while i < len(L):
+                  a[k] = L[i]                               @@write:rest
+                  i += 1
+                  k += 1`,
+        java: `
+          import java.util.Arrays;
+
+          public class MergeSort {
+              public static void mergeSort(int[] a, int left, int right) {
+                  if (left >= right) return;
+                  int mid = (left + right) / 2;
+                  mergeSort(a, left, mid);
+                  mergeSort(a, mid + 1, right);
+                  merge(a, left, mid, right);
+              }
+
+              private static void merge(int[] a, int left, int mid, int right) {
+                  int[] L = Arrays.copyOfRange(a, left, mid + 1);
+                  int i = 0, j = mid + 1, k = left;
+                  while (i < L.length && j <= right) {
+                      if (L[i] <= a[j]) {                   @@compareValue
+                          a[k++] = L[i++];                  @@write:left
+                      } else {
+                          a[k++] = a[j++];                  @@write:right
+                      }
+                  }
+                  while (i < L.length) {
+                      a[k++] = L[i++];                      @@write:rest
+                  }
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          void merge(std::vector<int>& a, int left, int mid, int right) {
+              const std::vector<int> L(a.begin() + left, a.begin() + mid + 1);
+              int i = 0, j = mid + 1, k = left;
+              while (i < static_cast<int>(L.size()) && j <= right) {
+                  if (L[i] <= a[j]) {                       @@compareValue
+                      a[k++] = L[i++];                      @@write:left
+                  } else {
+                      a[k++] = a[j++];                      @@write:right
+                  }
+              }
+              while (i < static_cast<int>(L.size())) {
+                  a[k++] = L[i++];                          @@write:rest
+              }
+          }
+
+          void mergeSort(std::vector<int>& a, int left, int right) {
+              if (left >= right) return;
+              const int mid = (left + right) / 2;
+              mergeSort(a, left, mid);
+              mergeSort(a, mid + 1, right);
+              merge(a, left, mid, right);
+          }`
+      },
+      'heap-sort': {
+        javascript: `
+          function heapSort(a) {
+            const n = a.length;
+            for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+              siftDown(a, n, i);
+            }
+            for (let end = n - 1; end > 0; end--) {
+              [a[0], a[end]] = [a[end], a[0]];              @@swap:extract
+              siftDown(a, end, 0);
+            }
+            return a;
+          }
+
+          function siftDown(a, n, i) {
+            for (;;) {
+              let largest = i;
+              const l = 2 * i + 1;
+              const r = 2 * i + 2;
+              if (l < n && a[l] > a[largest]) largest = l;  @@compare:left
+              if (r < n && a[r] > a[largest]) largest = r;  @@compare:right
+              if (largest === i) return;
+              [a[i], a[largest]] = [a[largest], a[i]];      @@swap
+              i = largest;
+            }
+          }`,
+        python: `
+          def heap_sort(a):
+              n = len(a)
+              for i in range(n // 2 - 1, -1, -1):
+                  sift_down(a, n, i)
+              for end in range(n - 1, 0, -1):
+                  a[0], a[end] = a[end], a[0]               @@swap:extract
+                  sift_down(a, end, 0)
+              return a
+
+
+          def sift_down(a, n, i):
+              while True:
+                  largest = i
+                  l, r = 2 * i + 1, 2 * i + 2
+                  if l < n and a[l] > a[largest]:           @@compare:left
+                      largest = l
+                  if r < n and a[r] > a[largest]:           @@compare:right
+                      largest = r
+                  if largest == i:
+                      return
+                  a[i], a[largest] = a[largest], a[i]       @@swap
+                  i = largest`,
+        java: `
+          public class HeapSort {
+              public static void heapSort(int[] a) {
+                  int n = a.length;
+                  for (int i = n / 2 - 1; i >= 0; i--) {
+                      siftDown(a, n, i);
+                  }
+                  for (int end = n - 1; end > 0; end--) {
+                      swap(a, 0, end);                      @@swap:extract
+                      siftDown(a, end, 0);
+                  }
+              }
+
+              private static void siftDown(int[] a, int n, int i) {
+                  while (true) {
+                      int largest = i;
+                      int l = 2 * i + 1, r = 2 * i + 2;
+                      if (l < n && a[l] > a[largest]) largest = l; @@compare:left
+                      if (r < n && a[r] > a[largest]) largest = r; @@compare:right
+                      if (largest == i) return;
+                      swap(a, i, largest);                  @@swap
+                      i = largest;
+                  }
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          void siftDown(std::vector<int>& a, int n, int i) {
+              while (true) {
+                  int largest = i;
+                  const int l = 2 * i + 1, r = 2 * i + 2;
+                  if (l < n && a[l] > a[largest]) largest = l; @@compare:left
+                  if (r < n && a[r] > a[largest]) largest = r; @@compare:right
+                  if (largest == i) return;
+                  std::swap(a[i], a[largest]);              @@swap
+                  i = largest;
+              }
+          }
+
+          void heapSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              for (int i = n / 2 - 1; i >= 0; i--) {
+                  siftDown(a, n, i);
+              }
+              for (int end = n - 1; end > 0; end--) {
+                  std::swap(a[0], a[end]);                  @@swap:extract
+                  siftDown(a, end, 0);
+              }
+          }`
+      },
+      'counting-sort': {
+        javascript: `
+          function countingSort(a) {
+            const k = Math.max(0, ...a);
+            const count = new Array(k + 1).fill(0);
+            const output = new Array(a.length);
+            for (let i = 0; i < a.length; i++) {
+              count[a[i]]++;                                @@read
+            }
+            for (let v = 1; v <= k; v++) {
+              count[v] += count[v - 1];
+            }
+            for (let i = a.length - 1; i >= 0; i--) {
+              output[--count[a[i]]] = a[i];                 @@read:place
+            }
+            for (let i = 0; i < a.length; i++) {
+              a[i] = output[i];                             @@write
+            }
+            return a;
+          }`,
+        python: `
+          def counting_sort(a):
+              k = max(a, default=0)
+              count = [0] * (k + 1)
+              output = [0] * len(a)
+              for value in a:
+                  count[value] += 1                         @@read
+              for v in range(1, k + 1):
+                  count[v] += count[v - 1]
+              for value in reversed(a):
+                  count[value] -= 1
+                  output[count[value]] = value              @@read:place
+              for i in range(len(a)):
+                  a[i] = output[i]                          @@write
+              return a`,
+        java: `
+          public class CountingSort {
+              public static void countingSort(int[] a) {
+                  int k = 0;
+                  for (int value : a) k = Math.max(k, value);
+                  int[] count = new int[k + 1];
+                  int[] output = new int[a.length];
+                  for (int i = 0; i < a.length; i++) {
+                      count[a[i]]++;                        @@read
+                  }
+                  for (int v = 1; v <= k; v++) {
+                      count[v] += count[v - 1];
+                  }
+                  for (int i = a.length - 1; i >= 0; i--) {
+                      output[--count[a[i]]] = a[i];         @@read:place
+                  }
+                  for (int i = 0; i < a.length; i++) {
+                      a[i] = output[i];                     @@write
+                  }
+              }
+          }`,
+        cpp: `
+          #include <algorithm>
+          #include <vector>
+
+          void countingSort(std::vector<int>& a) {
+              if (a.empty()) return;
+              const int k = *std::max_element(a.begin(), a.end());
+              std::vector<int> count(k + 1, 0);
+              std::vector<int> output(a.size());
+              for (size_t i = 0; i < a.size(); i++) {
+                  count[a[i]]++;                            @@read
+              }
+              for (int v = 1; v <= k; v++) {
+                  count[v] += count[v - 1];
+              }
+              for (int i = static_cast<int>(a.size()) - 1; i >= 0; i--) {
+                  output[--count[a[i]]] = a[i];             @@read:place
+              }
+              for (size_t i = 0; i < a.size(); i++) {
+                  a[i] = output[i];                         @@write
+              }
+          }`
+      },
+      'radix-sort': {
+        javascript: `
+          function radixSort(a) {
+            const max = Math.max(0, ...a);
+            for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
+              countingSortByDigit(a, exp);
+            }
+            return a;
+          }
+
+          function countingSortByDigit(a, exp) {
+            const count = new Array(10).fill(0);
+            const output = new Array(a.length);
+            const digit = value => Math.floor(value / exp) % 10;
+            for (let i = 0; i < a.length; i++) {
+              count[digit(a[i])]++;                         @@read
+            }
+            for (let d = 1; d < 10; d++) {
+              count[d] += count[d - 1];
+            }
+            for (let i = a.length - 1; i >= 0; i--) {
+              output[--count[digit(a[i])]] = a[i];          @@read:place
+            }
+            for (let i = 0; i < a.length; i++) {
+              a[i] = output[i];                             @@write
+            }
+          }`,
+        python: `
+          def radix_sort(a):
+              exp = 1
+              while max(a, default=0) // exp > 0:
+                  counting_sort_by_digit(a, exp)
+                  exp *= 10
+              return a
+
+
+          def counting_sort_by_digit(a, exp):
+              count = [0] * 10
+              output = [0] * len(a)
+              for value in a:
+                  count[value // exp % 10] += 1             @@read
+              for d in range(1, 10):
+                  count[d] += count[d - 1]
+              for value in reversed(a):
+                  count[value // exp % 10] -= 1
+                  output[count[value // exp % 10]] = value  @@read:place
+              for i in range(len(a)):
+                  a[i] = output[i]                          @@write`,
+        java: `
+          public class RadixSort {
+              public static void radixSort(int[] a) {
+                  int max = 0;
+                  for (int value : a) max = Math.max(max, value);
+                  for (int exp = 1; max / exp > 0; exp *= 10) {
+                      countingSortByDigit(a, exp);
+                  }
+              }
+
+              private static void countingSortByDigit(int[] a, int exp) {
+                  int[] count = new int[10];
+                  int[] output = new int[a.length];
+                  for (int i = 0; i < a.length; i++) {
+                      count[a[i] / exp % 10]++;             @@read
+                  }
+                  for (int d = 1; d < 10; d++) {
+                      count[d] += count[d - 1];
+                  }
+                  for (int i = a.length - 1; i >= 0; i--) {
+                      output[--count[a[i] / exp % 10]] = a[i]; @@read:place
+                  }
+                  for (int i = 0; i < a.length; i++) {
+                      a[i] = output[i];                     @@write
+                  }
+              }
+          }`,
+        cpp: `
+          #include <algorithm>
+          #include <vector>
+
+          void countingSortByDigit(std::vector<int>& a, int exp) {
+              std::vector<int> count(10, 0);
+              std::vector<int> output(a.size());
+              for (size_t i = 0; i < a.size(); i++) {
+                  count[a[i] / exp % 10]++;                 @@read
+              }
+              for (int d = 1; d < 10; d++) {
+                  count[d] += count[d - 1];
+              }
+              for (int i = static_cast<int>(a.size()) - 1; i >= 0; i--) {
+                  output[--count[a[i] / exp % 10]] = a[i];  @@read:place
+              }
+              for (size_t i = 0; i < a.size(); i++) {
+                  a[i] = output[i];                         @@write
+              }
+          }
+
+          void radixSort(std::vector<int>& a) {
+              if (a.empty()) return;
+              const int max = *std::max_element(a.begin(), a.end());
+              for (int exp = 1; max / exp > 0; exp *= 10) {
+                  countingSortByDigit(a, exp);
+              }
+          }`
+      },
+      'tim-sort': {
+        javascript: `
+          const MIN_MERGE = 16;
+          const MIN_GALLOP = 7;
+
+          function timSort(a) {
+            const n = a.length;
+            const minRun = computeMinRun(n);
+            const runs = [];
+            for (let low = 0; low < n;) {
+              let length = countRun(a, low, n);
+              if (length < minRun) {
+                const forced = Math.min(minRun, n - low);
+                binaryInsertionSort(a, low, low + forced, low + length);
+                length = forced;
+              }
+              runs.push({ base: low, length });
+              mergeCollapse(a, runs);
+              low += length;
+            }
+            while (runs.length > 1) {
+              let i = runs.length - 2;
+              if (i > 0 && runs[i - 1].length < runs[i + 1].length) i--;
+              mergeAt(a, runs, i);
+            }
+            return a;
+          }
+
+          function computeMinRun(n) {
+            let remainder = 0;
+            while (n >= MIN_MERGE) {
+              remainder |= n & 1;
+              n >>= 1;
+            }
+            return n + remainder;
+          }
+
+          // Length of the run at low; a descending run is reversed
+          function countRun(a, low, n) {
+            let high = low + 1;
+            if (high === n) return 1;
+            if (a[high++] < a[low]) {                       @@compare:run
+              while (high < n && a[high] < a[high - 1]) high++;
+              for (let i = low, j = high - 1; i < j; i++, j--) {
+                [a[i], a[j]] = [a[j], a[i]];                @@swap:reverse
+              }
+            } else {
+              while (high < n && a[high] >= a[high - 1]) high++;
+            }
+            return high - low;
+          }
+
+          // Sorts a[low..high) whose a[low..start) is already sorted
+          function binaryInsertionSort(a, low, high, start) {
+            for (let i = start; i < high; i++) {
+              const key = a[i];                             @@read
+              let left = low, right = i;
+              while (left < right) {
+                const mid = (left + right) >>> 1;
+                if (a[mid] > key) right = mid;              @@compareValue:binary
+                else left = mid + 1;
+              }
+              for (let j = i; j > left; j--) a[j] = a[j - 1]; @@write:shift
+              a[left] = key;                                @@write:insert
+            }
+          }
+
+          function mergeCollapse(a, runs) {
+            while (runs.length > 1) {
+              let n = runs.length - 2;
+              if ((n > 0 && runs[n - 1].length <= runs[n].length + runs[n + 1].length) ||
+                  (n > 1 && runs[n - 2].length <= runs[n - 1].length + runs[n].length)) {
+                if (runs[n - 1].length < runs[n + 1].length) n--;
+              } else if (runs[n].length > runs[n + 1].length) {
+                return;
+              }
+              mergeAt(a, runs, n);
+            }
+          }
+
+          function mergeAt(a, runs, i) {
+            const low = runs[i].base;
+            const mid = runs[i + 1].base;
+            const high = mid + runs[i + 1].length;
+            runs.splice(i, 2, { base: low, length: high - low });
+            const start = low + gallop(a, low, mid - low, a[mid], true);
+            if (start === mid) return;
+            const end = mid + gallop(a, mid, high - mid, a[mid - 1], false);
+            if (end === mid) return;
+            mergeLo(a, start, mid, end);
+          }
+
+          // How many of b[base..base + length) are <= key (right) or < key
+          function gallop(b, base, length, key, right) {
+            const before = x => (right ? x <= key : x < key);
+            let found = 0, offset = 1;
+            while (offset <= length && before(b[base + offset - 1])) { @@compareValue:gallop
+              found = offset;
+              offset = 2 * offset + 1;
+            }
+            let limit = Math.min(offset - 1, length);
+            while (found < limit) {
+              const mid = (found + limit) >>> 1;
+              if (before(b[base + mid])) found = mid + 1;
+              else limit = mid;
+            }
+            return found;
+          }
+
+          function mergeLo(a, low, mid, high) {
+            const temp = a.slice(low, mid);
+            let i = 0, j = mid, k = low;
+            let firstWins = 0, secondWins = 0;
+            while (i < temp.length && j < high) {
+              if (a[j] < temp[i]) {                         @@compareValue:merge
+                a[k++] = a[j++];                            @@write:right
+                secondWins++;
+                firstWins = 0;
+              } else {
+                a[k++] = temp[i++];                         @@write:left
+                firstWins++;
+                secondWins = 0;
+              }
+              if (firstWins >= MIN_GALLOP && i < temp.length && j < high) {
+                let count = gallop(temp, i, temp.length - i, a[j], true);
+                while (count-- > 0) a[k++] = temp[i++];     @@write:gallop
+                firstWins = 0;
+              } else if (secondWins >= MIN_GALLOP && i < temp.length && j < high) {
+                let count = gallop(a, j, high - j, temp[i], false);
+                while (count-- > 0) a[k++] = a[j++];
+                secondWins = 0;
+              }
+            }
+            while (i < temp.length) a[k++] = temp[i++];     @@write:rest
+          }`,
+        python: `
+          MIN_MERGE = 16
+          MIN_GALLOP = 7
+
+
+          def tim_sort(a):
+              n = len(a)
+              min_run = compute_min_run(n)
+              runs = []
+              low = 0
+              while low < n:
+                  length = count_run(a, low, n)
+                  if length < min_run:
+                      forced = min(min_run, n - low)
+                      binary_insertion_sort(a, low, low + forced, low + length)
+                      length = forced
+                  runs.append([low, length])
+                  merge_collapse(a, runs)
+                  low += length
+              while len(runs) > 1:
+                  i = len(runs) - 2
+                  if i > 0 and runs[i - 1][1] < runs[i + 1][1]:
+                      i -= 1
+                  merge_at(a, runs, i)
+              return a
+
+
+          def compute_min_run(n):
+              remainder = 0
+              while n >= MIN_MERGE:
+                  remainder |= n & 1
+                  n >>= 1
+              return n + remainder
+
+
+          # Length of the run at low; a descending run is reversed
+          def count_run(a, low, n):
+              high = low + 1
+              if high == n:
+                  return 1
+              if a[high] < a[low]:                          @@compare:run
+                  high += 1
+                  while high < n and a[high] < a[high - 1]:
+                      high += 1
+                  i, j = low, high - 1
+                  while i < j:
+                      a[i], a[j] = a[j], a[i]               @@swap:reverse
+                      i, j = i + 1, j - 1
+              else:
+                  high += 1
+                  while high < n and a[high] >= a[high - 1]:
+                      high += 1
+              return high - low
+
+
+          # Sorts a[low:high] whose a[low:start] is already sorted
+          def binary_insertion_sort(a, low, high, start):
+              for i in range(start, high):
+                  key = a[i]                                @@read
+                  left, right = low, i
+                  while left < right:
+                      mid = (left + right) // 2
+                      if a[mid] > key:                      @@compareValue:binary
+                          right = mid
+                      else:
+                          left = mid + 1
+                  for j in range(i, left, -1):
+                      a[j] = a[j - 1]                       @@write:shift
+                  a[left] = key                             @@write:insert
+
+
+          def merge_collapse(a, runs):
+              while len(runs) > 1:
+                  n = len(runs) - 2
+                  if (n > 0 and runs[n - 1][1] <= runs[n][1] + runs[n + 1][1]) or \\
+                          (n > 1 and runs[n - 2][1] <= runs[n - 1][1] + runs[n][1]):
+                      if runs[n - 1][1] < runs[n + 1][1]:
+                          n -= 1
+                  elif runs[n][1] > runs[n + 1][1]:
+                      return
+                  merge_at(a, runs, n)
+
+
+          def merge_at(a, runs, i):
+              low, mid = runs[i][0], runs[i + 1][0]
+              high = mid + runs[i + 1][1]
+              runs[i:i + 2] = [[low, high - low]]
+              start = low + gallop(a, low, mid - low, a[mid], True)
+              if start == mid:
+                  return
+              end = mid + gallop(a, mid, high - mid, a[mid - 1], False)
+              if end == mid:
+                  return
+              merge_lo(a, start, mid, end)
+
+
+          # How many of b[base:base + length] are <= key (right) or < key
+          def gallop(b, base, length, key, right):
+              def before(x):
+                  return x <= key if right else x < key
+
+              found, offset = 0, 1
+              while offset <= length and before(b[base + offset - 1]): @@compareValue:gallop
+                  found = offset
+                  offset = 2 * offset + 1
+              limit = min(offset - 1, length)
+              while found < limit:
+                  mid = (found + limit) // 2
+                  if before(b[base + mid]):
+                      found = mid + 1
+                  else:
+                      limit = mid
+              return found
+
+
+          def merge_lo(a, low, mid, high):
+              temp = a[low:mid]
+              i, j, k = 0, mid, low
+              first_wins = second_wins = 0
+              while i < len(temp) and j < high:
+                  if a[j] < temp[i]:                        @@compareValue:merge
+                      a[k] = a[j]                           @@write:right
+                      j += 1
+                      second_wins += 1
+                      first_wins = 0
+                  else:
+                      a[k] = temp[i]                        @@write:left
+                      i += 1
+                      first_wins += 1
+                      second_wins = 0
+                  k += 1
+                  if first_wins >= MIN_GALLOP and i < len(temp) and j < high:
+                      count = gallop(temp, i, len(temp) - i, a[j], True)
+                      a[k:k + count] = temp[i:i + count]    @@write:gallop
+                      i, k = i + count, k + count
+                      first_wins = 0
+                  elif second_wins >= MIN_GALLOP and i < len(temp) and j < high:
+                      count = gallop(a, j, high - j, temp[i], False)
+                      a[k:k + count] = a[j:j + count]
+                      j, k = j + count, k + count
+                      second_wins = 0
+              a[k:k + len(temp) - i] = temp[i:] @@write:rest`,
+        java: `
+          import java.util.ArrayList;
+          import java.util.Arrays;
+          import java.util.List;
+
+          public class TimSort {
+              private static final int MIN_MERGE = 16;
+              private static final int MIN_GALLOP = 7;
+
+              public static void timSort(int[] a) {
+                  int n = a.length;
+                  int minRun = computeMinRun(n);
+                  List<int[]> runs = new ArrayList<>();
+                  for (int low = 0; low < n; ) {
+                      int length = countRun(a, low, n);
+                      if (length < minRun) {
+                          int forced = Math.min(minRun, n - low);
+                          binaryInsertionSort(a, low, low + forced, low + length);
+                          length = forced;
+                      }
+                      runs.add(new int[] {low, length});
+                      mergeCollapse(a, runs);
+                      low += length;
+                  }
+                  while (runs.size() > 1) {
+                      int i = runs.size() - 2;
+                      if (i > 0 && runs.get(i - 1)[1] < runs.get(i + 1)[1]) i--;
+                      mergeAt(a, runs, i);
+                  }
+              }
+
+              private static int computeMinRun(int n) {
+                  int remainder = 0;
+                  while (n >= MIN_MERGE) {
+                      remainder |= n & 1;
+                      n >>= 1;
+                  }
+                  return n + remainder;
+              }
+
+              // Length of the run at low; a descending run is reversed
+              private static int countRun(int[] a, int low, int n) {
+                  int high = low + 1;
+                  if (high == n) return 1;
+                  if (a[high++] < a[low]) {                 @@compare:run
+                      while (high < n && a[high] < a[high - 1]) high++;
+                      for (int i = low, j = high - 1; i < j; i++, j--) {
+                          swap(a, i, j);                    @@swap:reverse
+                      }
+                  } else {
+                      while (high < n && a[high] >= a[high - 1]) high++;
+                  }
+                  return high - low;
+              }
+
+              // Sorts a[low..high) whose a[low..start) is already sorted
+              private static void binaryInsertionSort(int[] a, int low, int high, int start) {
+                  for (int i = start; i < high; i++) {
+                      int key = a[i];                       @@read
+                      int left = low, right = i;
+                      while (left < right) {
+                          int mid = (left + right) >>> 1;
+                          if (a[mid] > key) right = mid;    @@compareValue:binary
+                          else left = mid + 1;
+                      }
+                      for (int j = i; j > left; j--) a[j] = a[j - 1]; @@write:shift
+                      a[left] = key;                        @@write:insert
+                  }
+              }
+
+              private static void mergeCollapse(int[] a, List<int[]> runs) {
+                  while (runs.size() > 1) {
+                      int n = runs.size() - 2;
+                      if ((n > 0 && len(runs, n - 1) <= len(runs, n) + len(runs, n + 1))
+                              || (n > 1 && len(runs, n - 2) <= len(runs, n - 1) + len(runs, n))) {
+                          if (len(runs, n - 1) < len(runs, n + 1)) n--;
+                      } else if (len(runs, n) > len(runs, n + 1)) {
+                          return;
+                      }
+                      mergeAt(a, runs, n);
+                  }
+              }
+
+              private static int len(List<int[]> runs, int i) {
+                  return runs.get(i)[1];
+              }
+
+              private static void mergeAt(int[] a, List<int[]> runs, int i) {
+                  int low = runs.get(i)[0];
+                  int mid = runs.get(i + 1)[0];
+                  int high = mid + runs.get(i + 1)[1];
+                  runs.remove(i + 1);
+                  runs.set(i, new int[] {low, high - low});
+                  int start = low + gallop(a, low, mid - low, a[mid], true);
+                  if (start == mid) return;
+                  int end = mid + gallop(a, mid, high - mid, a[mid - 1], false);
+                  if (end == mid) return;
+                  mergeLo(a, start, mid, end);
+              }
+
+              // How many of b[base..base + length) are <= key (right) or < key
+              private static int gallop(int[] b, int base, int length, int key, boolean right) {
+                  int found = 0, offset = 1;
+                  while (offset <= length && before(b[base + offset - 1], key, right)) { @@compareValue:gallop
+                      found = offset;
+                      offset = 2 * offset + 1;
+                  }
+                  int limit = Math.min(offset - 1, length);
+                  while (found < limit) {
+                      int mid = (found + limit) >>> 1;
+                      if (before(b[base + mid], key, right)) found = mid + 1;
+                      else limit = mid;
+                  }
+                  return found;
+              }
+
+              private static boolean before(int x, int key, boolean right) {
+                  return right ? x <= key : x < key;
+              }
+
+              private static void mergeLo(int[] a, int low, int mid, int high) {
+                  int[] temp = Arrays.copyOfRange(a, low, mid);
+                  int i = 0, j = mid, k = low;
+                  int firstWins = 0, secondWins = 0;
+                  while (i < temp.length && j < high) {
+                      if (a[j] < temp[i]) {                 @@compareValue:merge
+                          a[k++] = a[j++];                  @@write:right
+                          secondWins++;
+                          firstWins = 0;
+                      } else {
+                          a[k++] = temp[i++];               @@write:left
+                          firstWins++;
+                          secondWins = 0;
+                      }
+                      if (firstWins >= MIN_GALLOP && i < temp.length && j < high) {
+                          int count = gallop(temp, i, temp.length - i, a[j], true);
+                          while (count-- > 0) a[k++] = temp[i++]; @@write:gallop
+                          firstWins = 0;
+                      } else if (secondWins >= MIN_GALLOP && i < temp.length && j < high) {
+                          int count = gallop(a, j, high - j, temp[i], false);
+                          while (count-- > 0) a[k++] = a[j++];
+                          secondWins = 0;
+                      }
+                  }
+                  while (i < temp.length) a[k++] = temp[i++]; @@write:rest
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <algorithm>
+          #include <utility>
+          #include <vector>
+
+          constexpr int MIN_MERGE = 16;
+          constexpr int MIN_GALLOP = 7;
+
+          struct Run {
+              int base, length;
+          };
+
+          int computeMinRun(int n) {
+              int remainder = 0;
+              while (n >= MIN_MERGE) {
+                  remainder |= n & 1;
+                  n >>= 1;
+              }
+              return n + remainder;
+          }
+
+          // Length of the run at low; a descending run is reversed
+          int countRun(std::vector<int>& a, int low, int n) {
+              int high = low + 1;
+              if (high == n) return 1;
+              if (a[high++] < a[low]) {                     @@compare:run
+                  while (high < n && a[high] < a[high - 1]) high++;
+                  for (int i = low, j = high - 1; i < j; i++, j--) {
+                      std::swap(a[i], a[j]);                @@swap:reverse
+                  }
+              } else {
+                  while (high < n && a[high] >= a[high - 1]) high++;
+              }
+              return high - low;
+          }
+
+          // Sorts a[low..high) whose a[low..start) is already sorted
+          void binaryInsertionSort(std::vector<int>& a, int low, int high, int start) {
+              for (int i = start; i < high; i++) {
+                  const int key = a[i];                     @@read
+                  int left = low, right = i;
+                  while (left < right) {
+                      const int mid = left + (right - left) / 2;
+                      if (a[mid] > key) right = mid;        @@compareValue:binary
+                      else left = mid + 1;
+                  }
+                  for (int j = i; j > left; j--) a[j] = a[j - 1]; @@write:shift
+                  a[left] = key;                            @@write:insert
+              }
+          }
+
+          // How many of b[base..base + length) are <= key (right) or < key
+          int gallop(const std::vector<int>& b, int base, int length, int key, bool right) {
+              auto before = [&](int x) { return right ? x <= key : x < key; };
+              int found = 0, offset = 1;
+              while (offset <= length && before(b[base + offset - 1])) { @@compareValue:gallop
+                  found = offset;
+                  offset = 2 * offset + 1;
+              }
+              int limit = std::min(offset - 1, length);
+              while (found < limit) {
+                  const int mid = found + (limit - found) / 2;
+                  if (before(b[base + mid])) found = mid + 1;
+                  else limit = mid;
+              }
+              return found;
+          }
+
+          void mergeLo(std::vector<int>& a, int low, int mid, int high) {
+              const std::vector<int> temp(a.begin() + low, a.begin() + mid);
+              const int length = static_cast<int>(temp.size());
+              int i = 0, j = mid, k = low;
+              int firstWins = 0, secondWins = 0;
+              while (i < length && j < high) {
+                  if (a[j] < temp[i]) {                     @@compareValue:merge
+                      a[k++] = a[j++];                      @@write:right
+                      secondWins++;
+                      firstWins = 0;
+                  } else {
+                      a[k++] = temp[i++];                   @@write:left
+                      firstWins++;
+                      secondWins = 0;
+                  }
+                  if (firstWins >= MIN_GALLOP && i < length && j < high) {
+                      int count = gallop(temp, i, length - i, a[j], true);
+                      while (count-- > 0) a[k++] = temp[i++]; @@write:gallop
+                      firstWins = 0;
+                  } else if (secondWins >= MIN_GALLOP && i < length && j < high) {
+                      int count = gallop(a, j, high - j, temp[i], false);
+                      while (count-- > 0) a[k++] = a[j++];
+                      secondWins = 0;
+                  }
+              }
+              while (i < length) a[k++] = temp[i++];        @@write:rest
+          }
+
+          void mergeAt(std::vector<int>& a, std::vector<Run>& runs, int i) {
+              const int low = runs[i].base;
+              const int mid = runs[i + 1].base;
+              const int high = mid + runs[i + 1].length;
+              runs[i] = {low, high - low};
+              runs.erase(runs.begin() + i + 1);
+              const int start = low + gallop(a, low, mid - low, a[mid], true);
+              if (start == mid) return;
+              const int end = mid + gallop(a, mid, high - mid, a[mid - 1], false);
+              if (end == mid) return;
+              mergeLo(a, start, mid, end);
+          }
+
+          void mergeCollapse(std::vector<int>& a, std::vector<Run>& runs) {
+              while (runs.size() > 1) {
+                  int n = static_cast<int>(runs.size()) - 2;
+                  if ((n > 0 && runs[n - 1].length <= runs[n].length + runs[n + 1].length) ||
+                      (n > 1 && runs[n - 2].length <= runs[n - 1].length + runs[n].length)) {
+                      if (runs[n - 1].length < runs[n + 1].length) n--;
+                  } else if (runs[n].length > runs[n + 1].length) {
+                      return;
+                  }
+                  mergeAt(a, runs, n);
+              }
+          }
+
+          void timSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              const int minRun = computeMinRun(n);
+              std::vector<Run> runs;
+              for (int low = 0; low < n; ) {
+                  int length = countRun(a, low, n);
+                  if (length < minRun) {
+                      const int forced = std::min(minRun, n - low);
+                      binaryInsertionSort(a, low, low + forced, low + length);
+                      length = forced;
+                  }
+                  runs.push_back({low, length});
+                  mergeCollapse(a, runs);
+                  low += length;
+              }
+              while (runs.size() > 1) {
+                  int i = static_cast<int>(runs.size()) - 2;
+                  if (i > 0 && runs[i - 1].length < runs[i + 1].length) i--;
+                  mergeAt(a, runs, i);
+              }
+          }`
+      },
+      'intro-sort': {
+        javascript: `
+          function introSort(a) {
+            const depth = 2 * Math.floor(Math.log2(Math.max(1, a.length)));
+            introLoop(a, 0, a.length - 1, depth);
+            return a;
+          }
+
+          function introLoop(a, low, high, depth) {
+            while (high - low + 1 > 16) {
+              if (depth === 0) {
+                heapSort(a, low, high);
+                return;
+              }
+              depth--;
+              sort3(a, low, high, low + Math.floor((high - low) / 2));
+              const p = partition(a, low, high);
+              introLoop(a, p + 1, high, depth);
+              high = p - 1;
+            }
+            insertionSort(a, low, high);
+          }
+
+          // Orders a[i] <= a[j] <= a[k]
+          function sort3(a, i, j, k) {
+            if (a[j] < a[i]) [a[i], a[j]] = [a[j], a[i]];   @@compare:median,swap:median
+            if (a[k] < a[j]) {
+              [a[j], a[k]] = [a[k], a[j]];
+              if (a[j] < a[i]) [a[i], a[j]] = [a[j], a[i]];
+            }
+          }
+
+          function partition(a, low, high) {
+            const pivot = a[high];
+            let i = low - 1;
+            for (let j = low; j < high; j++) {
+              if (a[j] < pivot) {                           @@compare
+                i++;
+                [a[i], a[j]] = [a[j], a[i]];                @@swap
+              }
+            }
+            [a[i + 1], a[high]] = [a[high], a[i + 1]];      @@swap:pivot
+            return i + 1;
+          }
+
+          function heapSort(a, low, high) {
+            const n = high - low + 1;
+            for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+              siftDown(a, low, n, i);
+            }
+            for (let end = n - 1; end > 0; end--) {
+              [a[low], a[low + end]] = [a[low + end], a[low]]; @@swap:extract
+              siftDown(a, low, end, 0);
+            }
+          }
+
+          function siftDown(a, low, n, i) {
+            for (;;) {
+              let largest = i;
+              const l = 2 * i + 1;
+              const r = 2 * i + 2;
+              if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+              if (r < n && a[low + r] > a[low + largest]) largest = r;
+              if (largest === i) return;
+              const [x, y] = [low + i, low + largest];
+              [a[x], a[y]] = [a[y], a[x]];                  @@swap:heap
+              i = largest;
+            }
+          }
+
+          function insertionSort(a, low, high) {
+            for (let i = low + 1; i <= high; i++) {
+              const key = a[i];                             @@read
+              let j = i;
+              while (j > low && a[j - 1] > key) {           @@compareValue
+                a[j] = a[j - 1];                            @@write:shift
+                j--;
+              }
+              a[j] = key;                                   @@write:insert
+            }
+          }`,
+        python: `
+          import math
+
+
+          def intro_sort(a):
+              depth = 2 * int(math.log2(max(1, len(a))))
+              intro_loop(a, 0, len(a) - 1, depth)
+              return a
+
+
+          def intro_loop(a, low, high, depth):
+              while high - low + 1 > 16:
+                  if depth == 0:
+                      heap_sort(a, low, high)
+                      return
+                  depth -= 1
+                  sort3(a, low, high, low + (high - low) // 2)
+                  p = partition(a, low, high)
+                  intro_loop(a, p + 1, high, depth)
+                  high = p - 1
+              insertion_sort(a, low, high)
+
+
+          # Orders a[i] <= a[j] <= a[k]
+          def sort3(a, i, j, k):
+              if a[j] < a[i]:                               @@compare:median
+                  a[i], a[j] = a[j], a[i]                   @@swap:median
+              if a[k] < a[j]:
+                  a[j], a[k] = a[k], a[j]
+                  if a[j] < a[i]:
+                      a[i], a[j] = a[j], a[i]
+
+
+          def partition(a, low, high):
+              pivot = a[high]
+              i = low - 1
+              for j in range(low, high):
+                  if a[j] < pivot:                          @@compare
+                      i += 1
+                      a[i], a[j] = a[j], a[i]               @@swap
+              a[i + 1], a[high] = a[high], a[i + 1]         @@swap:pivot
+              return i + 1
+
+
+          def heap_sort(a, low, high):
+              n = high - low + 1
+              for i in range(n // 2 - 1, -1, -1):
+                  sift_down(a, low, n, i)
+              for end in range(n - 1, 0, -1):
+                  a[low], a[low + end] = a[low + end], a[low] @@swap:extract
+                  sift_down(a, low, end, 0)
+
+
+          def sift_down(a, low, n, i):
+              while True:
+                  largest = i
+                  l, r = 2 * i + 1, 2 * i + 2
+                  if l < n and a[low + l] > a[low + largest]: @@compare:heap
+                      largest = l
+                  if r < n and a[low + r] > a[low + largest]:
+                      largest = r
+                  if largest == i:
+                      return
+                  x, y = low + i, low + largest
+                  a[x], a[y] = a[y], a[x]                   @@swap:heap
+                  i = largest
+
+
+          def insertion_sort(a, low, high):
+              for i in range(low + 1, high + 1):
+                  key = a[i]                                @@read
+                  j = i
+                  while j > low and a[j - 1] > key:         @@compareValue
+                      a[j] = a[j - 1]                       @@write:shift
+                      j -= 1
+                  a[j] = key @@write:insert`,
+        java: `
+          public class IntroSort {
+              public static void introSort(int[] a) {
+                  int depth = 2 * (31 - Integer.numberOfLeadingZeros(Math.max(1, a.length)));
+                  introLoop(a, 0, a.length - 1, depth);
+              }
+
+              private static void introLoop(int[] a, int low, int high, int depth) {
+                  while (high - low + 1 > 16) {
+                      if (depth == 0) {
+                          heapSort(a, low, high);
+                          return;
+                      }
+                      depth--;
+                      sort3(a, low, high, low + (high - low) / 2);
+                      int p = partition(a, low, high);
+                      introLoop(a, p + 1, high, depth);
+                      high = p - 1;
+                  }
+                  insertionSort(a, low, high);
+              }
+
+              // Orders a[i] <= a[j] <= a[k]
+              private static void sort3(int[] a, int i, int j, int k) {
+                  if (a[j] < a[i]) swap(a, i, j);           @@compare:median,swap:median
+                  if (a[k] < a[j]) {
+                      swap(a, j, k);
+                      if (a[j] < a[i]) swap(a, i, j);
+                  }
+              }
+
+              private static int partition(int[] a, int low, int high) {
+                  int pivot = a[high];
+                  int i = low - 1;
+                  for (int j = low; j < high; j++) {
+                      if (a[j] < pivot) {                   @@compare
+                          i++;
+                          swap(a, i, j);                    @@swap
+                      }
+                  }
+                  swap(a, i + 1, high);                     @@swap:pivot
+                  return i + 1;
+              }
+
+              private static void heapSort(int[] a, int low, int high) {
+                  int n = high - low + 1;
+                  for (int i = n / 2 - 1; i >= 0; i--) {
+                      siftDown(a, low, n, i);
+                  }
+                  for (int end = n - 1; end > 0; end--) {
+                      swap(a, low, low + end);              @@swap:extract
+                      siftDown(a, low, end, 0);
+                  }
+              }
+
+              private static void siftDown(int[] a, int low, int n, int i) {
+                  while (true) {
+                      int largest = i;
+                      int l = 2 * i + 1, r = 2 * i + 2;
+                      if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+                      if (r < n && a[low + r] > a[low + largest]) largest = r;
+                      if (largest == i) return;
+                      swap(a, low + i, low + largest);      @@swap:heap
+                      i = largest;
+                  }
+              }
+
+              private static void insertionSort(int[] a, int low, int high) {
+                  for (int i = low + 1; i <= high; i++) {
+                      int key = a[i];                       @@read
+                      int j = i;
+                      while (j > low && a[j - 1] > key) {   @@compareValue
+                          a[j] = a[j - 1];                  @@write:shift
+                          j--;
+                      }
+                      a[j] = key;                           @@write:insert
+                  }
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <cmath>
+          #include <utility>
+          #include <vector>
+
+          // Orders a[i] <= a[j] <= a[k]
+          void sort3(std::vector<int>& a, int i, int j, int k) {
+              if (a[j] < a[i]) std::swap(a[i], a[j]);       @@compare:median,swap:median
+              if (a[k] < a[j]) {
+                  std::swap(a[j], a[k]);
+                  if (a[j] < a[i]) std::swap(a[i], a[j]);
+              }
+          }
+
+          int partition(std::vector<int>& a, int low, int high) {
+              const int pivot = a[high];
+              int i = low - 1;
+              for (int j = low; j < high; j++) {
+                  if (a[j] < pivot) {                       @@compare
+                      i++;
+                      std::swap(a[i], a[j]);                @@swap
+                  }
+              }
+              std::swap(a[i + 1], a[high]);                 @@swap:pivot
+              return i + 1;
+          }
+
+          void siftDown(std::vector<int>& a, int low, int n, int i) {
+              while (true) {
+                  int largest = i;
+                  const int l = 2 * i + 1, r = 2 * i + 2;
+                  if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+                  if (r < n && a[low + r] > a[low + largest]) largest = r;
+                  if (largest == i) return;
+                  std::swap(a[low + i], a[low + largest]);  @@swap:heap
+                  i = largest;
+              }
+          }
+
+          void heapSort(std::vector<int>& a, int low, int high) {
+              const int n = high - low + 1;
+              for (int i = n / 2 - 1; i >= 0; i--) {
+                  siftDown(a, low, n, i);
+              }
+              for (int end = n - 1; end > 0; end--) {
+                  std::swap(a[low], a[low + end]);          @@swap:extract
+                  siftDown(a, low, end, 0);
+              }
+          }
+
+          void insertionSort(std::vector<int>& a, int low, int high) {
+              for (int i = low + 1; i <= high; i++) {
+                  const int key = a[i];                     @@read
+                  int j = i;
+                  while (j > low && a[j - 1] > key) {       @@compareValue
+                      a[j] = a[j - 1];                      @@write:shift
+                      j--;
+                  }
+                  a[j] = key;                               @@write:insert
+              }
+          }
+
+          void introLoop(std::vector<int>& a, int low, int high, int depth) {
+              while (high - low + 1 > 16) {
+                  if (depth == 0) {
+                      heapSort(a, low, high);
+                      return;
+                  }
+                  depth--;
+                  sort3(a, low, high, low + (high - low) / 2);
+                  const int p = partition(a, low, high);
+                  introLoop(a, p + 1, high, depth);
+                  high = p - 1;
+              }
+              insertionSort(a, low, high);
+          }
+
+          void introSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              introLoop(a, 0, n - 1, 2 * static_cast<int>(std::log2(n > 1 ? n : 1)));
+          }`
+      },
+      'pdq-sort': {
+        javascript: `
+          function pdqSort(a) {
+            const badAllowed = Math.floor(Math.log2(Math.max(1, a.length)));
+            pdqLoop(a, 0, a.length, badAllowed, true);
+            return a;
+          }
+
+          function pdqLoop(a, begin, end, badAllowed, leftmost) {
+            for (;;) {
+              const size = end - begin;
+              if (size < 24) {
+                insertionSort(a, begin, end - 1);
+                return;
+              }
+              sort3(a, begin + (size >> 1), begin, end - 1);
+              // Keys equal to the previous pivot are already in place
+              if (!leftmost && a[begin - 1] >= a[begin]) {  @@compare:previous
+                begin = partitionLeft(a, begin, end) + 1;
+                continue;
+              }
+              const [pivot, alreadyPartitioned] = partitionRight(a, begin, end);
+              const leftSize = pivot - begin;
+              const rightSize = end - pivot - 1;
+              if (leftSize < size >> 3 || rightSize < size >> 3) {
+                if (--badAllowed === 0) {
+                  heapSort(a, begin, end - 1);
+                  return;
+                }
+                if (leftSize >= 24) {
+                  swap(a, begin, begin + (leftSize >> 2));  @@swap:break
+                  swap(a, pivot - 1, pivot - (leftSize >> 2));
+                }
+                if (rightSize >= 24) {
+                  swap(a, pivot + 1, pivot + 1 + (rightSize >> 2));
+                  swap(a, end - 1, end - (rightSize >> 2));
+                }
+              } else if (alreadyPartitioned &&
+                         insertionSort(a, begin, pivot - 1, 8) &&
+                         insertionSort(a, pivot + 1, end - 1, 8)) {
+                return;
+              }
+              pdqLoop(a, begin, pivot, badAllowed, leftmost);
+              begin = pivot + 1;
+              leftmost = false;
+            }
+          }
+
+          // Equal keys go right of the pivot at a[begin]
+          function partitionRight(a, begin, end) {
+            const pivot = a[begin];
+            let first = begin;
+            let last = end;
+            do first++; while (a[first] < pivot);           @@compare
+            if (first - 1 === begin) {
+              while (first < last && a[--last] >= pivot);
+            } else {
+              do last--; while (a[last] >= pivot);
+            }
+            const alreadyPartitioned = first >= last;
+            while (first < last) {
+              swap(a, first, last);                         @@swap
+              do first++; while (a[first] < pivot);
+              do last--; while (a[last] >= pivot);
+            }
+            swap(a, begin, first - 1);                      @@swap:pivot
+            return [first - 1, alreadyPartitioned];
+          }
+
+          // Equal keys go left of the pivot at a[begin]
+          function partitionLeft(a, begin, end) {
+            const pivot = a[begin];
+            let first = begin;
+            let last = end;
+            do last--; while (pivot < a[last]);             @@compare:equal
+            if (last + 1 === end) {
+              while (first < last && pivot >= a[++first]);
+            } else {
+              do first++; while (pivot >= a[first]);
+            }
+            while (first < last) {
+              swap(a, first, last);                         @@swap:equal
+              do last--; while (pivot < a[last]);
+              do first++; while (pivot >= a[first]);
+            }
+            swap(a, begin, last);
+            return last;
+          }
+
+          // Orders a[i] <= a[j] <= a[k]
+          function sort3(a, i, j, k) {
+            if (a[j] < a[i]) swap(a, i, j);                 @@compare:median,swap:median
+            if (a[k] < a[j]) {
+              swap(a, j, k);
+              if (a[j] < a[i]) swap(a, i, j);
+            }
+          }
+
+          function heapSort(a, low, high) {
+            const n = high - low + 1;
+            for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+              siftDown(a, low, n, i);
+            }
+            for (let end = n - 1; end > 0; end--) {
+              swap(a, low, low + end);                      @@swap:extract
+              siftDown(a, low, end, 0);
+            }
+          }
+
+          function siftDown(a, low, n, i) {
+            for (;;) {
+              let largest = i;
+              const l = 2 * i + 1;
+              const r = 2 * i + 2;
+              if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+              if (r < n && a[low + r] > a[low + largest]) largest = r;
+              if (largest === i) return;
+              swap(a, low + i, low + largest);              @@swap:heap
+              i = largest;
+            }
+          }
+
+          // Gives up, returning false, after moving more than limit elements
+          function insertionSort(a, low, high, limit = Infinity) {
+            let moved = 0;
+            for (let i = low + 1; i <= high; i++) {
+              const key = a[i];                             @@read
+              let j = i;
+              while (j > low && a[j - 1] > key) {           @@compareValue
+                a[j] = a[j - 1];                            @@write:shift
+                j--;
+              }
+              a[j] = key;                                   @@write:insert
+              moved += i - j;
+              if (moved > limit) return false;
+            }
+            return true;
+          }
+
+          function swap(a, i, j) {
+            [a[i], a[j]] = [a[j], a[i]];
+          }`,
+        python: `
+          import math
+
+
+          def pdq_sort(a):
+              bad_allowed = int(math.log2(max(1, len(a))))
+              pdq_loop(a, 0, len(a), bad_allowed, True)
+              return a
+
+
+          def pdq_loop(a, begin, end, bad_allowed, leftmost):
+              while True:
+                  size = end - begin
+                  if size < 24:
+                      insertion_sort(a, begin, end - 1)
+                      return
+                  sort3(a, begin + size // 2, begin, end - 1)
+                  # Keys equal to the previous pivot are already in place
+                  if not leftmost and a[begin - 1] >= a[begin]: @@compare:previous
+                      begin = partition_left(a, begin, end) + 1
+                      continue
+                  pivot, already_partitioned = partition_right(a, begin, end)
+                  left_size = pivot - begin
+                  right_size = end - pivot - 1
+                  if left_size < size // 8 or right_size < size // 8:
+                      bad_allowed -= 1
+                      if bad_allowed == 0:
+                          heap_sort(a, begin, end - 1)
+                          return
+                      if left_size >= 24:
+                          swap(a, begin, begin + left_size // 4) @@swap:break
+                          swap(a, pivot - 1, pivot - left_size // 4)
+                      if right_size >= 24:
+                          swap(a, pivot + 1, pivot + 1 + right_size // 4)
+                          swap(a, end - 1, end - right_size // 4)
+                  elif already_partitioned and \\
+                          insertion_sort(a, begin, pivot - 1, 8) and \\
+                          insertion_sort(a, pivot + 1, end - 1, 8):
+                      return
+                  pdq_loop(a, begin, pivot, bad_allowed, leftmost)
+                  begin = pivot + 1
+                  leftmost = False
+
+
+          # Equal keys go right of the pivot at a[begin]
+          def partition_right(a, begin, end):
+              pivot = a[begin]
+              first, last = begin + 1, end
+              while a[first] < pivot:                       @@compare
+                  first += 1
+              if first - 1 == begin:
+                  while first < last:
+                      last -= 1
+                      if a[last] < pivot:
+                          break
+              else:
+                  last -= 1
+                  while a[last] >= pivot:
+                      last -= 1
+              already_partitioned = first >= last
+              while first < last:
+                  swap(a, first, last)                      @@swap
+                  first += 1
+                  while a[first] < pivot:
+                      first += 1
+                  last -= 1
+                  while a[last] >= pivot:
+                      last -= 1
+              swap(a, begin, first - 1)                     @@swap:pivot
+              return first - 1, already_partitioned
+
+
+          # Equal keys go left of the pivot at a[begin]
+          def partition_left(a, begin, end):
+              pivot = a[begin]
+              first, last = begin, end - 1
+              while pivot < a[last]:                        @@compare:equal
+                  last -= 1
+              if last + 1 == end:
+                  while first < last:
+                      first += 1
+                      if pivot < a[first]:
+                          break
+              else:
+                  first += 1
+                  while pivot >= a[first]:
+                      first += 1
+              while first < last:
+                  swap(a, first, last)                      @@swap:equal
+                  last -= 1
+                  while pivot < a[last]:
+                      last -= 1
+                  first += 1
+                  while pivot >= a[first]:
+                      first += 1
+              swap(a, begin, last)
+              return last
+
+
+          # Orders a[i] <= a[j] <= a[k]
+          def sort3(a, i, j, k):
+              if a[j] < a[i]:                               @@compare:median
+                  swap(a, i, j)                             @@swap:median
+              if a[k] < a[j]:
+                  swap(a, j, k)
+                  if a[j] < a[i]:
+                      swap(a, i, j)
+
+
+          def heap_sort(a, low, high):
+              n = high - low + 1
+              for i in range(n // 2 - 1, -1, -1):
+                  sift_down(a, low, n, i)
+              for end in range(n - 1, 0, -1):
+                  swap(a, low, low + end)                   @@swap:extract
+                  sift_down(a, low, end, 0)
+
+
+          def sift_down(a, low, n, i):
+              while True:
+                  largest = i
+                  l, r = 2 * i + 1, 2 * i + 2
+                  if l < n and a[low + l] > a[low + largest]: @@compare:heap
+                      largest = l
+                  if r < n and a[low + r] > a[low + largest]:
+                      largest = r
+                  if largest == i:
+                      return
+                  swap(a, low + i, low + largest)           @@swap:heap
+                  i = largest
+
+
+          # Gives up, returning False, after moving more than limit elements
+          def insertion_sort(a, low, high, limit=math.inf):
+              moved = 0
+              for i in range(low + 1, high + 1):
+                  key = a[i]                                @@read
+                  j = i
+                  while j > low and a[j - 1] > key:         @@compareValue
+                      a[j] = a[j - 1]                       @@write:shift
+                      j -= 1
+                  a[j] = key                                @@write:insert
+                  moved += i - j
+                  if moved > limit:
+                      return False
+              return True
+
+
+          def swap(a, i, j):
+              a[i], a[j] = a[j], a[i]`,
+        java: `
+          public class PdqSort {
+              public static void pdqSort(int[] a) {
+                  int badAllowed = 31 - Integer.numberOfLeadingZeros(Math.max(1, a.length));
+                  pdqLoop(a, 0, a.length, badAllowed, true);
+              }
+
+              private static void pdqLoop(int[] a, int begin, int end, int badAllowed, boolean leftmost) {
+                  while (true) {
+                      int size = end - begin;
+                      if (size < 24) {
+                          insertionSort(a, begin, end - 1, Integer.MAX_VALUE);
+                          return;
+                      }
+                      sort3(a, begin + size / 2, begin, end - 1);
+                      // Keys equal to the previous pivot are already in place
+                      if (!leftmost && a[begin - 1] >= a[begin]) { @@compare:previous
+                          begin = partitionLeft(a, begin, end) + 1;
+                          continue;
+                      }
+                      int[] result = partitionRight(a, begin, end);
+                      int pivot = result[0];
+                      boolean alreadyPartitioned = result[1] == 1;
+                      int leftSize = pivot - begin;
+                      int rightSize = end - pivot - 1;
+                      if (leftSize < size / 8 || rightSize < size / 8) {
+                          if (--badAllowed == 0) {
+                              heapSort(a, begin, end - 1);
+                              return;
+                          }
+                          if (leftSize >= 24) {
+                              swap(a, begin, begin + leftSize / 4); @@swap:break
+                              swap(a, pivot - 1, pivot - leftSize / 4);
+                          }
+                          if (rightSize >= 24) {
+                              swap(a, pivot + 1, pivot + 1 + rightSize / 4);
+                              swap(a, end - 1, end - rightSize / 4);
+                          }
+                      } else if (alreadyPartitioned
+                              && insertionSort(a, begin, pivot - 1, 8)
+                              && insertionSort(a, pivot + 1, end - 1, 8)) {
+                          return;
+                      }
+                      pdqLoop(a, begin, pivot, badAllowed, leftmost);
+                      begin = pivot + 1;
+                      leftmost = false;
+                  }
+              }
+
+              // Equal keys go right of the pivot at a[begin]; returns
+              // { pivot index, 1 if nothing had to move }
+              private static int[] partitionRight(int[] a, int begin, int end) {
+                  int pivot = a[begin];
+                  int first = begin, last = end;
+                  while (a[++first] < pivot);               @@compare
+                  if (first - 1 == begin) {
+                      while (first < last && a[--last] >= pivot);
+                  } else {
+                      while (a[--last] >= pivot);
+                  }
+                  boolean alreadyPartitioned = first >= last;
+                  while (first < last) {
+                      swap(a, first, last);                 @@swap
+                      while (a[++first] < pivot);
+                      while (a[--last] >= pivot);
+                  }
+                  swap(a, begin, first - 1);                @@swap:pivot
+                  return new int[] {first - 1, alreadyPartitioned ? 1 : 0};
+              }
+
+              // Equal keys go left of the pivot at a[begin]
+              private static int partitionLeft(int[] a, int begin, int end) {
+                  int pivot = a[begin];
+                  int first = begin, last = end;
+                  while (pivot < a[--last]);                @@compare:equal
+                  if (last + 1 == end) {
+                      while (first < last && pivot >= a[++first]);
+                  } else {
+                      while (pivot >= a[++first]);
+                  }
+                  while (first < last) {
+                      swap(a, first, last);                 @@swap:equal
+                      while (pivot < a[--last]);
+                      while (pivot >= a[++first]);
+                  }
+                  swap(a, begin, last);
+                  return last;
+              }
+
+              // Orders a[i] <= a[j] <= a[k]
+              private static void sort3(int[] a, int i, int j, int k) {
+                  if (a[j] < a[i]) swap(a, i, j);           @@compare:median,swap:median
+                  if (a[k] < a[j]) {
+                      swap(a, j, k);
+                      if (a[j] < a[i]) swap(a, i, j);
+                  }
+              }
+
+              private static void heapSort(int[] a, int low, int high) {
+                  int n = high - low + 1;
+                  for (int i = n / 2 - 1; i >= 0; i--) {
+                      siftDown(a, low, n, i);
+                  }
+                  for (int end = n - 1; end > 0; end--) {
+                      swap(a, low, low + end);              @@swap:extract
+                      siftDown(a, low, end, 0);
+                  }
+              }
+
+              private static void siftDown(int[] a, int low, int n, int i) {
+                  while (true) {
+                      int largest = i;
+                      int l = 2 * i + 1, r = 2 * i + 2;
+                      if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+                      if (r < n && a[low + r] > a[low + largest]) largest = r;
+                      if (largest == i) return;
+                      swap(a, low + i, low + largest);      @@swap:heap
+                      i = largest;
+                  }
+              }
+
+              // Gives up, returning false, after moving more than limit elements
+              private static boolean insertionSort(int[] a, int low, int high, int limit) {
+                  int moved = 0;
+                  for (int i = low + 1; i <= high; i++) {
+                      int key = a[i];                       @@read
+                      int j = i;
+                      while (j > low && a[j - 1] > key) {   @@compareValue
+                          a[j] = a[j - 1];                  @@write:shift
+                          j--;
+                      }
+                      a[j] = key;                           @@write:insert
+                      moved += i - j;
+                      if (moved > limit) return false;
+                  }
+                  return true;
+              }
+
+              private static void swap(int[] a, int i, int j) {
+                  int tmp = a[i];
+                  a[i] = a[j];
+                  a[j] = tmp;
+              }
+          }`,
+        cpp: `
+          #include <climits>
+          #include <cmath>
+          #include <utility>
+          #include <vector>
+
+          // Orders a[i] <= a[j] <= a[k]
+          void sort3(std::vector<int>& a, int i, int j, int k) {
+              if (a[j] < a[i]) std::swap(a[i], a[j]);       @@compare:median,swap:median
+              if (a[k] < a[j]) {
+                  std::swap(a[j], a[k]);
+                  if (a[j] < a[i]) std::swap(a[i], a[j]);
+              }
+          }
+
+          // Equal keys go right of the pivot at a[begin]; also reports
+          // whether nothing had to move
+          std::pair<int, bool> partitionRight(std::vector<int>& a, int begin, int end) {
+              const int pivot = a[begin];
+              int first = begin, last = end;
+              while (a[++first] < pivot);                   @@compare
+              if (first - 1 == begin) {
+                  while (first < last && a[--last] >= pivot);
+              } else {
+                  while (a[--last] >= pivot);
+              }
+              const bool alreadyPartitioned = first >= last;
+              while (first < last) {
+                  std::swap(a[first], a[last]);             @@swap
+                  while (a[++first] < pivot);
+                  while (a[--last] >= pivot);
+              }
+              std::swap(a[begin], a[first - 1]);            @@swap:pivot
+              return {first - 1, alreadyPartitioned};
+          }
+
+          // Equal keys go left of the pivot at a[begin]
+          int partitionLeft(std::vector<int>& a, int begin, int end) {
+              const int pivot = a[begin];
+              int first = begin, last = end;
+              while (pivot < a[--last]);                    @@compare:equal
+              if (last + 1 == end) {
+                  while (first < last && pivot >= a[++first]);
+              } else {
+                  while (pivot >= a[++first]);
+              }
+              while (first < last) {
+                  std::swap(a[first], a[last]);             @@swap:equal
+                  while (pivot < a[--last]);
+                  while (pivot >= a[++first]);
+              }
+              std::swap(a[begin], a[last]);
+              return last;
+          }
+
+          void siftDown(std::vector<int>& a, int low, int n, int i) {
+              while (true) {
+                  int largest = i;
+                  const int l = 2 * i + 1, r = 2 * i + 2;
+                  if (l < n && a[low + l] > a[low + largest]) largest = l; @@compare:heap
+                  if (r < n && a[low + r] > a[low + largest]) largest = r;
+                  if (largest == i) return;
+                  std::swap(a[low + i], a[low + largest]);  @@swap:heap
+                  i = largest;
+              }
+          }
+
+          void heapSort(std::vector<int>& a, int low, int high) {
+              const int n = high - low + 1;
+              for (int i = n / 2 - 1; i >= 0; i--) {
+                  siftDown(a, low, n, i);
+              }
+              for (int end = n - 1; end > 0; end--) {
+                  std::swap(a[low], a[low + end]);          @@swap:extract
+                  siftDown(a, low, end, 0);
+              }
+          }
+
+          // Gives up, returning false, after moving more than limit elements
+          bool insertionSort(std::vector<int>& a, int low, int high, int limit = INT_MAX) {
+              int moved = 0;
+              for (int i = low + 1; i <= high; i++) {
+                  const int key = a[i];                     @@read
+                  int j = i;
+                  while (j > low && a[j - 1] > key) {       @@compareValue
+                      a[j] = a[j - 1];                      @@write:shift
+                      j--;
+                  }
+                  a[j] = key;                               @@write:insert
+                  moved += i - j;
+                  if (moved > limit) return false;
+              }
+              return true;
+          }
+
+          void pdqLoop(std::vector<int>& a, int begin, int end, int badAllowed, bool leftmost) {
+              while (true) {
+                  const int size = end - begin;
+                  if (size < 24) {
+                      insertionSort(a, begin, end - 1);
+                      return;
+                  }
+                  sort3(a, begin + size / 2, begin, end - 1);
+                  // Keys equal to the previous pivot are already in place
+                  if (!leftmost && a[begin - 1] >= a[begin]) { @@compare:previous
+                      begin = partitionLeft(a, begin, end) + 1;
+                      continue;
+                  }
+                  const auto [pivot, alreadyPartitioned] = partitionRight(a, begin, end);
+                  const int leftSize = pivot - begin;
+                  const int rightSize = end - pivot - 1;
+                  if (leftSize < size / 8 || rightSize < size / 8) {
+                      if (--badAllowed == 0) {
+                          heapSort(a, begin, end - 1);
+                          return;
+                      }
+                      if (leftSize >= 24) {
+                          std::swap(a[begin], a[begin + leftSize / 4]); @@swap:break
+                          std::swap(a[pivot - 1], a[pivot - leftSize / 4]);
+                      }
+                      if (rightSize >= 24) {
+                          std::swap(a[pivot + 1], a[pivot + 1 + rightSize / 4]);
+                          std::swap(a[end - 1], a[end - rightSize / 4]);
+                      }
+                  } else if (alreadyPartitioned &&
+                             insertionSort(a, begin, pivot - 1, 8) &&
+                             insertionSort(a, pivot + 1, end - 1, 8)) {
+                      return;
+                  }
+                  pdqLoop(a, begin, pivot, badAllowed, leftmost);
+                  begin = pivot + 1;
+                  leftmost = false;
+              }
+          }
+
+          void pdqSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              pdqLoop(a, 0, n, static_cast<int>(std::log2(n > 1 ? n : 1)), true);
+          }`
+      }
+    },
+    'sorting-networks': {
+      'bitonic-sort': {
+        javascript: `
+          function bitonicSort(a) {
+            const n = a.length;
+            let size = 1;
+            while (size < n) size *= 2;
+            for (let k = 2; k <= size; k *= 2) {
+              for (let i = 0; i < size; i++) {
+                const j = i ^ (k - 1);
+                if (i < j && j < n) compareExchange(a, i, j);
+              }
+              for (let d = k / 4; d >= 1; d /= 2) {
+                for (let i = 0; i < size; i++) {
+                  const j = i ^ d;
+                  if (i < j && j < n) compareExchange(a, i, j);
+                }
+              }
+            }
+            return a;
+          }
+
+          function compareExchange(a, i, j) {
+            if (a[i] > a[j]) {                              @@compare
+              [a[i], a[j]] = [a[j], a[i]];                  @@swap
+            }
+          }`,
+        python: `
+          def bitonic_sort(a):
+              n = len(a)
+              size = 1
+              while size < n:
+                  size *= 2
+              k = 2
+              while k <= size:
+                  for i in range(size):
+                      j = i ^ (k - 1)
+                      if i < j < n:
+                          compare_exchange(a, i, j)
+                  d = k // 4
+                  while d >= 1:
+                      for i in range(size):
+                          j = i ^ d
+                          if i < j < n:
+                              compare_exchange(a, i, j)
+                      d //= 2
+                  k *= 2
+              return a
+
+
+          def compare_exchange(a, i, j):
+              if a[i] > a[j]:                               @@compare
+                  a[i], a[j] = a[j], a[i] @@swap`,
+        java: `
+          public class BitonicSort {
+              public static void bitonicSort(int[] a) {
+                  int n = a.length;
+                  int size = 1;
+                  while (size < n) size *= 2;
+                  for (int k = 2; k <= size; k *= 2) {
+                      for (int i = 0; i < size; i++) {
+                          int j = i ^ (k - 1);
+                          if (i < j && j < n) compareExchange(a, i, j);
+                      }
+                      for (int d = k / 4; d >= 1; d /= 2) {
+                          for (int i = 0; i < size; i++) {
+                              int j = i ^ d;
+                              if (i < j && j < n) compareExchange(a, i, j);
+                          }
+                      }
+                  }
+              }
+
+              private static void compareExchange(int[] a, int i, int j) {
+                  if (a[i] > a[j]) {                        @@compare
+                      int tmp = a[i];                       @@swap
+                      a[i] = a[j];
+                      a[j] = tmp;
+                  }
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          static void compareExchange(std::vector<int>& a, int i, int j) {
+              if (a[i] > a[j]) {                            @@compare
+                  std::swap(a[i], a[j]);                    @@swap
+              }
+          }
+
+          void bitonicSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              int size = 1;
+              while (size < n) size *= 2;
+              for (int k = 2; k <= size; k *= 2) {
+                  for (int i = 0; i < size; i++) {
+                      const int j = i ^ (k - 1);
+                      if (i < j && j < n) compareExchange(a, i, j);
+                  }
+                  for (int d = k / 4; d >= 1; d /= 2) {
+                      for (int i = 0; i < size; i++) {
+                          const int j = i ^ d;
+                          if (i < j && j < n) compareExchange(a, i, j);
+                      }
+                  }
+              }
+          }`
+      },
+      'odd-even-merge-sort': {
+        javascript: `
+          function oddEvenMergeSort(a) {
+            const n = a.length;
+            let size = 1;
+            while (size < n) size *= 2;
+            for (let p = 1; p < size; p *= 2) {
+              for (let k = p; k >= 1; k /= 2) {
+                for (let j = k % p; j + k < size; j += 2 * k) {
+                  for (let i = 0; i < k && i + j + k < size; i++) {
+                    const low = i + j;
+                    const high = low + k;
+                    if (Math.floor(low / (2 * p)) === Math.floor(high / (2 * p)) && high < n) {
+                      compareExchange(a, low, high);
+                    }
+                  }
+                }
+              }
+            }
+            return a;
+          }
+
+          function compareExchange(a, i, j) {
+            if (a[i] > a[j]) {                              @@compare
+              [a[i], a[j]] = [a[j], a[i]];                  @@swap
+            }
+          }`,
+        python: `
+          def odd_even_merge_sort(a):
+              n = len(a)
+              size = 1
+              while size < n:
+                  size *= 2
+              p = 1
+              while p < size:
+                  k = p
+                  while k >= 1:
+                      for j in range(k % p, size - k, 2 * k):
+                          for i in range(min(k, size - j - k)):
+                              low, high = i + j, i + j + k
+                              if low // (2 * p) == high // (2 * p) and high < n:
+                                  compare_exchange(a, low, high)
+                      k //= 2
+                  p *= 2
+              return a
+
+
+          def compare_exchange(a, i, j):
+              if a[i] > a[j]:                               @@compare
+                  a[i], a[j] = a[j], a[i] @@swap`,
+        java: `
+          public class OddEvenMergeSort {
+              public static void oddEvenMergeSort(int[] a) {
+                  int n = a.length;
+                  int size = 1;
+                  while (size < n) size *= 2;
+                  for (int p = 1; p < size; p *= 2) {
+                      for (int k = p; k >= 1; k /= 2) {
+                          for (int j = k % p; j + k < size; j += 2 * k) {
+                              for (int i = 0; i < k && i + j + k < size; i++) {
+                                  int low = i + j;
+                                  int high = low + k;
+                                  if (low / (2 * p) == high / (2 * p) && high < n) {
+                                      compareExchange(a, low, high);
+                                  }
+                              }
+                          }
+                      }
+                  }
+              }
+
+              private static void compareExchange(int[] a, int i, int j) {
+                  if (a[i] > a[j]) {                        @@compare
+                      int tmp = a[i];                       @@swap
+                      a[i] = a[j];
+                      a[j] = tmp;
+                  }
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          static void compareExchange(std::vector<int>& a, int i, int j) {
+              if (a[i] > a[j]) {                            @@compare
+                  std::swap(a[i], a[j]);                    @@swap
+              }
+          }
+
+          void oddEvenMergeSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              int size = 1;
+              while (size < n) size *= 2;
+              for (int p = 1; p < size; p *= 2) {
+                  for (int k = p; k >= 1; k /= 2) {
+                      for (int j = k % p; j + k < size; j += 2 * k) {
+                          for (int i = 0; i < k && i + j + k < size; i++) {
+                              const int low = i + j;
+                              const int high = low + k;
+                              if (low / (2 * p) == high / (2 * p) && high < n) {
+                                  compareExchange(a, low, high);
+                              }
+                          }
+                      }
+                  }
+              }
+          }`
+      },
+      'odd-even-transposition-sort': {
+        javascript: `
+          function oddEvenTranspositionSort(a) {
+            const n = a.length;
+            for (let round = 0; round < n; round++) {
+              for (let i = round % 2; i + 1 < n; i += 2) {
+                if (a[i] > a[i + 1]) {                      @@compare
+                  [a[i], a[i + 1]] = [a[i + 1], a[i]];      @@swap
+                }
+              }
+            }
+            return a;
+          }`,
+        python: `
+          def odd_even_transposition_sort(a):
+              n = len(a)
+              for round_ in range(n):
+                  for i in range(round_ % 2, n - 1, 2):
+                      if a[i] > a[i + 1]:                   @@compare
+                          a[i], a[i + 1] = a[i + 1], a[i]   @@swap
+              return a`,
+        java: `
+          public class OddEvenTranspositionSort {
+              public static void oddEvenTranspositionSort(int[] a) {
+                  int n = a.length;
+                  for (int round = 0; round < n; round++) {
+                      for (int i = round % 2; i + 1 < n; i += 2) {
+                          if (a[i] > a[i + 1]) {            @@compare
+                              int tmp = a[i];               @@swap
+                              a[i] = a[i + 1];
+                              a[i + 1] = tmp;
+                          }
+                      }
+                  }
+              }
+          }`,
+        cpp: `
+          #include <utility>
+          #include <vector>
+
+          void oddEvenTranspositionSort(std::vector<int>& a) {
+              const int n = static_cast<int>(a.size());
+              for (int round = 0; round < n; round++) {
+                  for (int i = round % 2; i + 1 < n; i += 2) {
+                      if (a[i] > a[i + 1]) {                @@compare
+                          std::swap(a[i], a[i + 1]);        @@swap
+                      }
+                  }
+              }
+          }`
+      }
+    },
+    searching: {
+      'linear-search': {
+        javascript: `
+          function linearSearch(a, target) {
+            for (let i = 0; i < a.length; i++) {
+              if (a[i] === target) {                        @@probe
+                return i;                                   @@found
+              }
+            }
+            return -1;
+          }`,
+        python: `
+          def linear_search(a, target):
+              for i, value in enumerate(a):
+                  if value == target:                       @@probe
+                      return i                              @@found
+              return -1`,
+        java: `
+          public class LinearSearch {
+              public static int linearSearch(int[] a, int target) {
+                  for (int i = 0; i < a.length; i++) {
+                      if (a[i] == target) {                 @@probe
+                          return i;                         @@found
+                      }
+                  }
+                  return -1;
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          int linearSearch(const std::vector<int>& a, int target) {
+              for (int i = 0; i < static_cast<int>(a.size()); i++) {
+                  if (a[i] == target) {                     @@probe
+                      return i;                             @@found
+                  }
+              }
+              return -1;
+          }`
+      },
+      'binary-search': {
+        javascript: `
+          function binarySearch(a, target) {
+            let left = 0;
+            let right = a.length - 1;
+            while (left <= right) {
+              const mid = Math.floor((left + right) / 2);
+              if (a[mid] === target) {                      @@probe
+                return mid;                                 @@found
+              } else if (a[mid] < target) {
+                left = mid + 1;
+              } else {
+                right = mid - 1;
+              }
+            }
+            return -1;
+          }`,
+        python: `
+          def binary_search(a, target):
+              left, right = 0, len(a) - 1
+              while left <= right:
+                  mid = (left + right) // 2
+                  if a[mid] == target:                      @@probe
+                      return mid                            @@found
+                  elif a[mid] < target:
+                      left = mid + 1
+                  else:
+                      right = mid - 1
+              return -1`,
+        java: `
+          public class BinarySearch {
+              public static int binarySearch(int[] a, int target) {
+                  int left = 0, right = a.length - 1;
+                  while (left <= right) {
+                      int mid = left + (right - left) / 2;
+                      if (a[mid] == target) {               @@probe
+                          return mid;                       @@found
+                      } else if (a[mid] < target) {
+                          left = mid + 1;
+                      } else {
+                          right = mid - 1;
+                      }
+                  }
+                  return -1;
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          int binarySearch(const std::vector<int>& a, int target) {
+              int left = 0, right = static_cast<int>(a.size()) - 1;
+              while (left <= right) {
+                  const int mid = left + (right - left) / 2;
+                  if (a[mid] == target) {                   @@probe
+                      return mid;                           @@found
+                  } else if (a[mid] < target) {
+                      left = mid + 1;
+                  } else {
+                      right = mid - 1;
+                  }
+              }
+              return -1;
+          }`
+      },
+      'jump-search': {
+        javascript: `
+          function jumpSearch(a, target) {
+            const n = a.length;
+            const step = Math.max(1, Math.floor(Math.sqrt(n)));
+            let prev = 0;
+            let curr = Math.min(step, n) - 1;
+            while (a[curr] < target) {                      @@probe:jump
+              prev = curr + 1;
+              if (prev >= n) return -1;
+              curr = Math.min(prev + step, n) - 1;
+            }
+            for (let i = prev; i <= curr; i++) {
+              if (a[i] === target) return i;                @@probe:scan,found
+              if (a[i] > target) return -1;
+            }
+            return -1;
+          }`,
+        python: `
+          import math
+
+
+          def jump_search(a, target):
+              n = len(a)
+              step = max(1, math.isqrt(n))
+              prev, curr = 0, min(step, n) - 1
+              while a[curr] < target:                       @@probe:jump
+                  prev = curr + 1
+                  if prev >= n:
+                      return -1
+                  curr = min(prev + step, n) - 1
+              for i in range(prev, curr + 1):
+                  if a[i] == target:                        @@probe:scan
+                      return i                              @@found
+                  if a[i] > target:
+                      return -1
+              return -1`,
+        java: `
+          public class JumpSearch {
+              public static int jumpSearch(int[] a, int target) {
+                  int n = a.length;
+                  int step = Math.max(1, (int) Math.sqrt(n));
+                  int prev = 0, curr = Math.min(step, n) - 1;
+                  while (a[curr] < target) {                @@probe:jump
+                      prev = curr + 1;
+                      if (prev >= n) return -1;
+                      curr = Math.min(prev + step, n) - 1;
+                  }
+                  for (int i = prev; i <= curr; i++) {
+                      if (a[i] == target) return i;         @@probe:scan,found
+                      if (a[i] > target) return -1;
+                  }
+                  return -1;
+              }
+          }`,
+        cpp: `
+          #include <algorithm>
+          #include <cmath>
+          #include <vector>
+
+          int jumpSearch(const std::vector<int>& a, int target) {
+              const int n = static_cast<int>(a.size());
+              const int step = std::max(1, static_cast<int>(std::sqrt(n)));
+              int prev = 0, curr = std::min(step, n) - 1;
+              while (a[curr] < target) {                    @@probe:jump
+                  prev = curr + 1;
+                  if (prev >= n) return -1;
+                  curr = std::min(prev + step, n) - 1;
+              }
+              for (int i = prev; i <= curr; i++) {
+                  if (a[i] == target) return i;             @@probe:scan,found
+                  if (a[i] > target) return -1;
+              }
+              return -1;
+          }`
+      },
+      'interpolation-search': {
+        javascript: `
+          function interpolationSearch(a, target) {
+            let low = 0;
+            let high = a.length - 1;
+            while (low <= high && target >= a[low] && target <= a[high]) {
+              const span = a[high] - a[low];
+              const pos = span === 0 ? low : low + Math.floor(((target - a[low]) * (high - low)) / span);
+              if (a[pos] === target) {                      @@probe
+                return pos;                                 @@found
+              } else if (a[pos] < target) {
+                low = pos + 1;
+              } else {
+                high = pos - 1;
+              }
+            }
+            return -1;
+          }`,
+        python: `
+          def interpolation_search(a, target):
+              low, high = 0, len(a) - 1
+              while low <= high and a[low] <= target <= a[high]:
+                  span = a[high] - a[low]
+                  pos = low if span == 0 else low + (target - a[low]) * (high - low) // span
+                  if a[pos] == target:                      @@probe
+                      return pos                            @@found
+                  elif a[pos] < target:
+                      low = pos + 1
+                  else:
+                      high = pos - 1
+              return -1`,
+        java: `
+          public class InterpolationSearch {
+              public static int interpolationSearch(int[] a, int target) {
+                  int low = 0, high = a.length - 1;
+                  while (low <= high && target >= a[low] && target <= a[high]) {
+                      int span = a[high] - a[low];
+                      int pos = span == 0 ? low : low + (int) ((long) (target - a[low]) * (high - low) / span);
+                      if (a[pos] == target) {               @@probe
+                          return pos;                       @@found
+                      } else if (a[pos] < target) {
+                          low = pos + 1;
+                      } else {
+                          high = pos - 1;
+                      }
+                  }
+                  return -1;
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          int interpolationSearch(const std::vector<int>& a, int target) {
+              int low = 0, high = static_cast<int>(a.size()) - 1;
+              while (low <= high && target >= a[low] && target <= a[high]) {
+                  const int span = a[high] - a[low];
+                  const int pos = span == 0 ? low : low + static_cast<int>(static_cast<long long>(target - a[low]) * (high - low) / span);
+                  if (a[pos] == target) {                   @@probe
+                      return pos;                           @@found
+                  } else if (a[pos] < target) {
+                      low = pos + 1;
+                  } else {
+                      high = pos - 1;
+                  }
+              }
+              return -1;
+          }`
+      },
+      'exponential-search': {
+        javascript: `
+          function exponentialSearch(a, target) {
+            const n = a.length;
+            if (n === 0) return -1;
+            if (a[0] === target) return 0;                  @@probe:first,found:first
+            let bound = 1;
+            while (bound < n && a[bound] < target) {        @@probe:expand
+              bound *= 2;
+            }
+            return binarySearch(a, target, Math.floor(bound / 2), Math.min(bound, n - 1));
+          }
+
+          function binarySearch(a, target, left, right) {
+            while (left <= right) {
+              const mid = Math.floor((left + right) / 2);
+              if (a[mid] === target) {                      @@probe
+                return mid;                                 @@found
+              } else if (a[mid] < target) {
+                left = mid + 1;
+              } else {
+                right = mid - 1;
+              }
+            }
+            return -1;
+          }`,
+        python: `
+          def exponential_search(a, target):
+              n = len(a)
+              if n == 0:
+                  return -1
+              if a[0] == target:                            @@probe:first
+                  return 0                                  @@found:first
+              bound = 1
+              while bound < n and a[bound] < target:        @@probe:expand
+                  bound *= 2
+              return binary_search(a, target, bound // 2, min(bound, n - 1))
+
+
+          def binary_search(a, target, left, right):
+              while left <= right:
+                  mid = (left + right) // 2
+                  if a[mid] == target:                      @@probe
+                      return mid                            @@found
+                  elif a[mid] < target:
+                      left = mid + 1
+                  else:
+                      right = mid - 1
+              return -1`,
+        java: `
+          public class ExponentialSearch {
+              public static int exponentialSearch(int[] a, int target) {
+                  int n = a.length;
+                  if (n == 0) return -1;
+                  if (a[0] == target) return 0;             @@probe:first,found:first
+                  int bound = 1;
+                  while (bound < n && a[bound] < target) {  @@probe:expand
+                      bound *= 2;
+                  }
+                  return binarySearch(a, target, bound / 2, Math.min(bound, n - 1));
+              }
+
+              private static int binarySearch(int[] a, int target, int left, int right) {
+                  while (left <= right) {
+                      int mid = left + (right - left) / 2;
+                      if (a[mid] == target) {               @@probe
+                          return mid;                       @@found
+                      } else if (a[mid] < target) {
+                          left = mid + 1;
+                      } else {
+                          right = mid - 1;
+                      }
+                  }
+                  return -1;
+              }
+          }`,
+        cpp: `
+          #include <algorithm>
+          #include <vector>
+
+          int binarySearch(const std::vector<int>& a, int target, int left, int right) {
+              while (left <= right) {
+                  const int mid = left + (right - left) / 2;
+                  if (a[mid] == target) {                   @@probe
+                      return mid;                           @@found
+                  } else if (a[mid] < target) {
+                      left = mid + 1;
+                  } else {
+                      right = mid - 1;
+                  }
+              }
+              return -1;
+          }
+
+          int exponentialSearch(const std::vector<int>& a, int target) {
+              const int n = static_cast<int>(a.size());
+              if (n == 0) return -1;
+              if (a[0] == target) return 0;                 @@probe:first,found:first
+              int bound = 1;
+              while (bound < n && a[bound] < target) {      @@probe:expand
+                  bound *= 2;
+              }
+              return binarySearch(a, target, bound / 2, std::min(bound, n - 1));
+          }`
+      }
+    },
+    'data-structures': {
+      stack: {
+        javascript: `
+          class Stack {
+            constructor(capacity) {
+              this.items = new Array(capacity);
+              this.top = 0;
+            }
+
+            push(x) {
+              if (this.top === this.items.length) throw new Error('Stack overflow');
+              this.items[this.top++] = x;                   @@push
+            }
+
+            pop() {
+              if (this.top === 0) throw new Error('Stack underflow');
+              return this.items[--this.top];                @@pop
+            }
+          }`,
+        python: `
+          class Stack:
+              def __init__(self, capacity):
+                  self.items = [None] * capacity
+                  self.top = 0
+
+              def push(self, x):
+                  if self.top == len(self.items):
+                      raise OverflowError('stack overflow')
+                  self.items[self.top] = x                  @@push
+                  self.top += 1
+
+              def pop(self):
+                  if self.top == 0:
+                      raise IndexError('stack underflow')
+                  self.top -= 1                             @@pop
+                  return self.items[self.top]`,
+        java: `
+          public class Stack {
+              private final int[] items;
+              private int top = 0;
+
+              public Stack(int capacity) {
+                  items = new int[capacity];
+              }
+
+              public void push(int x) {
+                  if (top == items.length) throw new IllegalStateException("Stack overflow");
+                  items[top++] = x;                         @@push
+              }
+
+              public int pop() {
+                  if (top == 0) throw new IllegalStateException("Stack underflow");
+                  return items[--top];                      @@pop
+              }
+          }`,
+        cpp: `
+          #include <stdexcept>
+          #include <vector>
+
+          class Stack {
+          public:
+              explicit Stack(int capacity) : items(capacity) {}
+
+              void push(int x) {
+                  if (top == static_cast<int>(items.size())) throw std::overflow_error("Stack overflow");
+                  items[top++] = x;                         @@push
+              }
+
+              int pop() {
+                  if (top == 0) throw std::underflow_error("Stack underflow");
+                  return items[--top];                      @@pop
+              }
+
+          private:
+              std::vector<int> items;
+              int top = 0;
+          };`
+      },
+      queue: {
+        javascript: `
+          class Queue {
+            constructor(capacity) {
+              this.items = new Array(capacity);
+              this.front = 0;
+              this.size = 0;
+            }
+
+            enqueue(x) {
+              if (this.size === this.items.length) throw new Error('Queue overflow');
+              this.items[(this.front + this.size++) % this.items.length] = x; @@enqueue
+            }
+
+            dequeue() {
+              if (this.size === 0) throw new Error('Queue underflow');
+              const x = this.items[this.front];             @@dequeue
+              this.front = (this.front + 1) % this.items.length;
+              this.size--;
+              return x;
+            }
+          }`,
+        python: `
+          class Queue:
+              def __init__(self, capacity):
+                  self.items = [None] * capacity
+                  self.front = 0
+                  self.size = 0
+
+              def enqueue(self, x):
+                  if self.size == len(self.items):
+                      raise OverflowError('queue overflow')
+                  self.items[(self.front + self.size) % len(self.items)] = x @@enqueue
+                  self.size += 1
+
+              def dequeue(self):
+                  if self.size == 0:
+                      raise IndexError('queue underflow')
+                  x = self.items[self.front]                @@dequeue
+                  self.front = (self.front + 1) % len(self.items)
+                  self.size -= 1
+                  return x`,
+        java: `
+          public class Queue {
+              private final int[] items;
+              private int front = 0;
+              private int size = 0;
+
+              public Queue(int capacity) {
+                  items = new int[capacity];
+              }
+
+              public void enqueue(int x) {
+                  if (size == items.length) throw new IllegalStateException("Queue overflow");
+                  items[(front + size++) % items.length] = x; @@enqueue
+              }
+
+              public int dequeue() {
+                  if (size == 0) throw new IllegalStateException("Queue underflow");
+                  int x = items[front];                     @@dequeue
+                  front = (front + 1) % items.length;
+                  size--;
+                  return x;
+              }
+          }`,
+        cpp: `
+          #include <stdexcept>
+          #include <vector>
+
+          class Queue {
+          public:
+              explicit Queue(int capacity) : items(capacity) {}
+
+              void enqueue(int x) {
+                  if (size == static_cast<int>(items.size())) throw std::overflow_error("Queue overflow");
+                  items[(front + size++) % items.size()] = x; @@enqueue
+              }
+
+              int dequeue() {
+                  if (size == 0) throw std::underflow_error("Queue underflow");
+                  const int x = items[front];               @@dequeue
+                  front = (front + 1) % items.size();
+                  size--;
+                  return x;
+              }
+
+          private:
+              std::vector<int> items;
+              int front = 0;
+              int size = 0;
+          };`
+      }
+    },
+    pathfinding: {
+      bfs: {
+        javascript: `
+          // grid[y][x] is true for walls; cells are [x, y]
+          function bfs(grid, start, goal) {
+            const parent = new Map([[String(start), null]]);
+            const queue = [start];
+            while (queue.length > 0) {
+              const current = queue.shift();                        @@visit
+              if (String(current) === String(goal)) {
+                return buildPath(parent, current);                  @@path
+              }
+              for (const next of neighbors(grid, current)) {
+                if (!parent.has(String(next))) {
+                  parent.set(String(next), current);
+                  queue.push(next);                                 @@discover
+                }
+              }
+            }
+            return null;
+          }
+
+          function neighbors(grid, [x, y]) {
+            return [[x, y + 1], [x + 1, y], [x, y - 1], [x - 1, y]].filter(([nx, ny]) =>
+              ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[0].length && !grid[ny][nx]);
+          }
+
+          function buildPath(parent, cell) {
+            const path = [];
+            for (; cell; cell = parent.get(String(cell))) path.unshift(cell);
+            return path;
+          }`,
+        python: `
+          from collections import deque
+
+
+          # grid[y][x] is True for walls; cells are (x, y)
+          def bfs(grid, start, goal):
+              parent = {start: None}
+              queue = deque([start])
+              while queue:
+                  current = queue.popleft()                         @@visit
+                  if current == goal:
+                      return build_path(parent, current)            @@path
+                  for nxt in neighbors(grid, current):
+                      if nxt not in parent:
+                          parent[nxt] = current
+                          queue.append(nxt)                         @@discover
+              return None
+
+
+          def neighbors(grid, cell):
+              x, y = cell
+              for nx, ny in ((x, y + 1), (x + 1, y), (x, y - 1), (x - 1, y)):
+                  if 0 <= ny < len(grid) and 0 <= nx < len(grid[0]) and not grid[ny][nx]:
+                      yield nx, ny
+
+
+          def build_path(parent, cell):
+              path = []
+              while cell is not None:
+                  path.append(cell)
+                  cell = parent[cell]
+              return path[::-1]`,
+        java: `
+          import java.util.*;
+
+          public class BreadthFirstSearch {
+              private static final int UNSEEN = -2;
+
+              // walls[y][x] is true for walls; start and goal are {x, y}
+              public static List<int[]> bfs(boolean[][] walls, int[] start, int[] goal) {
+                  int cols = walls[0].length;
+                  int source = start[1] * cols + start[0], target = goal[1] * cols + goal[0];
+                  int[] parent = new int[walls.length * cols];
+                  Arrays.fill(parent, UNSEEN);
+                  parent[source] = -1;
+                  ArrayDeque<Integer> queue = new ArrayDeque<>();
+                  queue.add(source);
+                  while (!queue.isEmpty()) {
+                      int current = queue.poll();                   @@visit
+                      if (current == target) {
+                          return buildPath(parent, current, cols);  @@path
+                      }
+                      for (int next : neighbors(walls, current)) {
+                          if (parent[next] == UNSEEN) {
+                              parent[next] = current;
+                              queue.add(next);                      @@discover
+                          }
+                      }
+                  }
+                  return null;
+              }
+
+              private static List<Integer> neighbors(boolean[][] walls, int cell) {
+                  int rows = walls.length, cols = walls[0].length;
+                  int x = cell % cols, y = cell / cols;
+                  int[][] directions = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+                  List<Integer> result = new ArrayList<>();
+                  for (int[] d : directions) {
+                      int nx = x + d[0], ny = y + d[1];
+                      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                          result.add(ny * cols + nx);
+                      }
+                  }
+                  return result;
+              }
+
+              private static List<int[]> buildPath(int[] parent, int cell, int cols) {
+                  LinkedList<int[]> path = new LinkedList<>();
+                  for (; cell != -1; cell = parent[cell]) {
+                      path.addFirst(new int[] {cell % cols, cell / cols});
+                  }
+                  return path;
+              }
+          }`,
+        cpp: `
+          #include <deque>
+          #include <vector>
+
+          using Grid = std::vector<std::vector<bool>>;  // grid[y][x] is true for walls
+
+          struct Cell {
+              int x, y;
+          };
+
+          std::vector<int> neighbors(const Grid& walls, int cell) {
+              const int rows = static_cast<int>(walls.size()), cols = static_cast<int>(walls[0].size());
+              const int x = cell % cols, y = cell / cols;
+              const int directions[4][2] = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+              std::vector<int> result;
+              for (const auto& d : directions) {
+                  const int nx = x + d[0], ny = y + d[1];
+                  if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                      result.push_back(ny * cols + nx);
+                  }
+              }
+              return result;
+          }
+
+          std::vector<Cell> buildPath(const std::vector<int>& parent, int cell, int cols) {
+              std::vector<Cell> path;
+              for (; cell != -1; cell = parent[cell]) {
+                  path.insert(path.begin(), Cell{cell % cols, cell / cols});
+              }
+              return path;
+          }
+
+          constexpr int UNSEEN = -2;
+
+          std::vector<Cell> bfs(const Grid& walls, Cell start, Cell goal) {
+              const int cols = static_cast<int>(walls[0].size());
+              const int source = start.y * cols + start.x, target = goal.y * cols + goal.x;
+              std::vector<int> parent(walls.size() * cols, UNSEEN);
+              parent[source] = -1;
+              std::deque<int> queue{source};
+              while (!queue.empty()) {
+                  const int current = queue.front();                @@visit
+                  queue.pop_front();
+                  if (current == target) {
+                      return buildPath(parent, current, cols);      @@path
+                  }
+                  for (int next : neighbors(walls, current)) {
+                      if (parent[next] == UNSEEN) {
+                          parent[next] = current;
+                          queue.push_back(next);                    @@discover
+                      }
+                  }
+              }
+              return {};
+          }`
+      },
+      dfs: {
+        javascript: `
+          // grid[y][x] is true for walls; cells are [x, y]
+          function dfs(grid, start, goal) {
+            const parent = new Map([[String(start), null]]);
+            const stack = [start];
+            while (stack.length > 0) {
+              const current = stack.pop();                          @@visit
+              if (String(current) === String(goal)) {
+                return buildPath(parent, current);                  @@path
+              }
+              for (const next of neighbors(grid, current)) {
+                if (!parent.has(String(next))) {
+                  parent.set(String(next), current);
+                  stack.push(next);                                 @@discover
+                }
+              }
+            }
+            return null;
+          }
+
+          function neighbors(grid, [x, y]) {
+            return [[x, y + 1], [x + 1, y], [x, y - 1], [x - 1, y]].filter(([nx, ny]) =>
+              ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[0].length && !grid[ny][nx]);
+          }
+
+          function buildPath(parent, cell) {
+            const path = [];
+            for (; cell; cell = parent.get(String(cell))) path.unshift(cell);
+            return path;
+          }`,
+        python: `
+          # grid[y][x] is True for walls; cells are (x, y)
+          def dfs(grid, start, goal):
+              parent = {start: None}
+              stack = [start]
+              while stack:
+                  current = stack.pop()                             @@visit
+                  if current == goal:
+                      return build_path(parent, current)            @@path
+                  for nxt in neighbors(grid, current):
+                      if nxt not in parent:
+                          parent[nxt] = current
+                          stack.append(nxt)                         @@discover
+              return None
+
+
+          def neighbors(grid, cell):
+              x, y = cell
+              for nx, ny in ((x, y + 1), (x + 1, y), (x, y - 1), (x - 1, y)):
+                  if 0 <= ny < len(grid) and 0 <= nx < len(grid[0]) and not grid[ny][nx]:
+                      yield nx, ny
+
+
+          def build_path(parent, cell):
+              path = []
+              while cell is not None:
+                  path.append(cell)
+                  cell = parent[cell]
+              return path[::-1]`,
+        java: `
+          import java.util.*;
+
+          public class DepthFirstSearch {
+              private static final int UNSEEN = -2;
+
+              // walls[y][x] is true for walls; start and goal are {x, y}
+              public static List<int[]> dfs(boolean[][] walls, int[] start, int[] goal) {
+                  int cols = walls[0].length;
+                  int source = start[1] * cols + start[0], target = goal[1] * cols + goal[0];
+                  int[] parent = new int[walls.length * cols];
+                  Arrays.fill(parent, UNSEEN);
+                  parent[source] = -1;
+                  ArrayDeque<Integer> stack = new ArrayDeque<>();
+                  stack.push(source);
+                  while (!stack.isEmpty()) {
+                      int current = stack.pop();                    @@visit
+                      if (current == target) {
+                          return buildPath(parent, current, cols);  @@path
+                      }
+                      for (int next : neighbors(walls, current)) {
+                          if (parent[next] == UNSEEN) {
+                              parent[next] = current;
+                              stack.push(next);                     @@discover
+                          }
+                      }
+                  }
+                  return null;
+              }
+
+              private static List<Integer> neighbors(boolean[][] walls, int cell) {
+                  int rows = walls.length, cols = walls[0].length;
+                  int x = cell % cols, y = cell / cols;
+                  int[][] directions = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+                  List<Integer> result = new ArrayList<>();
+                  for (int[] d : directions) {
+                      int nx = x + d[0], ny = y + d[1];
+                      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                          result.add(ny * cols + nx);
+                      }
+                  }
+                  return result;
+              }
+
+              private static List<int[]> buildPath(int[] parent, int cell, int cols) {
+                  LinkedList<int[]> path = new LinkedList<>();
+                  for (; cell != -1; cell = parent[cell]) {
+                      path.addFirst(new int[] {cell % cols, cell / cols});
+                  }
+                  return path;
+              }
+          }`,
+        cpp: `
+          #include <vector>
+
+          using Grid = std::vector<std::vector<bool>>;  // grid[y][x] is true for walls
+
+          struct Cell {
+              int x, y;
+          };
+
+          std::vector<int> neighbors(const Grid& walls, int cell) {
+              const int rows = static_cast<int>(walls.size()), cols = static_cast<int>(walls[0].size());
+              const int x = cell % cols, y = cell / cols;
+              const int directions[4][2] = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+              std::vector<int> result;
+              for (const auto& d : directions) {
+                  const int nx = x + d[0], ny = y + d[1];
+                  if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                      result.push_back(ny * cols + nx);
+                  }
+              }
+              return result;
+          }
+
+          std::vector<Cell> buildPath(const std::vector<int>& parent, int cell, int cols) {
+              std::vector<Cell> path;
+              for (; cell != -1; cell = parent[cell]) {
+                  path.insert(path.begin(), Cell{cell % cols, cell / cols});
+              }
+              return path;
+          }
+
+          constexpr int UNSEEN = -2;
+
+          std::vector<Cell> dfs(const Grid& walls, Cell start, Cell goal) {
+              const int cols = static_cast<int>(walls[0].size());
+              const int source = start.y * cols + start.x, target = goal.y * cols + goal.x;
+              std::vector<int> parent(walls.size() * cols, UNSEEN);
+              parent[source] = -1;
+              std::vector<int> stack{source};
+              while (!stack.empty()) {
+                  const int current = stack.back();                @@visit
+                  stack.pop_back();
+                  if (current == target) {
+                      return buildPath(parent, current, cols);      @@path
+                  }
+                  for (int next : neighbors(walls, current)) {
+                      if (parent[next] == UNSEEN) {
+                          parent[next] = current;
+                          stack.push_back(next);                    @@discover
+                      }
+                  }
+              }
+              return {};
+          }`
+      },
+      astar: {
+        javascript: `
+          // grid[y][x] is true for walls; cells are [x, y]
+          function aStar(grid, start, goal) {
+            const h = ([x, y]) => Math.abs(x - goal[0]) + Math.abs(y - goal[1]);
+            const g = new Map([[String(start), 0]]);
+            const parent = new Map([[String(start), null]]);
+            const open = [{ cell: start, f: h(start) }];
+            const closed = new Set();
+            while (open.length > 0) {
+              let best = 0;
+              for (let i = 1; i < open.length; i++) {
+                if (open[i].f < open[best].f) best = i;
+              }
+              const [{ cell: current }] = open.splice(best, 1);
+              if (closed.has(String(current))) continue;
+              closed.add(String(current));                          @@visit
+              if (String(current) === String(goal)) {
+                return buildPath(parent, current);                  @@path
+              }
+              for (const next of neighbors(grid, current)) {
+                if (closed.has(String(next))) continue;
+                const tentative = g.get(String(current)) + 1;
+                if (tentative < (g.get(String(next)) ?? Infinity)) {
+                  parent.set(String(next), current);
+                  g.set(String(next), tentative);
+                  open.push({ cell: next, f: tentative + h(next) }); @@discover
+                }
+              }
+            }
+            return null;
+          }
+
+          function neighbors(grid, [x, y]) {
+            return [[x, y + 1], [x + 1, y], [x, y - 1], [x - 1, y]].filter(([nx, ny]) =>
+              ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[0].length && !grid[ny][nx]);
+          }
+
+          function buildPath(parent, cell) {
+            const path = [];
+            for (; cell; cell = parent.get(String(cell))) path.unshift(cell);
+            return path;
+          }`,
+        python: `
+          import heapq
+
+
+          # grid[y][x] is True for walls; cells are (x, y)
+          def a_star(grid, start, goal):
+              def h(cell):
+                  return abs(cell[0] - goal[0]) + abs(cell[1] - goal[1])
+
+              g = {start: 0}
+              parent = {start: None}
+              open_heap = [(h(start), start)]
+              closed = set()
+              while open_heap:
+                  _, current = heapq.heappop(open_heap)
+                  if current in closed:
+                      continue
+                  closed.add(current)                               @@visit
+                  if current == goal:
+                      return build_path(parent, current)            @@path
+                  for nxt in neighbors(grid, current):
+                      if nxt in closed:
+                          continue
+                      tentative = g[current] + 1
+                      if tentative < g.get(nxt, float('inf')):
+                          parent[nxt] = current
+                          g[nxt] = tentative
+                          heapq.heappush(open_heap, (tentative + h(nxt), nxt)) @@discover
+              return None
+
+
+          def neighbors(grid, cell):
+              x, y = cell
+              for nx, ny in ((x, y + 1), (x + 1, y), (x, y - 1), (x - 1, y)):
+                  if 0 <= ny < len(grid) and 0 <= nx < len(grid[0]) and not grid[ny][nx]:
+                      yield nx, ny
+
+
+          def build_path(parent, cell):
+              path = []
+              while cell is not None:
+                  path.append(cell)
+                  cell = parent[cell]
+              return path[::-1]`,
+        java: `
+          import java.util.*;
+
+          public class AStar {
+              // walls[y][x] is true for walls; start and goal are {x, y}
+              public static List<int[]> aStar(boolean[][] walls, int[] start, int[] goal) {
+                  int cols = walls[0].length, cells = walls.length * cols;
+                  int source = start[1] * cols + start[0], target = goal[1] * cols + goal[0];
+                  int[] g = new int[cells];
+                  int[] parent = new int[cells];
+                  boolean[] closed = new boolean[cells];
+                  Arrays.fill(g, Integer.MAX_VALUE);
+                  g[source] = 0;
+                  parent[source] = -1;
+                  PriorityQueue<int[]> open = new PriorityQueue<>(Comparator.comparingInt(entry -> entry[0]));
+                  open.add(new int[] {h(source, target, cols), source});
+                  while (!open.isEmpty()) {
+                      int current = open.poll()[1];
+                      if (closed[current]) continue;
+                      closed[current] = true;                       @@visit
+                      if (current == target) {
+                          return buildPath(parent, current, cols);  @@path
+                      }
+                      for (int next : neighbors(walls, current)) {
+                          if (closed[next]) continue;
+                          int tentative = g[current] + 1;
+                          if (tentative < g[next]) {
+                              parent[next] = current;
+                              g[next] = tentative;
+                              open.add(new int[] {tentative + h(next, target, cols), next}); @@discover
+                          }
+                      }
+                  }
+                  return null;
+              }
+
+              private static int h(int cell, int target, int cols) {
+                  return Math.abs(cell % cols - target % cols) + Math.abs(cell / cols - target / cols);
+              }
+
+              private static List<Integer> neighbors(boolean[][] walls, int cell) {
+                  int rows = walls.length, cols = walls[0].length;
+                  int x = cell % cols, y = cell / cols;
+                  int[][] directions = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+                  List<Integer> result = new ArrayList<>();
+                  for (int[] d : directions) {
+                      int nx = x + d[0], ny = y + d[1];
+                      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                          result.add(ny * cols + nx);
+                      }
+                  }
+                  return result;
+              }
+
+              private static List<int[]> buildPath(int[] parent, int cell, int cols) {
+                  LinkedList<int[]> path = new LinkedList<>();
+                  for (; cell != -1; cell = parent[cell]) {
+                      path.addFirst(new int[] {cell % cols, cell / cols});
+                  }
+                  return path;
+              }
+          }`,
+        cpp: `
+          #include <climits>
+          #include <cstdlib>
+          #include <functional>
+          #include <queue>
+          #include <utility>
+          #include <vector>
+
+          using Grid = std::vector<std::vector<bool>>;  // grid[y][x] is true for walls
+
+          struct Cell {
+              int x, y;
+          };
+
+          std::vector<int> neighbors(const Grid& walls, int cell) {
+              const int rows = static_cast<int>(walls.size()), cols = static_cast<int>(walls[0].size());
+              const int x = cell % cols, y = cell / cols;
+              const int directions[4][2] = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+              std::vector<int> result;
+              for (const auto& d : directions) {
+                  const int nx = x + d[0], ny = y + d[1];
+                  if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                      result.push_back(ny * cols + nx);
+                  }
+              }
+              return result;
+          }
+
+          std::vector<Cell> buildPath(const std::vector<int>& parent, int cell, int cols) {
+              std::vector<Cell> path;
+              for (; cell != -1; cell = parent[cell]) {
+                  path.insert(path.begin(), Cell{cell % cols, cell / cols});
+              }
+              return path;
+          }
+
+          std::vector<Cell> aStar(const Grid& walls, Cell start, Cell goal) {
+              const int cols = static_cast<int>(walls[0].size());
+              const int cells = static_cast<int>(walls.size()) * cols;
+              const int source = start.y * cols + start.x, target = goal.y * cols + goal.x;
+              auto h = [&](int cell) { return std::abs(cell % cols - goal.x) + std::abs(cell / cols - goal.y); };
+              std::vector<int> g(cells, INT_MAX), parent(cells, -1);
+              std::vector<bool> closed(cells, false);
+              using Entry = std::pair<int, int>;  // (f, cell)
+              std::priority_queue<Entry, std::vector<Entry>, std::greater<Entry>> open;
+              g[source] = 0;
+              open.push({h(source), source});
+              while (!open.empty()) {
+                  const int current = open.top().second;
+                  open.pop();
+                  if (closed[current]) continue;
+                  closed[current] = true;                           @@visit
+                  if (current == target) {
+                      return buildPath(parent, current, cols);      @@path
+                  }
+                  for (int next : neighbors(walls, current)) {
+                      if (closed[next]) continue;
+                      const int tentative = g[current] + 1;
+                      if (tentative < g[next]) {
+                          parent[next] = current;
+                          g[next] = tentative;
+                          open.push({tentative + h(next), next});   @@discover
+                      }
+                  }
+              }
+              return {};
+          }`
+      },
+      dijkstra: {
+        javascript: `
+          // grid[y][x] is true for walls; cells are [x, y]
+          function dijkstra(grid, start, goal) {
+            const dist = new Map([[String(start), 0]]);
+            const parent = new Map([[String(start), null]]);
+            const distance = cell => dist.get(String(cell)) ?? Infinity;
+            const unvisited = [];
+            grid.forEach((row, y) => row.forEach((wall, x) => {
+              if (!wall) unvisited.push([x, y]);
+            }));
+            while (unvisited.length > 0) {
+              let best = 0;
+              for (let i = 1; i < unvisited.length; i++) {
+                if (distance(unvisited[i]) < distance(unvisited[best])) best = i;
+              }
+              if (distance(unvisited[best]) === Infinity) return null;
+              const [current] = unvisited.splice(best, 1);          @@visit
+              if (String(current) === String(goal)) {
+                return buildPath(parent, current);                  @@path
+              }
+              for (const next of neighbors(grid, current)) {
+                const alt = distance(current) + 1;
+                if (alt < distance(next)) {
+                  dist.set(String(next), alt);                      @@discover:relax
+                  parent.set(String(next), current);
+                }
+              }
+            }
+            return null;
+          }
+
+          function neighbors(grid, [x, y]) {
+            return [[x, y + 1], [x + 1, y], [x, y - 1], [x - 1, y]].filter(([nx, ny]) =>
+              ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[0].length && !grid[ny][nx]);
+          }
+
+          function buildPath(parent, cell) {
+            const path = [];
+            for (; cell; cell = parent.get(String(cell))) path.unshift(cell);
+            return path;
+          }`,
+        python: `
+          import heapq
+
+
+          # grid[y][x] is True for walls; cells are (x, y)
+          def dijkstra(grid, start, goal):
+              dist = {start: 0}
+              parent = {start: None}
+              heap = [(0, start)]
+              settled = set()
+              while heap:
+                  d, current = heapq.heappop(heap)
+                  if current in settled:
+                      continue
+                  settled.add(current)                              @@visit
+                  if current == goal:
+                      return build_path(parent, current)            @@path
+                  for nxt in neighbors(grid, current):
+                      alt = d + 1
+                      if alt < dist.get(nxt, float('inf')):
+                          dist[nxt] = alt                           @@discover:relax
+                          parent[nxt] = current
+                          heapq.heappush(heap, (alt, nxt))
+              return None
+
+
+          def neighbors(grid, cell):
+              x, y = cell
+              for nx, ny in ((x, y + 1), (x + 1, y), (x, y - 1), (x - 1, y)):
+                  if 0 <= ny < len(grid) and 0 <= nx < len(grid[0]) and not grid[ny][nx]:
+                      yield nx, ny
+
+
+          def build_path(parent, cell):
+              path = []
+              while cell is not None:
+                  path.append(cell)
+                  cell = parent[cell]
+              return path[::-1]`,
+        java: `
+          import java.util.*;
+
+          public class Dijkstra {
+              // walls[y][x] is true for walls; start and goal are {x, y}
+              public static List<int[]> dijkstra(boolean[][] walls, int[] start, int[] goal) {
+                  int cols = walls[0].length, cells = walls.length * cols;
+                  int source = start[1] * cols + start[0], target = goal[1] * cols + goal[0];
+                  int[] dist = new int[cells];
+                  int[] parent = new int[cells];
+                  boolean[] settled = new boolean[cells];
+                  Arrays.fill(dist, Integer.MAX_VALUE);
+                  dist[source] = 0;
+                  parent[source] = -1;
+                  PriorityQueue<int[]> queue = new PriorityQueue<>(Comparator.comparingInt(entry -> entry[0]));
+                  queue.add(new int[] {0, source});
+                  while (!queue.isEmpty()) {
+                      int current = queue.poll()[1];
+                      if (settled[current]) continue;
+                      settled[current] = true;                      @@visit
+                      if (current == target) {
+                          return buildPath(parent, current, cols);  @@path
+                      }
+                      for (int next : neighbors(walls, current)) {
+                          int alt = dist[current] + 1;
+                          if (alt < dist[next]) {
+                              dist[next] = alt;                     @@discover:relax
+                              parent[next] = current;
+                              queue.add(new int[] {alt, next});
+                          }
+                      }
+                  }
+                  return null;
+              }
+
+              private static List<Integer> neighbors(boolean[][] walls, int cell) {
+                  int rows = walls.length, cols = walls[0].length;
+                  int x = cell % cols, y = cell / cols;
+                  int[][] directions = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+                  List<Integer> result = new ArrayList<>();
+                  for (int[] d : directions) {
+                      int nx = x + d[0], ny = y + d[1];
+                      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                          result.add(ny * cols + nx);
+                      }
+                  }
+                  return result;
+              }
+
+              private static List<int[]> buildPath(int[] parent, int cell, int cols) {
+                  LinkedList<int[]> path = new LinkedList<>();
+                  for (; cell != -1; cell = parent[cell]) {
+                      path.addFirst(new int[] {cell % cols, cell / cols});
+                  }
+                  return path;
+              }
+          }`,
+        cpp: `
+          #include <climits>
+          #include <functional>
+          #include <queue>
+          #include <utility>
+          #include <vector>
+
+          using Grid = std::vector<std::vector<bool>>;  // grid[y][x] is true for walls
+
+          struct Cell {
+              int x, y;
+          };
+
+          std::vector<int> neighbors(const Grid& walls, int cell) {
+              const int rows = static_cast<int>(walls.size()), cols = static_cast<int>(walls[0].size());
+              const int x = cell % cols, y = cell / cols;
+              const int directions[4][2] = {{0, 1}, {1, 0}, {0, -1}, {-1, 0}};
+              std::vector<int> result;
+              for (const auto& d : directions) {
+                  const int nx = x + d[0], ny = y + d[1];
+                  if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && !walls[ny][nx]) {
+                      result.push_back(ny * cols + nx);
+                  }
+              }
+              return result;
+          }
+
+          std::vector<Cell> buildPath(const std::vector<int>& parent, int cell, int cols) {
+              std::vector<Cell> path;
+              for (; cell != -1; cell = parent[cell]) {
+                  path.insert(path.begin(), Cell{cell % cols, cell / cols});
+              }
+              return path;
+          }
+
+          std::vector<Cell> dijkstra(const Grid& walls, Cell start, Cell goal) {
+              const int cols = static_cast<int>(walls[0].size());
+              const int cells = static_cast<int>(walls.size()) * cols;
+              const int source = start.y * cols + start.x, target = goal.y * cols + goal.x;
+              std::vector<int> dist(cells, INT_MAX), parent(cells, -1);
+              std::vector<bool> settled(cells, false);
+              using Entry = std::pair<int, int>;  // (distance, cell)
+              std::priority_queue<Entry, std::vector<Entry>, std::greater<Entry>> queue;
+              dist[source] = 0;
+              queue.push({0, source});
+              while (!queue.empty()) {
+                  const int current = queue.top().second;
+                  queue.pop();
+                  if (settled[current]) continue;
+                  settled[current] = true;                          @@visit
+                  if (current == target) {
+                      return buildPath(parent, current, cols);      @@path
+                  }
+                  for (int next : neighbors(walls, current)) {
+                      const int alt = dist[current] + 1;
+                      if (alt < dist[next]) {
+                          dist[next] = alt;                         @@discover:relax
+                          parent[next] = current;
+                          queue.push({alt, next});
+                      }
+                  }
+              }
+              return {};
+          }`
+      }
+    }
+  };
+
+  Object.entries(SOURCES).forEach(([category, algorithms]) => {
+    Object.entries(algorithms).forEach(([key, languages]) => {
+      const info = registry[category] && registry[category][key];
+      if (!info) return;
+      info.sources = {};
+      Object.entries(languages).forEach(([language, source]) => {
+        info.sources[language] = listing(source);
+      });
+    });
+  });
+})(typeof ALGORITHMS !== 'undefined' ? ALGORITHMS : require('./engine.js').ALGORITHMS);
@@ -0,0 +1,216 @@
+// SVG Canvas
+// Stands in for a <canvas> so the renderers can draw vector figures: its
+// context implements the part of CanvasRenderingContext2D they use and
+// records each call as an SVG element. Draw with any Renderer, then save
+// toString() as an .svg file.
+class SvgCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.context = new SvgContext();
+  }
+
+  getContext() {
+    return this.context;
+  }
+
+  // displayWidth/displayHeight size the figure without changing its
+  // coordinates, e.g. to print it larger
+  toString(displayWidth = this.width, displayHeight = this.height) {
+    const { defs, elements } = this.context;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${displayWidth}" height="${displayHeight}" viewBox="0 0 ${this.width} ${this.height}">`,
+      defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+      ...elements,
+      '</svg>'
+    ].join('\n');
+  }
+}
+
+class SvgGradient {
+  constructor(id, x0, y0, x1, y1) {
+    this.id = id;
+    this.coordinates = [x0, y0, x1, y1];
+    this.stops = [];
+    this.defined = false;
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push([offset, color]);
+  }
+}
+
+const SVG_TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+class SvgContext {
+  constructor() {
+    this.elements = [];
+    this.defs = [];
+    this.gradients = 0;
+    this.filters = new Map();
+    this.path = [];
+    this.stack = [];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineDash = [];
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.globalAlpha = 1;
+    this.shadowBlur = 0;
+    this.shadowColor = 'transparent';
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+
+  static number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  static escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, lineDash, font, textAlign, textBaseline, globalAlpha, shadowBlur, shadowColor, offsetX, offsetY } = this;
+    this.stack.push({ fillStyle, strokeStyle, lineWidth, lineDash, font, textAlign, textBaseline, globalAlpha, shadowBlur, shadowColor, offsetX, offsetY });
+  }
+
+  restore() {
+    Object.assign(this, this.stack.pop());
+  }
+
+  // Only translation is supported; coordinates are offset when recorded
+  translate(x, y) {
+    this.offsetX += x;
+    this.offsetY += y;
+  }
+
+  setLineDash(segments) {
+    this.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this.lineDash];
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient(`gradient-${++this.gradients}`,
+      x0 + this.offsetX, y0 + this.offsetY, x1 + this.offsetX, y1 + this.offsetY);
+  }
+
+  paint(style) {
+    if (!(style instanceof SvgGradient)) return SvgContext.escape(style);
+
+    if (!style.defined) {
+      const [x1, y1, x2, y2] = style.coordinates.map(SvgContext.number);
+      const stops = style.stops.map(([offset, color]) =>
+        `<stop offset="${offset}" stop-color="${SvgContext.escape(color)}"/>`).join('');
+      this.defs.push(`<linearGradient id="${style.id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`);
+      style.defined = true;
+    }
+    return `url(#${style.id})`;
+  }
+
+  // Stroke color, width and dash pattern
+  strokeAttributes() {
+    const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.map(SvgContext.number).join(' ')}"` : '';
+    return `stroke="${this.paint(this.strokeStyle)}" stroke-width="${SvgContext.number(this.lineWidth)}"${dash}`;
+  }
+
+  // Shared attributes: opacity and the glow renderers get from shadowBlur
+  effects() {
+    let attributes = this.globalAlpha < 1 ? ` opacity="${SvgContext.number(this.globalAlpha)}"` : '';
+
+    if (this.shadowBlur > 0 && this.shadowColor !== 'transparent') {
+      const key = `${this.shadowColor}/${this.shadowBlur}`;
+      if (!this.filters.has(key)) {
+        const id = `glow-${this.filters.size + 1}`;
+        this.filters.set(key, id);
+        this.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="0" dy="0" stdDeviation="${SvgContext.number(this.shadowBlur / 2)}" flood-color="${SvgContext.escape(this.shadowColor)}"/></filter>`);
+      }
+      attributes += ` filter="url(#${this.filters.get(key)})"`;
+    }
+    return attributes;
+  }
+
+  rect(x, y, width, height) {
+    // Canvas accepts negative sizes and draws towards the origin
+    if (width < 0) [x, width] = [x + width, -width];
+    if (height < 0) [y, height] = [y + height, -height];
+    return `x="${SvgContext.number(x + this.offsetX)}" y="${SvgContext.number(y + this.offsetY)}" ` +
+      `width="${SvgContext.number(width)}" height="${SvgContext.number(height)}"`;
+  }
+
+  fillRect(x, y, width, height) {
+    if (width === 0 || height === 0) return;
+    this.elements.push(`<rect ${this.rect(x, y, width, height)} fill="${this.paint(this.fillStyle)}"${this.effects()}/>`);
+  }
+
+  strokeRect(x, y, width, height) {
+    this.elements.push(`<rect ${this.rect(x, y, width, height)} fill="none" ${this.strokeAttributes()}${this.effects()}/>`);
+  }
+
+  fillText(text, x, y) {
+    const anchor = SVG_TEXT_ANCHORS[this.textAlign] || 'start';
+    const baseline = SVG_BASELINES[this.textBaseline];
+    this.elements.push(`<text x="${SvgContext.number(x + this.offsetX)}" y="${SvgContext.number(y + this.offsetY)}" ` +
+      `style="font: ${SvgContext.escape(this.font)}" fill="${this.paint(this.fillStyle)}"` +
+      (anchor !== 'start' ? ` text-anchor="${anchor}"` : '') +
+      (baseline ? ` dominant-baseline="${baseline}"` : '') +
+      `${this.effects()}>${SvgContext.escape(text)}</text>`);
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${SvgContext.number(x + this.offsetX)} ${SvgContext.number(y + this.offsetY)}`);
+  }
+
+  lineTo(x, y) {
+    this.path.push(`L${SvgContext.number(x + this.offsetX)} ${SvgContext.number(y + this.offsetY)}`);
+  }
+
+  // Full circles and arcs, clockwise unless counterclockwise is set
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const cx = x + this.offsetX;
+    const cy = y + this.offsetY;
+    const point = angle => `${SvgContext.number(cx + radius * Math.cos(angle))} ${SvgContext.number(cy + radius * Math.sin(angle))}`;
+    const r = SvgContext.number(radius);
+    const sweep = counterclockwise ? 0 : 1;
+    let span = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+
+    this.path.push(`${this.path.length > 0 ? 'L' : 'M'}${point(startAngle)}`);
+    if (span >= 2 * Math.PI) {
+      // Two half circles, since one arc command cannot draw a full circle
+      const middle = startAngle + (counterclockwise ? -Math.PI : Math.PI);
+      this.path.push(`A${r} ${r} 0 1 ${sweep} ${point(middle)}`, `A${r} ${r} 0 1 ${sweep} ${point(startAngle)}`);
+      return;
+    }
+    span = ((span % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    this.path.push(`A${r} ${r} 0 ${span > Math.PI ? 1 : 0} ${sweep} ${point(endAngle)}`);
+  }
+
+  closePath() {
+    this.path.push('Z');
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="${this.paint(this.fillStyle)}"${this.effects()}/>`);
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="none" ${this.strokeAttributes()}${this.effects()}/>`);
+  }
+}
+
+// CommonJS export for Node and bundlers; browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SvgCanvas, SvgContext, SvgGradient };
+}
@@ -0,0 +1,220 @@
+// Correctness suite for every entry in the ALGORITHMS registry.
+// Run with `npm test`; new algorithms are picked up automatically by category.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ALGORITHMS,
+  SortingAlgorithm,
+  SearchAlgorithm,
+  PathfindingAlgorithm
+} = require('../engine.js');
+require('../sources.js');
+
+const SEEDS = [1, 2, 3, 7, 42, 99, 1234, 2024, 31337, 987654];
+const SIZES = [1, 2, 5, 17, 64, 100];
+const LANGUAGES = ['javascript', 'python', 'java', 'cpp'];
+const MAX_STEPS = 1000000;
+
+// Pathfinders always shortest on an unweighted grid
+const SHORTEST_PATH = new Set(['bfs', 'astar', 'dijkstra']);
+
+function registered() {
+  const entries = [];
+  for (const [category, algorithms] of Object.entries(ALGORITHMS)) {
+    for (const [key, info] of Object.entries(algorithms)) {
+      entries.push({ category, key, info });
+    }
+  }
+  return entries;
+}
+
+function entriesOf(BaseClass) {
+  return registered().filter(({ info }) => info.class.prototype instanceof BaseClass);
+}
+
+// Steps the algorithm to completion, checking that every stats counter
+// stays a non-negative number and never goes down.
+function runChecked(algorithm) {
+  let previous = { ...algorithm.stats };
+  let steps = 0;
+
+  while (!algorithm.finished) {
+    assert.ok(steps++ < MAX_STEPS, `${algorithm.name} did not finish within ${MAX_STEPS} steps`);
+    algorithm.step();
+
+    for (const [counter, value] of Object.entries(algorithm.stats)) {
+      assert.ok(Number.isFinite(value) && value >= 0, `${algorithm.name}: stats.${counter} is ${value}`);
+      assert.ok(value >= (previous[counter] || 0),
+        `${algorithm.name}: stats.${counter} went down from ${previous[counter]} to ${value}`);
+    }
+    previous = { ...algorithm.stats };
+  }
+
+  return algorithm;
+}
+
+function create(info, seed, size) {
+  const algorithm = new info.class(info.name);
+  algorithm.init(seed, size);
+  return algorithm;
+}
+
+// Independent BFS over open cells: shortest distance from start to goal, or -1
+function shortestDistance(algorithm) {
+  const { grid, gridSize, start, goal } = algorithm;
+  const distance = new Map([[start, 0]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const cell = queue.shift();
+    if (cell === goal) return distance.get(cell);
+
+    for (const [dx, dy] of [[0, 1], [1, 0], [0, -1], [-1, 0]]) {
+      const x = cell.x + dx;
+      const y = cell.y + dy;
+      if (x < 0 || y < 0 || x >= gridSize || y >= gridSize) continue;
+
+      const next = grid[y][x];
+      if (!next.isWall && !distance.has(next)) {
+        distance.set(next, distance.get(cell) + 1);
+        queue.push(next);
+      }
+    }
+  }
+
+  return -1;
+}
+
+function assertValidPath(algorithm, path) {
+  const { grid, gridSize, start, goal } = algorithm;
+  let previous = start;
+
+  for (const cell of path) {
+    assert.ok(cell.x >= 0 && cell.y >= 0 && cell.x < gridSize && cell.y < gridSize,
+      `path leaves the grid at (${cell.x}, ${cell.y})`);
+    assert.equal(grid[cell.y][cell.x], cell, `path cell (${cell.x}, ${cell.y}) is not a grid cell`);
+    assert.equal(cell.isWall, false, `path crosses a wall at (${cell.x}, ${cell.y})`);
+    assert.equal(Math.abs(cell.x - previous.x) + Math.abs(cell.y - previous.y), 1,
+      `path jumps from (${previous.x}, ${previous.y}) to (${cell.x}, ${cell.y})`);
+    previous = cell;
+  }
+
+  assert.equal(previous, goal, 'path does not end at the goal');
+}
+
+describe('registry', () => {
+  for (const { category, key, info } of registered()) {
+    it(`${category}/${key} is complete`, () => {
+      assert.equal(typeof info.name, 'string');
+      assert.equal(typeof info.desc, 'string');
+      assert.equal(typeof info.class, 'function');
+      assert.equal(typeof info.complexity.time, 'string');
+      assert.equal(typeof info.complexity.space, 'string');
+    });
+  }
+});
+
+// Code listings must point every traced operation except marks and
+// completion at a real line
+function assertListingCoversTrace(listing, info, seeds) {
+  for (const [key, line] of Object.entries(listing.lines)) {
+    assert.ok(Number.isInteger(line) && line >= 1 && line <= listing.code.length, `${key} maps to line ${line}`);
+    assert.notEqual(listing.code[line - 1].trim(), '', `${key} maps to blank line ${line}`);
+  }
+
+  for (const seed of seeds) {
+    const algorithm = create(info, seed, 30);
+    while (!algorithm.finished) {
+      algorithm.step();
+      for (const key of algorithm.trace) {
+        const type = key.split(':')[0];
+        if (type === 'mark' || type === 'complete') continue;
+        assert.ok(listing.lines[key] || listing.lines[type], `no line for '${key}'`);
+      }
+    }
+  }
+}
+
+describe('pseudocode', () => {
+  for (const { category, key, info } of registered()) {
+    it(`${category}/${key} maps every operation to a line`, () => {
+      assert.ok(info.pseudocode, 'missing pseudocode');
+      assertListingCoversTrace(info.pseudocode, info, SEEDS.slice(0, 3));
+    });
+
+    it(`${category}/${key} maps every operation to a line in each source listing`, () => {
+      assert.deepEqual(Object.keys(info.sources || {}), LANGUAGES);
+      for (const language of LANGUAGES) {
+        assertListingCoversTrace(info.sources[language], info, SEEDS.slice(0, 3));
+      }
+    });
+  }
+});
+
+describe('stats', () => {
+  for (const { category, key, info } of registered()) {
+    it(`${category}/${key} counters never go negative or down`, () => {
+      for (const seed of SEEDS.slice(0, 3)) {
+        runChecked(create(info, seed, 50));
+      }
+    });
+  }
+});
+
+describe('sorting', () => {
+  for (const { key, info } of entriesOf(SortingAlgorithm)) {
+    it(`${key} returns a sorted permutation of its input`, () => {
+      for (const seed of SEEDS) {
+        for (const size of SIZES) {
+          const algorithm = create(info, seed, size);
+          const expected = [...algorithm.array].sort((a, b) => a - b);
+
+          runChecked(algorithm);
+
+          assert.deepEqual(algorithm.array, expected, `seed ${seed}, size ${size}`);
+        }
+      }
+    });
+  }
+});
+
+describe('searching', () => {
+  for (const { key, info } of entriesOf(SearchAlgorithm)) {
+    it(`${key} finds the index of its target`, () => {
+      for (const seed of SEEDS) {
+        for (const size of SIZES) {
+          const algorithm = runChecked(create(info, seed, size));
+
+          assert.equal(algorithm.found, true, `seed ${seed}, size ${size}`);
+          assert.equal(algorithm.array[algorithm.foundIndex], algorithm.target, `seed ${seed}, size ${size}`);
+        }
+      }
+    });
+  }
+});
+
+describe('pathfinding', () => {
+  for (const { key, info } of entriesOf(PathfindingAlgorithm)) {
+    const shortest = SHORTEST_PATH.has(key);
+
+    it(`${key} returns a connected, wall-free path${shortest ? ' of shortest length' : ''}`, () => {
+      for (const seed of SEEDS) {
+        const algorithm = runChecked(create(info, seed));
+        const distance = shortestDistance(algorithm);
+        const path = algorithm.reconstructPath(algorithm.goal);
+
+        if (distance === -1) {
+          assert.deepEqual(algorithm.path, [], `seed ${seed}: goal is unreachable but a path was reported`);
+          continue;
+        }
+
+        assertValidPath(algorithm, path);
+        assert.deepEqual(algorithm.path, path, `seed ${seed}: reported path differs from reconstructPath`);
+        assert.equal(algorithm.stats.pathLength, path.length, `seed ${seed}`);
+        if (shortest) {
+          assert.equal(path.length, distance, `seed ${seed}: path is not a shortest path`);
+        }
+      }
+    });
+  }
+});
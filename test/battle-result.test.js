@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, ExecutionTimeline, BattleResult } = require('../engine.js');
+
+function battleSide(category, key, seed, size) {
+  const info = ALGORITHMS[category][key];
+  const algorithm = new info.class(info.name);
+  algorithm.init(seed, size);
+  const timeline = new ExecutionTimeline(algorithm);
+  while (!timeline.finished) timeline.stepForward();
+  return { name: info.name, stats: { ...algorithm.stats }, history: timeline.statsHistory(), timeline };
+}
+
+describe('ExecutionTimeline#statsHistory', () => {
+  it('lists the stats before the first step and after every frame', () => {
+    const { stats, history, timeline } = battleSide('sorting', 'insertion-sort', 7, 20);
+
+    assert.equal(history.length, timeline.length + 1);
+    assert.deepEqual(history[0], { comparisons: 0, swaps: 0, accesses: 0, steps: 0 });
+    assert.deepEqual(history[history.length - 1], stats);
+    for (let i = 1; i < history.length; i++) {
+      assert.ok(history[i].comparisons >= history[i - 1].comparisons);
+    }
+  });
+
+  it('reads the same history wherever the timeline stands', () => {
+    const { history, timeline } = battleSide('sorting', 'merge-sort', 3, 16);
+
+    timeline.seek(Math.floor(timeline.length / 3));
+    assert.deepEqual(timeline.statsHistory(), history);
+    timeline.seek(0);
+    assert.deepEqual(timeline.statsHistory(), history);
+  });
+});
+
+describe('BattleResult', () => {
+  const side = (name, stats) => ({ name, stats, history: [{ ...stats }] });
+
+  it('names the winner and ratio for every shared counter', () => {
+    const result = new BattleResult([
+      side('Quick Sort', { comparisons: 100, swaps: 40, accesses: 0, steps: 50 }),
+      side('Bubble Sort', { comparisons: 400, swaps: 20, accesses: 0, steps: 50 })
+    ]);
+
+    assert.deepEqual(result.metrics, [
+      { metric: 'comparisons', values: [100, 400], winner: 0, ratio: 4 },
+      { metric: 'swaps', values: [40, 20], winner: 1, ratio: 2 },
+      { metric: 'accesses', values: [0, 0], winner: null, ratio: null },
+      { metric: 'steps', values: [50, 50], winner: null, ratio: 1 }
+    ]);
+    assert.equal(result.winner, null);
+    assert.deepEqual(result.chartMetrics, ['comparisons', 'swaps', 'accesses']);
+  });
+
+  it('picks the side that won more counters', () => {
+    const result = new BattleResult([
+      side('A', { comparisons: 10, swaps: 1, steps: 4 }),
+      side('B', { comparisons: 5, swaps: 0, steps: 4 })
+    ]);
+
+    assert.equal(result.winner, 1);
+    assert.equal(result.metrics[1].ratio, null);
+  });
+
+  it('charts every shared counter when there are no comparisons or swaps', () => {
+    const result = new BattleResult([
+      side('BFS', { nodesVisited: 30, pathLength: 9, steps: 31 }),
+      side('DFS', { nodesVisited: 12, pathLength: 15, steps: 13 })
+    ]);
+
+    assert.deepEqual(result.chartMetrics, ['nodesVisited', 'pathLength', 'steps']);
+  });
+
+  it('writes the cumulative counts of both sides as CSV', () => {
+    const a = battleSide('sorting', 'quick-sort', 5, 12);
+    const b = battleSide('sorting', 'bubble-sort', 5, 12);
+    const lines = new BattleResult([a, b]).toCSV().trimEnd().split('\n');
+
+    assert.equal(lines[0], 'step,Quick Sort comparisons,Quick Sort swaps,Quick Sort accesses,' +
+      'Bubble Sort comparisons,Bubble Sort swaps,Bubble Sort accesses');
+    assert.equal(lines.length, Math.max(a.history.length, b.history.length) + 1);
+    assert.equal(lines[1], '0,0,0,0,0,0,0');
+
+    const last = lines[lines.length - 1].split(',').map(Number);
+    assert.deepEqual(last.slice(1), [a, b].flatMap(({ stats }) => [stats.comparisons, stats.swaps, stats.accesses]));
+  });
+});
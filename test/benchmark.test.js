@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Benchmark, HeadlessRunner } = require('../engine.js');
+
+describe('Benchmark', () => {
+  const benchmark = new Benchmark({
+    algorithms: [
+      { category: 'sorting', key: 'merge-sort' },
+      { category: 'pathfinding', key: 'bfs' }
+    ],
+    sizes: [10, 40],
+    seeds: [1, 2, 3]
+  });
+
+  it('runs every algorithm, size and seed combination', () => {
+    const rows = benchmark.run();
+
+    assert.equal(benchmark.total, 12);
+    assert.equal(rows.length, 12);
+    assert.deepEqual(rows.slice(0, 3).map(row => row.seed), [1, 2, 3]);
+  });
+
+  it('matches a headless run with the same seed and size', () => {
+    const row = benchmark.runOne({ category: 'sorting', key: 'merge-sort', size: 40, seed: 2 });
+    const { stats } = new HeadlessRunner('sorting', 'merge-sort').init(2, 40).run();
+
+    assert.deepEqual(row, { category: 'sorting', key: 'merge-sort', name: 'Merge Sort', size: 40, seed: 2, ...stats });
+  });
+
+  it('runs sorts once per input distribution and everything else once', () => {
+    const shaped = new Benchmark({
+      algorithms: [
+        { category: 'sorting', key: 'insertion-sort' },
+        { category: 'searching', key: 'binary-search' }
+      ],
+      sizes: [30],
+      seeds: [4],
+      distributions: ['sorted', 'reversed']
+    });
+    const rows = shaped.run();
+
+    assert.equal(shaped.total, 3);
+    assert.deepEqual(rows.map(row => row.distribution), ['sorted', 'reversed', undefined]);
+    // Insertion sort adapts: sorted input needs n - 1 comparisons, reversed ones n(n - 1) / 2
+    assert.equal(rows[0].comparisons, 29);
+    assert.equal(rows[1].comparisons, 30 * 29 / 2);
+
+    const { stats } = new HeadlessRunner('sorting', 'insertion-sort').init(4, 30, { distribution: 'reversed' }).run();
+    assert.deepEqual(rows[1], { category: 'sorting', key: 'insertion-sort', name: 'Insertion Sort', size: 30, distribution: 'reversed', seed: 4, ...stats });
+    assert.match(Benchmark.toCSV(rows).split('\n')[3], /^searching,binary-search,Binary Search,30,,4,/);
+  });
+
+  it('exports CSV with a column for every stats counter', () => {
+    const csv = Benchmark.toCSV(benchmark.run());
+    const [header, first] = csv.trim().split('\n');
+
+    assert.equal(header, 'category,key,name,size,distribution,seed,comparisons,swaps,accesses,steps,nodesVisited,pathLength');
+    assert.match(first, /^sorting,merge-sort,Merge Sort,10,uniform,1,\d+,\d+,\d+,\d+,,$/);
+  });
+
+  it('quotes CSV cells that contain commas or quotes', () => {
+    const csv = Benchmark.toCSV([{ category: 'x', key: 'y', name: 'Sort, "fast"', size: 1, seed: 1 }]);
+
+    assert.equal(csv.split('\n')[1], 'x,y,"Sort, ""fast""",1,,1');
+  });
+
+  it('exports JSON that round-trips', () => {
+    const rows = benchmark.run();
+
+    assert.deepEqual(JSON.parse(Benchmark.toJSON(rows)), rows);
+  });
+});
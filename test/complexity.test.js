@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, Benchmark, COMPLEXITY_MODELS, ComplexityAnalyzer } = require('../engine.js');
+
+const SIZES = [16, 32, 64, 128, 256, 512];
+
+function measure(category, key) {
+  return new Benchmark({ algorithms: [{ category, key }], sizes: SIZES, seeds: [1, 2, 3, 4, 5] }).run();
+}
+
+describe('ComplexityAnalyzer', () => {
+  it('maps registry complexity strings to candidate curves', () => {
+    assert.equal(ComplexityAnalyzer.modelFor('O(n log n)').label, 'O(n log n)');
+    assert.equal(ComplexityAnalyzer.modelFor('O(nlogn)').label, 'O(n log n)');
+    assert.equal(ComplexityAnalyzer.modelFor('O(n+k)').label, 'O(n)');
+    assert.equal(ComplexityAnalyzer.modelFor('O(V+E)'), null);
+  });
+
+  it('recovers every candidate curve from exact data', () => {
+    for (const model of COMPLEXITY_MODELS) {
+      const points = SIZES.map(n => ({ n, value: 3 * model.f(n) }));
+      const [best] = ComplexityAnalyzer.fit(points);
+
+      assert.equal(best.model, model);
+      assert.ok(Math.abs(best.scale - 3) < 1e-9);
+    }
+  });
+
+  it('averages each counter over seeds per size', () => {
+    const rows = [
+      { size: 10, seed: 1, steps: 4 },
+      { size: 10, seed: 2, steps: 6 },
+      { size: 20, seed: 1, steps: 9 }
+    ];
+
+    assert.deepEqual(ComplexityAnalyzer.points(rows, 'steps'), [{ n: 10, value: 5 }, { n: 20, value: 9 }]);
+  });
+
+  it('agrees with the registry for quadratic and linearithmic sorts', () => {
+    for (const key of ['bubble-sort', 'merge-sort']) {
+      const analysis = ComplexityAnalyzer.analyze(measure('sorting', key), 'steps', ALGORITHMS.sorting[key].complexity.time);
+
+      assert.equal(analysis.best, analysis.expected, key);
+      assert.equal(analysis.agrees, true, key);
+    }
+  });
+
+  it('flags growth that disagrees with the listed complexity', () => {
+    const analysis = ComplexityAnalyzer.analyze(measure('sorting', 'bubble-sort'), 'steps', 'O(n log n)');
+
+    assert.equal(analysis.best.model.label, 'O(n²)');
+    assert.equal(analysis.agrees, false);
+  });
+
+  it('only measures algorithms whose size is the input size', () => {
+    assert.equal(ComplexityAnalyzer.supports(ALGORITHMS.sorting['quick-sort']), true);
+    assert.equal(ComplexityAnalyzer.supports(ALGORITHMS.searching['binary-search']), true);
+    assert.equal(ComplexityAnalyzer.supports(ALGORITHMS.pathfinding.bfs), false);
+    assert.equal(ComplexityAnalyzer.supports(ALGORITHMS['data-structures'].stack), false);
+  });
+
+  it('needs at least three sizes', () => {
+    const rows = measure('sorting', 'merge-sort').filter(row => row.size <= 32);
+    assert.throws(() => ComplexityAnalyzer.analyze(rows, 'steps', 'O(n log n)'), /three different sizes/);
+  });
+});
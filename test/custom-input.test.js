@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, CustomInput, HeadlessRunner } = require('../engine.js');
+
+const TEXTBOOK = [5, 2, 4, 6, 1, 3];
+
+describe('CustomInput', () => {
+  it('parses comma, space and bracketed lists', () => {
+    assert.deepEqual(CustomInput.parseArray('5, 2, 4, 6, 1, 3'), TEXTBOOK);
+    assert.deepEqual(CustomInput.parseArray('[5 2 4\n6;1,3]'), TEXTBOOK);
+    assert.deepEqual(CustomInput.parseArray('0, 999'), [0, 999]);
+  });
+
+  it('rejects empty lists, non-integers and out-of-range values', () => {
+    assert.throws(() => CustomInput.parseArray(' [ ] '), /at least one value/);
+    assert.throws(() => CustomInput.parseArray('1, two'), /"two"/);
+    assert.throws(() => CustomInput.parseArray('1.5'), /"1.5"/);
+    assert.throws(() => CustomInput.parseArray('-1'), /"-1"/);
+    assert.throws(() => CustomInput.parseArray('1000'), /"1000"/);
+    assert.throws(() => CustomInput.parseArray(Array(501).fill(1).join(',')), /at most 500/);
+  });
+
+  it('parses a target, treating blank as random', () => {
+    assert.equal(CustomInput.parseTarget(' 7 '), 7);
+    assert.equal(CustomInput.parseTarget('-3'), -3);
+    assert.equal(CustomInput.parseTarget(''), undefined);
+    assert.throws(() => CustomInput.parseTarget('x'), /"x"/);
+  });
+});
+
+describe('custom data', () => {
+  for (const key of Object.keys(ALGORITHMS.sorting)) {
+    it(`${key} sorts the given array`, () => {
+      const runner = new HeadlessRunner('sorting', key).init(1, 100, { array: TEXTBOOK });
+
+      assert.deepEqual(runner.algorithm.array, TEXTBOOK);
+      runner.run();
+      assert.deepEqual(runner.algorithm.array, [1, 2, 3, 4, 5, 6]);
+    });
+  }
+
+  for (const key of Object.keys(ALGORITHMS.searching)) {
+    it(`${key} searches the given array for the given target`, () => {
+      const search = target => {
+        const runner = new HeadlessRunner('searching', key).init(1, 100, { array: TEXTBOOK, target });
+        runner.run();
+        return runner.algorithm;
+      };
+
+      const present = search(4);
+      assert.equal(present.found, true);
+      assert.equal(present.array[present.foundIndex], 4);
+
+      for (const target of [-1, 0, 7, 100]) {
+        const missing = search(target);
+        assert.equal(missing.found, false, `target ${target}`);
+        assert.equal(missing.foundIndex, -1, `target ${target}`);
+      }
+    });
+  }
+
+  it('keeps the random array when only a target is given', () => {
+    const random = new HeadlessRunner('searching', 'linear-search').init(42, 20);
+    const targeted = new HeadlessRunner('searching', 'linear-search').init(42, 20, { target: 500 });
+
+    assert.deepEqual(targeted.algorithm.array, random.algorithm.array);
+    assert.equal(targeted.algorithm.target, 500);
+  });
+
+  it('does not mutate the caller\'s array', () => {
+    const array = [...TEXTBOOK];
+    new HeadlessRunner('sorting', 'bubble-sort').init(1, 0, { array }).run();
+    new HeadlessRunner('searching', 'binary-search').init(1, 0, { array }).run();
+
+    assert.deepEqual(array, TEXTBOOK);
+  });
+});
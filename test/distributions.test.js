@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, DISTRIBUTIONS, HeadlessRunner } = require('../engine.js');
+
+const SIZES = [1, 2, 17, 100];
+
+function generate(distribution, seed, size, extra = {}) {
+  return new HeadlessRunner('sorting', 'bubble-sort').init(seed, size, { distribution, ...extra }).algorithm.array;
+}
+
+const ascending = array => array.every((value, i) => i === 0 || array[i - 1] <= value);
+const descending = array => array.every((value, i) => i === 0 || array[i - 1] >= value);
+
+describe('DISTRIBUTIONS', () => {
+  for (const [key, { name }] of Object.entries(DISTRIBUTIONS)) {
+    it(`${key} generates n reproducible values from 5 to 100`, () => {
+      assert.equal(typeof name, 'string');
+      for (const size of SIZES) {
+        const array = generate(key, 7, size);
+
+        assert.equal(array.length, size);
+        assert.ok(array.every(value => Number.isInteger(value) && value >= 5 && value <= 100), `size ${size}`);
+        assert.deepEqual(generate(key, 7, size), array, `size ${size}`);
+      }
+    });
+  }
+
+  it('uniform is the default and matches the original random input', () => {
+    const plain = new HeadlessRunner('sorting', 'bubble-sort').init(42, 50).algorithm.array;
+    assert.deepEqual(generate('uniform', 42, 50), plain);
+  });
+
+  it('sorted and reversed are ordered', () => {
+    assert.ok(ascending(generate('sorted', 3, 100)));
+    assert.ok(descending(generate('reversed', 3, 100)));
+  });
+
+  it('nearly sorted moves at most two elements per swap', () => {
+    assert.deepEqual(generate('nearly-sorted', 3, 100, { swaps: 0 }), generate('sorted', 3, 100));
+
+    for (const swaps of [1, 3, 10]) {
+      const sorted = generate('sorted', 3, 100);
+      const nearly = generate('nearly-sorted', 3, 100, { swaps });
+      const moved = nearly.filter((value, i) => value !== sorted[i]).length;
+
+      assert.ok(moved > 0 && moved <= 2 * swaps, `${swaps} swaps moved ${moved} elements`);
+      assert.deepEqual([...nearly].sort((a, b) => a - b), sorted);
+    }
+  });
+
+  it('few unique uses at most five values', () => {
+    assert.ok(new Set(generate('few-unique', 3, 100)).size <= 5);
+  });
+
+  it('sawtooth repeats ascending ramps and organ pipe rises then falls', () => {
+    const sawtooth = generate('sawtooth', 3, 100);
+    assert.equal(sawtooth.filter((value, i) => i > 0 && value < sawtooth[i - 1]).length, 3);
+
+    const pipe = generate('organ-pipe', 3, 100);
+    assert.ok(ascending(pipe.slice(0, 50)) && descending(pipe.slice(50)));
+    assert.deepEqual(pipe, [...pipe].reverse());
+  });
+
+  it('rejects unknown distributions', () => {
+    assert.throws(() => generate('zigzag', 1, 10), /Unknown distribution: zigzag/);
+  });
+
+  for (const key of Object.keys(ALGORITHMS.sorting)) {
+    it(`${key} sorts every distribution`, () => {
+      for (const distribution of Object.keys(DISTRIBUTIONS)) {
+        for (const size of SIZES) {
+          const runner = new HeadlessRunner('sorting', key).init(5, size, { distribution });
+          const expected = [...runner.algorithm.array].sort((a, b) => a - b);
+
+          runner.run();
+
+          assert.deepEqual(runner.algorithm.array, expected, `${distribution}, size ${size}`);
+        }
+      }
+    });
+  }
+});
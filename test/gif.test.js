@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GifEncoder } = require('../gif.js');
+
+// A minimal GIF reader: just enough to check what the encoder writes
+function decode(file) {
+  let p = 0;
+  const byte = () => file[p++];
+  const uint16 = () => byte() | (byte() << 8);
+  const ascii = (n) => String.fromCharCode(...file.subarray(p, (p += n)));
+  const subBlocks = () => {
+    const parts = [];
+    for (let size = byte(); size > 0; size = byte()) {
+      parts.push(...file.subarray(p, (p += size)));
+    }
+    return parts;
+  };
+
+  const gif = { signature: ascii(6), width: uint16(), height: uint16(), frames: [] };
+  const flags = byte();
+  p += 2;
+  gif.palette = [];
+  for (let i = 0; i < 2 << (flags & 7); i++) gif.palette.push([byte(), byte(), byte()]);
+
+  let delay = 0;
+  for (;;) {
+    const block = byte();
+    if (block === 0x3b) return gif;
+
+    if (block === 0x21) {
+      const label = byte();
+      const data = subBlocks();
+      if (label === 0xf9) delay = data[1] | (data[2] << 8);
+      if (label === 0xff) gif.loop = data[12] | (data[13] << 8);
+      continue;
+    }
+
+    assert.equal(block, 0x2c, `unexpected block 0x${block.toString(16)}`);
+    p += 4;
+    const width = uint16();
+    const height = uint16();
+    p++;
+    const minCodeSize = byte();
+    gif.frames.push({ delay, width, height, indices: lzwDecode(subBlocks(), minCodeSize) });
+  }
+}
+
+function lzwDecode(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let table;
+  let codeSize;
+  let previous = null;
+  let bitPosition = 0;
+
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPosition++) {
+      code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << i;
+    }
+    return code;
+  };
+
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clearCode) { reset(); continue; }
+    if (code === endCode) return output;
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      table.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+}
+
+function solidFrame(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([...colorAt(i), 255], i * 4);
+  }
+  return data;
+}
+
+describe('GifEncoder', () => {
+  it('writes a looping GIF89a with a 256-entry palette', () => {
+    const encoder = new GifEncoder(3, 2, { palette: [[255, 0, 0], [0, 0, 255]], delay: 5 });
+    encoder.addFrame(solidFrame(3, 2, i => (i % 2 ? [0, 0, 255] : [255, 0, 0])));
+    const gif = decode(encoder.finish());
+
+    assert.equal(gif.signature, 'GIF89a');
+    assert.equal(gif.width, 3);
+    assert.equal(gif.height, 2);
+    assert.equal(gif.loop, 0);
+    assert.equal(gif.palette.length, 256);
+    assert.deepEqual(gif.palette.slice(0, 3), [[255, 0, 0], [0, 0, 255], [0, 0, 0]]);
+    assert.deepEqual(gif.frames, [{ delay: 5, width: 3, height: 2, indices: [0, 1, 0, 1, 0, 1] }]);
+  });
+
+  it('round-trips frames long enough to fill and reset the code table', () => {
+    const width = 160;
+    const height = 120;
+    const palette = Array.from({ length: 256 }, (_, i) => [(i & 7) * 32, ((i >> 3) & 7) * 32, (i >> 6) * 64]);
+    const pattern = i => (i * 31 + Math.floor(i / 7)) % 256;
+    const encoder = new GifEncoder(width, height, { palette });
+
+    encoder.addFrame(solidFrame(width, height, i => palette[pattern(i)]));
+    encoder.addFrame(solidFrame(width, height, () => palette[9]));
+    const gif = decode(encoder.finish());
+
+    assert.equal(gif.frames.length, 2);
+    assert.deepEqual(gif.frames[0].indices, Array.from({ length: width * height }, (_, i) => pattern(i)));
+    assert.deepEqual(gif.frames[1].indices, Array(width * height).fill(9));
+  });
+
+  it('maps colors off the palette to the nearest entry', () => {
+    const encoder = new GifEncoder(2, 1, { palette: [[0, 0, 0], [250, 250, 250]] });
+    encoder.addFrame(solidFrame(2, 1, i => (i ? [200, 180, 220] : [30, 10, 40])));
+
+    assert.deepEqual(decode(encoder.finish()).frames[0].indices, [0, 1]);
+  });
+
+  it('builds the palette from the most frequent colors', () => {
+    const frame = solidFrame(10, 10, i => (i < 70 ? [15, 15, 15] : i < 95 ? [74, 144, 226] : [255, 107, 107]));
+    const palette = GifEncoder.palette([frame], 2);
+
+    assert.deepEqual(palette, [[15, 15, 15], [74, 144, 226]]);
+    assert.deepEqual(GifEncoder.palette([]), [[0, 0, 0]]);
+  });
+
+  it('rejects bad palettes and frames of the wrong size', () => {
+    assert.throws(() => new GifEncoder(2, 2, { palette: [] }), /between 1 and 256 colors/);
+    assert.throws(() => new GifEncoder(2, 2, { palette: Array(257).fill([0, 0, 0]) }), /between 1 and 256 colors/);
+    assert.throws(() => new GifEncoder(2, 2, { palette: [[0, 0, 0]] }).addFrame(new Uint8ClampedArray(4)), /2x2 RGBA/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, HeadlessRunner, ExecutionTimeline } = require('../engine.js');
+
+// Runs to the end, collecting the phases in order of first appearance and
+// every traced key
+function finish(algorithm) {
+  const phases = [];
+  const traced = new Set();
+
+  while (!algorithm.finished) {
+    algorithm.step();
+    const { phase } = algorithm;
+    if (phase && !phases.includes(phase.name)) phases.push(phase.name);
+    algorithm.trace.forEach(key => traced.add(key));
+  }
+  return { phases, traced };
+}
+
+const ascending = (start, length, step = 1) => Array.from({ length }, (_, i) => start + i * step);
+
+describe('hybrid sorts', () => {
+  it('starts each sort\'s own counters at zero next to the shared ones', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'pdq-sort').init(1, 10);
+
+    assert.deepEqual(algorithm.stats, {
+      comparisons: 0, swaps: 0, accesses: 0, steps: 0,
+      partitions: 0, patternBreaks: 0, heapsortFallbacks: 0, insertionSorts: 0
+    });
+    const bubble = new HeadlessRunner('sorting', 'bubble-sort').init(1, 10).algorithm;
+    assert.deepEqual(bubble.stats, { comparisons: 0, swaps: 0, accesses: 0, steps: 0 });
+  });
+
+  it('scales TimSort\'s minimum run so n / minRun is close to a power of two', () => {
+    const { minRun } = ALGORITHMS.sorting['tim-sort'].class;
+
+    assert.equal(minRun(15), 15);
+    assert.equal(minRun(64), 8);
+    assert.equal(minRun(65), 9);
+  });
+
+  it('reverses a descending run and merges it with the next one', () => {
+    const array = [...ascending(40, 16, -2), ...ascending(1, 16, 2)];
+    const { algorithm } = new HeadlessRunner('sorting', 'tim-sort').init(1, 0, { array });
+    const { phases, traced } = finish(algorithm);
+
+    assert.deepEqual(phases, ['run', 'gallop', 'merge']);
+    assert.equal(algorithm.stats.runs, 2);
+    assert.equal(algorithm.stats.merges, 1);
+    assert.ok(traced.has('swap:reverse'));
+    assert.deepEqual(algorithm.array, [...array].sort((a, b) => a - b));
+  });
+
+  it('gallops over the leading and trailing elements already in place and through winning streaks', () => {
+    // The first run's 1..8 stay put; 50..65 then win seven times in a row
+    const array = [...ascending(1, 8), ...ascending(100, 8), ...ascending(50, 16)];
+    const { algorithm } = new HeadlessRunner('sorting', 'tim-sort').init(1, 0, { array });
+    const { traced } = finish(algorithm);
+
+    assert.equal(algorithm.stats.gallops, 3);
+    assert.ok(traced.has('write:gallop'));
+    assert.deepEqual(algorithm.array, [...array].sort((a, b) => a - b));
+    assert.deepEqual(algorithm.buffers, {});
+  });
+
+  it('hands IntroSort\'s range to heapsort when partitions run too deep', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'intro-sort').init(1, 100, { distribution: 'sawtooth' });
+    const { phases } = finish(algorithm);
+
+    assert.deepEqual(phases, ['partition', 'insertion', 'heapsort']);
+    assert.equal(algorithm.stats.heapsortFallbacks, 1);
+    assert.ok(algorithm.stats.insertionSorts > 0);
+  });
+
+  it('finishes sorted input after one pdqsort partition that moved nothing', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'pdq-sort').init(1, 100, { distribution: 'sorted' });
+    const { phases } = finish(algorithm);
+
+    assert.deepEqual(phases, ['partition', 'partial-insertion']);
+    assert.equal(algorithm.stats.partitions, 1);
+    assert.equal(algorithm.stats.insertionSorts, 0);
+  });
+
+  it('breaks up patterns and skips runs of equal keys in pdqsort', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'pdq-sort').init(1, 100, { distribution: 'sawtooth' });
+    const { phases, traced } = finish(algorithm);
+
+    assert.ok(phases.includes('break-patterns'));
+    assert.ok(phases.includes('equal'));
+    assert.ok(algorithm.stats.patternBreaks > 0);
+    assert.ok(traced.has('swap:break'));
+  });
+
+  it('keeps counts out of the trace and rewinds them with the timeline', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'intro-sort').init(3, 40);
+    const timeline = new ExecutionTimeline(algorithm);
+
+    timeline.stepForward();
+    assert.deepEqual(algorithm.trace, ['compare:median']);
+    assert.equal(algorithm.stats.partitions, 1);
+    assert.deepEqual(algorithm.phase, { name: 'partition', detail: { low: 0, high: 39 } });
+
+    while (!timeline.finished) timeline.stepForward();
+    timeline.seek(0);
+    assert.equal(algorithm.stats.partitions, 0);
+    assert.equal(algorithm.phase, null);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, ExecutionTimeline, Leaderboard, RACE_METRICS } = require('../engine.js');
+
+const entry = (key, comparisons, swaps, finishedAt = null) =>
+  ({ key, stats: { comparisons, swaps, steps: comparisons + swaps }, finishedAt });
+
+const ranking = ranked => ranked.map(({ key, rank }) => `${rank}:${key}`);
+
+describe('Leaderboard', () => {
+  it('ranks by a stat, fewest first, with ties sharing a rank', () => {
+    const entries = [entry('a', 30, 5), entry('b', 10, 9), entry('c', 30, 1), entry('d', 20, 2)];
+
+    assert.deepEqual(ranking(Leaderboard.rank(entries, 'comparisons')), ['1:b', '2:d', '3:a', '3:c']);
+    assert.deepEqual(ranking(Leaderboard.rank(entries, 'swaps')), ['1:c', '2:d', '3:a', '4:b']);
+    assert.deepEqual(Leaderboard.rank(entries, 'steps').map(({ value }) => value), [19, 22, 31, 35]);
+  });
+
+  it('puts finishers ahead of racers still running on the same value', () => {
+    const entries = [entry('a', 10, 0), entry('b', 10, 0, 40), entry('c', 10, 0)];
+
+    assert.deepEqual(ranking(Leaderboard.rank(entries, 'comparisons')), ['1:b', '2:a', '2:c']);
+  });
+
+  it('ranks by finish order with racers still running last', () => {
+    const entries = [entry('a', 0, 0), entry('b', 0, 0, 90), entry('c', 0, 0, 30), entry('d', 0, 0)];
+    const ranked = Leaderboard.rank(entries, 'finish');
+
+    assert.deepEqual(ranking(ranked), ['1:c', '2:b', '3:a', '3:d']);
+    assert.deepEqual(ranked.map(({ finished }) => finished), [true, true, false, false]);
+  });
+
+  it('offers only the metrics a category counts', () => {
+    const metricsFor = category => {
+      const info = Object.values(ALGORITHMS[category])[0];
+      return Leaderboard.metricsFor(new info.class(info.name).stats);
+    };
+
+    assert.deepEqual(metricsFor('sorting'), Object.keys(RACE_METRICS));
+    assert.deepEqual(metricsFor('searching'), ['finish', 'steps', 'comparisons']);
+    assert.deepEqual(metricsFor('pathfinding'), ['finish', 'steps']);
+    assert.throws(() => Leaderboard.rank([], 'speed'), /Unknown metric: speed/);
+  });
+
+  it('ranks a real race in the order the racers finish', () => {
+    const racers = ['bubble-sort', 'quick-sort', 'merge-sort'].map(key => {
+      const info = ALGORITHMS.sorting[key];
+      const algorithm = new info.class(info.name);
+      algorithm.init(42, 30);
+      return { key, algorithm, timeline: new ExecutionTimeline(algorithm), finishedAt: null };
+    });
+
+    for (let tick = 1; racers.some(racer => racer.finishedAt === null); tick++) {
+      for (const racer of racers.filter(candidate => candidate.finishedAt === null)) {
+        racer.timeline.stepForward();
+        if (racer.timeline.finished) racer.finishedAt = tick;
+      }
+    }
+
+    const ranked = Leaderboard.rank(racers.map(({ key, algorithm, finishedAt }) =>
+      ({ key, stats: algorithm.stats, finishedAt })), 'finish');
+    assert.equal(ranked[ranked.length - 1].key, 'bubble-sort');
+    assert.ok(ranked.every(({ finished }) => finished));
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, ExecutionTimeline, HeadlessRunner } = require('../engine.js');
+
+function finished(category, key, seed, size, input) {
+  const runner = new HeadlessRunner(category, key).init(seed, size, input);
+  runner.run();
+  return runner.algorithm;
+}
+
+describe('auxiliary memory', () => {
+  it('peaks at the first merge\'s left run for merge sort', () => {
+    const algorithm = finished('sorting', 'merge-sort', 4, 21);
+
+    assert.equal(algorithm.peakMemory, 11);
+    assert.deepEqual(algorithm.buffers, {});
+    assert.equal(algorithm.memoryInUse, 0);
+  });
+
+  it('counts the count array and the output buffer of counting and radix sort', () => {
+    const array = [5, 120, 7, 42, 7];
+
+    assert.equal(finished('sorting', 'counting-sort', 1, 0, { array }).peakMemory, 121 + array.length);
+    assert.equal(finished('sorting', 'radix-sort', 1, 0, { array }).peakMemory, 10 + array.length);
+  });
+
+  it('stays at zero for in-place sorts and is not tracked outside sorting and pathfinding', () => {
+    const bubble = finished('sorting', 'bubble-sort', 2, 30);
+    const search = finished('searching', 'binary-search', 2, 30);
+
+    assert.equal(bubble.peakMemory, 0);
+    assert.equal(bubble.tracksMemory, true);
+    assert.equal(search.tracksMemory, false);
+    assert.deepEqual(search.buffers, {});
+  });
+
+  it('shows quick sort\'s pending ranges by their length', () => {
+    const info = ALGORITHMS.sorting['quick-sort'];
+    const algorithm = new info.class(info.name);
+    algorithm.init(1, 0, { array: [3, 1, 2, 5, 4] });
+
+    algorithm.step();
+    assert.deepEqual(algorithm.buffers, { stack: [] });
+    while (!algorithm.finished) algorithm.step();
+    assert.ok(algorithm.peakMemory >= 2);
+    assert.deepEqual(algorithm.buffers, { stack: [] });
+  });
+
+  it('tracks the size of pathfinding open sets', () => {
+    const algorithm = finished('pathfinding', 'bfs', 3);
+
+    assert.equal(typeof algorithm.buffers.queue, 'number');
+    assert.ok(algorithm.peakMemory > algorithm.buffers.queue);
+  });
+
+  it('keeps memory events out of the step count and the code trace', () => {
+    const info = ALGORITHMS.sorting['counting-sort'];
+    const algorithm = new info.class(info.name);
+    algorithm.init(1, 0, { array: [2, 0, 2] });
+
+    algorithm.step();
+    assert.deepEqual(algorithm.trace, ['read']);
+    assert.deepEqual(algorithm.buffers, { count: [0, 0, 1], output: [null, null, null] });
+    assert.equal(algorithm.stats.steps, 1);
+  });
+
+  it('rewinds buffers and the peak with the timeline', () => {
+    const info = ALGORITHMS.sorting['counting-sort'];
+    const algorithm = new info.class(info.name);
+    algorithm.init(8, 12);
+    const timeline = new ExecutionTimeline(algorithm);
+
+    for (let i = 0; i < 5; i++) timeline.stepForward();
+    const buffers = JSON.parse(JSON.stringify(algorithm.buffers));
+    const peak = algorithm.peakMemory;
+    while (!timeline.finished) timeline.stepForward();
+    assert.deepEqual(algorithm.buffers, {});
+
+    timeline.seek(5);
+    assert.deepEqual(algorithm.buffers, buffers);
+    assert.equal(algorithm.peakMemory, peak);
+    timeline.seek(0);
+    assert.deepEqual(algorithm.buffers, {});
+    assert.equal(algorithm.peakMemory, 0);
+  });
+});
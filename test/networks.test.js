@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, HeadlessRunner, ExecutionTimeline } = require('../engine.js');
+
+const NETWORKS = Object.keys(ALGORITHMS['sorting-networks']);
+
+// Every 0-1 input of length n, as arrays of 1s and 2s so no value is zero
+function* binaryInputs(n) {
+  for (let bits = 0; bits < 2 ** n; bits++) {
+    yield Array.from({ length: n }, (_, i) => 1 + ((bits >> i) & 1));
+  }
+}
+
+describe('sorting networks', () => {
+  it('sorts every 0-1 input, and so every input, up to 12 wires', () => {
+    for (const key of NETWORKS) {
+      for (let n = 1; n <= 12; n++) {
+        const { stages } = new HeadlessRunner('sorting-networks', key).init(1, n).algorithm;
+        for (const input of binaryInputs(n)) {
+          const array = [...input];
+          stages.flat().forEach(([i, j]) => {
+            if (array[i] > array[j]) [array[i], array[j]] = [array[j], array[i]];
+          });
+          assert.deepEqual(array, [...input].sort(), `${key}, n = ${n}, input ${input.join('')}`);
+        }
+      }
+    }
+  });
+
+  it('only puts comparators on disjoint wires in the same stage', () => {
+    for (const key of NETWORKS) {
+      for (const n of [5, 16, 23]) {
+        new HeadlessRunner('sorting-networks', key).init(1, n).algorithm.stages.forEach((stage, s) => {
+          const wires = stage.flat();
+          assert.equal(new Set(wires).size, wires.length, `${key}, n = ${n}, stage ${s}`);
+          assert.ok(stage.every(([i, j]) => i < j && j < n), `${key}, n = ${n}, stage ${s}`);
+        });
+      }
+    }
+  });
+
+  it('builds the textbook networks for 16 wires', () => {
+    const size = key => {
+      const { stages } = new HeadlessRunner('sorting-networks', key).init(1, 16).algorithm;
+      return [stages.length, stages.flat().length];
+    };
+
+    assert.deepEqual(size('bitonic-sort'), [10, 80]);
+    assert.deepEqual(size('odd-even-merge-sort'), [10, 63]);
+    assert.deepEqual(size('odd-even-transposition-sort'), [16, 120]);
+  });
+
+  it('counts the depth and every comparator, swapping or not', () => {
+    for (const key of NETWORKS) {
+      const { algorithm } = new HeadlessRunner('sorting-networks', key).init(1, 20);
+      while (!algorithm.finished) algorithm.step();
+
+      assert.equal(algorithm.stats.depth, algorithm.stages.length, key);
+      assert.equal(algorithm.stats.comparators, algorithm.stages.flat().length, key);
+      assert.equal(algorithm.stats.comparisons, algorithm.stats.comparators, key);
+    }
+  });
+
+  it('runs the same comparators whatever the input', () => {
+    const trace = array => {
+      const { algorithm } = new HeadlessRunner('sorting-networks', 'odd-even-merge-sort').init(1, 0, { array });
+      const pairs = [];
+      while (!algorithm.finished) {
+        algorithm.step();
+        if (algorithm.trace.includes('compare')) pairs.push(Object.keys(algorithm.highlights).join('-'));
+      }
+      return pairs;
+    };
+
+    assert.deepEqual(trace([1, 2, 3, 4, 5, 6]), trace([6, 5, 4, 3, 2, 1]));
+  });
+
+  it('steps through the stages one comparator at a time and rewinds them', () => {
+    const runner = new HeadlessRunner('sorting-networks', 'odd-even-transposition-sort');
+    const { algorithm } = runner.init(1, 0, { array: [3, 2, 1] });
+    const timeline = new ExecutionTimeline(algorithm);
+    const seen = [];
+
+    while (!timeline.finished) {
+      timeline.stepForward();
+      const { stage, comparator } = algorithm.phase.detail;
+      if (seen[seen.length - 1] !== `${stage}.${comparator}`) seen.push(`${stage}.${comparator}`);
+    }
+    assert.deepEqual(seen, ['0.0', '1.0', '2.0']);
+    assert.deepEqual(algorithm.array, [1, 2, 3]);
+
+    timeline.seek(1);
+    assert.deepEqual(algorithm.phase.detail, { stage: 0, comparator: 0 });
+    assert.equal(algorithm.stats.depth, 1);
+    timeline.seek(0);
+    assert.equal(algorithm.phase, null);
+    assert.equal(algorithm.stats.comparators, 0);
+  });
+});
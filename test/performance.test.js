@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessRunner, PerformanceModel } = require('../engine.js');
+
+function scoreAfterRun(category, key, size) {
+  const runner = new HeadlessRunner(category, key).init(5, size);
+  runner.run();
+  return PerformanceModel.score(runner.algorithm);
+}
+
+describe('PerformanceModel', () => {
+  it('scores comparison sorts against log2(n!) comparisons', () => {
+    const merge = scoreAfterRun('sorting', 'merge-sort', 100);
+    const bubble = scoreAfterRun('sorting', 'bubble-sort', 100);
+
+    assert.equal(merge.metric, 'comparisons');
+    assert.equal(merge.bound, 525);
+    assert.ok(merge.score > 0.9, `merge sort scored ${merge.score}`);
+    assert.ok(bubble.score < 0.15, `bubble sort scored ${bubble.score}`);
+    assert.equal(bubble.score, 525 / bubble.used);
+    assert.match(bubble.explanation, /log₂\(n!\) ≈ 525 for n = 100/);
+  });
+
+  it('scores linear-time sorts against reading and placing every value', () => {
+    const counting = scoreAfterRun('sorting', 'counting-sort', 50);
+
+    assert.equal(counting.metric, 'accesses');
+    assert.equal(counting.bound, 100);
+    assert.ok(counting.score > 0 && counting.score <= 1);
+  });
+
+  it('scores searches against binary search and paths against the Manhattan distance', () => {
+    assert.equal(scoreAfterRun('searching', 'binary-search', 100).score, 1);
+    assert.ok(scoreAfterRun('searching', 'linear-search', 100).score < 1);
+
+    const astar = scoreAfterRun('pathfinding', 'astar', 0);
+    const bfs = scoreAfterRun('pathfinding', 'bfs', 0);
+    assert.equal(astar.bound, 75);
+    assert.ok(astar.score > bfs.score);
+  });
+
+  it('gives every category a number, including before the first step', () => {
+    // Every generated stack and queue request is a push or enqueue, so once
+    // the structure is full (20 and 15 values) the rest are refused
+    const cases = [
+      ['sorting', 'quick-sort', 20],
+      ['searching', 'jump-search', 20],
+      ['pathfinding', 'dfs', 20],
+      ['data-structures', 'stack', 20, 1],
+      ['data-structures', 'stack', 30, 20 / 30],
+      ['data-structures', 'queue', 20, 15 / 20]
+    ];
+    for (const [category, key, size, expected] of cases) {
+      const runner = new HeadlessRunner(category, key).init(3, size);
+      const before = PerformanceModel.score(runner.algorithm);
+      assert.equal(before.score, 1, `${key} before its first step`);
+      assert.match(before.explanation, /^No /);
+
+      runner.run();
+      const after = PerformanceModel.score(runner.algorithm);
+      if (expected === undefined) {
+        assert.ok(Number.isFinite(after.score) && after.score > 0 && after.score <= 1, `${key} scored ${after.score}`);
+      } else {
+        assert.equal(after.score, expected, `${key} of ${size} requests`);
+        assert.equal(after.used, size);
+      }
+    }
+  });
+});
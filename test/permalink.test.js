@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessRunner, Permalink } = require('../engine.js');
+
+const STATE = {
+  category: 'sorting',
+  algorithm: 'merge-sort',
+  seed: 1760000000000,
+  size: 50,
+  speed: 0.25,
+  distribution: 'nearly-sorted',
+  swaps: 3,
+  battle: 'heap-sort'
+};
+
+describe('Permalink', () => {
+  it('round-trips the state of a run', () => {
+    const hash = Permalink.encode(STATE);
+
+    assert.equal(hash, 'category=sorting&algorithm=merge-sort&seed=1760000000000&size=50&speed=0.25' +
+      '&distribution=nearly-sorted&swaps=3&battle=heap-sort');
+    assert.deepEqual(Permalink.decode(`#${hash}`), { ...STATE, battleSize: undefined });
+  });
+
+  it('round-trips custom data and leaves out what is unset', () => {
+    const state = { category: 'searching', algorithm: 'binary-search', seed: 7, size: 20, array: [5, 2, 4], target: -3 };
+    const hash = Permalink.encode({ ...state, battle: null, distribution: undefined });
+
+    assert.equal(hash, 'category=searching&algorithm=binary-search&seed=7&size=20&array=5+2+4&target=-3');
+    assert.deepEqual(Permalink.decode(hash), { ...state, swaps: undefined, battleSize: undefined });
+  });
+
+  it('round-trips the size and distribution of a battle pane with its own input', () => {
+    const state = { ...STATE, battleSize: 120, battleDistribution: 'reversed' };
+    const hash = Permalink.encode(state);
+
+    assert.match(hash, /&battle=heap-sort&battleSize=120&battleDistribution=reversed$/);
+    assert.deepEqual(Permalink.decode(hash), state);
+  });
+
+  it('round-trips the pivot strategy of each quick sort pane', () => {
+    const state = { ...STATE, algorithm: 'quick-sort-hoare', pivot: 'ninther', battle: 'quick-sort', battlePivot: 'random' };
+    const hash = Permalink.encode(state);
+
+    assert.match(hash, /&swaps=3&pivot=ninther&battle=quick-sort&battlePivot=random$/);
+    assert.deepEqual(Permalink.decode(hash), { ...state, battleSize: undefined });
+  });
+
+  it('round-trips the contenders of a race', () => {
+    const { battle, ...rest } = STATE;
+    const state = { ...rest, race: [STATE.algorithm, battle, 'quick-sort'] };
+    const hash = Permalink.encode(state);
+
+    assert.match(hash, /&race=merge-sort\+heap-sort\+quick-sort$/);
+    assert.deepEqual(Permalink.decode(hash), { ...state, battleSize: undefined });
+  });
+
+  it('treats a hash without an algorithm as no link', () => {
+    assert.equal(Permalink.decode(''), null);
+    assert.equal(Permalink.decode('#'), null);
+    assert.equal(Permalink.decode('#section-2'), null);
+  });
+
+  it('rejects links that would not reproduce the run', () => {
+    const link = overrides => `#${Permalink.encode({ ...STATE, ...overrides })}`;
+
+    assert.throws(() => Permalink.decode(link({ category: 'trees' })), /Unknown category: trees/);
+    assert.throws(() => Permalink.decode(link({ algorithm: 'bogo-sort' })), /Unknown algorithm: sorting\/bogo-sort/);
+    assert.throws(() => Permalink.decode(link({ battle: 'a-star' })), /Unknown algorithm: sorting\/a-star/);
+    assert.throws(() => Permalink.decode(link({ seed: 1.5 })), /Invalid seed: 1.5/);
+    assert.throws(() => Permalink.decode(link({ size: 0 })), /Invalid size: 0/);
+    assert.throws(() => Permalink.decode(link({ swaps: -1 })), /Invalid swaps: -1/);
+    assert.throws(() => Permalink.decode(link({ speed: 'fast' })), /Invalid speed: fast/);
+    assert.throws(() => Permalink.decode(link({ distribution: 'zigzag' })), /Unknown distribution: zigzag/);
+    assert.throws(() => Permalink.decode(link({ pivot: 'middle' })), /Unknown pivot strategy: middle/);
+    assert.throws(() => Permalink.decode(link({ battleSize: 0 })), /Invalid battleSize: 0/);
+    assert.throws(() => Permalink.decode(link({ battlePivot: 'middle' })), /Unknown pivot strategy: middle/);
+    assert.throws(() => Permalink.decode(link({ battleDistribution: 'zigzag' })), /Unknown distribution: zigzag/);
+    assert.throws(() => Permalink.decode(link({ race: ['merge-sort', 'a-star', 'heap-sort'] })), /Unknown algorithm: sorting\/a-star/);
+    assert.throws(() => Permalink.decode(link({ race: ['merge-sort', 'heap-sort'] })), /Invalid race: merge-sort heap-sort/);
+    assert.throws(() => Permalink.decode(link({ race: ['merge-sort', 'heap-sort', 'merge-sort'] })), /Invalid race/);
+    assert.throws(() => Permalink.decode(link({ array: [1, 1000] })), /"1000"/);
+  });
+
+  it('reads a broken link as an error rather than a run', () => {
+    const hash = `#${Permalink.encode({ ...STATE, algorithm: 'bogo-sort' })}`;
+
+    assert.deepEqual(Permalink.read(hash), { state: null, error: 'Unknown algorithm: sorting/bogo-sort' });
+    assert.deepEqual(Permalink.read('#section-2'), { state: null, error: null });
+    assert.deepEqual(Permalink.read(Permalink.encode(STATE)), { state: { ...STATE, battleSize: undefined }, error: null });
+  });
+
+  it('reproduces the same run from a decoded link', () => {
+    const run = ({ category, algorithm, seed, size, ...input }) =>
+      new HeadlessRunner(category, algorithm).init(seed, size, input).run();
+
+    const decoded = Permalink.decode(Permalink.encode(STATE));
+    assert.deepEqual(run(decoded), run(STATE));
+  });
+});
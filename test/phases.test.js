@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessRunner, ExecutionTimeline } = require('../engine.js');
+
+// The phase after every step, as 'name' or 'name:detail'
+function phases(algorithm) {
+  const seen = [];
+  for (algorithm.step(); !algorithm.finished; algorithm.step()) {
+    const { name, detail } = algorithm.phase;
+    seen.push(detail === undefined ? name : `${name}:${detail}`);
+  }
+  return seen;
+}
+
+describe('Op.phase', () => {
+  it('moves counting sort through counting, placing and collecting one element per step', () => {
+    const array = [3, 1, 3, 0];
+    const { algorithm } = new HeadlessRunner('sorting', 'counting-sort').init(1, 0, { array });
+
+    assert.deepEqual(phases(algorithm), [
+      ...Array(4).fill('count'), ...Array(4).fill('place'), ...Array(4).fill('collect')
+    ]);
+    assert.deepEqual(algorithm.array, [0, 1, 3, 3]);
+  });
+
+  it('places counting sort\'s elements from the back into their output slots', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'counting-sort').init(1, 0, { array: [2, 0, 2, 1] });
+
+    for (let i = 0; i < 6; i++) algorithm.step();
+    assert.equal(algorithm.phase.name, 'place');
+    assert.deepEqual(algorithm.buffers.output, [null, 1, null, 2]);
+    assert.deepEqual(algorithm.trace, ['read:place']);
+  });
+
+  it('runs radix sort one digit at a time, filling the buckets in order', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'radix-sort').init(1, 0, { array: [21, 13, 11, 3] });
+    const seen = [];
+
+    for (let i = 0; i < 8; i++) {
+      algorithm.step();
+      seen.push(`${algorithm.phase.name}:${algorithm.phase.detail}`);
+    }
+    assert.deepEqual(seen, [...Array(4).fill('count:1'), ...Array(4).fill('place:1')]);
+    // Buckets 1 and 3, each keeping the input order
+    assert.deepEqual(algorithm.buffers.output, [21, 11, 13, 3]);
+
+    const rest = phases(algorithm);
+    assert.equal(rest.filter(phase => phase === 'place:10').length, 4);
+    assert.deepEqual(algorithm.array, [3, 11, 13, 21]);
+  });
+
+  it('shrinks heap sort\'s heap by one with every extraction', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'heap-sort').init(1, 0, { array: [4, 9, 2, 7, 5] });
+    const sizes = [];
+
+    while (!algorithm.finished) {
+      algorithm.step();
+      const { name, detail } = algorithm.phase;
+      if (sizes[sizes.length - 1] !== `${name}:${detail}`) sizes.push(`${name}:${detail}`);
+    }
+    assert.deepEqual(sizes, ['build:5', 'extract:4', 'extract:3', 'extract:2', 'extract:1', 'extract:0']);
+    assert.deepEqual(algorithm.array, [2, 4, 5, 7, 9]);
+  });
+
+  it('rewinds the phase with the timeline', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'radix-sort').init(1, 0, { array: [21, 13, 11, 3] });
+    const timeline = new ExecutionTimeline(algorithm);
+
+    while (!timeline.finished) timeline.stepForward();
+    timeline.seek(6);
+    assert.deepEqual(timeline.algorithm.phase, { name: 'place', detail: 1 });
+    timeline.seek(0);
+    assert.equal(timeline.algorithm.phase, null);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessRunner, ExecutionTimeline, PIVOT_STRATEGIES } = require('../engine.js');
+
+const SCHEMES = ['quick-sort', 'quick-sort-hoare', 'quick-sort-three-way', 'dual-pivot-quick-sort'];
+
+function finished(key, seed, size, input) {
+  const runner = new HeadlessRunner('sorting', key).init(seed, size, input);
+  runner.run();
+  return runner.algorithm;
+}
+
+describe('quick sort variants', () => {
+  it('sorts with every partition scheme and pivot strategy', () => {
+    for (const key of SCHEMES) {
+      for (const pivot of Object.keys(PIVOT_STRATEGIES)) {
+        for (const distribution of ['uniform', 'sorted', 'reversed', 'few-unique']) {
+          for (const size of [1, 2, 3, 10, 41]) {
+            const algorithm = finished(key, 5, size, { pivot, distribution });
+            const expected = [...algorithm.array].sort((a, b) => a - b);
+            assert.deepEqual(algorithm.array, expected, `${key}, ${pivot}, ${distribution}, n = ${size}`);
+          }
+        }
+      }
+    }
+  });
+
+  it('keeps Lomuto with the last element as the default pivot', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'quick-sort').init(1, 0, { array: [3, 1, 2] });
+
+    algorithm.step();
+    assert.equal(algorithm.pivot, 'last');
+    assert.deepEqual(algorithm.trace, ['mark:current', 'compare']);
+    assert.deepEqual(algorithm.phase, {
+      name: 'partition',
+      detail: { low: 0, high: 2, pointers: { i: -1, j: 0, pivot: 2 }, pivots: [2], stack: [] }
+    });
+  });
+
+  it('rejects an unknown pivot strategy', () => {
+    const runner = new HeadlessRunner('sorting', 'quick-sort-hoare');
+    assert.throws(() => runner.init(1, 10, { pivot: 'middle' }), /Unknown pivot strategy: middle/);
+  });
+
+  it('turns quadratic on sorted input with an end pivot and not with a median', () => {
+    const array = Array.from({ length: 200 }, (_, i) => i + 1);
+    const comparisons = pivot => finished('quick-sort', 1, 0, { array, pivot }).stats.comparisons;
+
+    assert.equal(comparisons('last'), 200 * 199 / 2);
+    assert.equal(comparisons('first'), 200 * 199 / 2);
+    assert.ok(comparisons('median-of-three') < 2000);
+    assert.ok(comparisons('ninther') < 2000);
+  });
+
+  it('finishes each block of equal keys in one three-way partition', () => {
+    const array = Array.from({ length: 60 }, (_, i) => 10 * (1 + i % 3));
+    const threeWay = finished('quick-sort-three-way', 1, 0, { array });
+    const lomuto = finished('quick-sort', 1, 0, { array });
+
+    assert.ok(threeWay.stats.comparisons <= 2 * array.length);
+    assert.ok(lomuto.stats.comparisons > 5 * threeWay.stats.comparisons);
+  });
+
+  it('compares the median candidates without moving them, then moves the pivot into place', () => {
+    const input = { array: [5, 9, 1, 7, 3], pivot: 'median-of-three' };
+    const { algorithm } = new HeadlessRunner('sorting', 'quick-sort-hoare').init(1, 0, input);
+    const trace = [];
+
+    do {
+      algorithm.step();
+      trace.push(...algorithm.trace);
+    } while (!algorithm.trace.includes('swap:move'));
+    assert.deepEqual(trace, ['compare:median', 'compare:median', 'compare:median', 'swap:move']);
+    assert.deepEqual(algorithm.array, [3, 9, 1, 7, 5]);
+  });
+
+  it('shows the pointers of each scheme and the pending ranges', () => {
+    const pointers = key => {
+      const { algorithm } = new HeadlessRunner('sorting', key).init(2, 20);
+      const names = new Set();
+      let deepest = 0;
+      while (!algorithm.finished) {
+        algorithm.step();
+        const { name, detail } = algorithm.phase;
+        if (name === 'partition') Object.keys(detail.pointers).forEach(pointer => names.add(pointer));
+        deepest = Math.max(deepest, detail.stack.length);
+      }
+      assert.ok(deepest > 0, key);
+      return [...names].sort();
+    };
+
+    assert.deepEqual(pointers('quick-sort'), ['i', 'j', 'pivot']);
+    assert.deepEqual(pointers('quick-sort-hoare'), ['i', 'j']);
+    assert.deepEqual(pointers('quick-sort-three-way'), ['gt', 'i', 'lt']);
+    assert.deepEqual(pointers('dual-pivot-quick-sort'), ['gt', 'k', 'lt']);
+  });
+
+  it('replays random pivots from the seed', () => {
+    const run = seed => finished('quick-sort', seed, 50, { pivot: 'random', distribution: 'sorted' }).stats;
+
+    assert.deepEqual(run(3), run(3));
+    assert.notDeepEqual(run(3), run(4));
+  });
+
+  it('rewinds the range, the pointers and the stack with the timeline', () => {
+    const { algorithm } = new HeadlessRunner('sorting', 'dual-pivot-quick-sort').init(6, 30, { pivot: 'ninther' });
+    const timeline = new ExecutionTimeline(algorithm);
+    const phases = [null];
+
+    while (!timeline.finished) {
+      timeline.stepForward();
+      phases.push(JSON.parse(JSON.stringify(timeline.algorithm.phase)));
+    }
+    for (let step = phases.length - 1; step >= 0; step--) {
+      timeline.seek(step);
+      assert.deepEqual(timeline.algorithm.phase, phases[step], `step ${step}`);
+    }
+  });
+});
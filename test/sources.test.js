@@ -0,0 +1,112 @@
+// Runs the JavaScript source listings against the engine's own inputs, so
+// the code the panel shows (and Copy hands out) really works.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS } = require('../engine.js');
+require('../sources.js');
+
+const SEEDS = [1, 2, 3, 7, 42, 99, 1234];
+const SIZES = [1, 2, 5, 17, 64];
+
+// Evaluates a listing and returns its first declared function or class
+function load(listing) {
+  const source = listing.code.join('\n');
+  const [, name] = source.match(/^(?:function|class)\s+(\w+)/m);
+  return new Function(`${source}\nreturn ${name};`)();
+}
+
+function create(info, seed, size) {
+  const algorithm = new info.class(info.name);
+  algorithm.init(seed, size);
+  return algorithm;
+}
+
+describe('JavaScript sources', () => {
+  const sorts = { ...ALGORITHMS.sorting, ...ALGORITHMS['sorting-networks'] };
+  for (const [key, info] of Object.entries(sorts)) {
+    it(`${key} sorts its input`, () => {
+      const sort = load(info.sources.javascript);
+      for (const seed of SEEDS) {
+        for (const size of SIZES) {
+          const array = [...create(info, seed, size).array];
+          const expected = [...array].sort((a, b) => a - b);
+
+          sort(array);
+
+          assert.deepEqual(array, expected, `seed ${seed}, size ${size}`);
+        }
+      }
+    });
+  }
+
+  for (const [key, info] of Object.entries(ALGORITHMS.searching)) {
+    it(`${key} finds present targets and rejects absent ones`, () => {
+      const search = load(info.sources.javascript);
+      for (const seed of SEEDS) {
+        for (const size of SIZES) {
+          const { array, target } = create(info, seed, size);
+
+          assert.equal(array[search(array, target)], target, `seed ${seed}, size ${size}`);
+          assert.equal(search(array, -1), -1, `seed ${seed}, size ${size}`);
+          assert.equal(search(array, Math.max(...array) + 1), -1, `seed ${seed}, size ${size}`);
+        }
+      }
+    });
+  }
+
+  it('stack pops in reverse push order and guards its capacity', () => {
+    const Stack = load(ALGORITHMS['data-structures'].stack.sources.javascript);
+    const stack = new Stack(2);
+
+    stack.push(1);
+    stack.push(2);
+    assert.throws(() => stack.push(3), /overflow/);
+    assert.equal(stack.pop(), 2);
+    assert.equal(stack.pop(), 1);
+    assert.throws(() => stack.pop(), /underflow/);
+  });
+
+  it('queue dequeues in push order and wraps around', () => {
+    const Queue = load(ALGORITHMS['data-structures'].queue.sources.javascript);
+    const queue = new Queue(2);
+
+    queue.enqueue(1);
+    queue.enqueue(2);
+    assert.throws(() => queue.enqueue(3), /overflow/);
+    assert.equal(queue.dequeue(), 1);
+    queue.enqueue(3);
+    assert.equal(queue.dequeue(), 2);
+    assert.equal(queue.dequeue(), 3);
+    assert.throws(() => queue.dequeue(), /underflow/);
+  });
+
+  for (const [key, info] of Object.entries(ALGORITHMS.pathfinding)) {
+    it(`${key} finds a path whenever the engine does`, () => {
+      const find = load(info.sources.javascript);
+      for (const seed of SEEDS) {
+        const algorithm = create(info, seed);
+        while (!algorithm.finished) algorithm.step();
+
+        const walls = algorithm.grid.map(row => row.map(cell => cell.isWall));
+        const { start, goal } = algorithm;
+        const path = find(walls, [start.x, start.y], [goal.x, goal.y]);
+
+        if (algorithm.path.length === 0) {
+          assert.equal(path, null, `seed ${seed}: goal is unreachable but a path was returned`);
+          continue;
+        }
+
+        assert.deepEqual(path[0], [start.x, start.y], `seed ${seed}`);
+        assert.deepEqual(path[path.length - 1], [goal.x, goal.y], `seed ${seed}`);
+        for (let i = 1; i < path.length; i++) {
+          const [[px, py], [x, y]] = [path[i - 1], path[i]];
+          assert.equal(Math.abs(x - px) + Math.abs(y - py), 1, `seed ${seed}: path jumps at step ${i}`);
+          assert.equal(walls[y][x], false, `seed ${seed}: path crosses a wall at (${x}, ${y})`);
+        }
+        if (key !== 'dfs') {
+          assert.equal(path.length - 1, algorithm.path.length, `seed ${seed}: path is not a shortest path`);
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, ExecutionTimeline, HeadlessRunner, Op, SortingAlgorithm } = require('../engine.js');
+
+const SEEDS = [1, 2, 3, 7, 42];
+const STABLE = [
+  'bubble-sort', 'cocktail-sort', 'insertion-sort', 'merge-sort', 'tim-sort', 'counting-sort', 'radix-sort',
+  'odd-even-transposition-sort'
+];
+const SORTERS = ['sorting', 'sorting-networks'].flatMap(category =>
+  Object.keys(ALGORITHMS[category]).map(key => [category, key]));
+
+function sorted(key, seed, input = { distribution: 'few-unique' }, category = 'sorting') {
+  const runner = new HeadlessRunner(category, key).init(seed, 60, input);
+  runner.run();
+  return runner.algorithm;
+}
+
+describe('stability', () => {
+  it('ranks repeated values by occurrence and leaves unique ones out', () => {
+    assert.deepEqual(SortingAlgorithm.rankDuplicates([3, 1, 3, 2, 3, 1]), [0, 0, 1, -1, 2, 1]);
+    assert.deepEqual(SortingAlgorithm.rankDuplicates([]), []);
+  });
+
+  for (const [category, key] of SORTERS) {
+    it(`${key} keeps track of where every element came from`, () => {
+      for (const seed of SEEDS) {
+        const algorithm = sorted(key, seed, undefined, category);
+        const { array } = new HeadlessRunner(category, key).init(seed, 60, { distribution: 'few-unique' }).algorithm;
+
+        assert.deepEqual([...algorithm.origins].sort((a, b) => a - b), array.map((_, i) => i), `seed ${seed}`);
+        assert.ok(algorithm.origins.every((origin, i) => array[origin] === algorithm.array[i]), `seed ${seed}`);
+      }
+    });
+  }
+
+  for (const [category, key] of SORTERS) {
+    const stable = STABLE.includes(key);
+
+    it(`${key} is ${stable ? 'stable' : 'unstable'} on inputs with duplicates`, () => {
+      const inversions = SEEDS.map(seed => sorted(key, seed, undefined, category).stability().inversions);
+
+      if (stable) {
+        assert.deepEqual(inversions, SEEDS.map(() => 0));
+      } else {
+        assert.ok(inversions.some(count => count > 0), `no inversions for seeds ${SEEDS.join(', ')}`);
+      }
+    });
+  }
+
+  it('counts only values that repeat', () => {
+    assert.deepEqual(sorted('bubble-sort', 1, { array: [4, 2, 4, 1] }).stability(), { duplicates: 2, inversions: 0 });
+    assert.deepEqual(sorted('selection-sort', 1, { array: [3, 1, 2] }).stability(), { duplicates: 0, inversions: 0 });
+    assert.deepEqual(sorted('selection-sort', 1, { array: [2, 2, 1] }).stability(), { duplicates: 2, inversions: 1 });
+  });
+
+  it('is unknown once an element is written without its origin', () => {
+    const algorithm = new HeadlessRunner('sorting', 'bubble-sort').init(1, 0, { array: [2, 2, 1] }).algorithm;
+
+    algorithm.apply(Op.write(0, 1));
+
+    assert.equal(algorithm.origins[0], null);
+    assert.equal(algorithm.stability(), null);
+  });
+
+  it('rewinds origins with the timeline', () => {
+    const algorithm = new HeadlessRunner('sorting', 'merge-sort').init(3, 20, { distribution: 'few-unique' }).algorithm;
+    const timeline = new ExecutionTimeline(algorithm);
+    const initial = [...algorithm.origins];
+
+    while (timeline.stepForward());
+    const final = [...algorithm.origins];
+
+    timeline.seek(0);
+    assert.deepEqual(algorithm.origins, initial);
+    timeline.seek(timeline.length);
+    assert.deepEqual(algorithm.origins, final);
+  });
+});
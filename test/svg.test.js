@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SvgCanvas } = require('../svg.js');
+
+const body = svg => svg.toString().split('\n').slice(2, -1);
+
+describe('SvgCanvas', () => {
+  it('wraps the drawing in an SVG document sized like the canvas', () => {
+    const svg = new SvgCanvas(640, 360);
+    const lines = svg.toString(1280, 720).split('\n');
+
+    assert.equal(lines[0], '<svg xmlns="http://www.w3.org/2000/svg" width="1280" height="720" viewBox="0 0 640 360">');
+    assert.equal(lines[lines.length - 1], '</svg>');
+    assert.equal(svg.getContext('2d'), svg.context);
+  });
+
+  it('records rectangles and text with the current styles', () => {
+    const svg = new SvgCanvas(100, 50);
+    const ctx = svg.getContext('2d');
+
+    ctx.fillStyle = '#0f0f0f';
+    ctx.fillRect(0, 0, 100, 50);
+    ctx.fillRect(10, 50, 4.333, -20);
+    ctx.fillRect(0, 0, 0, 10);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('a < b & "c"', 50, 25);
+
+    assert.deepEqual(body(svg), [
+      '<rect x="0" y="0" width="100" height="50" fill="#0f0f0f"/>',
+      '<rect x="10" y="30" width="4.33" height="20" fill="#0f0f0f"/>',
+      '<text x="50" y="25" style="font: bold 14px Arial" fill="#ffffff" text-anchor="middle">a &lt; b &amp; &quot;c&quot;</text>'
+    ]);
+  });
+
+  it('turns gradients and glow into shared definitions', () => {
+    const svg = new SvgCanvas(10, 10);
+    const ctx = svg.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 2, 0, 8);
+    gradient.addColorStop(0, '#4a90e2');
+    gradient.addColorStop(1, '#3a73b5');
+
+    ctx.fillStyle = gradient;
+    ctx.shadowColor = '#4a90e2';
+    ctx.shadowBlur = 10;
+    ctx.fillRect(1, 2, 3, 6);
+    ctx.fillRect(5, 2, 3, 6);
+
+    const text = svg.toString();
+    assert.equal(text.match(/<linearGradient /g).length, 1);
+    assert.equal(text.match(/<filter /g).length, 1);
+    assert.match(text, /<linearGradient id="gradient-1" gradientUnits="userSpaceOnUse" x1="0" y1="2" x2="0" y2="8"><stop offset="0" stop-color="#4a90e2"\/><stop offset="1" stop-color="#3a73b5"\/><\/linearGradient>/);
+    assert.match(text, /stdDeviation="5" flood-color="#4a90e2"/);
+    assert.deepEqual(body(svg), [
+      '<rect x="1" y="2" width="3" height="6" fill="url(#gradient-1)" filter="url(#glow-1)"/>',
+      '<rect x="5" y="2" width="3" height="6" fill="url(#gradient-1)" filter="url(#glow-1)"/>'
+    ]);
+  });
+
+  it('offsets everything drawn after translate until restore', () => {
+    const svg = new SvgCanvas(200, 100);
+    const ctx = svg.getContext('2d');
+
+    ctx.save();
+    ctx.translate(100, 0);
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 5);
+    ctx.stroke();
+    ctx.restore();
+    ctx.fillRect(0, 0, 10, 10);
+
+    assert.deepEqual(body(svg), [
+      '<rect x="100" y="0" width="10" height="10" fill="red"/>',
+      '<path d="M100 0 L110 5" fill="none" stroke="#000000" stroke-width="1"/>',
+      '<rect x="0" y="0" width="10" height="10" fill="#000000"/>'
+    ]);
+  });
+
+  it('dashes strokes until the dash is cleared or restored', () => {
+    const svg = new SvgCanvas(20, 20);
+    const ctx = svg.getContext('2d');
+    const line = () => {
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(20, 0);
+      ctx.stroke();
+    };
+
+    ctx.save();
+    ctx.setLineDash([6, 4]);
+    line();
+    ctx.restore();
+    line();
+
+    assert.deepEqual(body(svg), [
+      '<path d="M0 0 L20 0" fill="none" stroke="#000000" stroke-width="1" stroke-dasharray="6 4"/>',
+      '<path d="M0 0 L20 0" fill="none" stroke="#000000" stroke-width="1"/>'
+    ]);
+    assert.deepEqual(ctx.getLineDash(), []);
+  });
+
+  it('draws full circles as two arcs', () => {
+    const svg = new SvgCanvas(20, 20);
+    const ctx = svg.getContext('2d');
+
+    ctx.beginPath();
+    ctx.arc(10, 10, 5, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(10, 10, 5, 0, Math.PI / 2);
+    ctx.stroke();
+
+    assert.deepEqual(body(svg), [
+      '<path d="M15 10 A5 5 0 1 1 5 10 A5 5 0 1 1 15 10" fill="#000000"/>',
+      '<path d="M15 10 A5 5 0 0 1 10 15" fill="none" stroke="#000000" stroke-width="1"/>'
+    ]);
+  });
+});